@@ -1463,165 +1463,183 @@ Highlight.getColorVariablesCSS = function() {
 class Matrix {
 	/**
 	 * Useful to store Matrix data. Class contains methods to make operations with another Matrices.
-	 * @param {number | Array<number[]>} matrix Array matrix or Number of rows.
+	 * Data are stored in a flat typed array in row-major order, `matrix` contains row views into it.
+	 * @param {number | ArrayLike<ArrayLike<number>>} matrix Array matrix or Number of rows.
 	 * @param {number} [cols] Number of columns.
+	 * @param {Float64ArrayConstructor | Float32ArrayConstructor} [type=Float64Array] Type of the underlying storage.
 	 */
-	constructor(matrix /*rows*/, cols = undefined) {
+	constructor(matrix /*rows*/, cols = undefined, type = Float64Array) {
+		let rows = 0;
+
 		if(typeof matrix === "object") {
-			/**
-			 * @type {Array<number[]>}
-			 */
-			this.matrix = matrix.map(e => e.slice());
-
-			/**
-			 * @type {number}
-			 */
-			this.rows = matrix.length;
-
-			/**
-			 * @type {number}
-			 */
-			this.cols = matrix[0].length;
+			if(!Array.prototype.every.call(matrix, e => Array.isArray(e) || ArrayBuffer.isView(e))) {
+				throw new TypeError("All rows of the matrix must be arrays!");
+			}
+
+			rows = matrix.length;
+			cols = rows ? matrix[0].length : 0;
 		} else if(typeof matrix === "number" && cols) {
-			this.rows = matrix;
-			this.cols = cols;
-
-			this.matrix = [];
-			for(var i = 0; i < this.rows; i++) {
-				this.matrix.push([]);
-				for(var j = 0; j < this.cols; j++) {
-					this.matrix[i][j] = 0;
-				}
+			rows = matrix;
+		} else {
+			cols = 0;
+		}
+
+		/**
+		 * @type {number}
+		 */
+		this.rows = rows;
+
+		/**
+		 * @type {number}
+		 */
+		this.cols = cols;
+
+		/**
+		 * Flat row-major storage of the elements (element at [i][j] is at index `i * cols + j`).
+		 * @type {Float64Array | Float32Array}
+		 */
+		this.data = new type(rows * cols);
+
+		/**
+		 * Row views into the underlying storage.
+		 * @type {Array<Float64Array | Float32Array>}
+		 */
+		this.matrix = Matrix._createRows(this.data, rows, cols);
+
+		if(typeof matrix === "object") {
+			for(let i = 0; i < rows; i++) {
+				if(matrix[i].length != cols) throw new Error("All rows of the matrix must have the same length!");
+				this.data.set(matrix[i], i * cols);
 			}
 		}
 	}
 
 	/**
 	 * Multiplies Matrix with another Matrix or Number.
-	 * @param {Matrix} matrix Matrix or Number.
-	 * @param {boolean} [hadamard=false]
+	 * @param {Matrix | number} matrix Matrix or Number.
+	 * @param {boolean} [hadamard=false] Whether to multiply element-wise (row and column vectors are broadcast).
 	 * @returns {Matrix}
 	 */
 	mult(matrix, hadamard = false) {
-		var isMat = Matrix.isMatrix(matrix);
-		var mMat = isMat ? matrix : this;
-		var mat = new Matrix(this.rows, mMat.cols);
+		if(hadamard) return Matrix._broadcast(this, matrix, "*");
 
-		if(hadamard) {
-			if(this.rows != matrix.rows || this.cols != matrix.cols) {
-				throw new Error("Columns and rows of matrices are not equal! (Hadamard Product)");
-			}
-			for(var i = 0; i < this.rows; i++) {
-				for(var j = 0; j < this.cols; j++) {
-					mat.matrix[i][j] = this.matrix[i][j] * matrix.matrix[i][j];
-				}
-			}
-			return mat;
+		if(Matrix.isMatrix(matrix)) {
+			return this.multInto(Matrix._normalize(matrix), this._create(this.rows, matrix.cols));
 		}
 
-		if(isMat && this.cols != matrix.rows) {
-			throw new Error("Columns and rows of matrices are not equal!");
+		if(typeof matrix !== "number") {
+			throw new Error(`Invalid type of parameter "${typeof matrix}", only supported are Numbers and Matrices!`);
 		}
 
-		for(var i = 0; i < this.rows; i++) {
-			for(var j = 0; j < mMat.cols; j++) {
-				var sum = 0;
-				if(isMat) {
-					for(var k = 0; k < this.cols; k++) {
-						sum += this.matrix[i][k] * matrix.matrix[k][j];
-					}
-				} else if(typeof matrix === "number") {
-					sum = this.matrix[i][j] * matrix;
-				} else {
-					throw new Error(`Invalid type of parameter "${typeof matrix}", only supported are Numbers and Matrices!`);
-				}
-				mat.matrix[i][j] = sum;
-			}
+		const mat = this._create(this.rows, this.cols);
+		for(let i = 0; i < this.data.length; i++) {
+			mat.data[i] = this.data[i] * matrix;
 		}
 		return mat;
 	}
 
-	div(matrix) {
-		const mat = new Matrix(this.rows, this.cols);
+	/**
+	 * Multiplies Matrix with another Matrix and stores the result into output Matrix using blocked (cache-friendly) multiplication.
+	 * Output Matrix must not be one of the operands.
+	 * @param {Matrix} matrix Right-hand side Matrix.
+	 * @param {Matrix} out Output Matrix of size `this.rows x matrix.cols`.
+	 * @returns {Matrix} Output Matrix.
+	 * @memberof Matrix
+	 */
+	multInto(matrix, out) {
+		matrix = Matrix._normalize(matrix);
 
-		if(Matrix.isMatrix(matrix)) {
-			if(this.rows != matrix.rows || this.cols != matrix.cols) {
-				throw new Error("Columns and rows of matrices are not equal!");
-			}
-			for(var i = 0; i < this.rows; i++) {
-				for(var j = 0; j < this.cols; j++) {
-					mat.matrix[i][j] = this.matrix[i][j] / matrix.matrix[i][j];
-				}
-			}
-		} else if(typeof matrix === "number") {
-			for(var i = 0; i < this.rows; i++) {
-				for(var j = 0; j < this.cols; j++) {
-					mat.matrix[i][j] = this.matrix[i][j] / matrix;
+		if(this.cols != matrix.rows) throw new Error("Columns and rows of matrices are not equal!");
+		if(out.rows != this.rows || out.cols != matrix.cols) throw new Error("Output matrix has invalid dimensions!");
+		if(out === this || out === matrix || out.data.buffer === this.data.buffer || out.data.buffer === matrix.data.buffer) {
+			throw new Error("Output matrix must not share storage with operands!");
+		}
+
+		const a = this.data;
+		const b = matrix.data;
+		const c = out.data;
+		const n = this.rows;
+		const m = matrix.cols;
+		const p = this.cols;
+		const size = Matrix.BLOCK_SIZE;
+
+		c.fill(0);
+
+		for(let ii = 0; ii < n; ii += size) {
+			const iEnd = Math.min(ii + size, n);
+
+			for(let kk = 0; kk < p; kk += size) {
+				const kEnd = Math.min(kk + size, p);
+
+				for(let jj = 0; jj < m; jj += size) {
+					const jEnd = Math.min(jj + size, m);
+
+					for(let i = ii; i < iEnd; i++) {
+						const rowA = i * p;
+						const rowC = i * m;
+
+						for(let k = kk; k < kEnd; k++) {
+							const value = a[rowA + k];
+							const rowB = k * m;
+							for(let j = jj; j < jEnd; j++) {
+								c[rowC + j] += value * b[rowB + j];
+							}
+						}
+					}
 				}
 			}
-		} else {
-			throw new Error(`Invalid type of parameter "${typeof matrix}", only supported are Numbers and Matrices!`);
 		}
-		return mat;
+
+		return out;
 	}
 
 	/**
-	 * Adds matrix or scalar to current matrix. (returns new matrix)
+	 * Divides matrix element-wise by matrix or scalar. Row and column vectors are broadcast. (returns new matrix)
 	 * @param {Matrix | number} matrix Matrix or scalar.
 	 * @returns {Matrix}
 	 */
-	add(matrix) {
-		const isMatrix = Matrix.isMatrix(matrix);
-
-		let type = 0;
-		if(isMatrix) {
-			// @ts-ignore
-			if(this.rows === matrix.rows && this.cols === matrix.cols) type = 1;
-			// @ts-ignore
-			else if(this.rows === matrix.rows && matrix.cols === 1) type = 2;
-			// @ts-ignore
-			else if(this.cols === matrix.cols && matrix.rows === 1) type = 3;
-			else throw new Error("Columns and rows of matrices are not equal or matrix to add is not a vector!");
-		}
-
-		var mat = new Matrix(this.rows, this.cols);
-		for(var i = 0; i < this.rows; i++) {
-			for(var j = 0; j < this.cols; j++) {
-				// @ts-ignore
-				mat.matrix[i][j] = this.matrix[i][j] + (isMatrix ? (type === 1 ? matrix.matrix[i][j] : (type === 2 ? matrix.matrix[i][0] : matrix.matrix[0][j])) : matrix);
-			}
-		}
+	div(matrix) {
+		return Matrix._broadcast(this, matrix, "/");
+	}
 
-		return mat;
+	/**
+	 * Adds matrix or scalar to current matrix. Row and column vectors are broadcast. (returns new matrix)
+	 * @param {Matrix | number} matrix Matrix or scalar.
+	 * @returns {Matrix}
+	 */
+	add(matrix) {
+		return Matrix._broadcast(this, matrix, "+");
 	}
 
 	/**
-	 * Subtracts matrix or scalar from current matrix. (returns new matrix)
+	 * Subtracts matrix or scalar from current matrix. Row and column vectors are broadcast. (returns new matrix)
 	 * @param {Matrix | number} matrix Matrix or scalar.
 	 * @returns {Matrix}
 	 */
 	sub(matrix) {
-		const isMatrix = Matrix.isMatrix(matrix);
-
-		let type = 0;
-		if(isMatrix) {
-			if(this.rows === matrix.rows && this.cols === matrix.cols) type = 1;
-			// @ts-ignore
-			else if(this.rows === matrix.rows && matrix.cols === 1) type = 2;
-			// @ts-ignore
-			else if(this.cols === matrix.cols && matrix.rows === 1) type = 3;
-			else throw new Error("Columns and rows of matrices are not equal or matrix to add is not a vector!");
-		}
+		return Matrix._broadcast(this, matrix, "-");
+	}
 
-		var mat = new Matrix(this.rows, this.cols);
-		for(var i = 0; i < this.rows; i++) {
-			for(var j = 0; j < this.cols; j++) {
-				// @ts-ignore
-				mat.matrix[i][j] = this.matrix[i][j] - (isMatrix ? (type === 1 ? matrix.matrix[i][j] : (type === 2 ? matrix.matrix[i][0] : matrix.matrix[0][j])) : matrix);
-			}
-		}
+	/**
+	 * Adds matrix, column vector, row vector or scalar to current matrix in place.
+	 * @param {Matrix | number} matrix Matrix or scalar.
+	 * @returns {this}
+	 * @memberof Matrix
+	 */
+	addInPlace(matrix) {
+		Matrix._broadcast(this, matrix, "+", this);
+		return this;
+	}
 
-		return mat;
+	/**
+	 * Subtracts matrix, column vector, row vector or scalar from current matrix in place.
+	 * @param {Matrix | number} matrix Matrix or scalar.
+	 * @returns {this}
+	 * @memberof Matrix
+	 */
+	subInPlace(matrix) {
+		Matrix._broadcast(this, matrix, "-", this);
+		return this;
 	}
 
 	// eslint-disable-next-line valid-jsdoc
@@ -1631,10 +1649,11 @@ class Matrix {
 	 * @returns {Matrix} Result matrix.
 	 */
 	map(callback) {
-		var mat = new Matrix(this.rows, this.cols);
-		for(var i = 0; i < this.rows; i++) {
-			for(var j = 0; j < this.cols; j++) {
-				mat.matrix[i][j] = callback(this.matrix[i][j], j, i, this);
+		const mat = this._create(this.rows, this.cols);
+		for(let i = 0; i < this.rows; i++) {
+			for(let j = 0; j < this.cols; j++) {
+				const index = i * this.cols + j;
+				mat.data[index] = callback(this.data[index], j, i, this);
 			}
 		}
 		return mat;
@@ -1645,2426 +1664,10174 @@ class Matrix {
 	 * @returns {Matrix} New transposed Matrix.
 	 */
 	transpose() {
-		var mat = new Matrix(this.cols, this.rows);
-		for(var i = 0; i < this.rows; i++) {
-			for(var j = 0; j < this.cols; j++) {
-				mat.matrix[j][i] = this.matrix[i][j];
+		const mat = this._create(this.cols, this.rows);
+		for(let i = 0; i < this.rows; i++) {
+			for(let j = 0; j < this.cols; j++) {
+				mat.data[j * this.rows + i] = this.data[i * this.cols + j];
 			}
 		}
 		return mat;
 	}
 
+	/**
+	 * Creates new empty Matrix with the same storage type as the current Matrix.
+	 * @param {number} rows
+	 * @param {number} cols
+	 * @returns {Matrix}
+	 * @memberof Matrix
+	 */
+	_create(rows, cols) {
+		return new Matrix(rows, cols, /** @type {Float64ArrayConstructor} */ (this.data.constructor));
+	}
+
 	/**
 	 * Inverts the Matrix. New Matrix is returned.
-	 * @return {*} 
+	 * @return {Matrix | undefined} New inverted Matrix or `undefined` for non-square matrices.
 	 * @memberof Matrix
 	 */
 	inverse() {
 		if(this.rows != this.cols) return undefined;
 
-		// First create an identity matrix of the same size
-		const identity = Matrix.identity(this.rows);
-
-		// Create a copy of the matrix
-		const mat = this.copy();
-
-		// Loop over the matrix
-		for(let i = 0; i < this.rows; i++) {
-			// Find the pivot element
-			let pivot = mat.matrix[i][i];
-
-			// If pivot is zero, swap the row with a row below it
-			if(pivot == 0) {
-				for(let j = i + 1; j < this.rows; j++) {
-					if(mat.matrix[j][i] != 0) {
-						mat.swapRow(i, j);
-						identity.swapRow(i, j);
-						break;
-					}
-				}
-			}
-
-			// If pivot is still zero, then the matrix is singular
-			if(pivot == 0) {
-				throw new Error("Cannot inverse singular matrix!");
-			}
-
-			// Normalize the pivot row
-			for(let j = 0; j < this.cols; j++) {
-				mat.matrix[i][j] /= pivot;
-				identity.matrix[i][j] /= pivot;
-			}
-
-			// Loop over the rows
-			for(let j = 0; j < this.rows; j++) {
-				// If the row is the pivot row, skip it
-				if(j == i) continue;
-
-				// If the row is not the pivot row, subtract the pivot row
-				const factor = mat.matrix[j][i];
-				for(let k = 0; k < this.cols; k++) {
-					mat.matrix[j][k] -= factor * mat.matrix[i][k];
-					identity.matrix[j][k] -= factor * identity.matrix[i][k];
-				}
-			}
-		}
+		const decomposition = this._decomposeLU();
+		if(decomposition.singular) throw new Error("Cannot inverse singular matrix!");
 
-		return identity;
+		return Matrix._solveLU(decomposition, Matrix.identity(this.rows));
 	}
 
+	/**
+	 * Calculates the determinant of the Matrix using LU decomposition.
+	 * @return {number} 
+	 * @memberof Matrix
+	 */
 	det() {
 		if(this.rows != this.cols) throw new Error("Cannot calculate determinant of non-square matrix!");
 
 		if(this.rows == 1) return this.matrix[0][0];
 		if(this.rows == 2) return this.matrix[0][0] * this.matrix[1][1] - this.matrix[1][0] * this.matrix[0][1];
 
+		const {lu, sign, singular} = this._decomposeLU();
+		if(singular) return 0;
+
+		let det = sign;
+		for(let i = 0; i < this.rows; i++) det *= lu[i][i];
+
+		return det;
+	}
+
+	/**
+	 * Calculates the trace (sum of the main diagonal) of the Matrix.
+	 * @return {number} 
+	 * @memberof Matrix
+	 */
+	trace() {
+		if(this.rows != this.cols) throw new Error("Cannot calculate trace of non-square matrix!");
+
 		let sum = 0;
-		for(let i = 0; i < this.cols; i++) {
-			sum += this.matrix[0][i] * this.cofactor(0, i);
-		}
+		for(let i = 0; i < this.rows; i++) sum += this.matrix[i][i];
+
 		return sum;
 	}
 
-	cofactor(row, col) {
-		if(this.rows != this.cols) throw new Error("Cannot calculate cofactor of non-square matrix!");
+	/**
+	 * Calculates the rank of the Matrix using Gaussian elimination with partial pivoting.
+	 * @param {number} [epsilon=1e-10] Relative tolerance for treating pivots as zero.
+	 * @return {number} 
+	 * @memberof Matrix
+	 */
+	rank(epsilon = 1e-10) {
+		const a = this.matrix.map(e => Array.from(e));
+		const tolerance = epsilon * Math.max(1, ...a.map(e => Math.max(...e.map(Math.abs))));
 
-		const mat = new Matrix(this.rows - 1, this.cols - 1);
+		let rank = 0;
+		for(let col = 0; col < this.cols && rank < this.rows; col++) {
+			// Find the pivot element
+			let pivot = rank;
+			for(let i = rank + 1; i < this.rows; i++) {
+				if(Math.abs(a[i][col]) > Math.abs(a[pivot][col])) pivot = i;
+			}
+			if(Math.abs(a[pivot][col]) <= tolerance) continue;
 
-		for(let i = 0; i < this.rows; i++) {
-			if(i == row) continue;
-			for(let j = 0; j < this.cols; j++) {
-				if(j == col) continue;
-				mat.matrix[i < row ? i : i - 1][j < col ? j : j - 1] = this.matrix[i][j];
+			[a[rank], a[pivot]] = [a[pivot], a[rank]];
+
+			// Eliminate the column below the pivot
+			for(let i = rank + 1; i < this.rows; i++) {
+				const factor = a[i][col] / a[rank][col];
+				for(let j = col; j < this.cols; j++) a[i][j] -= factor * a[rank][j];
 			}
+
+			rank++;
 		}
 
-		return mat.det() * (row % 2 == col % 2 ? 1 : -1);
+		return rank;
 	}
 
 	/**
-	 * Swaps two rows of the Matrix.
-	 * @param {number} i
-	 * @param {number} j
-	 * @returns {this}
-	 * @memberof Matrix
+	 * @typedef {Object} LUDecomposition
+	 * @prop {Matrix} L Lower triangular matrix with unit diagonal
+	 * @prop {Matrix} U Upper triangular matrix
+	 * @prop {Matrix} P Permutation matrix (P * A = L * U)
+	 * @prop {number[]} pivots Row permutation as array of indices
+	 * @prop {number} sign Sign of the permutation (1 or -1)
 	 */
-	swapRow(i, j) {
-		if(i < 0 || i >= this.rows || j < 0 || j >= this.rows) throw new Error("Index out of bounds");
 
-		const temp = this.matrix[i];
-		this.matrix[i] = this.matrix[j];
-		this.matrix[j] = temp;
+	/**
+	 * Calculates LU decomposition of the Matrix with partial pivoting.
+	 * @return {LUDecomposition} 
+	 * @memberof Matrix
+	 */
+	lu() {
+		if(this.rows != this.cols) throw new Error("Cannot calculate LU decomposition of non-square matrix!");
+
+		const {lu, pivots, sign} = this._decomposeLU();
+		const n = this.rows;
+		const L = new Matrix(n, n);
+		const U = new Matrix(n, n);
+		const P = new Matrix(n, n);
+
+		for(let i = 0; i < n; i++) {
+			for(let j = 0; j < n; j++) {
+				if(i > j) L.matrix[i][j] = lu[i][j];
+				else U.matrix[i][j] = lu[i][j];
+			}
+			L.matrix[i][i] = 1;
+			P.matrix[i][pivots[i]] = 1;
+		}
 
-		return this;
+		return {L, U, P, pivots, sign};
 	}
 
 	/**
-	 * Swaps two columns of the Matrix.
-	 * @param {number} i
-	 * @param {number} j
-	 * @returns {this}
+	 * Calculates QR decomposition of the Matrix using Householder reflections.
+	 * @return {{Q: Matrix, R: Matrix}} Orthogonal matrix Q (rows x rows) and upper triangular matrix R (rows x cols).
 	 * @memberof Matrix
 	 */
-	swapCol(i, j) {
-		if(i < 0 || i >= this.cols || j < 0 || j >= this.cols) throw new Error("Index out of bounds");
+	qr() {
+		const m = this.rows;
+		const n = this.cols;
+		const R = this.copy();
+		const Q = Matrix.identity(m);
+		const r = R.matrix;
+		const q = Q.matrix;
+
+		for(let k = 0; k < Math.min(m - 1, n); k++) {
+			// Householder vector reflecting the column onto the axis
+			let norm = 0;
+			for(let i = k; i < m; i++) norm += r[i][k] * r[i][k];
+			norm = Math.sqrt(norm);
+			if(norm === 0) continue;
+
+			const alpha = r[k][k] > 0 ? -norm : norm;
+			const v = [];
+			for(let i = k; i < m; i++) v.push(r[i][k]);
+			v[0] -= alpha;
+
+			const vv = v.reduce((sum, e) => sum + e * e, 0);
+			if(vv === 0) continue;
+
+			// R = H * R
+			for(let j = 0; j < n; j++) {
+				let sum = 0;
+				for(let i = 0; i < v.length; i++) sum += v[i] * r[k + i][j];
+				const factor = 2 * sum / vv;
+				for(let i = 0; i < v.length; i++) r[k + i][j] -= factor * v[i];
+			}
 
-		for(var k = 0; k < this.rows; k++) {
-			const temp = this.matrix[k][i];
-			this.matrix[k][i] = this.matrix[k][j];
-			this.matrix[k][j] = temp;
+			// Q = Q * H
+			for(let j = 0; j < m; j++) {
+				let sum = 0;
+				for(let i = 0; i < v.length; i++) sum += q[j][k + i] * v[i];
+				const factor = 2 * sum / vv;
+				for(let i = 0; i < v.length; i++) q[j][k + i] -= factor * v[i];
+			}
 		}
 
-		return this;
+		return {Q, R};
 	}
 
 	/**
-	 * @param {number} i
-	 * @param {number[]} arr
-	 * @returns {this}
+	 * Calculates Cholesky decomposition of symmetric positive-definite Matrix.
+	 * @return {Matrix} Lower triangular matrix L (A = L * L^T).
 	 * @memberof Matrix
 	 */
-	setRow(i, arr) {
-		if(i < 0 || i >= this.rows) throw new Error("Index out of bounds");
-		if(arr.length != this.cols) throw new Error("Array length must be equal to number of columns");
+	cholesky() {
+		if(this.rows != this.cols) throw new Error("Cannot calculate Cholesky decomposition of non-square matrix!");
 
-		this.matrix[i] = arr;
+		if(!this.isSymmetric()) throw new Error("Cannot calculate Cholesky decomposition of non-symmetric matrix!");
 
-		return this;
+		const n = this.rows;
+		const a = this.matrix;
+		const L = new Matrix(n, n);
+		const l = L.matrix;
+
+		for(let i = 0; i < n; i++) {
+			for(let j = 0; j <= i; j++) {
+				let sum = a[i][j];
+				for(let k = 0; k < j; k++) sum -= l[i][k] * l[j][k];
+
+				if(i == j) {
+					if(sum <= 0) throw new Error("Cannot calculate Cholesky decomposition of matrix that is not positive-definite!");
+					l[i][i] = Math.sqrt(sum);
+				} else {
+					l[i][j] = sum / l[j][j];
+				}
+			}
+		}
+
+		return L;
 	}
 
 	/**
-	 * @param {number} j
-	 * @param {number[]} arr
-	 * @returns {this}
+	 * Solves linear system A * X = B, where A is current square Matrix.
+	 * @param {Matrix | number[]} b Right-hand side (matrix or array representing a column vector).
+	 * @return {Matrix} Solution X.
 	 * @memberof Matrix
 	 */
-	setCol(j, arr) {
-		if(j < 0 || j >= this.cols) throw new Error("Index out of bounds");
-		if(arr.length != this.rows) throw new Error("Array length must be equal to number of rows");
+	solve(b) {
+		if(this.rows != this.cols) throw new Error("Cannot solve system with non-square matrix! (Use solveLeastSquares instead)");
 
-		for(var i = 0; i < this.rows; i++) {
-			this.matrix[i][j] = arr[i];
-		}
+		const B = Matrix._toColumnMatrix(b);
+		if(B.rows != this.rows) throw new Error("Number of rows of the right-hand side must be equal to number of rows of the matrix!");
 
-		return this;
-	}
+		const decomposition = this._decomposeLU();
+		if(decomposition.singular) throw new Error("Cannot solve system with singular matrix!");
 
+		return Matrix._solveLU(decomposition, B);
+	}
 
 	/**
-	 * Sets each value to random number in given range.
-	 * @param {number} from Range from.
-	 * @param {number} to Range to.
-	 * @returns {this}
+	 * Solves overdetermined linear system A * X = B in the least-squares sense using QR decomposition.
+	 * @param {Matrix | number[]} b Right-hand side (matrix or array representing a column vector).
+	 * @return {Matrix} Solution X minimizing ||A * X - B||.
+	 * @memberof Matrix
 	 */
-	randomize(from = -1, to = 1) {
-		for(var i = 0; i < this.rows; i++) {
-			for(var j = 0; j < this.cols; j++) {
-				this.matrix[i][j] = random(from, to, false);
+	solveLeastSquares(b) {
+		if(this.rows < this.cols) throw new Error("Least squares require at least as many rows as columns!");
+
+		const B = Matrix._toColumnMatrix(b);
+		if(B.rows != this.rows) throw new Error("Number of rows of the right-hand side must be equal to number of rows of the matrix!");
+
+		const {Q, R} = this.qr();
+		const y = Q.transpose().mult(B);
+		const n = this.cols;
+		const r = R.matrix;
+		const X = new Matrix(n, B.cols);
+		const tolerance = 1e-12 * Math.max(1, ...Array.from({length: n}, (e, i) => Math.abs(r[i][i])));
+
+		// Back substitution with the upper part of R
+		for(let c = 0; c < B.cols; c++) {
+			for(let i = n - 1; i >= 0; i--) {
+				if(Math.abs(r[i][i]) <= tolerance) throw new Error("Cannot solve least squares with rank deficient matrix!");
+
+				let sum = y.matrix[i][c];
+				for(let j = i + 1; j < n; j++) sum -= r[i][j] * X.matrix[j][c];
+				X.matrix[i][c] = sum / r[i][i];
 			}
 		}
 
-		return this;
+		return X;
 	}
 
 	/**
-	 * Creates copy of matrix.
-	 * @returns {Matrix} new Matrix.
+	 * Checks whether the Matrix is symmetric.
+	 * @param {number} [epsilon=1e-10] Relative tolerance for comparing elements.
+	 * @return {boolean} 
+	 * @memberof Matrix
 	 */
-	copy() {
-		return new Matrix(this.matrix);
-	}
+	isSymmetric(epsilon = 1e-10) {
+		if(this.rows != this.cols) return false;
 
-	/**
-	 * Transforms Matrix into 1D array.
-	 * @returns {number[]} new Array.
-	 */
-	toArray() {
-		var array = [];
-		for(var i = 0; i < this.rows; i++) {
-			for(var j = 0; j < this.cols; j++) {
-				array[this.rows * j + i] = this.matrix[i][j];
+		for(let i = 0; i < this.rows; i++) {
+			for(let j = 0; j < i; j++) {
+				const a = this.matrix[i][j];
+				const b = this.matrix[j][i];
+				if(Math.abs(a - b) > epsilon * Math.max(1, Math.abs(a), Math.abs(b))) return false;
 			}
 		}
-		return array;
+
+		return true;
 	}
 
 	/**
-	 * Transforms Matrix into Vector object.
-	 * @returns {Vector} Vector object.
+	 * @typedef {Object} EigenDecomposition
+	 * @prop {number[]} values Eigenvalues sorted in descending order
+	 * @prop {Matrix} vectors Matrix with corresponding normalized eigenvectors as columns
 	 */
-	toVector() {
-		if(this.cols != 1) throw new Error("Cannot convert non Nx1 Matrix into Vector!");
-		return new Vector(
-			this.matrix[0][0],
-			this.matrix[1][0],
-			this.matrix[2][0]
-		);
-	}
 
 	/**
-	 * Prints Matrix into console as table.
+	 * Calculates eigenvalues and eigenvectors of symmetric Matrix using cyclic Jacobi method.
+	 * @param {number} [maxIterations=100] Maximum number of sweeps.
+	 * @param {number} [epsilon=1e-12] Relative tolerance of the off-diagonal elements.
+	 * @return {EigenDecomposition} 
+	 * @memberof Matrix
 	 */
-	print() {
-		console.table(this.matrix);
-	}
+	eigenSymmetric(maxIterations = 100, epsilon = 1e-12) {
+		if(!this.isSymmetric()) throw new Error("Cannot calculate symmetric eigen decomposition of non-symmetric matrix!");
 
-	/**
-	 * Creates a new identity Matrix of given size.
-	 * @static
-	 * @param {number} size
-	 * @return {Matrix} 
-	 * @memberof Matrix
-	 */
-	static identity(size) {
-		const mat = new Matrix(size, size);
+		const n = this.rows;
+		const a = this.matrix.map(e => Array.from(e));
+		const V = Matrix.identity(n);
+		const v = V.matrix;
 
-		for(let i = 0; i < size; i++) {
-			for(let j = 0; j < size; j++) {
-				mat.matrix[i][j] = i == j ? 1 : 0;
+		let norm = 0;
+		for(let i = 0; i < n; i++) {
+			for(let j = 0; j < n; j++) norm += a[i][j] * a[i][j];
+		}
+
+		for(let sweep = 0; sweep < maxIterations; sweep++) {
+			let off = 0;
+			for(let i = 0; i < n; i++) {
+				for(let j = i + 1; j < n; j++) off += a[i][j] * a[i][j];
+			}
+			if(off <= epsilon * epsilon * norm) break;
+
+			for(let p = 0; p < n; p++) {
+				for(let q = p + 1; q < n; q++) {
+					if(a[p][q] === 0) continue;
+
+					// Rotation annihilating the element at (p, q)
+					const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+					const t = (theta < 0 ? -1 : 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+					const c = 1 / Math.sqrt(t * t + 1);
+					const s = c * t;
+
+					for(let k = 0; k < n; k++) {
+						const akp = a[k][p];
+						const akq = a[k][q];
+						a[k][p] = c * akp - s * akq;
+						a[k][q] = s * akp + c * akq;
+					}
+
+					for(let k = 0; k < n; k++) {
+						const apk = a[p][k];
+						const aqk = a[q][k];
+						a[p][k] = c * apk - s * aqk;
+						a[q][k] = s * apk + c * aqk;
+					}
+
+					for(let k = 0; k < n; k++) {
+						const vkp = v[k][p];
+						const vkq = v[k][q];
+						v[k][p] = c * vkp - s * vkq;
+						v[k][q] = s * vkp + c * vkq;
+					}
+				}
 			}
 		}
 
-		return mat;
+		const order = Array.from({length: n}, (e, i) => i).sort((i, j) => a[j][j] - a[i][i]);
+		const vectors = new Matrix(n, n);
+		for(let i = 0; i < n; i++) {
+			for(let j = 0; j < n; j++) vectors.matrix[i][j] = v[i][order[j]];
+		}
+
+		return {
+			values: order.map(i => a[i][i]),
+			vectors
+		};
 	}
 
-	// eslint-disable-next-line valid-jsdoc
 	/**
-	 * @static
-	 * @param {unknown} matrix
-	 * @return {matrix is Matrix} 
+	 * Calculates eigenvalues of general square Matrix using Hessenberg reduction and shifted QR algorithm.
+	 * @param {number} [maxIterations=100] Maximum number of iterations per eigenvalue.
+	 * @return {ComplexNumber[]} Eigenvalues sorted by descending real part (complex conjugate pairs are adjacent).
 	 * @memberof Matrix
 	 */
-	static isMatrix(matrix) {
-		// @ts-ignore
-		return matrix instanceof Matrix || matrix && typeof matrix.rows === "number" && typeof matrix.cols === "number" && typeof matrix.matrix === "object";
+	eigenvalues(maxIterations = 100) {
+		if(this.rows != this.cols) throw new Error("Cannot calculate eigenvalues of non-square matrix!");
+
+		const a = Matrix._toHessenberg(this.matrix.map(e => Array.from(e)));
+		const n = a.length;
+		const real = new Array(n).fill(0);
+		const imag = new Array(n).fill(0);
+
+		let norm = 0;
+		for(let i = 0; i < n; i++) {
+			for(let j = Math.max(i - 1, 0); j < n; j++) norm += Math.abs(a[i][j]);
+		}
+
+		let nn = n - 1;
+		let shift = 0;
+		let iterations = 0;
+		let x, y, z, w, p, q, r, s;
+
+		while(nn >= 0) {
+			// Look for a single small subdiagonal element
+			let l = nn;
+			for(; l >= 1; l--) {
+				s = Math.abs(a[l - 1][l - 1]) + Math.abs(a[l][l]);
+				if(s === 0) s = norm;
+				if(Math.abs(a[l][l - 1]) + s === s) {
+					a[l][l - 1] = 0;
+					break;
+				}
+			}
+
+			x = a[nn][nn];
+
+			// One root found
+			if(l == nn) {
+				real[nn] = x + shift;
+				nn--;
+				iterations = 0;
+				continue;
+			}
+
+			y = a[nn - 1][nn - 1];
+			w = a[nn][nn - 1] * a[nn - 1][nn];
+
+			// Two roots found
+			if(l == nn - 1) {
+				p = 0.5 * (y - x);
+				q = p * p + w;
+				z = Math.sqrt(Math.abs(q));
+				x += shift;
+
+				if(q >= 0) {
+					z = p + (p < 0 ? -z : z);
+					real[nn - 1] = real[nn] = x + z;
+					if(z) real[nn] = x - w / z;
+				} else {
+					real[nn - 1] = real[nn] = x + p;
+					imag[nn - 1] = z;
+					imag[nn] = -z;
+				}
+
+				nn -= 2;
+				iterations = 0;
+				continue;
+			}
+
+			if(iterations == maxIterations) throw new Error("Eigenvalue calculation did not converge!");
+
+			// Exceptional shift
+			if(iterations > 0 && iterations % 10 == 0) {
+				shift += x;
+				for(let i = 0; i <= nn; i++) a[i][i] -= x;
+				s = Math.abs(a[nn][nn - 1]) + Math.abs(a[nn - 1][nn - 2]);
+				y = x = 0.75 * s;
+				w = -0.4375 * s * s;
+			}
+			iterations++;
+
+			// Look for two consecutive small subdiagonal elements
+			let m = nn - 2;
+			for(; m >= l; m--) {
+				z = a[m][m];
+				r = x - z;
+				s = y - z;
+				p = (r * s - w) / a[m + 1][m] + a[m][m + 1];
+				q = a[m + 1][m + 1] - z - r - s;
+				r = a[m + 2][m + 1];
+				s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+				p /= s;
+				q /= s;
+				r /= s;
+				if(m == l) break;
+
+				const u = Math.abs(a[m][m - 1]) * (Math.abs(q) + Math.abs(r));
+				const v = Math.abs(p) * (Math.abs(a[m - 1][m - 1]) + Math.abs(z) + Math.abs(a[m + 1][m + 1]));
+				if(u + v == v) break;
+			}
+
+			for(let i = m + 2; i <= nn; i++) {
+				a[i][i - 2] = 0;
+				if(i != m + 2) a[i][i - 3] = 0;
+			}
+
+			// Francis double shift QR step
+			for(let k = m; k <= nn - 1; k++) {
+				if(k != m) {
+					p = a[k][k - 1];
+					q = a[k + 1][k - 1];
+					r = k != nn - 1 ? a[k + 2][k - 1] : 0;
+					x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+					if(x !== 0) {
+						p /= x;
+						q /= x;
+						r /= x;
+					}
+				}
+
+				s = Math.sqrt(p * p + q * q + r * r);
+				if(p < 0) s = -s;
+				if(s === 0) continue;
+
+				if(k == m) {
+					if(l != m) a[k][k - 1] = -a[k][k - 1];
+				} else {
+					a[k][k - 1] = -s * x;
+				}
+
+				p += s;
+				x = p / s;
+				y = q / s;
+				z = r / s;
+				q /= p;
+				r /= p;
+
+				for(let j = k; j <= nn; j++) {
+					p = a[k][j] + q * a[k + 1][j];
+					if(k != nn - 1) {
+						p += r * a[k + 2][j];
+						a[k + 2][j] -= p * z;
+					}
+					a[k + 1][j] -= p * y;
+					a[k][j] -= p * x;
+				}
+
+				for(let i = l; i <= Math.min(nn, k + 3); i++) {
+					p = x * a[i][k] + y * a[i][k + 1];
+					if(k != nn - 1) {
+						p += z * a[i][k + 2];
+						a[i][k + 2] -= p * r;
+					}
+					a[i][k + 1] -= p * q;
+					a[i][k] -= p;
+				}
+			}
+		}
+
+		return Array.from({length: n}, (e, i) => i)
+			.sort((i, j) => real[j] - real[i] || imag[j] - imag[i])
+			.map(i => new ComplexNumber([real[i], imag[i]]));
 	}
-}
 
-/**
- * A class to describe a Vector up to 3 dimensions.
- *
- * @class Vector
- */
-class Vector {
 	/**
-	 * Creates an instance of Vector.
-	 * @param {number} [x=0] X component of the vector.
-	 * @param {number} [y=0] Y component of the vector.
-	 * @param {number} [z=0] Z component of the vector.
-	 * @param {number} [angle=0] (Deprecated) Additional component of vector. (Has nothing to do with the actual angle of the vector.)
-	 * @memberof Vector
+	 * @typedef {Object} SingularValueDecomposition
+	 * @prop {Matrix} U Matrix with left singular vectors as columns (rows x k)
+	 * @prop {number[]} S Singular values sorted in descending order (k = min(rows, cols))
+	 * @prop {Matrix} V Matrix with right singular vectors as columns (cols x k)
 	 */
-	constructor(x = 0, y = 0, z = 0, angle = 0) {
-		/**
-		 * X component of the vector.
-		 * @type {number}
-		 */
-		this.x = +x || 0;
 
-		/**
-		 * Y component of the vector.
-		 * @type {number}
-		 */
-		this.y = +y || 0;
+	/**
+	 * Calculates thin singular value decomposition of the Matrix (A = U * diag(S) * V^T) using one-sided Jacobi method.
+	 * @param {number} [maxIterations=100] Maximum number of sweeps.
+	 * @param {number} [epsilon=1e-12] Tolerance of the column orthogonality.
+	 * @return {SingularValueDecomposition} 
+	 * @memberof Matrix
+	 */
+	svd(maxIterations = 100, epsilon = 1e-12) {
+		// Decompose the transpose of wide matrices and swap the factors
+		if(this.rows < this.cols) {
+			const {U, S, V} = this.transpose().svd(maxIterations, epsilon);
+			return {U: V, S, V: U};
+		}
 
-		/**
-		 * Z component of the vector.
-		 * @type {number}
-		 */
-		this.z = +z || 0;
+		const m = this.rows;
+		const n = this.cols;
+		const U = this.copy();
+		const V = Matrix.identity(n);
+		const u = U.matrix;
+		const v = V.matrix;
+
+		for(let sweep = 0; sweep < maxIterations; sweep++) {
+			let rotated = false;
+
+			for(let p = 0; p < n; p++) {
+				for(let q = p + 1; q < n; q++) {
+					let alpha = 0;
+					let beta = 0;
+					let gamma = 0;
+					for(let i = 0; i < m; i++) {
+						alpha += u[i][p] * u[i][p];
+						beta += u[i][q] * u[i][q];
+						gamma += u[i][p] * u[i][q];
+					}
+					if(Math.abs(gamma) <= epsilon * Math.sqrt(alpha * beta)) continue;
+
+					// Rotation orthogonalizing columns p and q
+					const zeta = (beta - alpha) / (2 * gamma);
+					const t = (zeta < 0 ? -1 : 1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+					const c = 1 / Math.sqrt(1 + t * t);
+					const s = c * t;
+
+					for(let i = 0; i < m; i++) {
+						const up = u[i][p];
+						const uq = u[i][q];
+						u[i][p] = c * up - s * uq;
+						u[i][q] = s * up + c * uq;
+					}
 
-		/**
-		 * Additional component of vector. (Has nothing to do with the actual angle of the vector.)
-		 * @deprecated This property should not be used because of it misleading name.
-		 * @type {number}
-		 */
-		this.angle = +angle || 0;
+					for(let i = 0; i < n; i++) {
+						const vp = v[i][p];
+						const vq = v[i][q];
+						v[i][p] = c * vp - s * vq;
+						v[i][q] = s * vp + c * vq;
+					}
+
+					rotated = true;
+				}
+			}
+
+			if(!rotated) break;
+		}
+
+		// Singular values are the norms of the orthogonalized columns
+		const values = [];
+		for(let j = 0; j < n; j++) {
+			let sum = 0;
+			for(let i = 0; i < m; i++) sum += u[i][j] * u[i][j];
+			values.push(Math.sqrt(sum));
+		}
+
+		const order = values.map((e, i) => i).sort((i, j) => values[j] - values[i]);
+		const resultU = new Matrix(m, n);
+		const resultV = new Matrix(n, n);
+
+		for(let j = 0; j < n; j++) {
+			const k = order[j];
+			const sigma = values[k];
+
+			for(let i = 0; i < m; i++) resultU.matrix[i][j] = sigma === 0 ? 0 : u[i][k] / sigma;
+			for(let i = 0; i < n; i++) resultV.matrix[i][j] = v[i][k];
+		}
+
+		return {
+			U: resultU,
+			S: order.map(i => values[i]),
+			V: resultV
+		};
 	}
 
 	/**
-	 * Adds Vector to current Vector.
-	 * @param {Vector} vector
-	 * @return {this} 
-	 * @memberof Vector
+	 * Calculates Moore-Penrose pseudo-inverse of the Matrix using singular value decomposition.
+	 * @param {number} [epsilon] Singular values below this tolerance are treated as zero. Defaults to `max(rows, cols) * Number.EPSILON * max(S)`.
+	 * @return {Matrix} New Matrix of size cols x rows.
+	 * @memberof Matrix
 	 */
-	add(vector) {
-		this.x += vector.x;
-		this.y += vector.y;
-		this.z += vector.z;
+	pseudoInverse(epsilon) {
+		const {U, S, V} = this.svd();
+		const tolerance = typeof epsilon === "number" ? epsilon : Math.max(this.rows, this.cols) * Number.EPSILON * (S[0] || 0);
+		const result = new Matrix(this.cols, this.rows);
 
-		return this;
+		for(let i = 0; i < this.cols; i++) {
+			for(let j = 0; j < this.rows; j++) {
+				let sum = 0;
+				for(let k = 0; k < S.length; k++) {
+					if(S[k] > tolerance) sum += V.matrix[i][k] * U.matrix[j][k] / S[k];
+				}
+				result.matrix[i][j] = sum;
+			}
+		}
+
+		return result;
 	}
 
 	/**
-	 * Substracts Vector from current Vector.
-	 * @param {Vector} vector
-	 * @return {this} 
-	 * @memberof Vector
+	 * Calculates condition number of the Matrix in 2-norm (ratio of the largest and the smallest singular value).
+	 * @return {number} Condition number or `Infinity` for singular matrices.
+	 * @memberof Matrix
 	 */
-	sub(vector) {
-		this.x -= vector.x;
-		this.y -= vector.y;
-		this.z -= vector.z;
+	conditionNumber() {
+		const {S} = this.svd();
+		const min = S[S.length - 1];
 
-		return this;
+		return min === 0 ? Infinity : S[0] / min;
 	}
 
 	/**
-	 * Multiplies current Vector by scalar.
-	 * @param {number} n
-	 * @return {this} 
-	 * @memberof Vector
+	 * Reduces the square matrix to upper Hessenberg form using Householder reflections. Input array is modified.
+	 * @static
+	 * @param {number[][]} a
+	 * @return {number[][]} 
+	 * @memberof Matrix
 	 */
-	mult(n) {
-		this.x *= n;
-		this.y *= n;
-		this.z *= n;
+	static _toHessenberg(a) {
+		const n = a.length;
+
+		for(let k = 0; k < n - 2; k++) {
+			let norm = 0;
+			for(let i = k + 1; i < n; i++) norm += a[i][k] * a[i][k];
+			norm = Math.sqrt(norm);
+			if(norm === 0) continue;
+
+			const alpha = a[k + 1][k] > 0 ? -norm : norm;
+			const v = [];
+			for(let i = k + 1; i < n; i++) v.push(a[i][k]);
+			v[0] -= alpha;
+
+			const vv = v.reduce((sum, e) => sum + e * e, 0);
+			if(vv === 0) continue;
+
+			// A = H * A * H
+			for(let j = 0; j < n; j++) {
+				let sum = 0;
+				for(let i = 0; i < v.length; i++) sum += v[i] * a[k + 1 + i][j];
+				const factor = 2 * sum / vv;
+				for(let i = 0; i < v.length; i++) a[k + 1 + i][j] -= factor * v[i];
+			}
 
-		return this;
+			for(let i = 0; i < n; i++) {
+				let sum = 0;
+				for(let j = 0; j < v.length; j++) sum += a[i][k + 1 + j] * v[j];
+				const factor = 2 * sum / vv;
+				for(let j = 0; j < v.length; j++) a[i][k + 1 + j] -= factor * v[j];
+			}
+		}
+
+		return a;
 	}
 
 	/**
-	 * Divides current Vector by scalar.
-	 * @param {number} n
-	 * @return {this} 
-	 * @memberof Vector
+	 * Calculates packed LU decomposition with partial pivoting.
+	 * @return {{lu: number[][], pivots: number[], sign: number, singular: boolean}} 
+	 * @memberof Matrix
 	 */
-	div(n) {
-		this.x /= n;
-		this.y /= n;
-		this.z /= n;
+	_decomposeLU() {
+		const n = this.rows;
+		const lu = this.matrix.map(e => Array.from(e));
+		const pivots = Array.from({length: n}, (e, i) => i);
+		const tolerance = n * Number.EPSILON * Math.max(1, ...lu.map(e => Math.max(...e.map(Math.abs))));
 
-		return this;
+		let sign = 1;
+		let singular = false;
+
+		for(let k = 0; k < n; k++) {
+			// Find the pivot element
+			let pivot = k;
+			for(let i = k + 1; i < n; i++) {
+				if(Math.abs(lu[i][k]) > Math.abs(lu[pivot][k])) pivot = i;
+			}
+
+			if(pivot != k) {
+				[lu[k], lu[pivot]] = [lu[pivot], lu[k]];
+				[pivots[k], pivots[pivot]] = [pivots[pivot], pivots[k]];
+				sign = -sign;
+			}
+
+			// Pivot negligible relative to the largest element means the matrix is (numerically) singular
+			if(Math.abs(lu[k][k]) <= tolerance) {
+				singular = true;
+				if(lu[k][k] === 0) continue;
+			}
+
+			for(let i = k + 1; i < n; i++) {
+				lu[i][k] /= lu[k][k];
+				for(let j = k + 1; j < n; j++) lu[i][j] -= lu[i][k] * lu[k][j];
+			}
+		}
+
+		return {lu, pivots, sign, singular};
 	}
 
 	/**
-	 * Sets current Vector to minimum of itself and given Vector.
-	 * @param {Vector} vector
-	 * @return {this} 
-	 * @memberof Vector
+	 * Solves linear system using packed LU decomposition.
+	 * @static
+	 * @param {{lu: number[][], pivots: number[]}} decomposition
+	 * @param {Matrix} B Right-hand side
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	min(vector) {
-		this.x = Math.min(this.x, vector.x);
-		this.y = Math.min(this.y, vector.y);
-		this.z = Math.min(this.z, vector.z);
+	static _solveLU({lu, pivots}, B) {
+		const n = lu.length;
+		const X = new Matrix(n, B.cols);
+		const x = X.matrix;
+
+		for(let c = 0; c < B.cols; c++) {
+			// Forward substitution (L * y = P * b)
+			for(let i = 0; i < n; i++) {
+				let sum = B.matrix[pivots[i]][c];
+				for(let j = 0; j < i; j++) sum -= lu[i][j] * x[j][c];
+				x[i][c] = sum;
+			}
 
-		return this;
+			// Back substitution (U * x = y)
+			for(let i = n - 1; i >= 0; i--) {
+				let sum = x[i][c];
+				for(let j = i + 1; j < n; j++) sum -= lu[i][j] * x[j][c];
+				x[i][c] = sum / lu[i][i];
+			}
+		}
+
+		return X;
 	}
 
 	/**
-	 * Sets current Vector to maximum of itself and given Vector.
-	 * @param {Vector} vector
-	 * @return {this} 
-	 * @memberof Vector
+	 * Converts array into a column Matrix. Matrices are returned unchanged.
+	 * @static
+	 * @param {Matrix | number[]} input
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	max(vector) {
-		this.x = Math.max(this.x, vector.x);
-		this.y = Math.max(this.y, vector.y);
-		this.z = Math.max(this.z, vector.z);
+	static _toColumnMatrix(input) {
+		if(Matrix.isMatrix(input)) return Matrix._normalize(input);
+		if(Array.isArray(input)) return new Matrix(input.map(e => [e]));
 
-		return this;
+		throw new Error(`Invalid type of parameter "${typeof input}", only supported are Arrays and Matrices!`);
+	}
+
+	cofactor(row, col) {
+		if(this.rows != this.cols) throw new Error("Cannot calculate cofactor of non-square matrix!");
+
+		const mat = new Matrix(this.rows - 1, this.cols - 1);
+
+		for(let i = 0; i < this.rows; i++) {
+			if(i == row) continue;
+			for(let j = 0; j < this.cols; j++) {
+				if(j == col) continue;
+				mat.matrix[i < row ? i : i - 1][j < col ? j : j - 1] = this.matrix[i][j];
+			}
+		}
+
+		return mat.det() * (row % 2 == col % 2 ? 1 : -1);
 	}
 
 	/**
-	 * Clamps current Vector to given range.
-	 * @param {Vector} minVector
-	 * @param {Vector} maxVector
-	 * @return {this}
-	 * @memberof Vector
+	 * Swaps two rows of the Matrix.
+	 * @param {number} i
+	 * @param {number} j
+	 * @returns {this}
+	 * @memberof Matrix
 	 */
-	clamp(minVector, maxVector) {
-		this.x = Math.min(Math.max(this.x, minVector.x), maxVector.x);
-		this.y = Math.min(Math.max(this.y, minVector.y), maxVector.y);
-		this.z = Math.min(Math.max(this.z, minVector.z), maxVector.z);
+	swapRow(i, j) {
+		if(i < 0 || i >= this.rows || j < 0 || j >= this.rows) throw new Error("Index out of bounds");
+
+		if(i == j) return this;
+
+		const temp = this.matrix[i].slice();
+		this.matrix[i].set(this.matrix[j]);
+		this.matrix[j].set(temp);
 
 		return this;
 	}
 
 	/**
-	 * Inverts current Vector.
-	 * @return {this} 
-	 * @memberof Vector
+	 * Swaps two columns of the Matrix.
+	 * @param {number} i
+	 * @param {number} j
+	 * @returns {this}
+	 * @memberof Matrix
 	 */
-	invert() {
-		this.x = -this.x;
-		this.y = -this.y;
-		this.z = -this.z;
+	swapCol(i, j) {
+		if(i < 0 || i >= this.cols || j < 0 || j >= this.cols) throw new Error("Index out of bounds");
+
+		for(var k = 0; k < this.rows; k++) {
+			const temp = this.matrix[k][i];
+			this.matrix[k][i] = this.matrix[k][j];
+			this.matrix[k][j] = temp;
+		}
 
 		return this;
 	}
 
 	/**
-	 * Calculates dot product of current Vector and given Vector.
-	 * @param {Vector} [vector=this] Vector to calculate dot product with. If not given, current Vector is used, calculating the squared length of the Vector.
-	 * @return {number} 
-	 * @memberof Vector
+	 * @param {number} i
+	 * @param {number[]} arr
+	 * @returns {this}
+	 * @memberof Matrix
 	 */
-	dot(vector = this) {
-		return this.x * vector.x + this.y * vector.y + this.z * vector.z;
+	setRow(i, arr) {
+		if(i < 0 || i >= this.rows) throw new Error("Index out of bounds");
+		if(arr.length != this.cols) throw new Error("Array length must be equal to number of columns");
+
+		this.matrix[i].set(arr);
+
+		return this;
 	}
 
 	/**
-	 * Calculates a Vector composed of the cross product between current Vector and given Vector.
-	 * @param {Vector} vector
-	 * @return {Vector} 
-	 * @memberof Vector
+	 * @param {number} j
+	 * @param {number[]} arr
+	 * @returns {this}
+	 * @memberof Matrix
 	 */
-	cross(vector) {
-		return new Vector(
-			this.y * vector.z - this.z * vector.y,
-			this.z * vector.x - this.x * vector.z,
-			this.x * vector.y - this.y * vector.x
-		);
+	setCol(j, arr) {
+		if(j < 0 || j >= this.cols) throw new Error("Index out of bounds");
+		if(arr.length != this.rows) throw new Error("Array length must be equal to number of rows");
+
+		for(var i = 0; i < this.rows; i++) {
+			this.matrix[i][j] = arr[i];
+		}
+
+		return this;
 	}
 
 	/**
-	 * Calculates the magnitude (length) of current Vector.
-	 * @return {number} 
-	 * @memberof Vector
+	 * Returns copy of the row as an array.
+	 * @param {number} i
+	 * @returns {number[]}
+	 * @memberof Matrix
 	 */
-	mag() {
-		return Math.hypot(this.x, this.y, this.z);
+	getRow(i) {
+		if(i < 0 || i >= this.rows) throw new Error("Index out of bounds");
+
+		return Array.from(this.matrix[i]);
 	}
 
 	/**
-	 * Normalizes current Vector.
-	 * @return {this} 
-	 * @memberof Vector
+	 * Returns copy of the column as an array.
+	 * @param {number} j
+	 * @returns {number[]}
+	 * @memberof Matrix
 	 */
-	normalize() {
-		const m = this.mag();
+	getCol(j) {
+		if(j < 0 || j >= this.cols) throw new Error("Index out of bounds");
 
-		if(m != 0 && m != 1) {
-			this.x /= m;
-			this.y /= m;
-			this.z /= m;
-		}
+		const arr = new Array(this.rows);
+		for(let i = 0; i < this.rows; i++) arr[i] = this.data[i * this.cols + j];
 
-		return this;
+		return arr;
 	}
 
 	/**
-	 * Sets the magnitude of current Vector.
-	 * @param {number} length
-	 * @return {this} 
-	 * @memberof Vector
+	 * Returns main diagonal of the Matrix as an array.
+	 * @returns {number[]}
+	 * @memberof Matrix
 	 */
-	setMag(length) {
-		this.normalize();
-		this.mult(length);
+	diag() {
+		const arr = new Array(Math.min(this.rows, this.cols));
+		for(let i = 0; i < arr.length; i++) arr[i] = this.data[i * this.cols + i];
 
-		return this;
+		return arr;
 	}
 
 	/**
-	 * Creates a new Vector instance initialized with the same components as current Vector.
-	 * @return {Vector} 
-	 * @memberof Vector
+	 * Copies rectangular part of the Matrix into new Matrix. End indices are exclusive.
+	 * @param {number} [r0=0] Start row.
+	 * @param {number} [r1=this.rows] End row.
+	 * @param {number} [c0=0] Start column.
+	 * @param {number} [c1=this.cols] End column.
+	 * @returns {Matrix}
+	 * @memberof Matrix
 	 */
-	copy() {
-		return new Vector(this.x, this.y, this.z, this.angle);
+	slice(r0 = 0, r1 = this.rows, c0 = 0, c1 = this.cols) {
+		if(r0 < 0 || r1 > this.rows || r0 >= r1 || c0 < 0 || c1 > this.cols || c0 >= c1) throw new Error("Index out of bounds");
+
+		const mat = this._create(r1 - r0, c1 - c0);
+		for(let i = r0; i < r1; i++) {
+			mat.matrix[i - r0].set(this.matrix[i].subarray(c0, c1));
+		}
+
+		return mat;
 	}
 
 	/**
-	 * Calculates the distance from current vector to a given vector.
-	 * @param {Vector} vector
-	 * @return {number} 
-	 * @memberof Vector
+	 * Creates new Matrix with the same elements in row-major order and different dimensions.
+	 * @param {number} rows
+	 * @param {number} cols
+	 * @returns {Matrix}
+	 * @memberof Matrix
 	 */
-	distanceTo(vector) {
-		return Math.hypot(vector.x - this.x, vector.y - this.y, vector.z - this.z);
+	reshape(rows, cols) {
+		if(rows * cols != this.data.length) throw new Error(`Cannot reshape matrix of shape ${this.rows}x${this.cols} into shape ${rows}x${cols}!`);
+
+		return Matrix.fromData(rows, cols, this.data.slice());
 	}
 
 	/**
-	 * Checks if the components of the current Vector are equal to components of another Vector.
-	 * @param {Vector} vector
-	 * @return {boolean} 
-	 * @memberof Vector
+	 * Sets each value to given number.
+	 * @param {number} value
+	 * @returns {this}
+	 * @memberof Matrix
 	 */
-	isEqual(vector) {
-		return this.x == vector.x && this.y == vector.y && this.z == vector.z;
+	fill(value) {
+		this.data.fill(value);
+
+		return this;
 	}
 
+
 	/**
-	 * Converts current Vector into {size}X1 matrix
-	 * @param {number} [size=4] Number of components to include in the matrix. (Fourth component is always 1.)
-	 * @return {Matrix} 
-	 * @memberof Vector
+	 * Sets each value to random number in given range.
+	 * @param {number} from Range from.
+	 * @param {number} to Range to.
+	 * @returns {this}
 	 */
-	toMatrix(size = 4) {
-		return new Matrix([
-			[this.x],
-			[this.y],
-			[this.z],
-			[1]
-		].slice(0, size));
+	randomize(from = -1, to = 1) {
+		for(var i = 0; i < this.rows; i++) {
+			for(var j = 0; j < this.cols; j++) {
+				this.matrix[i][j] = random(from, to, false);
+			}
+		}
+
+		return this;
 	}
 
 	/**
-	 * Converts current Vector into a new `Dimensions` object.
-	 * @return {Dimensions} 
-	 * @memberof Vector
+	 * Creates copy of matrix.
+	 * @returns {Matrix} new Matrix.
 	 */
-	toDimensions() {
-		return new Dimensions(this.x, this.y, this.z);
+	copy() {
+		return Matrix.fromData(this.rows, this.cols, this.data.slice());
 	}
 
 	/**
-	 * Converts current Vector into 1D array.
-	 * @param {number} [size=3] Number of components to include in the array. (Fourth component is always 1.)
-	 * @return {Array<number>} 
-	 * @memberof Vector
+	 * Transforms Matrix into 1D array.
+	 * @returns {number[]} new Array.
 	 */
-	toArray(size = 3) {
-		return [this.x, this.y, this.z, 1].slice(0, size);
+	toArray() {
+		const array = new Array(this.data.length);
+		for(let i = 0; i < this.rows; i++) {
+			for(let j = 0; j < this.cols; j++) {
+				array[this.rows * j + i] = this.data[i * this.cols + j];
+			}
+		}
+		return array;
 	}
 
 	/**
-	 * Converts current Vector into string representation.
-	 * @return {string} String represented as "[x, y, z]".
-	 * @memberof Vector
+	 * Serializes the matrix into plain object that can be passed to `JSON.stringify`.
+	 * Resulting `matrix` property can be passed back to the constructor.
+	 * @returns {{rows: number, cols: number, matrix: number[][]}}
 	 */
-	toString() {
-		return `[${this.x}, ${this.y}, ${this.z}]`;
+	toJSON() {
+		return {
+			rows: this.rows,
+			cols: this.cols,
+			matrix: this.matrix.map(e => Array.from(e))
+		};
 	}
 
 	/**
-	 * Creates a new Vector instance from given angle(s).
-	 * @static
-	 * @param {number} theta
-	 * @param {number} [phi=0]
-	 * @return {Vector}
-	 * @memberof Vector
+	 * Transforms Matrix into Vector object.
+	 * @returns {Vector} Vector object.
 	 */
-	static fromAngle(theta, phi = 0) {
+	toVector() {
+		if(this.cols != 1) throw new Error("Cannot convert non Nx1 Matrix into Vector!");
 		return new Vector(
-			Math.cos(theta) * Math.cos(phi),
-			Math.sin(theta) * Math.cos(phi),
-			Math.sin(phi)
+			this.matrix[0][0],
+			this.matrix[1][0],
+			this.matrix[2][0]
 		);
 	}
 
 	/**
-	 * Creates a new Vector instance from given array.
-	 * @static
-	 * @param {Array<number>} array
-	 * @return {Vector} 
-	 * @memberof Vector
+	 * Transforms given Vector as a point by current 4x4 (3D) or 3x3 (2D) transformation Matrix, including perspective division. (Returns new Vector)
+	 * @param {Vector} vector Point to transform.
+	 * @return {Vector} Transformed point.
+	 * @memberof Matrix
 	 */
-	static fromArray(array) {
-		return new Vector(array[0] || 0, array[1] || 0, array[2] || 0);
+	transformPoint(vector) {
+		const m = this.matrix;
+
+		if(this.rows === 3 && this.cols === 3) {
+			const w = m[2][0] * vector.x + m[2][1] * vector.y + m[2][2];
+
+			return new Vector(
+				(m[0][0] * vector.x + m[0][1] * vector.y + m[0][2]) / w,
+				(m[1][0] * vector.x + m[1][1] * vector.y + m[1][2]) / w,
+				vector.z
+			);
+		}
+
+		if(this.rows !== 4 || this.cols !== 4) throw new Error("Only 3x3 and 4x4 transformation matrices are supported!");
+
+		const {x, y, z} = vector;
+		const w = m[3][0] * x + m[3][1] * y + m[3][2] * z + m[3][3];
+
+		return new Vector(
+			(m[0][0] * x + m[0][1] * y + m[0][2] * z + m[0][3]) / w,
+			(m[1][0] * x + m[1][1] * y + m[1][2] * z + m[1][3]) / w,
+			(m[2][0] * x + m[2][1] * y + m[2][2] * z + m[2][3]) / w
+		);
 	}
 
 	/**
-	 * Creates a random vector.
-	 * @static
-	 * @param {boolean} [unit=true] If `true`, vector will be normalized, otherwise all components will be random numbers between 0 and 1.
-	 * @param {RandomGenerator} [rng=null] Random generator to use. If not provided, a JavaScript built-in random generator will be used.
-	 * @return {Vector} 
-	 * @memberof Vector
+	 * Transforms given Vector as a direction by current 4x4 (3D) or 3x3 (2D) transformation Matrix, ignoring translation. (Returns new Vector)
+	 * @param {Vector} vector Direction to transform.
+	 * @return {Vector} Transformed direction (not normalized).
+	 * @memberof Matrix
 	 */
-	static random(unit = true, rng = undefined) {
-		if(unit) {
-			return rng ?
-				Vector.fromAngle(rng.next() * TWO_PI, rng.next() * TWO_PI) :
-				Vector.fromAngle(Math.random() * TWO_PI, Math.random() * TWO_PI);
-		} else {
-			return rng ?
-				new Vector(rng.next(), rng.next(), rng.next()) :
-				new Vector(Math.random(), Math.random(), Math.random());
+	transformDirection(vector) {
+		const m = this.matrix;
+
+		if(this.rows === 3 && this.cols === 3) {
+			return new Vector(
+				m[0][0] * vector.x + m[0][1] * vector.y,
+				m[1][0] * vector.x + m[1][1] * vector.y,
+				vector.z
+			);
 		}
-	}
-}
 
+		if(this.rows !== 4 || this.cols !== 4) throw new Error("Only 3x3 and 4x4 transformation matrices are supported!");
 
-class Quaternion {
-	/**
-	 * Creates an instance of Quaternion.
-	 * @param {number} [x=0]
-	 * @param {number} [y=0]
-	 * @param {number} [z=0]
-	 * @param {number} [w=1]
-	 * @memberof Quaternion
-	 */
-	constructor(x = 0, y = 0, z = 0, w = 1) {
-		this.x = +x || 0;
-		this.y = +y || 0;
-		this.z = +z || 0;
-		this.w = +w || 1;
+		const {x, y, z} = vector;
+
+		return new Vector(
+			m[0][0] * x + m[0][1] * y + m[0][2] * z,
+			m[1][0] * x + m[1][1] * y + m[1][2] * z,
+			m[2][0] * x + m[2][1] * y + m[2][2] * z
+		);
 	}
 
 	/**
-	 * Sets the Quaternion from given axis and angle.
-	 * @param {Vector} axis Axis to rotate around.
-	 * @param {number} angle Angle to rotate by.
-	 * @return {this} 
-	 * @memberof Quaternion
+	 * Prints Matrix into console as table.
 	 */
-	setAxisAngle(axis, angle) {
-		const halfAngle = angle / 2;
-		const s = Math.sin(halfAngle);
-
-		this.x = axis.x * s;
-		this.y = axis.y * s;
-		this.z = axis.z * s;
-		this.w = Math.cos(halfAngle);
-
-		return this;
+	print() {
+		console.table(this.matrix.map(e => Array.from(e)));
 	}
 
 	/**
-	 * Sets the Quaternion from given Euler angles.
-	 * @param {number} x X angle.
-	 * @param {number} y Y angle.
-	 * @param {number} z Z angle.
-	 * @return {this}
-	 * @memberof Quaternion
+	 * Returns a string representing the Matrix using specified format
+	 * Supported formats: TEXT (aligned columns), LATEX (bmatrix), CSV, MATLAB, NUMPY
+	 * Default format: TEXT
+	 * @param {"TEXT" | "LATEX" | "CSV" | "MATLAB" | "NUMPY" | "text" | "latex" | "csv" | "matlab" | "numpy" | number} [format="TEXT"] Format or precision (TEXT format is used).
+	 * @param {number} [precision=-1] Number of decimal places to round to. -1 = no rounding
+	 * @returns {string} 
+	 * @memberof Matrix
 	 */
-	setEulerAngles(x, y, z) {
-		const cos = Math.cos;
-		const sin = Math.sin;
+	toString(format = "TEXT", precision = -1) {
+		if(typeof format === "number") [format, precision] = ["TEXT", format];
+		if(typeof format !== "string") throw new TypeError(`Invalid matrix format '${format}'`);
 
-		const c1 = cos(x / 2);
-		const c2 = cos(y / 2);
-		const c3 = cos(z / 2);
+		const cells = this.matrix.map(row => Array.from(row, e => Matrix._formatNumber(e, precision)));
 
-		const s1 = sin(x / 2);
-		const s2 = sin(y / 2);
-		const s3 = sin(z / 2);
+		// Replaces non-finite numbers with literals of the target language
+		const literals = (/**@type {string}*/nan, /**@type {string}*/inf) => cells.map((row, i) => row.map((e, j) => {
+			const value = this.matrix[i][j];
+			if(isNaN(value)) return nan;
+			if(!isFinite(value)) return (value < 0 ? "-" : "") + inf;
+			return e;
+		}));
 
-		// XYZ
-		this.x = s1 * c2 * c3 + c1 * s2 * s3;
-		this.y = c1 * s2 * c3 - s1 * c2 * s3;
-		this.z = c1 * c2 * s3 + s1 * s2 * c3;
-		this.w = c1 * c2 * c3 - s1 * s2 * s3;
+		switch(format.toLowerCase()) {
+			case "text": {
+				const widths = [];
+				for(let j = 0; j < this.cols; j++) widths.push(Math.max(...cells.map(row => row[j].length)));
 
-		return this;
+				return "[" + cells.map(row => "[" + row.map((e, j) => e.padStart(widths[j])).join(", ") + "]").join(",\n ") + "]";
+			}
+			case "latex":
+				return "\\begin{bmatrix}\n" + cells.map(row => row.join(" & ")).join(" \\\\\n") + "\n\\end{bmatrix}";
+			case "csv":
+				return cells.map(row => row.join(",")).join("\n");
+			case "matlab":
+				return "[" + literals("NaN", "Inf").map(row => row.join(" ")).join("; ") + "]";
+			case "numpy":
+				return "np.array([" + literals("np.nan", "np.inf").map(row => "[" + row.join(", ") + "]").join(", ") + "])";
+			default:
+				throw new TypeError(`Invalid matrix format '${format}'`);
+		}
 	}
 
 	/**
-	 * Sets the Quaternion from given unit vectors.
-	 * @param {Vector} vFrom The vector to rotate from.
-	 * @param {Vector} vTo The vector to rotate to.
-	 * @return {this}
-	 * @memberof Quaternion
+	 * Creates a new identity Matrix of given size.
+	 * @static
+	 * @param {number} size
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	setUnitVectors(vFrom, vTo) {
-		let r = vFrom.dot(vTo) + 1;
-
-		if(r < Number.EPSILON) {
-			r = 0;
+	static identity(size) {
+		const mat = new Matrix(size, size);
 
-			if(Math.abs(vFrom.x) > Math.abs(vFrom.z)) {
-				this.x = -vFrom.y;
-				this.y = vFrom.x;
-				this.z = 0;
-				this.w = r;
-			} else {
-				this.x = 0;
-				this.y = -vFrom.z;
-				this.z = vFrom.y;
-				this.w = r;
+		for(let i = 0; i < size; i++) {
+			for(let j = 0; j < size; j++) {
+				mat.matrix[i][j] = i == j ? 1 : 0;
 			}
-		} else {
-			this.x = vFrom.y * vTo.z - vFrom.z * vTo.y;
-			this.y = vFrom.z * vTo.x - vFrom.x * vTo.z;
-			this.z = vFrom.x * vTo.y - vFrom.y * vTo.x;
-			this.w = r;
 		}
 
-		return this.normalize();
+		return mat;
 	}
 
 	/**
-	 * Sets the Quaternion from quaternion multiplication of given Quaternions.
-	 * @param {Quaternion} q1 The first Quaternion.
-	 * @param {Quaternion} q2 The second Quaternion.
-	 * @return {this} q1 * q2
-	 * @memberof Quaternion
+	 * Creates a new 4x4 translation Matrix.
+	 * @static
+	 * @param {Vector} vector Translation offset.
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	setMultiply(q1, q2) {
-		const ax = q1.x, ay = q1.y, az = q1.z, aw = q1.w;
-		const bx = q2.x, by = q2.y, bz = q2.z, bw = q2.w;
+	static translation(vector) {
+		return new Matrix([
+			[1, 0, 0, vector.x],
+			[0, 1, 0, vector.y],
+			[0, 0, 1, vector.z],
+			[0, 0, 0, 1]
+		]);
+	}
 
-		this.x = ax * bw + aw * bx + ay * bz - az * by;
-		this.y = ay * bw + aw * by + az * bx - ax * bz;
-		this.z = az * bw + aw * bz + ax * by - ay * bx;
-		this.w = aw * bw - ax * bx - ay * by - az * bz;
+	/**
+	 * Creates a new 4x4 scaling Matrix.
+	 * @static
+	 * @param {Vector | number} factor Scale factor for each axis or uniform scale factor.
+	 * @return {Matrix} 
+	 * @memberof Matrix
+	 */
+	static scaling(factor) {
+		const {x, y, z} = typeof factor === "number" ? {x: factor, y: factor, z: factor} : factor;
 
-		return this;
+		return new Matrix([
+			[x, 0, 0, 0],
+			[0, y, 0, 0],
+			[0, 0, z, 0],
+			[0, 0, 0, 1]
+		]);
 	}
 
 	/**
-	 * Calculates the angle between current Quaternion and given Quaternion.
-	 * @param {Quaternion} q Quaternion to calculate angle to.
-	 * @return {number} Calculated angle in radians.
-	 * @memberof Quaternion
+	 * Creates a new 4x4 Matrix of rotation around X axis.
+	 * @static
+	 * @param {number} angle Angle in radians.
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	angleTo(q) {
-		return 2 * Math.acos(Math.abs(clamp(this.dot(q), -1, 1)));
+	static rotationX(angle) {
+		const c = Math.cos(angle);
+		const s = Math.sin(angle);
+
+		return new Matrix([
+			[1, 0, 0, 0],
+			[0, c, -s, 0],
+			[0, s, c, 0],
+			[0, 0, 0, 1]
+		]);
 	}
 
 	/**
-	 * Calculates the dot product of current Quaternion and given Quaternion.
-	 * @param {Quaternion} q Quaternion to calculate dot product with.
-	 * @return {number} Calculated dot product.
-	 * @memberof Quaternion
+	 * Creates a new 4x4 Matrix of rotation around Y axis.
+	 * @static
+	 * @param {number} angle Angle in radians.
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	dot(q) {
-		return this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+	static rotationY(angle) {
+		const c = Math.cos(angle);
+		const s = Math.sin(angle);
+
+		return new Matrix([
+			[c, 0, s, 0],
+			[0, 1, 0, 0],
+			[-s, 0, c, 0],
+			[0, 0, 0, 1]
+		]);
 	}
 
 	/**
-	 * Calculates the length of current Quaternion.
-	 * @return {number} 
-	 * @memberof Quaternion
+	 * Creates a new 4x4 Matrix of rotation around Z axis.
+	 * @static
+	 * @param {number} angle Angle in radians.
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	length() {
-		return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w);
+	static rotationZ(angle) {
+		const c = Math.cos(angle);
+		const s = Math.sin(angle);
+
+		return new Matrix([
+			[c, -s, 0, 0],
+			[s, c, 0, 0],
+			[0, 0, 1, 0],
+			[0, 0, 0, 1]
+		]);
 	}
 
 	/**
-	 * Normalizes current Quaternion.
-	 * @return {this} 
-	 * @memberof Quaternion
+	 * Creates a new 4x4 rotation Matrix from given Quaternion.
+	 * @static
+	 * @param {Quaternion} quaternion Unit quaternion.
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	normalize() {
-		let l = this.length();
+	static fromQuaternion(quaternion) {
+		return quaternion.toMatrix();
+	}
 
-		if(l === 0) {
-			this.x = 0;
-			this.y = 0;
-			this.z = 0;
-			this.w = 1;
-		} else {
-			l = 1 / l;
+	/**
+	 * Creates a new 4x4 perspective projection Matrix (OpenGL convention, clip space Z in range -1 - 1).
+	 * @static
+	 * @param {number} fov Vertical field of view in radians.
+	 * @param {number} aspect Aspect ratio of the viewport (width / height).
+	 * @param {number} near Distance of the near clipping plane.
+	 * @param {number} far Distance of the far clipping plane.
+	 * @return {Matrix} 
+	 * @memberof Matrix
+	 */
+	static perspective(fov, aspect, near, far) {
+		const f = 1 / Math.tan(fov / 2);
+		const nf = 1 / (near - far);
 
-			this.x *= l;
-			this.y *= l;
-			this.z *= l;
-			this.w *= l;
-		}
+		return new Matrix([
+			[f / aspect, 0, 0, 0],
+			[0, f, 0, 0],
+			[0, 0, (far + near) * nf, 2 * far * near * nf],
+			[0, 0, -1, 0]
+		]);
+	}
 
-		return this;
+	/**
+	 * Creates a new 4x4 orthographic projection Matrix (OpenGL convention, clip space Z in range -1 - 1).
+	 * @static
+	 * @param {number} left
+	 * @param {number} right
+	 * @param {number} bottom
+	 * @param {number} top
+	 * @param {number} near
+	 * @param {number} far
+	 * @return {Matrix} 
+	 * @memberof Matrix
+	 */
+	static orthographic(left, right, bottom, top, near, far) {
+		const w = right - left;
+		const h = top - bottom;
+		const d = far - near;
+
+		return new Matrix([
+			[2 / w, 0, 0, -(right + left) / w],
+			[0, 2 / h, 0, -(top + bottom) / h],
+			[0, 0, -2 / d, -(far + near) / d],
+			[0, 0, 0, 1]
+		]);
 	}
 
 	/**
-	 * Inverts current Quaternion.
-	 * @return {this} 
-	 * @memberof Quaternion
+	 * Creates a new 4x4 view Matrix of a camera looking from `eye` towards `target`.
+	 * @static
+	 * @param {Vector} eye Position of the camera.
+	 * @param {Vector} target Point to look at.
+	 * @param {Vector} [up=new Vector(0, 1, 0)] Up direction of the camera.
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	invert() {
-		this.x = -this.x;
-		this.y = -this.y;
-		this.z = -this.z;
+	static lookAt(eye, target, up = new Vector(0, 1, 0)) {
+		// Camera looks down its negative Z axis
+		const z = eye.copy().sub(target);
+		if(z.mag() === 0) throw new Error("Cannot look at target from the same position!");
+		z.normalize();
 
-		return this;
+		// Up direction parallel to the view direction does not define the orientation, so another axis is used
+		let x = up.cross(z);
+		if(x.mag() <= 1e-9 * up.mag()) x = (Math.abs(z.y) < 0.9 ? new Vector(0, 1, 0) : new Vector(1, 0, 0)).cross(z);
+		x.normalize();
+
+		const y = z.cross(x);
+
+		return new Matrix([
+			[x.x, x.y, x.z, -x.dot(eye)],
+			[y.x, y.y, y.z, -y.dot(eye)],
+			[z.x, z.y, z.z, -z.dot(eye)],
+			[0, 0, 0, 1]
+		]);
 	}
 
 	/**
-	 * Multiplies current Quaternion by given Quaternion.
-	 * @param {Quaternion} q Quaternion to multiply by.
-	 * @return {this}
-	 * @memberof Quaternion
+	 * Creates Matrix of given size filled with zeros.
+	 * @static
+	 * @param {number} rows
+	 * @param {number} cols
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	multiply(q) {
-		return this.setMultiply(this, q);
+	static zeros(rows, cols) {
+		return new Matrix(rows, cols);
 	}
 
 	/**
-	 * Premultiplies current Quaternion by given Quaternion.
-	 * @param {Quaternion} q Quaternion to premultiply by.
-	 * @return {this}
-	 * @memberof Quaternion
+	 * Creates Matrix of given size filled with ones.
+	 * @static
+	 * @param {number} rows
+	 * @param {number} cols
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	premultiply(q) {
-		return this.setMultiply(q, this);
+	static ones(rows, cols) {
+		return Matrix.fill(rows, cols, 1);
 	}
 
 	/**
-	 * Creates a new Quaternion instance initialized with the same components as current Quaternion.
-	 * @return {Quaternion} 
-	 * @memberof Quaternion
+	 * Creates Matrix of given size filled with given value.
+	 * @static
+	 * @param {number} rows
+	 * @param {number} cols
+	 * @param {number} value
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	copy() {
-		return new Quaternion(this.x, this.y, this.z, this.w);
+	static fill(rows, cols, value) {
+		return new Matrix(rows, cols).fill(value);
 	}
-}
 
+	/**
+	 * Creates square diagonal Matrix with given values on the main diagonal.
+	 * @static
+	 * @param {number[]} values
+	 * @return {Matrix} 
+	 * @memberof Matrix
+	 */
+	static diag(values) {
+		const mat = new Matrix(values.length, values.length);
+		for(let i = 0; i < values.length; i++) mat.matrix[i][i] = values[i];
 
-class Dimensions {
-	constructor(width = 0, height = 0, depth = 0, radius = 0) {
-		this.w = width || 0;
-		this.h = height || 0;
-		this.d = depth || 0;
-		this.r = radius || 0;
+		return mat;
 	}
 
 	/**
-	 * Expands the dimensions by a given value or vector.
-	 * @param {Vector | number} n Vector or number to expand the dimensions by.
-	 * @return {this} 
-	 * @memberof Dimensions
+	 * Concatenates matrices horizontally (side by side). All matrices must have the same number of rows.
+	 * @static
+	 * @param {...Matrix} matrices
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	add(n) {
-		if(typeof n === "number") {
-			this.w += n;
-			this.h += n;
-			this.d += n;
-			this.r += n;
-		} else {
-			this.w += n.x;
-			this.h += n.y;
-			this.d += n.z;
+	static concatHorizontal(...matrices) {
+		const rows = matrices[0].rows;
+		if(matrices.some(e => e.rows != rows)) throw new Error("All matrices must have the same number of rows!");
 
-			// Only compute the magnitdue if the radius is not 0 to save some performance.
-			if(this.r) this.r += n.mag();
+		const mat = new Matrix(rows, matrices.reduce((sum, e) => sum + e.cols, 0));
+
+		let offset = 0;
+		for(const matrix of matrices) {
+			for(let i = 0; i < rows; i++) mat.matrix[i].set(matrix.matrix[i], offset);
+			offset += matrix.cols;
 		}
 
-		return this;
+		return mat;
 	}
 
 	/**
-	 * Reduces the dimensions by a given value or vector.
-	 * @param {Vector | number} n Vector or number to subtract from the dimensions.
-	 * @return {this} 
-	 * @memberof Dimensions
+	 * Concatenates matrices vertically (on top of each other). All matrices must have the same number of columns.
+	 * @static
+	 * @param {...Matrix} matrices
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	sub(n) {
-		if(typeof n === "number") {
-			this.w -= n;
-			this.h -= n;
-			this.d -= n;
-			this.r -= n;
-		} else {
-			this.w -= n.x;
-			this.h -= n.y;
-			this.d -= n.z;
+	static concatVertical(...matrices) {
+		const cols = matrices[0].cols;
+		if(matrices.some(e => e.cols != cols)) throw new Error("All matrices must have the same number of columns!");
 
-			// Only compute the magnitdue if the radius is not 0 to save some performance.
-			if(this.r) this.r -= n.mag();
+		const mat = new Matrix(matrices.reduce((sum, e) => sum + e.rows, 0), cols);
+
+		let offset = 0;
+		for(const matrix of matrices) {
+			mat.data.set(matrix.data, offset);
+			offset += matrix.data.length;
 		}
 
-		return this;
+		return mat;
 	}
 
 	/**
-	 * Scales the dimensions by a given factor or vector.
-	 * @param {Vector | number} n Vector or number to scale by.
-	 * @return {this} 
-	 * @memberof Dimensions
+	 * Applies binary operation element-wise on two matrices with NumPy-style broadcasting.
+	 * Dimensions of size 1 (and scalars) are stretched to match the other operand.
+	 * @static
+	 * @param {Matrix} a
+	 * @param {Matrix | number} b
+	 * @param {"+" | "-" | "*" | "/"} operator
+	 * @param {Matrix} [out] Output Matrix, new Matrix is created if not specified.
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	mult(n) {
-		if(typeof n === "number") {
-			this.w *= n;
-			this.h *= n;
-			this.d *= n;
-			this.r *= n;
-		} else {
-			this.w *= n.x;
-			this.h *= n.y;
-			this.d *= n.z;
+	static _broadcast(a, b, operator, out = undefined) {
+		if(typeof b === "number") b = Matrix.fromData(1, 1, new Float64Array([b]));
+		else if(Matrix.isMatrix(b)) b = Matrix._normalize(b);
+		else throw new Error(`Invalid type of parameter "${typeof b}", only supported are Numbers and Matrices!`);
+
+		const rows = a.rows === b.rows || b.rows === 1 ? a.rows : (a.rows === 1 ? b.rows : -1);
+		const cols = a.cols === b.cols || b.cols === 1 ? a.cols : (a.cols === 1 ? b.cols : -1);
+		if(rows < 0 || cols < 0) throw new Error(`Matrices of shapes ${a.rows}x${a.cols} and ${b.rows}x${b.cols} cannot be broadcast together!`);
+
+		if(!out) out = a._create(rows, cols);
+		else if(out.rows != rows || out.cols != cols) throw new Error(`Result of shape ${rows}x${cols} cannot be stored into matrix of shape ${out.rows}x${out.cols}!`);
+
+		// Matrices of the same shape are processed directly on the underlying storage
+		if(a.rows === b.rows && a.cols === b.cols) {
+			const x = a.data;
+			const y = b.data;
+			const z = out.data;
+
+			switch(operator) {
+				case "+": for(let i = 0; i < z.length; i++) z[i] = x[i] + y[i]; break;
+				case "-": for(let i = 0; i < z.length; i++) z[i] = x[i] - y[i]; break;
+				case "*": for(let i = 0; i < z.length; i++) z[i] = x[i] * y[i]; break;
+				case "/": for(let i = 0; i < z.length; i++) z[i] = x[i] / y[i]; break;
+			}
 
-			// Only compute the magnitdue if the radius is not 0 to save some performance.
-			if(this.r) this.r *= n.mag();
+			return out;
 		}
 
-		return this;
+		// Broadcast dimensions have zero stride
+		const operation = Matrix._OPERATORS[operator];
+		const aRow = a.rows === 1 ? 0 : a.cols;
+		const aCol = a.cols === 1 ? 0 : 1;
+		const bRow = b.rows === 1 ? 0 : b.cols;
+		const bCol = b.cols === 1 ? 0 : 1;
+
+		for(let i = 0; i < rows; i++) {
+			for(let j = 0; j < cols; j++) {
+				out.data[i * cols + j] = operation(a.data[i * aRow + j * aCol], b.data[i * bRow + j * bCol]);
+			}
+		}
+
+		return out;
 	}
 
 	/**
-	 * Divides the dimensions by a given factor or vector.
-	 * @param {Vector | number} n Vector or number to divide by.
-	 * @return {this} 
-	 * @memberof Dimensions
+	 * Parses matrix string
+	 * Supported formats: nested arrays (`[[1, 2], [3, 4]]`, optionally wrapped in `np.array(...)`), CSV and MATLAB (`[1 2; 3 4]`)
+	 * @static
+	 * @param {string} string matrix string
+	 * @return {Matrix} parsed matrix
+	 * @memberof Matrix
 	 */
-	div(n) {
-		if(typeof n === "number") {
-			this.w *= n;
-			this.h *= n;
-			this.d *= n;
-			this.r *= n;
+	static parse(string) {
+		let input = string.toString().trim();
+
+		// NumPy array wrapper
+		const wrapper = input.match(/^(?:np|numpy)\.array\(([\s\S]*)\)$/);
+		if(wrapper) input = wrapper[1].trim();
+
+		let rows;
+		if(/^\[\s*\[/.test(input)) {
+			// Nested arrays
+			const inner = input.slice(1, -1);
+			if(!/^\[[\s\S]*\]$/.test(input) || /[^\s,]/.test(inner.replace(/\[[^[\]]*\]/g, ""))) {
+				throw new TypeError(`Invalid matrix '${string}'`);
+			}
+			rows = (inner.match(/\[[^[\]]*\]/g) || []).map(e => e.slice(1, -1));
 		} else {
-			this.w *= n.x;
-			this.h *= n.y;
-			this.d *= n.z;
-
-			// Only compute the magnitdue if the radius is not 0 to save some performance.
-			if(this.r) this.r *= n.mag();
+			// MATLAB or CSV (rows separated by semicolons or new lines)
+			if(input.startsWith("[")) {
+				if(!input.endsWith("]")) throw new TypeError(`Invalid matrix '${string}'`);
+				input = input.slice(1, -1);
+			}
+			rows = input.split(/;|\r?\n/);
 		}
 
-		return this;
+		rows = rows.map(e => e.trim()).filter(e => e);
+		if(!rows.length) throw new TypeError(`Invalid matrix '${string}'`);
+
+		return new Matrix(rows.map(row => row.split(row.includes(",") ? /\s*,\s*/ : /\s+/).map(token => {
+			// NumPy constants (`np.nan`, `np.inf`)
+			const e = token.replace(/^([+-]?)(?:np|numpy)\./, "$1");
+			const value = /^[+-]?inf$/i.test(e) ? (e[0] == "-" ? -Infinity : Infinity) : +e;
+			if(e === "" || isNaN(value) && !/^nan$/i.test(e)) throw new TypeError(`Invalid number '${e}' in matrix '${string}'`);
+
+			return value;
+		})));
 	}
 
 	/**
-	 * Creates a new Dimensions instance initialized with the same dimension values as current Dimensions instance.
-	 * @return {Dimensions} 
-	 * @memberof Dimensions
+	 * Formats number for string output.
+	 * @static
+	 * @param {number} number
+	 * @param {number} precision Number of decimal places to round to. -1 = no rounding
+	 * @return {string} 
+	 * @memberof Matrix
 	 */
-	copy() {
-		return new Dimensions(this.w, this.h, this.d, this.r);
+	static _formatNumber(number, precision) {
+		if(!isFinite(number)) return number + "";
+		if(precision < 0) return number + "";
+
+		// Avoid negative zero when tiny negative numbers are rounded
+		const string = number.toFixed(precision);
+		return +string === 0 ? (0).toFixed(precision) : string;
 	}
 
 	/**
-	 * Converts current Dimensions object into a new `Vector` object.
-	 * @return {Vector} 
-	 * @memberof Dimensions
+	 * Creates Matrix backed by given flat row-major typed array. Data are not copied.
+	 * @static
+	 * @param {number} rows
+	 * @param {number} cols
+	 * @param {Float64Array | Float32Array} data
+	 * @return {Matrix} 
+	 * @memberof Matrix
 	 */
-	toVector() {
-		return new Vector(this.w, this.h, this.d);
+	static fromData(rows, cols, data) {
+		if(data.length != rows * cols) throw new Error("Data length must be equal to rows * cols!");
+
+		const mat = Object.create(Matrix.prototype);
+		mat.rows = rows;
+		mat.cols = cols;
+		mat.data = data;
+		mat.matrix = Matrix._createRows(data, rows, cols);
+
+		return mat;
 	}
 
 	/**
-	 * Converts current Dimensions object into 1D array.
-	 * @param {number} [size=3] Number of dimensions to include in the array. (Fourth component is always 1.)
-	 * @return {Array<number>} 
-	 * @memberof Dimensions
+	 * Creates row views into flat row-major storage.
+	 * @static
+	 * @param {Float64Array | Float32Array} data
+	 * @param {number} rows
+	 * @param {number} cols
+	 * @return {Array<Float64Array | Float32Array>} 
+	 * @memberof Matrix
 	 */
-	toArray(size = 3) {
-		return [this.w, this.h, this.d, 1].slice(0, size);
+	static _createRows(data, rows, cols) {
+		const result = new Array(rows);
+		for(let i = 0; i < rows; i++) result[i] = data.subarray(i * cols, (i + 1) * cols);
+
+		return result;
 	}
 
+	// eslint-disable-next-line valid-jsdoc
 	/**
-	 * Converts current Dimensions object into string representation.
-	 * @return {string} String represented as "[w, h, d]".
-	 * @memberof Dimensions
+	 * @static
+	 * @param {unknown} matrix
+	 * @return {matrix is Matrix} 
+	 * @memberof Matrix
 	 */
-	toString() {
-		return `[${this.w}, ${this.h}, ${this.d}]`;
+	static isMatrix(matrix) {
+		// @ts-ignore
+		return matrix instanceof Matrix || matrix && typeof matrix.rows === "number" && typeof matrix.cols === "number" && typeof matrix.matrix === "object";
 	}
-}
 
+	/**
+	 * Converts Matrix-like object (e.g. parsed from JSON) into Matrix instance. Matrix instances are returned unchanged.
+	 * @static
+	 * @param {Matrix | {rows: number, cols: number, matrix: ArrayLike<ArrayLike<number>>}} matrix
+	 * @return {Matrix} 
+	 * @memberof Matrix
+	 */
+	static _normalize(matrix) {
+		return matrix instanceof Matrix ? matrix : new Matrix(matrix.matrix);
+	}
+}
 /**
- * @deprecated Use `Dimensions` instead
+ * Element-wise operations used by broadcasting.
+ * @type {Record<"+" | "-" | "*" | "/", (a: number, b: number) => number>}
  */
-var Dimension = Dimensions;
-
-class Color {
+Matrix._OPERATORS = {
+	"+": (a, b) => a + b,
+	"-": (a, b) => a - b,
+	"*": (a, b) => a * b,
+	"/": (a, b) => a / b
+};
+/**
+ * Size of the blocks used by blocked matrix multiplication.
+ * @type {number}
+ */
+Matrix.BLOCK_SIZE = 64;
 
+class SparseMatrix {
 	/**
-	 * Creates an instance of Color.
-	 * @param {number | Color} [red=0]
-	 * @param {number} [green=red]
-	 * @param {number} [blue=red]
-	 * @param {number} [alpha=1]
-	 * @memberof Color
+	 * Matrix with mostly zero elements, stored in compressed sparse row (CSR) format.
+	 * @param {number} rows Number of rows.
+	 * @param {number} cols Number of columns.
+	 * @param {Array<[number, number, number]>} [entries=[]] Elements in coordinate (COO) format as `[row, col, value]`. Duplicate entries are summed.
 	 */
-	constructor(red = 0, green = 0, blue = 0, alpha = 1) {
-		/** @type {number} */
-		this.r = 0;
-		/** @type {number} */
-		this.g = 0;
-		/** @type {number} */
-		this.b = 0;
-		/** @type {number} */
-		this.a = 1;
+	constructor(rows, cols, entries = []) {
+		/**
+		 * @type {number}
+		 */
+		this.rows = rows;
 
-		if(red instanceof Color) {
-			// Copy
-			this.r = +red.r;
-			this.g = +red.g;
-			this.b = +red.b;
-			this.a = +red.a;
-		} else if(isNaN(red) && typeof red === "string") {
-			// Parse
-			var color = Color.parse(red);
+		/**
+		 * @type {number}
+		 */
+		this.cols = cols;
 
-			this.r = color.r;
-			this.g = color.g;
-			this.b = color.b;
-			this.a = color.a;
-		} else {
-			// Create new
-			this.r = +red;
-			this.g = typeof green === "undefined" ? +red : +green;
-			this.b = typeof blue === "undefined" ? +red : +blue;
-			this.a = +alpha;
+		// Count entries in each row
+		const counts = new Int32Array(rows + 1);
+		for(const [i, j] of entries) {
+			if(i < 0 || i >= rows || j < 0 || j >= cols) throw new Error("Index out of bounds");
+			counts[i + 1]++;
+		}
+		for(let i = 0; i < rows; i++) counts[i + 1] += counts[i];
+
+		// Bucket entries by row
+		const offsets = counts.slice();
+		const bucketCols = new Int32Array(entries.length);
+		const bucketValues = new Float64Array(entries.length);
+		for(const [i, j, value] of entries) {
+			bucketCols[offsets[i]] = j;
+			bucketValues[offsets[i]++] = value;
+		}
+
+		/**
+		 * Offsets of the rows in `colIndices` and `values` (length rows + 1).
+		 * @type {Int32Array}
+		 */
+		this.rowPointers = new Int32Array(rows + 1);
+
+		/**
+		 * Column indices of the non-zero elements.
+		 * @type {Int32Array}
+		 */
+		this.colIndices = null;
+
+		/**
+		 * Values of the non-zero elements.
+		 * @type {Float64Array}
+		 */
+		this.values = null;
+
+		// Sort each row by column, sum duplicates and drop zeros
+		const colIndices = [];
+		const values = [];
+		for(let i = 0; i < rows; i++) {
+			const order = [];
+			for(let k = counts[i]; k < counts[i + 1]; k++) order.push(k);
+			order.sort((a, b) => bucketCols[a] - bucketCols[b]);
+
+			let start = values.length;
+			for(const k of order) {
+				if(values.length > start && colIndices[colIndices.length - 1] === bucketCols[k]) {
+					values[values.length - 1] += bucketValues[k];
+				} else {
+					colIndices.push(bucketCols[k]);
+					values.push(bucketValues[k]);
+				}
+			}
+
+			for(let k = start; k < values.length; k++) {
+				if(values[k] !== 0) {
+					colIndices[start] = colIndices[k];
+					values[start++] = values[k];
+				}
+			}
+			colIndices.length = values.length = start;
+
+			this.rowPointers[i + 1] = start;
 		}
+
+		this.colIndices = new Int32Array(colIndices);
+		this.values = new Float64Array(values);
 	}
 
 	/**
-	 * Calculates the luminance of the color.
-	 * @return {number} Normalized luminance (in range 0 - 1).
-	 * @memberof Color
+	 * Number of stored (non-zero) elements.
+	 * @readonly
+	 * @type {number}
+	 * @memberof SparseMatrix
 	 */
-	getLuminance() {
-		return 0.2126 * this.r / 255 + 0.7152 * this.g / 255 + 0.0722 * this.b / 255;
+	get nnz() {
+		return this.values.length;
 	}
 
 	/**
-	 * Inverts the color (mutates the current color).
-	 * @return {this}
-	 * @memberof Color
+	 * Returns element at given position.
+	 * @param {number} i Row index.
+	 * @param {number} j Column index.
+	 * @return {number} 
+	 * @memberof SparseMatrix
 	 */
-	invert() {
-		this.r = 255 - this.r;
-		this.g = 255 - this.g;
-		this.b = 255 - this.b;
+	get(i, j) {
+		if(i < 0 || i >= this.rows || j < 0 || j >= this.cols) throw new Error("Index out of bounds");
+
+		// Binary search in the row
+		let low = this.rowPointers[i];
+		let high = this.rowPointers[i + 1] - 1;
+		while(low <= high) {
+			const mid = (low + high) >> 1;
+			const col = this.colIndices[mid];
+
+			if(col === j) return this.values[mid];
+			if(col < j) low = mid + 1;
+			else high = mid - 1;
+		}
 
-		return this;
+		return 0;
 	}
 
-	// eslint-disable-next-line valid-jsdoc
 	/**
-	 * Calls a defined callback function on each color channel, and returns new Color object that contains the results.
-	 * @param {(value: number, channel: string, thisArg: Color) => number} callback A function that accepts up to three arguments. The map method calls the callbackfn function one time for each color channel.
-	 * @param {boolean} [alpha=false] Decide to use also alpha channel.
-	 * @returns {Color} new Color object
+	 * Adds another sparse or dense matrix. Sparse matrix is returned for sparse operand, dense Matrix otherwise.
+	 * @param {SparseMatrix | Matrix} matrix
+	 * @return {SparseMatrix | Matrix} 
+	 * @memberof SparseMatrix
 	 */
-	map(callback, alpha = false) {
-		var c = new Color(this);
-		c.r = callback(c.r, "r", this);
-		c.g = callback(c.g, "g", this);
-		c.b = callback(c.b, "b", this);
-		if(alpha) c.a = callback(c.a, "a", this);
-		return c;
-	}
+	add(matrix) {
+		if(matrix.rows != this.rows || matrix.cols != this.cols) throw new Error("Columns and rows of matrices are not equal!");
 
-	applyFilter(red, green, blue) {
-		red = 255 - red;
-		green = 255 - green;
-		blue = 255 - blue;
-		var avg = (this.r + this.g + this.b) / 3;
-		if(this.r > red || this.g > green || this.g > blue) {
-			this.r = avg;
-			this.g = avg;
-			this.b = avg;
+		if(Matrix.isMatrix(matrix)) {
+			const mat = Matrix._normalize(matrix).copy();
+			for(let i = 0; i < this.rows; i++) {
+				for(let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; k++) {
+					mat.data[i * this.cols + this.colIndices[k]] += this.values[k];
+				}
+			}
+			return mat;
 		}
-		return true;
+
+		if(!(matrix instanceof SparseMatrix)) {
+			throw new Error(`Invalid type of parameter "${typeof matrix}", only supported are SparseMatrices and Matrices!`);
+		}
+
+		const entries = this.toCOO();
+		for(const entry of matrix.toCOO()) entries.push(entry);
+
+		return new SparseMatrix(this.rows, this.cols, entries);
 	}
 
 	/**
-	 * Copies current values from Color object to new Color object
-	 * @returns {Color} copied color
+	 * Multiplies SparseMatrix with Number, dense Matrix, array (column vector) or Vector.
+	 * @template {number | Matrix | number[] | Vector} T
+	 * @param {T} matrix
+	 * @return {T extends number ? SparseMatrix : T} Result of the same type as the operand (SparseMatrix for numbers).
+	 * @memberof SparseMatrix
 	 */
-	copy() {
-		return new Color(this.r, this.g, this.b, this.a);
+	mult(matrix) {
+		if(typeof matrix === "number") {
+			const mat = this.copy();
+			for(let k = 0; k < mat.values.length; k++) mat.values[k] *= matrix;
+
+			return /** @type {T extends number ? SparseMatrix : T} */ (mat);
+		}
+
+		if(Matrix.isMatrix(matrix)) {
+			if(this.cols != matrix.rows) throw new Error("Columns and rows of matrices are not equal!");
+
+			const data = Matrix._normalize(matrix).data;
+			const mat = new Matrix(this.rows, matrix.cols);
+			const n = matrix.cols;
+			for(let i = 0; i < this.rows; i++) {
+				for(let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; k++) {
+					const value = this.values[k];
+					const row = this.colIndices[k] * n;
+					for(let j = 0; j < n; j++) mat.data[i * n + j] += value * data[row + j];
+				}
+			}
+
+			return /** @type {T extends number ? SparseMatrix : T} */ (mat);
+		}
+
+		if(Array.isArray(matrix)) {
+			if(this.cols != matrix.length) throw new Error("Array length must be equal to number of columns");
+
+			return /** @type {T extends number ? SparseMatrix : T} */ (Array.from(this._multArray(matrix, new Float64Array(this.rows))));
+		}
+
+		if(matrix instanceof Vector) {
+			if(this.cols != 2 && this.cols != 3) throw new Error("Only matrices with 2 or 3 columns can be multiplied by Vector!");
+			if(this.rows != 2 && this.rows != 3) throw new Error("Only matrices with 2 or 3 rows can produce Vector!");
+
+			const result = this._multArray([matrix.x, matrix.y, matrix.z].slice(0, this.cols), new Float64Array(this.rows));
+
+			return /** @type {T extends number ? SparseMatrix : T} */ (new Vector(result[0], result[1], this.rows == 3 ? result[2] : 0));
+		}
+
+		throw new Error(`Invalid type of parameter "${typeof matrix}", only supported are Numbers, Matrices, Arrays and Vectors!`);
 	}
 
 	/**
-	 * @returns {[number, number, number]}
+	 * Transposes the SparseMatrix. New SparseMatrix is returned.
+	 * @return {SparseMatrix} 
+	 * @memberof SparseMatrix
 	 */
-	toHSL() {
-		const r = this.r / 255;
-		const g = this.g / 255;
-		const b = this.b / 255;
-		const max = Math.max(r, g, b);
-		const min = Math.min(r, g, b);
+	transpose() {
+		const rowPointers = new Int32Array(this.cols + 1);
+		const colIndices = new Int32Array(this.nnz);
+		const values = new Float64Array(this.nnz);
 
-		let h = 0;
-		let s = 0;
-		let l = (max + min) / 2;
+		for(let k = 0; k < this.nnz; k++) rowPointers[this.colIndices[k] + 1]++;
+		for(let j = 0; j < this.cols; j++) rowPointers[j + 1] += rowPointers[j];
 
-		if(max !== min) {
-			var d = max - min;
-			s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-			switch(max) {
-				case r: h = (g - b) / d + (g < b ? 6 : 0); break;
-				case g: h = (b - r) / d + 2; break;
-				case b: h = (r - g) / d + 4; break;
+		// Rows are visited in order, so the columns of the result stay sorted
+		const offsets = rowPointers.slice();
+		for(let i = 0; i < this.rows; i++) {
+			for(let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; k++) {
+				const index = offsets[this.colIndices[k]]++;
+				colIndices[index] = i;
+				values[index] = this.values[k];
 			}
-			h /= 6;
 		}
 
-		return [h, s, l];
+		return SparseMatrix._fromCSR(this.cols, this.rows, rowPointers, colIndices, values);
 	}
 
 	/**
-	 * Returns a string representing the color using specified format
-	 * Supported formats: RGB, RGBA, HEX, HEXA
-	 * Default format: RGBA
-	 * @param {"RGB" | "RGBA" | "HEX" | "HEXA" | "rgb" | "rgba" | "hex" | "hexa"} [format="RGBA"]
-	 * @returns {string} color
+	 * Solves linear system A * x = b with symmetric positive-definite SparseMatrix using conjugate gradient method.
+	 * @param {Matrix | number[]} b Right-hand side (column matrix or array).
+	 * @param {number} [tolerance=1e-10] Relative tolerance of the residual norm.
+	 * @param {number} [maxIterations=10 * this.rows] Maximum number of iterations.
+	 * @return {Matrix} Solution x as a column matrix.
+	 * @memberof SparseMatrix
 	 */
-	toString(format = "RGBA") {
-		switch(format.toLowerCase()) {
-			case "rgb":
-				return `rgb(${this.r}, ${this.g}, ${this.b})`;
-			case "rgba":
-				return `rgba(${this.r}, ${this.g}, ${this.b}, ${this.a})`;
-			case "hex":
-				return `#${fixDigits(this.r.toString(16))}${fixDigits(this.g.toString(16))}${fixDigits(this.b.toString(16))}`;
-			case "hexa":
-				return `#${fixDigits(this.r.toString(16))}${fixDigits(this.g.toString(16))}${fixDigits(this.b.toString(16))}${fixDigits(this.a.toString(16))}`;
-			default:
-				throw new TypeError(`Invalid color format '${format}'`);
+	solveConjugateGradient(b, tolerance = 1e-10, maxIterations = 10 * this.rows) {
+		if(this.rows != this.cols) throw new Error("Cannot solve system with non-square matrix!");
+
+		const B = Matrix._toColumnMatrix(b);
+		if(B.rows != this.rows || B.cols != 1) throw new Error("Right-hand side must be a column vector with the same number of rows as the matrix!");
+
+		const n = this.rows;
+		const x = new Float64Array(n);
+		const r = B.data.slice();
+		const p = r.slice();
+		const Ap = new Float64Array(n);
+
+		const dot = (a, b) => {
+			let sum = 0;
+			for(let i = 0; i < n; i++) sum += a[i] * b[i];
+			return sum;
+		};
+
+		const threshold = tolerance * tolerance * dot(r, r);
+		let rr = dot(r, r);
+
+		for(let iteration = 0; rr > threshold; iteration++) {
+			if(iteration == maxIterations) throw new Error("Conjugate gradient did not converge!");
+
+			this._multArray(p, Ap);
+
+			const pAp = dot(p, Ap);
+			if(pAp <= 0) throw new Error("Cannot solve system with matrix that is not positive-definite!");
+
+			const alpha = rr / pAp;
+			for(let i = 0; i < n; i++) {
+				x[i] += alpha * p[i];
+				r[i] -= alpha * Ap[i];
+			}
+
+			const rrNew = dot(r, r);
+			const beta = rrNew / rr;
+			for(let i = 0; i < n; i++) p[i] = r[i] + beta * p[i];
+			rr = rrNew;
 		}
+
+		return Matrix.fromData(n, 1, x);
 	}
 
 	/**
-	 * Transforms Color into Vector
-	 * @returns {Vector} Color represented as Vector
+	 * Creates copy of the SparseMatrix.
+	 * @return {SparseMatrix} 
+	 * @memberof SparseMatrix
 	 */
-	toVector() {
-		return new Vector(this.r, this.g, this.b);
+	copy() {
+		return SparseMatrix._fromCSR(this.rows, this.cols, this.rowPointers.slice(), this.colIndices.slice(), this.values.slice());
 	}
 
 	/**
-	 * Parses color string
-	 * Supported formats: RGB, RGBA, HEX, HEXA, HLS, HSLA
-	 * @param {string} string color string
-	 * @returns {Color} parsed color
+	 * Returns non-zero elements in coordinate (COO) format.
+	 * @return {Array<[number, number, number]>} Array of `[row, col, value]`.
+	 * @memberof SparseMatrix
 	 */
-	static parse(string) {
-		var color = string.toString().toLowerCase();
+	toCOO() {
+		/** @type {Array<[number, number, number]>} */
+		const entries = [];
+		for(let i = 0; i < this.rows; i++) {
+			for(let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; k++) {
+				entries.push([i, this.colIndices[k], this.values[k]]);
+			}
+		}
 
-		// HEX
-		if(color.startsWith("#")) {
-			const components = color.slice(1).split("");
+		return entries;
+	}
 
-			// Add alpha channel
-			if(components.length == 3) components.push("f");
-			else if(components.length == 6) components.push("f", "f");
-
-			// Convert to RRGGBBAA
-			if(components.length == 4) {
-				for(var i = 0; i < 8; i += 2) components.splice(i, 0, components[i]);
+	/**
+	 * Converts SparseMatrix into dense Matrix.
+	 * @return {Matrix} 
+	 * @memberof SparseMatrix
+	 */
+	toMatrix() {
+		const mat = new Matrix(this.rows, this.cols);
+		for(let i = 0; i < this.rows; i++) {
+			for(let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; k++) {
+				mat.data[i * this.cols + this.colIndices[k]] = this.values[k];
 			}
+		}
 
-			// Convert to RGBA
-			if(components.length == 8) {
-				var c = [];
-				for(var i = 2; i <= 8; i += 2) c.push(parseInt("0x" + components.slice(i - 2, i).join("")));
-
-				return new Color(c[0], c[1], c[2], c[3] / 255);
-			} else throw new TypeError(string + " is not a valid HEX color");
-		} else if(color.startsWith("rgb")) {
-			// RGB
-			var match = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*(\d+(?:\.\d+)?))?\)/);
-
-			if(match) {
-				var r = clamp(+match[1], 0, 255);
-				var g = clamp(+match[2], 0, 255);
-				var b = clamp(+match[3], 0, 255);
-				var a = clamp(+match[4], 0, 255);
-
-				if(isNaN(a)) a = 1;
-
-				return new Color(r, g, b, a);
-			} else throw new TypeError(string + " is not a valid RGBA format");
-		} else if(color.startsWith("hsl")) {
-			// HSL
-			var match = color.match(/hsla?\((\d+(?:\.\d+)?),\s*(\d+(?:\.\d+)?)(%?),\s*(\d+(?:\.\d+)?)(%?)(?:,\s*(\d+(?:\.\d+)?))?\)/);
-
-			if(match) {
-				var h = +match[1] % 360;
-				var s = clamp(+match[2] / (match[3] ? 100 : 1), 0, 1);
-				var l = clamp(+match[4] / (match[5] ? 100 : 1), 0, 1);
-				var a = clamp(+match[6], 0, 1);
-
-				var r = 0, g = 0, b = 0;
+		return mat;
+	}
 
-				if(isNaN(a)) a = 1;
+	/**
+	 * Multiplies SparseMatrix with array representing a column vector.
+	 * @param {ArrayLike<number>} vector Input array of length cols.
+	 * @param {Float64Array} out Output array of length rows.
+	 * @return {Float64Array} Output array.
+	 * @memberof SparseMatrix
+	 */
+	_multArray(vector, out) {
+		for(let i = 0; i < this.rows; i++) {
+			let sum = 0;
+			for(let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; k++) {
+				sum += this.values[k] * vector[this.colIndices[k]];
+			}
+			out[i] = sum;
+		}
 
-				var func = (i, h, min, max) => {
-					if(i == 0) return 255;
-					else if(i == 1) return map(h, min, max, 255, 0);
-					else if(i == 2) return 0;
-					else if(i == 3) return 0;
-					else if(i == 4) return map(h, min, max, 0, 255);
-					else if(i == 5) return 255;
-					else return 0;
-				};
+		return out;
+	}
 
-				// Hue
-				for(var i = 0; i < 6; i++) {
-					var min = i * 60;
-					var max = (i + 1) * 60;
+	/**
+	 * Creates SparseMatrix from coordinate (COO) arrays. Duplicate entries are summed.
+	 * @static
+	 * @param {number} rows
+	 * @param {number} cols
+	 * @param {ArrayLike<number>} rowIndices
+	 * @param {ArrayLike<number>} colIndices
+	 * @param {ArrayLike<number>} values
+	 * @return {SparseMatrix} 
+	 * @memberof SparseMatrix
+	 */
+	static fromCOO(rows, cols, rowIndices, colIndices, values) {
+		if(rowIndices.length != colIndices.length || rowIndices.length != values.length) throw new Error("All coordinate arrays must have the same length!");
 
-					if(h >= min && h <= max) {
-						r = func((i + 0) % 6, h, min, max);
-						g = func((i + 4) % 6, h, min, max);
-						b = func((i + 2) % 6, h, min, max);
-						break;
-					}
-				}
+		/** @type {Array<[number, number, number]>} */
+		const entries = [];
+		for(let k = 0; k < values.length; k++) entries.push([rowIndices[k], colIndices[k], values[k]]);
 
-				return new Color(r, g, b, a)
-					.map(e => map(s, 0, 1, 128, e)) // Saturation
-					.map(e => map(l, 0.5, l > 0.5 ? 1 : 0, e, l > 0.5 ? 255 : 0)) // Lightness
-					.map(e => Math.round(e));
-			} else throw new TypeError(string + " is not a valid HSLA format");
-		} else throw new TypeError(string + " is not a valid color type");
+		return new SparseMatrix(rows, cols, entries);
 	}
 
 	/**
-	 * @param {number} h
-	 * @param {number} s
-	 * @param {number} l
-	 * @returns {Color}
-	 * @memberof Color
+	 * Creates SparseMatrix from dense Matrix.
+	 * @static
+	 * @param {Matrix} matrix
+	 * @param {number} [epsilon=0] Elements with absolute value not greater than epsilon are treated as zeros.
+	 * @return {SparseMatrix} 
+	 * @memberof SparseMatrix
 	 */
-	static fromHSL(h, s, l) {
-		let r, g, b;
-
-		if(s === 0) {
-			r = g = b = l; // achromatic
-		} else {
-			function hue2rgb(p, q, t) {
-				if(t < 0) t += 1;
-				if(t > 1) t -= 1;
-				if(t < 1 / 6) return p + (q - p) * 6 * t;
-				if(t < 1 / 2) return q;
-				if(t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-				return p;
+	static fromMatrix(matrix, epsilon = 0) {
+		/** @type {Array<[number, number, number]>} */
+		const entries = [];
+		for(let i = 0; i < matrix.rows; i++) {
+			for(let j = 0; j < matrix.cols; j++) {
+				const value = matrix.matrix[i][j];
+				if(Math.abs(value) > epsilon) entries.push([i, j, value]);
 			}
-
-			const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-			const p = 2 * l - q;
-			r = hue2rgb(p, q, h + 1 / 3);
-			g = hue2rgb(p, q, h);
-			b = hue2rgb(p, q, h - 1 / 3);
 		}
 
-		return new Color(r * 255, g * 255, b * 255);
+		return new SparseMatrix(matrix.rows, matrix.cols, entries);
 	}
 
 	/**
-	 * Generate random number according to pamarameters. Positive argument means color component greater than entered argument and lower means less than argument.
-	 * @param {number} red Red component of color
-	 * @param {number} green Green component of color
-	 * @param {number} blue Blue component of color
-	 * @returns {Color} Random color
-	 * @example
-	 * // returns random colors from 128 to 255
-	 * Color.random(128, 128, 128);
-	 * @example
-	 * // returns random colors from 0 to 128
-	 * Color.random(-128, -128, -128);
+	 * Creates sparse identity matrix.
+	 * @static
+	 * @param {number} size
+	 * @return {SparseMatrix} 
+	 * @memberof SparseMatrix
 	 */
-	static random(red = 0, green = red, blue = green) {
-		var r = red < 0 ? random(0, -red) : random(red, 255);
-		var g = green < 0 ? random(0, -green) : random(green, 255);
-		var b = blue < 0 ? random(0, -blue) : random(blue, 255);
+	static identity(size) {
+		/** @type {Array<[number, number, number]>} */
+		const entries = [];
+		for(let i = 0; i < size; i++) entries.push([i, i, 1]);
 
-		return new Color(r, g, b, 1);
+		return new SparseMatrix(size, size, entries);
 	}
-}
 
-class ComplexNumber {
 	/**
-	 * @typedef {Object} FormatterOptions
-	 * @prop {"a" | "t" | "e"} [form="a"] Number form to use. Supported a = algebraic, t = trigonometric, e = exponential
-	 * @prop {number} [round=-1] Number of decimal places to round to. -1 = no rounding
-	 * @prop {boolean} [sign=false] Whether to include the sign (if positive)
-	 * @prop {boolean} [spacing=false] Whether to include the spacing between sign and number
-	 * @prop {boolean} [radians=false] Whether to use radians instead of degrees
+	 * Creates SparseMatrix from already compressed CSR arrays. Data are not copied.
+	 * @static
+	 * @param {number} rows
+	 * @param {number} cols
+	 * @param {Int32Array} rowPointers
+	 * @param {Int32Array} colIndices
+	 * @param {Float64Array} values
+	 * @return {SparseMatrix} 
+	 * @memberof SparseMatrix
 	 */
+	static _fromCSR(rows, cols, rowPointers, colIndices, values) {
+		const mat = Object.create(SparseMatrix.prototype);
+		mat.rows = rows;
+		mat.cols = cols;
+		mat.rowPointers = rowPointers;
+		mat.colIndices = colIndices;
+		mat.values = values;
 
+		return mat;
+	}
+}
+
+/**
+ * Small fully connected feed-forward neural network trained by backpropagation.
+ *
+ * @class NeuralNetwork
+ */
+class NeuralNetwork {
 	/**
-	 * Creates new Complex Number object.
-	 * @param {string | Array<number | string, number | string>} input String to parse complex number.
-	 * @param {string} unit Imaginary unit identifier
+	 * @typedef {"sigmoid" | "tanh" | "relu" | "softmax" | "linear"} ActivationName
 	 */
-	constructor(input, unit = "i") {
-		/* Parse */
-		let r, i, u;
-
-		if(typeof input === "string") {
-			input = input.replace(/\s/g, "").replace(/−/g, "-");
 
-			const match = input.match(ComplexNumber.__getParseRegex());
-			if(!match) throw new TypeError(`Invalid complex number '${input}'`);
+	/**
+	 * @typedef {Object} NeuralNetworkLayer
+	 * @prop {number} size Number of neurons in the layer
+	 * @prop {ActivationName} [activation="sigmoid"] Activation function of the layer (softmax is supported only in the output layer)
+	 */
 
-			{
-				let r_s = match[1] + match[2] || match[6] + match[7] || match[14] + match[15] || match[19] + match[20] || match[21] + match[22];
-				let i_s = match[3] + match[4] || match[8] + match[10] || match[11] + match[12] || match[16] + match[18] || match[23] + match[24] || match[26] + match[28];
-				let u_s = match[5] || match[9] || match[13] || match[17] || match[25] || match[27];
+	/**
+	 * @typedef {Object} NeuralNetworkOptions
+	 * @prop {number} [learningRate=0.1] Learning rate of the gradient descent
+	 * @prop {number} [momentum=0] Momentum factor (0 = plain SGD)
+	 * @prop {number | RandomGenerator} [seed] Seed or generator used for the weight initialization and shuffling
+	 */
 
-				if(u_s && !i_s) i = "1";	// a+i
-				if(!r_s) r_s = "0";			// bi
-				if(!i_s) i_s = "0";			// a
-				if(!u_s) u_s = "i";			// kinda invalid (this should never match)
+	/**
+	 * Creates an instance of NeuralNetwork.
+	 * @param {Array<number | NeuralNetworkLayer>} layers Sizes of the layers, first one is the input layer. Hidden and output layers can specify activation function.
+	 * @param {NeuralNetworkOptions} [options={}] Properties of the network.
+	 * @memberof NeuralNetwork
+	 */
+	constructor(layers, options = {}) {
+		const {
+			learningRate = 0.1,
+			momentum = 0,
+			seed = undefined
+		} = options;
 
-				const r_n = parseFloat(r_s);
-				const i_n = parseFloat(i_s);
+		if(layers.length < 2) throw new Error("Neural network must have at least input and output layer!");
 
-				if(isNaN(r_n)) throw new TypeError(`Invalid real part '${r_s}' of complex number '${input}'`);
-				if(isNaN(i_n)) throw new TypeError(`Invalid imaginary part '${i_s}' of complex number '${input}'`);
+		/**
+		 * Layers of the network (first one is the input layer and its activation is not used).
+		 * @type {Required<NeuralNetworkLayer>[]}
+		 */
+		this.layers = layers.map((e, i) => {
+			const layer = typeof e === "number" ? {size: e, activation: "sigmoid"} : {activation: "sigmoid", ...e};
 
-				r = r_n;
-				i = i_n;
-				u = u_s;
-			}
-		} else if(input instanceof Array) {
-			// Convert to strings for safety
-			const r_s = input[0] + "";
-			const i_s = input[1] + "";
+			if(!(layer.size > 0)) throw new Error(`Invalid size of layer ${i}!`);
+			if(!NeuralNetwork.ACTIVATIONS[layer.activation]) throw new TypeError(`Invalid activation function '${layer.activation}'`);
+			if(layer.activation === "softmax" && i > 0 && i < layers.length - 1) throw new Error("Softmax activation is supported only in the output layer!");
 
-			// Parse and precache strings into numbers
-			const r_n = parseFloat(r_s);
-			const i_n = parseFloat(i_s);
+			return /** @type {Required<NeuralNetworkLayer>} */ (layer);
+		});
 
-			// Check for invalid numbers
-			if(isNaN(r_n)) throw new TypeError(`Invalid real part '${r_s}' of complex number '${input.join(", ")}'`);
-			if(isNaN(i_n)) throw new TypeError(`Invalid imaginary part '${i_s}' of complex number '${input.join(", ")}'`);
-			if(unit.length !== 1 || !unit.match(/[a-z]/i)) throw new TypeError(`Invalid imaginary unit '${unit}'`);
+		/** @type {number} */
+		this.learningRate = learningRate;
 
-			r = r_n;
-			i = i_n;
-			u = unit;
-		} else {
-			throw new TypeError(`Invalid complex number '${input}'`);
-		}
+		/** @type {number} */
+		this.momentum = momentum;
 
-		/* Init */
+		/** @type {RandomGenerator} */
+		this.random = seed instanceof RandomGenerator ? seed : new RandomGenerator(seed);
 
 		/**
-		 * Real part of the number
-		 * @type {number}
+		 * Weights between each pair of consecutive layers (size x previous size).
+		 * @type {Matrix[]}
 		 */
-		this.r = r;
+		this.weights = [];
 
 		/**
-		 * Imaginary part of the number
-		 * @type {number}
+		 * Biases of each non-input layer (size x 1).
+		 * @type {Matrix[]}
 		 */
-		this.i = i;
+		this.biases = [];
 
-		/**
-		 * Imaginary part unit (usually `i` or `j`)
-		 * @type {string}
-		 */
-		this.unit = unit;
+		/** @type {Matrix[]} */
+		this._weightVelocities = [];
 
-		/**
-		 * @deprecated Use `this.unit` instead
-		 * @type {string}
-		 */
-		this.sign = this.unit;
+		/** @type {Matrix[]} */
+		this._biasVelocities = [];
 
-		/**
-		 * Distance of number from origin
-		 * @type {number}
-		 */
-		this.distance = Math.hypot(+this.r, +this.i);
+		for(let i = 1; i < this.layers.length; i++) {
+			const inputs = this.layers[i - 1].size;
+			const outputs = this.layers[i].size;
 
-		/**
-		 * Angle between origin and number
-		 * @type {number}
-		 */
-		this.angle = Math.atan2(+this.i, +this.r);
+			// Xavier/Glorot uniform initialization
+			const limit = Math.sqrt(6 / (inputs + outputs));
+
+			this.weights.push(new Matrix(outputs, inputs).map(() => (this.random.next() * 2 - 1) * limit));
+			this.biases.push(new Matrix(outputs, 1));
+			this._weightVelocities.push(new Matrix(outputs, inputs));
+			this._biasVelocities.push(new Matrix(outputs, 1));
+		}
 	}
 
 	/**
-	 *
-	 * @param {ComplexNumber | number} x
-	 * @return {ComplexNumber} 
-	 * @memberof ComplexNumber
+	 * Computes output of the network for given input.
+	 * @param {number[] | Matrix} input Input values (array or column matrix).
+	 * @return {number[]} Output values.
+	 * @memberof NeuralNetwork
 	 */
-	add(x) {
-		const isScalar = typeof x === "number";
-		if(!isScalar && this.unit != x.unit) throw new TypeError("Cannot add two numbers with different imaginary units");
+	predict(input) {
+		const activations = this._forward(input);
 
-		let r, c;
+		return Array.from(activations[activations.length - 1].data);
+	}
 
-		if(isScalar) {
-			r = +this.r + x;
-			c = +this.i;
+	/**
+	 * Performs one step of stochastic gradient descent on a single sample.
+	 * @param {number[] | Matrix} input Input values (array or column matrix).
+	 * @param {number[] | Matrix} target Expected output values (array or column matrix).
+	 * @return {number} Loss before the update (cross-entropy for softmax output layer, mean squared error otherwise).
+	 * @memberof NeuralNetwork
+	 */
+	train(input, target) {
+		const activations = this._forward(input);
+		const expected = Matrix._toColumnMatrix(target);
+		const output = activations[activations.length - 1];
+		const last = this.layers[this.layers.length - 1];
+
+		if(expected.rows != output.rows) throw new Error("Target size must be equal to size of the output layer!");
+
+		// Output error (softmax with cross-entropy and other activations with squared error)
+		let delta = output.sub(expected);
+		let loss = 0;
+
+		if(last.activation === "softmax") {
+			for(let i = 0; i < output.rows; i++) loss -= expected.data[i] * Math.log(Math.max(output.data[i], 1e-15));
 		} else {
-			r = +this.r + +x.r;
-			c = +this.i + +x.i;
+			for(let i = 0; i < output.rows; i++) loss += delta.data[i] * delta.data[i];
+			loss /= output.rows;
+
+			delta = delta.mult(output.map(NeuralNetwork.ACTIVATIONS[last.activation].derivative), true);
 		}
 
-		return new ComplexNumber([r, c], this.unit);
+		// Backpropagation
+		for(let i = this.weights.length - 1; i >= 0; i--) {
+			const weightGradient = delta.mult(activations[i].transpose());
+			const biasGradient = delta;
+
+			if(i > 0) {
+				const derivative = activations[i].map(NeuralNetwork.ACTIVATIONS[this.layers[i].activation].derivative);
+				delta = this.weights[i].transpose().mult(delta).mult(derivative, true);
+			}
+
+			this._update(this.weights[i], this._weightVelocities[i], weightGradient);
+			this._update(this.biases[i], this._biasVelocities[i], biasGradient);
+		}
+
+		return loss;
 	}
 
 	/**
-	 *
-	 * @param {ComplexNumber | number} x
-	 * @return {ComplexNumber} 
-	 * @memberof ComplexNumber
+	 * Trains the network on the dataset for given number of epochs. Samples are shuffled in each epoch.
+	 * @param {Array<number[] | Matrix>} inputs Input samples.
+	 * @param {Array<number[] | Matrix>} targets Expected outputs of the samples.
+	 * @param {number} [epochs=1] Number of passes over the dataset.
+	 * @return {number} Average loss in the last epoch.
+	 * @memberof NeuralNetwork
 	 */
-	sub(x) {
-		const isScalar = typeof x === "number";
-		if(!isScalar && this.unit != x.unit) throw new TypeError("Cannot subtract two numbers with different imaginary units");
+	trainBatch(inputs, targets, epochs = 1) {
+		if(inputs.length != targets.length) throw new Error("Number of inputs must be equal to number of targets!");
 
-		let r, c;
+		const order = inputs.map((e, i) => i);
+		let loss = 0;
 
-		if(isScalar) {
-			r = +this.r - x;
-			c = +this.i;
-		} else {
-			r = +this.r - +x.r;
-			c = +this.i - +x.i;
+		for(let epoch = 0; epoch < epochs; epoch++) {
+			this.random.shuffle(order);
+
+			loss = 0;
+			for(const i of order) loss += this.train(inputs[i], targets[i]);
+			loss /= inputs.length || 1;
 		}
 
-		return new ComplexNumber([r, c], this.unit);
+		return loss;
 	}
 
 	/**
-	 *
-	 * @param {ComplexNumber | number} x
-	 * @return {ComplexNumber} 
-	 * @memberof ComplexNumber
+	 * Creates copy of the network.
+	 * @return {NeuralNetwork} 
+	 * @memberof NeuralNetwork
 	 */
-	mult(x) {
-		const isScalar = typeof x === "number";
-		if(!isScalar && this.unit != x.unit) throw new TypeError("Cannot multiply two numbers with different imaginary units");
-
-		let r, c;
-
-		if(isScalar) {
-			r = +this.r * x;
-			c = +this.i * x;
-		} else {
-			r = +this.r * +x.r - +this.i * +x.i;
-			c = +this.r * +x.i + +this.i * +x.r;
-		}
-
-		return new ComplexNumber([r, c], this.unit);
+	copy() {
+		return NeuralNetwork.fromJSON(this.toJSON());
 	}
 
 	/**
-	 *
-	 * @param {ComplexNumber | number} x
-	 * @return {ComplexNumber} 
-	 * @memberof ComplexNumber
+	 * Serializes the network into plain object that can be passed to `JSON.stringify`.
+	 * @return {{layers: Required<NeuralNetworkLayer>[], learningRate: number, momentum: number, weights: number[][][], biases: number[][]}} 
+	 * @memberof NeuralNetwork
 	 */
-	div(x) {
-		const isScalar = typeof x === "number";
-		if(!isScalar && this.unit != x.unit) throw new TypeError("Cannot divide two numbers with different imaginary units");
+	toJSON() {
+		return {
+			layers: this.layers.map(e => ({...e})),
+			learningRate: this.learningRate,
+			momentum: this.momentum,
+			weights: this.weights.map(e => e.matrix.map(row => Array.from(row))),
+			biases: this.biases.map(e => Array.from(e.data))
+		};
+	}
 
-		let r, c;
+	/**
+	 * Propagates input through the network.
+	 * @param {number[] | Matrix} input
+	 * @return {Matrix[]} Activations of all layers (including the input layer).
+	 * @memberof NeuralNetwork
+	 */
+	_forward(input) {
+		const activations = [Matrix._toColumnMatrix(input)];
 
-		if(isScalar) {
-			r = +this.r / x;
-			c = +this.i / x;
-		} else {
-			const d = +x.r * +x.r + +x.i * +x.i;
-			r = (+this.r * +x.r + +this.i * +x.i) / d;
-			c = (+this.i * +x.r - +this.r * +x.i) / d;
+		if(activations[0].rows != this.layers[0].size || activations[0].cols != 1) {
+			throw new Error("Input size must be equal to size of the input layer!");
 		}
 
-		return new ComplexNumber([r, c], this.unit);
-	}
+		for(let i = 0; i < this.weights.length; i++) {
+			const z = this.weights[i].mult(activations[i]).addInPlace(this.biases[i]);
+			const activation = this.layers[i + 1].activation;
 
-	copy() {
-		return new ComplexNumber([this.r, this.i], this.unit);
+			activations.push(activation === "softmax" ? NeuralNetwork._softmax(z) : z.map(NeuralNetwork.ACTIVATIONS[activation].fn));
+		}
+
+		return activations;
 	}
 
 	/**
-	 * @param {"a" | "t" | "e" | FormatterOptions} [form="a"]
-	 * @return {string} 
-	 * @memberof ComplexNumber
+	 * Updates parameters using momentum gradient descent.
+	 * @param {Matrix} parameters
+	 * @param {Matrix} velocity
+	 * @param {Matrix} gradient
+	 * @memberof NeuralNetwork
 	 */
-	toString(form = "a") {
-		const options = typeof form === "string" ? {
-			form: form,
-			round: -1,
-			sign: false,
-			spacing: false,
-			radians: false
-		} : form;
-
-		return ComplexNumber.format(this, options);
+	_update(parameters, velocity, gradient) {
+		for(let i = 0; i < parameters.data.length; i++) {
+			velocity.data[i] = this.momentum * velocity.data[i] - this.learningRate * gradient.data[i];
+			parameters.data[i] += velocity.data[i];
+		}
 	}
 
 	/**
-	 * @param {number} n
-	 * @param {"a" | "t" | "e" | FormatterOptions} [form="a"]
-	 * @return {string} 
-	 * @memberof ComplexNumber
+	 * Restores network from serialized form.
+	 * @static
+	 * @param {string | ReturnType<NeuralNetwork["toJSON"]>} json JSON string or object created by `toJSON()`.
+	 * @return {NeuralNetwork} 
+	 * @memberof NeuralNetwork
 	 */
-	toFixed(n, form = "a") {
-		const options = typeof form === "string" ? {
-			form: form,
-			round: n,
-			sign: false,
-			spacing: false,
-			radians: false
-		} : form;
+	static fromJSON(json) {
+		const data = typeof json === "string" ? JSON.parse(json) : json;
+		const network = new NeuralNetwork(data.layers, {
+			learningRate: data.learningRate,
+			momentum: data.momentum
+		});
 
-		return ComplexNumber.format(this, options);
+		if(data.weights.length != network.weights.length || data.biases.length != network.biases.length) {
+			throw new Error("Number of weights and biases does not match the layers!");
+		}
+
+		network.weights = data.weights.map(e => new Matrix(e));
+		network.biases = data.biases.map(e => Matrix._toColumnMatrix(e));
+
+		for(let i = 0; i < network.weights.length; i++) {
+			const {rows, cols} = network._weightVelocities[i];
+			if(network.weights[i].rows != rows || network.weights[i].cols != cols || network.biases[i].rows != rows) {
+				throw new Error(`Invalid shape of weights or biases of layer ${i + 1}!`);
+			}
+		}
+
+		return network;
 	}
 
 	/**
+	 * Applies softmax function on a column matrix.
 	 * @static
-	 * @param {ComplexNumber} number
-	 * @param {FormatterOptions} [options={}]
-	 * @return {string}
-	 * @memberof ComplexNumber
+	 * @param {Matrix} matrix
+	 * @return {Matrix} 
+	 * @memberof NeuralNetwork
 	 */
-	static format(number, options = {}) {
-		const {
-			form = "a",
-			round = -1,
-			sign = false,
-			spacing = false,
-			radians = false
-		} = options;
+	static _softmax(matrix) {
+		const max = Math.max(...matrix.data);
+		const result = matrix.map(e => Math.exp(e - max));
 
-		if(round < -1) throw new RangeError("round must be a positive integer or -1");
-		const SP = spacing ? " " : "";
+		let sum = 0;
+		for(let i = 0; i < result.data.length; i++) sum += result.data[i];
+		for(let i = 0; i < result.data.length; i++) result.data[i] /= sum;
 
-		// Helper function to format real numbers
-		const formatRealNumber = (/**@type {number}*/_number, _sign = sign, _spacing = spacing) => {
-			let str = "";
+		return result;
+	}
+}
+/**
+ * Activation functions with derivatives expressed in terms of the function output.
+ * Softmax is applied on the whole layer, so it has no element-wise function.
+ * @type {Record<ActivationName, {fn: (x: number) => number, derivative: (y: number) => number}>}
+ */
+NeuralNetwork.ACTIVATIONS = {
+	sigmoid: {
+		fn: x => 1 / (1 + Math.exp(-x)),
+		derivative: y => y * (1 - y)
+	},
+	tanh: {
+		fn: x => Math.tanh(x),
+		derivative: y => 1 - y * y
+	},
+	relu: {
+		fn: x => x > 0 ? x : 0,
+		derivative: y => y > 0 ? 1 : 0
+	},
+	linear: {
+		fn: x => x,
+		derivative: () => 1
+	},
+	softmax: {
+		fn: null,
+		derivative: null
+	}
+};
 
-			if(_number < 0) str += "-";
-			else if(_sign) str += "+";
-			if(_spacing) str += " ";
+/**
+ * A class to describe a Vector up to 3 dimensions.
+ *
+ * @class Vector
+ */
+class Vector {
+	/**
+	 * Vector instance, plain object with (optional) components or array of components.
+	 * @typedef {Vector | {x?: number, y?: number, z?: number} | number[]} VectorLike
+	 */
 
-			str += roundRealNumber(Math.abs(_number));
+	/**
+	 * @typedef {Object} PolarCoordinates
+	 * @prop {number} radius Distance from origin
+	 * @prop {number} angle Angle in radians from the positive X axis (in range -PI - PI)
+	 */
 
-			return str;
-		};
+	/**
+	 * Convention of the spherical coordinates (all angles are in radians):
+	 * - `physics` (ISO 80000-2): `theta` is polar angle from the positive Z axis, `phi` is azimuth from the positive X axis
+	 * - `math`: `theta` is azimuth from the positive X axis, `phi` is polar angle from the positive Z axis
+	 * - `elevation`: `theta` is azimuth from the positive X axis, `phi` is elevation from the XY plane (same as `Vector.fromAngle`)
+	 * @typedef {"physics" | "math" | "elevation"} SphericalConvention
+	 */
 
-		const formatAngle = (/**@type {number}*/_angle, _radians = radians) => {
-			return _radians ? roundRealNumber(_angle) : roundRealNumber(rad2deg(_angle)) + "°";
-		};
+	/**
+	 * @typedef {Object} SphericalCoordinates
+	 * @prop {number} radius Distance from origin
+	 * @prop {number} theta First angle (see `SphericalConvention`)
+	 * @prop {number} phi Second angle (see `SphericalConvention`)
+	 */
 
-		const roundRealNumber = (/**@type {number}*/_number, _round = round) => {
-			return _round == -1 ? _number : _number.toFixed(_round);
-		};
+	/**
+	 * @typedef {Object} CylindricalCoordinates
+	 * @prop {number} radius Distance from the Z axis
+	 * @prop {number} angle Angle in radians from the positive X axis (in range -PI - PI)
+	 * @prop {number} z Height along the Z axis
+	 */
 
-		// Format the complex number
-		if(form == "a") {
-			const real = formatRealNumber(number.r, false, false);
-			const imaginary = formatRealNumber(number.i, true);
+	/**
+	 * Creates an instance of Vector.
+	 * @param {number} [x=0] X component of the vector.
+	 * @param {number} [y=0] Y component of the vector.
+	 * @param {number} [z=0] Z component of the vector.
+	 * @param {number} [angle=0] (Deprecated) Additional component of vector. (Has nothing to do with the actual angle of the vector.)
+	 * @memberof Vector
+	 */
+	constructor(x = 0, y = 0, z = 0, angle = 0) {
+		/**
+		 * X component of the vector.
+		 * @type {number}
+		 */
+		this.x = +x || 0;
 
-			return `${real}${SP}${imaginary}${number.unit}`;
-		} else if(form == "t") {
-			const angle = formatAngle(number.angle);
-			const distance = roundRealNumber(number.distance);
+		/**
+		 * Y component of the vector.
+		 * @type {number}
+		 */
+		this.y = +y || 0;
 
-			return `${distance}${SP}*${SP}(cos(${angle})${SP}+${SP}${number.unit}${SP}*${SP}sin(${angle}))`;
-		} else if(form == "e") {
-			const angle = formatAngle(number.angle);
-			const distance = roundRealNumber(number.distance);
+		/**
+		 * Z component of the vector.
+		 * @type {number}
+		 */
+		this.z = +z || 0;
 
-			return `${distance}${SP}*${SP}e^(${number.unit}${SP}*${SP}${angle})`;
-		} else {
-			throw new TypeError("Unknown number form. Supported a = algebraic, t = trigonometric, e = exponential");
-		}
+		/**
+		 * Additional component of vector. (Has nothing to do with the actual angle of the vector.)
+		 * @deprecated This property should not be used because of it misleading name.
+		 * @type {number}
+		 */
+		this.angle = +angle || 0;
 	}
 
-	static __getParseRegex() {
-		if(this.__parseRegex) return this.__parseRegex;
-
-		const DIGITS = String.raw`([0-9.]+)`;
-		const SIGN = String.raw`([+-])`;
-		const IDENTIFIER = String.raw`([a-z])`;
-		const WH = String.raw`\s*`;
+	/**
+	 * Adds Vector to current Vector.
+	 * @param {VectorLike} vector
+	 * @return {this} 
+	 * @memberof Vector
+	 */
+	add(vector) {
+		const v = Vector._resolve(vector);
 
-		const syntax = [
-				 /*1*/[`${SIGN}?`, DIGITS, SIGN, DIGITS, IDENTIFIER], // a+bi
-				 /*6*/[`${SIGN}?`, DIGITS, SIGN, IDENTIFIER, DIGITS], // a+ib
-				/*11*/[`${SIGN}?`, DIGITS, IDENTIFIER, SIGN, DIGITS], // bi+a
-				/*16*/[`${SIGN}?`, IDENTIFIER, DIGITS, SIGN, DIGITS], // ib+a
-				/*21*/[`${SIGN}?`, DIGITS],                           // a
-				/*23*/[`${SIGN}?`, DIGITS, IDENTIFIER],               // bi
-				/*26*/[`${SIGN}?`, IDENTIFIER, DIGITS]                // ib
-			//  /*1*/`${SIGN}?${DIGITS}${SIGN}${DIGITS}${IDENTIFIER}`, // a+bi
-			//  /*6*/`${SIGN}?${DIGITS}${SIGN}${IDENTIFIER}${DIGITS}`, // a+ib
-			// /*11*/`${SIGN}?${DIGITS}${IDENTIFIER}${SIGN}${DIGITS}`, // bi+a
-			// /*16*/`${SIGN}?${IDENTIFIER}${DIGITS}${SIGN}${DIGITS}`, // ib+a
-			// /*21*/`${SIGN}?${DIGITS}`, 								// a
-			// /*23*/`${SIGN}?${DIGITS}${IDENTIFIER}`, 				// bi
-			// /*26*/`${SIGN}?${IDENTIFIER}${DIGITS}` 					// ib
-		];
+		this.x += v.x;
+		this.y += v.y;
+		this.z += v.z;
 
-		return this.__parseRegex = new RegExp(`^(?:${WH}${syntax.map(e => e.join(WH)).join("|")})${WH}$`, "mi");
+		return this;
 	}
-}
 
-class EventListener {
 	/**
-	 * Creates an instance of EventListener.
-	 * @memberof EventListener
+	 * Substracts Vector from current Vector.
+	 * @param {VectorLike} vector
+	 * @return {this} 
+	 * @memberof Vector
 	 */
-	constructor() {
-		/** @type {Map<string, JLListener[]>} */
-		this.listenersMap = new Map();
+	sub(vector) {
+		const v = Vector._resolve(vector);
 
-		// ((type: string, callback: (event: JLEvent) => void) => JLListener) &
-		/**
-		 * @type {
-			((type: "__listenerAddEvent__", callback: (event: JLEvent & {listener: JLListener}) => void) => JLListener)
-		   }
-		 * @alias EventListener.addEventListener
-		 */
-		this.on = /**@type {any}*/(this.addEventListener);
+		this.x -= v.x;
+		this.y -= v.y;
+		this.z -= v.z;
+
+		return this;
 	}
 
-	// eslint-disable-next-line valid-jsdoc
 	/**
-	 * Add event handler for specific event
-	 * @param {string} type Event type
-	 * @param {(event: JLEvent) => void} callback Event callback
-	 * @returns {JLListener} Event listener object
-	 */
-	addEventListener(type, callback) {
-		// Create new listener instance
-		const listener = new EventListener.Listener(type, callback);
+	 * Multiplies current Vector by scalar.
+	 * @param {number} n
+	 * @return {this} 
+	 * @memberof Vector
+	 */
+	mult(n) {
+		this.x *= n;
+		this.y *= n;
+		this.z *= n;
 
-		// Dispatch event for listener addition
-		this.dispatchEvent(EventListener.LISTENER_ADD_EVENT, {listener}, e => {
-			// Add listener to the list (create new list if it doesn't exist)		
-			if(!this.listenersMap.has(type)) this.listenersMap.set(type, [listener]);
-			else /**@type {JLListener[]}*/(this.listenersMap.get(type)).push(listener);
-		});
+		return this;
+	}
 
-		// Return newly created listener instance
-		return listener;
+	/**
+	 * Divides current Vector by scalar.
+	 * @param {number} n
+	 * @return {this} 
+	 * @memberof Vector
+	 */
+	div(n) {
+		this.x /= n;
+		this.y /= n;
+		this.z /= n;
+
+		return this;
 	}
 
-	// eslint-disable-next-line valid-jsdoc
 	/**
-	 * Fires a specific event
-	 * @template {Record<string, any> | JLEvent} T
-	 * @template U
-	 * @param {string} type Event type
-	 * @param {T} [data={}] Custom event data
-	 * @param {(event: JLEvent & T) => U} [callback=null] Default action handler
-	 * @returns {Promise<U | undefined>} Returned value of the callback function
+	 * Sets current Vector to minimum of itself and given Vector.
+	 * @param {VectorLike} vector
+	 * @return {this} 
+	 * @memberof Vector
 	 */
-	async dispatchEvent(type, data, callback = undefined) {
-		// Setup the default event data
-		const defaultData = {
-			type: type,
-			time: new Date(),
-			defaultPreventable: !!callback
-		};
+	min(vector) {
+		const v = Vector._resolve(vector);
 
-		/** @type {JLEvent & T} */
-		let eventObject;
+		this.x = Math.min(this.x, v.x);
+		this.y = Math.min(this.y, v.y);
+		this.z = Math.min(this.z, v.z);
 
-		// Add the user provided data to the event object
-		if(data instanceof EventListener.Event) {
-			// Assign event object
-			eventObject = data;
-			eventObject.type = type;
+		return this;
+	}
 
-			// Add default data
-			for(const prop in defaultData) {
-				if(prop in eventObject) continue;
-				eventObject[prop] = defaultData[prop];
-			}
-		} else {
-			// Create a new event object
-			eventObject = /**@type {JLEvent & T}*/(new EventListener.Event(defaultData, data || {}));
-		}
+	/**
+	 * Sets current Vector to maximum of itself and given Vector.
+	 * @param {VectorLike} vector
+	 * @return {this} 
+	 * @memberof Vector
+	 */
+	max(vector) {
+		const v = Vector._resolve(vector);
 
-		// Get listeners for the type
-		const listeners = this.listenersMap.get(type);
+		this.x = Math.max(this.x, v.x);
+		this.y = Math.max(this.y, v.y);
+		this.z = Math.max(this.z, v.z);
 
-		// If there are no listeners for this type, call the callback right away
-		if(!listeners) return typeof callback === "function" ? callback(eventObject) : undefined;
+		return this;
+	}
 
-		// Set the hasListener flag
-		eventObject.hasListener = true;
+	/**
+	 * Clamps current Vector to given range.
+	 * @param {VectorLike} minVector
+	 * @param {VectorLike} maxVector
+	 * @return {this}
+	 * @memberof Vector
+	 */
+	clamp(minVector, maxVector) {
+		const min = Vector._resolve(minVector);
+		const max = Vector._resolve(maxVector);
 
-		// Determine dispatch strategy
-		if(eventObject.async) {
-			if(eventObject.parallel) {
-				// Call all listeners in parallel
-				await Promise.all(listeners.map(listener => listener.callback(eventObject)));
-			} else {
-				// Call all listeners in series
-				for(const listener of listeners) {
-					if(eventObject.isStopped) break;
-					await listener.callback(eventObject);
-				}
-			}
-		} else {
-			// Call all listeners
-			for(const listener of listeners) {
-				if(eventObject.isStopped) break;
-				listener.callback(eventObject);
-			}
-		}
+		this.x = Math.min(Math.max(this.x, min.x), max.x);
+		this.y = Math.min(Math.max(this.y, min.y), max.y);
+		this.z = Math.min(Math.max(this.z, min.z), max.z);
 
-		// Call the default action handler if the event wasn't prevented
-		if(!eventObject.defaultPrevented && typeof callback === "function") return callback(eventObject);
+		return this;
 	}
 
 	/**
-	 * Removes event handler
-	 * @param {JLListener} listener Event listener returned by EventListener.addEventListener()
-	 * @returns {boolean} Returns true if listener was removed successfully
+	 * Inverts current Vector.
+	 * @return {this} 
+	 * @memberof Vector
 	 */
-	removeEventListener(listener) {
-		// Try to get listeners for the type
-		const listeners = this.listenersMap.get(listener.type);
-		if(!listeners) return false;
-
-		// Try to find the listener
-		const index = listeners.indexOf(listener);
-		if(index === -1) return false;
+	invert() {
+		this.x = -this.x;
+		this.y = -this.y;
+		this.z = -this.z;
 
-		// Remove the listener
-		listeners.splice(index, 1);
-		return true;
+		return this;
 	}
 
 	/**
-	 * @param {string} type
-	 * @return {boolean} 
-	 * @memberof EventListener
+	 * Calculates dot product of current Vector and given Vector.
+	 * @param {VectorLike} [vector=this] Vector to calculate dot product with. If not given, current Vector is used, calculating the squared length of the Vector.
+	 * @return {number} 
+	 * @memberof Vector
 	 */
-	hasListeners(type) {
-		return this.listenersMap.has(type);
+	dot(vector = this) {
+		const v = Vector._resolve(vector);
+
+		return this.x * v.x + this.y * v.y + this.z * v.z;
 	}
 
 	/**
-	 * @deprecated
-	 * @return {JLListener[]} 
-	 * @memberof EventListener
+	 * Calculates a Vector composed of the cross product between current Vector and given Vector.
+	 * @param {VectorLike} vector
+	 * @return {Vector} 
+	 * @memberof Vector
 	 */
-	get listeners() {
-		return Array.from(this.listenersMap.values()).flat();
+	cross(vector) {
+		const v = Vector._resolve(vector);
+
+		return new Vector(
+			this.y * v.z - this.z * v.y,
+			this.z * v.x - this.x * v.z,
+			this.x * v.y - this.y * v.x
+		);
 	}
-}
-EventListener.LISTENER_ADD_EVENT = /**@type {const}*/("__listenerAddEvent__");
 
-class JLEvent {
 	/**
-	 * Creates an instance of JLEvent.
-	 * @param {Object[]} data
-	 * @memberof JLEvent
+	 * Calculates the magnitude (length) of current Vector.
+	 * @return {number} 
+	 * @memberof Vector
 	 */
-	constructor(...data) {
-		/** @type {string} */
-		this.type = "";
-		/** @type {Date} */
-		this.time = new Date();
-		/** @type {boolean} */
-		this.defaultPreventable = false;
-		/** @type {boolean} */
-		this.defaultPrevented = false;
-		/** @type {boolean} */
-		this.isStopped = false;
-		/** @type {boolean} */
-		this.hasListener = false;
-		/** @type {boolean} */
-		this.async = false;
-		/** @type {boolean} */
-		this.parallel = false;
+	mag() {
+		return Math.hypot(this.x, this.y, this.z);
+	}
 
-		// Add data to event object
-		let hasParallelOption = false;
-		for(const obj of data) {
-			// Check for valid type
-			if(typeof obj !== "object") throw new TypeError(`Expected 'object' instead got '${obj}'`);
+	/**
+	 * Normalizes current Vector.
+	 * @return {this} 
+	 * @memberof Vector
+	 */
+	normalize() {
+		const m = this.mag();
 
-			// Copy properties
-			for(const property in obj) {
-				this[property] = obj[property];
-				if(property === "parallel") hasParallelOption = true;
-			}
+		if(m != 0 && m != 1) {
+			this.x /= m;
+			this.y /= m;
+			this.z /= m;
 		}
 
-		// In case there is no parallel option set, set it to `true` as default
-		if(this.async && !hasParallelOption) this.parallel = true;
+		return this;
 	}
 
 	/**
-	 * @memberof JLEvent
+	 * Sets the magnitude of current Vector.
+	 * @param {number} length
+	 * @return {this} 
+	 * @memberof Vector
 	 */
-	preventDefault() {
-		if(this.defaultPreventable) this.defaultPrevented = true;
-		else throw new Error(`Event ${this.type} is not default preventable!`);
+	setMag(length) {
+		this.normalize();
+		this.mult(length);
+
+		return this;
 	}
 
 	/**
-	 * @memberof JLEvent
+	 * Creates a new Vector instance initialized with the same components as current Vector.
+	 * @return {Vector} 
+	 * @memberof Vector
 	 */
-	stopPropagation() {
-		this.isStopped = true;
+	copy() {
+		return new Vector(this.x, this.y, this.z, this.angle);
 	}
 
 	/**
-	 * @memberof JLEvent
+	 * Calculates the distance from current vector to a given vector.
+	 * @param {VectorLike} vector
+	 * @return {number} 
+	 * @memberof Vector
 	 */
-	reset() {
-		this.time = new Date();
-		this.defaultPrevented = false;
-		this.isStopped = false;
-		this.hasListener = false;
+	distanceTo(vector) {
+		const v = Vector._resolve(vector);
+
+		return Math.hypot(v.x - this.x, v.y - this.y, v.z - this.z);
 	}
-}
-EventListener.Event = JLEvent;
 
-class JLListener {
-	// eslint-disable-next-line valid-jsdoc
 	/**
-	 * Creates an instance of Listener.
-	 * @param {string} type
-	 * @param {(event: JLEvent) => (void | Promise<void>)} callback
+	 * Calculates the Manhattan (taxicab) distance from current vector to a given vector.
+	 * @param {VectorLike} vector
+	 * @return {number} 
+	 * @memberof Vector
 	 */
-	constructor(type, callback) {
-		/** @type {string} */
-		this.type = type;
+	manhattan(vector) {
+		const v = Vector._resolve(vector);
 
-		/** @type {(event: JLEvent) => (void | Promise<void>)} */
-		this.callback = callback;
+		return Math.abs(v.x - this.x) + Math.abs(v.y - this.y) + Math.abs(v.z - this.z);
 	}
-}
-EventListener.Listener = JLListener;
 
-class EventListenerStatic {
-	// eslint-disable-next-line valid-jsdoc
 	/**
-	 * Add event handler for specific event
-	 * @param {string} type Event type
-	 * @param {(event: JLEvent) => void} callback Event callback
-	 * @returns {JLListener} Event listener object
+	 * Calculates the Chebyshev (maximum component) distance from current vector to a given vector.
+	 * @param {VectorLike} vector
+	 * @return {number} 
+	 * @memberof Vector
 	 */
-	static addEventListener(type, callback) {
-		// Create new listener instance
-		const listener = new EventListener.Listener(type, callback);
+	chebyshev(vector) {
+		const v = Vector._resolve(vector);
 
-		// Dispatch event for listener addition
-		this.dispatchEvent(EventListener.LISTENER_ADD_EVENT, {listener}, e => {
-			// Statically create a new instance of listeners Map on each inheritted class
-			if(!this.listenersMap) this.listenersMap = new Map();
+		return Math.max(Math.abs(v.x - this.x), Math.abs(v.y - this.y), Math.abs(v.z - this.z));
+	}
 
-			// Add listener to the list (create new list if it doesn't exist)		
-			if(!this.listenersMap.has(type)) this.listenersMap.set(type, [listener]);
-			else /**@type {JLListener[]}*/(this.listenersMap.get(type)).push(listener);
-		});
+	/**
+	 * Calculates the unsigned angle between current Vector and given Vector.
+	 * @param {VectorLike} vector
+	 * @return {number} Angle in radians (in range 0 - PI).
+	 * @memberof Vector
+	 */
+	angleBetween(vector) {
+		const v = Vector._resolve(vector);
 
-		// Return newly created listener instance
-		return listener;
+		return Math.atan2(this.cross(v).mag(), this.dot(v));
 	}
 
-	// eslint-disable-next-line valid-jsdoc
 	/**
-	 * Fires a specific event
-	 * @template {Record<string, any> | JLEvent} T
-	 * @template U
-	 * @param {string} type Event type
-	 * @param {T} [data={}] Custom event data
-	 * @param {(event: JLEvent & T) => U} [callback=null] Default action handler
-	 * @returns {Promise<U | undefined>} Returned value of the callback function
+	 * Calculates the 2D angle of current Vector (rotation from the positive X axis).
+	 * @return {number} Angle in radians (in range -PI - PI).
+	 * @memberof Vector
 	 */
-	static async dispatchEvent(type, data, callback = undefined) {
-		// Setup the default event data
-		const defaultData = {
-			type: type,
-			time: new Date(),
-			defaultPreventable: !!callback
-		};
-
-		/** @type {JLEvent & T} */
-		let eventObject;
+	heading() {
+		return Math.atan2(this.y, this.x);
+	}
 
-		// Add the user provided data to the event object
-		if(data instanceof EventListener.Event) {
-			// Assign event object
-			eventObject = data;
-			eventObject.type = type;
+	/**
+	 * Rotates current Vector in 2D (around the Z axis).
+	 * @param {number} angle Angle in radians.
+	 * @return {this} 
+	 * @memberof Vector
+	 */
+	rotate(angle) {
+		const cos = Math.cos(angle);
+		const sin = Math.sin(angle);
+		const x = this.x;
 
-			// Add default data
-			for(const prop in defaultData) {
-				if(prop in eventObject) continue;
-				eventObject[prop] = defaultData[prop];
-			}
-		} else {
-			// Create a new event object
-			eventObject = /**@type {JLEvent & T}*/(new EventListener.Event(defaultData, data || {}));
-		}
+		this.x = x * cos - this.y * sin;
+		this.y = x * sin + this.y * cos;
 
-		// Get listeners for the type
-		const listeners = this.listenersMap && this.listenersMap.get(type);
+		return this;
+	}
 
-		// If there are no listeners for this type, call the callback right away
-		if(!listeners) return typeof callback === "function" ? callback(eventObject) : undefined;
+	/**
+	 * Rotates current Vector around given axis (Rodrigues' rotation formula).
+	 * @param {VectorLike} axis Axis of the rotation (does not have to be normalized).
+	 * @param {number} angle Angle in radians.
+	 * @return {this} 
+	 * @memberof Vector
+	 */
+	rotateAround(axis, angle) {
+		const k = Vector.normalize(axis);
+		if(k.x === 0 && k.y === 0 && k.z === 0) return this;
 
-		// Set the hasListener flag
-		eventObject.hasListener = true;
+		const cos = Math.cos(angle);
+		const sin = Math.sin(angle);
+		const cross = k.cross(this);
+		const dot = k.dot(this) * (1 - cos);
 
-		// Determine dispatch strategy
-		if(eventObject.async) {
-			if(eventObject.parallel) {
-				// Call all listeners in parallel
-				await Promise.all(listeners.map(listener => listener.callback(eventObject)));
-			} else {
-				// Call all listeners in series
-				for(const listener of listeners) {
-					if(eventObject.isStopped) break;
-					await listener.callback(eventObject);
-				}
-			}
-		} else {
-			// Call all listeners
-			for(const listener of listeners) {
-				if(eventObject.isStopped) break;
-				listener.callback(eventObject);
-			}
-		}
+		this.x = this.x * cos + cross.x * sin + k.x * dot;
+		this.y = this.y * cos + cross.y * sin + k.y * dot;
+		this.z = this.z * cos + cross.z * sin + k.z * dot;
 
-		// Call the default action handler if the event wasn't prevented
-		if(!eventObject.defaultPrevented && typeof callback === "function") return callback(eventObject);
+		return this;
 	}
 
 	/**
-	 * Removes event handler
-	 * @param {JLListener} listener Event listener returned by EventListener.addEventListener()
-	 * @returns {boolean} Returns true if listener was removed successfully
+	 * Sets current Vector to its 2D perpendicular (rotated by 90 degrees around the Z axis).
+	 * @return {this} 
+	 * @memberof Vector
 	 */
-	static removeEventListener(listener) {
-		// Try to get listeners for the type
-		const listeners = this.listenersMap && this.listenersMap.get(listener.type);
-		if(!listeners) return false;
+	perpendicular() {
+		const x = this.x;
 
-		// Try to find the listener
-		const index = listeners.indexOf(listener);
-		if(index === -1) return false;
+		this.x = -this.y;
+		this.y = x;
 
-		// Remove the listener
-		listeners.splice(index, 1);
-		return true;
+		return this;
 	}
 
 	/**
-	 * @param {string} type
-	 * @return {boolean} 
-	 * @memberof EventListener
+	 * Sets current Vector to its projection onto given Vector.
+	 * @param {VectorLike} vector
+	 * @return {this} 
+	 * @memberof Vector
 	 */
-	static hasListeners(type) {
-		if(!this.listenersMap) return false;
-		return this.listenersMap.has(type);
+	projectOnto(vector) {
+		const v = Vector._resolve(vector);
+
+		const lengthSquared = v.dot();
+		const factor = lengthSquared === 0 ? 0 : this.dot(v) / lengthSquared;
+
+		this.x = v.x * factor;
+		this.y = v.y * factor;
+		this.z = v.z * factor;
+
+		return this;
 	}
 
 	/**
-	 * @deprecated
-	 * @return {JLListener[]} 
-	 * @memberof EventListener
+	 * Sets current Vector to its rejection from given Vector (component perpendicular to the given Vector).
+	 * @param {VectorLike} vector
+	 * @return {this} 
+	 * @memberof Vector
 	 */
-	static get listeners() {
-		if(!this.listenersMap) return [];
-		return Array.from(this.listenersMap.values()).flat();
+	reject(vector) {
+		return this.sub(Vector.from(this).projectOnto(vector));
 	}
-}
 
-/**
- * This is a static property on base class, do not access it directly!
- * @type {Map<string, JLListener[]>}
- */
-EventListenerStatic.listenersMap = new Map();
+	/**
+	 * Reflects current Vector off the surface with given normal.
+	 * @param {VectorLike} normal Normal of the surface (does not have to be normalized).
+	 * @return {this} 
+	 * @memberof Vector
+	 */
+	reflect(normal) {
+		const n = Vector.normalize(normal);
 
-/**
- * @type {
-	((type: "__listenerAddEvent__", callback: (event: JLEvent & {listener: JLListener}) => void) => JLListener)
-   }
- * @alias EventListener.addEventListener
- */
-EventListenerStatic.on = /**@type {any}*/(EventListenerStatic.addEventListener);
+		return this.sub(n.mult(2 * this.dot(n)));
+	}
 
-/**
- * Seedable random number generator.
- */
-class RandomGenerator {
-	constructor(seed = ~~(Math.random() * 2147483647)) {
-		this.setSeed(seed);
-		this.initialSeed = this.currentSeed;
+	/**
+	 * Linearly interpolates current Vector towards given Vector.
+	 * @param {VectorLike} vector Target vector (t = 1).
+	 * @param {number} t Interpolation factor.
+	 * @return {this} 
+	 * @memberof Vector
+	 */
+	lerp(vector, t) {
+		const v = Vector._resolve(vector);
 
-		/** @type {((bound: number) => number) & ((origin: number, bound: number) => number)} */
-		this.nextInt;
+		this.x += (v.x - this.x) * t;
+		this.y += (v.y - this.y) * t;
+		this.z += (v.z - this.z) * t;
+
+		return this;
 	}
 
 	/**
-	 * Set seed of generator.
-	 * @param {number} seed Seed of sequence, must be an integer!
-	 * @returns {number} seed.
+	 * Spherically interpolates current Vector towards given Vector. Direction is rotated with constant angular speed and magnitude is interpolated linearly.
+	 * @param {VectorLike} vector Target vector (t = 1).
+	 * @param {number} t Interpolation factor.
+	 * @return {this} 
+	 * @memberof Vector
 	 */
-	setSeed(seed) {
-		if(typeof seed !== "number") throw new TypeError("Seed " + seed + " is not valid number");
-		if((seed = seed % 2147483647) <= 0) seed += 2147483646;
+	slerp(vector, t) {
+		const v = Vector._resolve(vector);
 
-		return (this.currentSeed = seed);
+		const magA = this.mag();
+		const magB = v.mag();
+		if(magA === 0 || magB === 0) return this.lerp(v, t);
+
+		const angle = this.angleBetween(v);
+		const mag = magA + (magB - magA) * t;
+
+		// Almost parallel vectors
+		if(angle < 1e-6) return this.lerp(v, t);
+
+		// Almost opposite vectors have no unique rotation plane, so any perpendicular axis is used (Z axis for 2D vectors)
+		let axis = this.cross(v);
+		if(axis.mag() < 1e-6 * magA * magB) {
+			if(this.z === 0 && v.z === 0) axis = new Vector(0, 0, 1);
+			else axis = this.cross(Math.abs(this.x) < Math.abs(this.z) ? new Vector(1, 0, 0) : new Vector(0, 0, 1));
+
+			if(axis.mag() === 0) axis = this.cross(new Vector(0, 1, 0));
+		}
+
+		return this.rotateAround(axis, angle * t).setMag(mag);
 	}
 
 	/**
-	 * Generates next floating point number in sequence.
-	 * @returns {number} Random number in sequence (in range [0.0, 1.0]).
+	 * Limits the magnitude of current Vector.
+	 * @param {number} max Maximum magnitude.
+	 * @return {this} 
+	 * @memberof Vector
 	 */
-	next() {
-		return (((this.currentSeed = (this.currentSeed * 16807) % 2147483647) - 1) / 2147483646);
+	limit(max) {
+		if(this.dot() > max * max) this.setMag(max);
+
+		return this;
 	}
 
 	/**
-	 * Generates next floating point number in sequence.
-	 * @param {number} origin
-	 * @param {number} [bound]
-	 * @returns {number} Random number in sequence (in range [0.0, bound-1] or [origin, bound]).
+	 * Checks if the components of the current Vector are equal to components of another Vector.
+	 * @param {VectorLike} vector
+	 * @param {number} [epsilon=0] Maximum allowed difference of the components.
+	 * @return {boolean} 
+	 * @memberof Vector
 	 */
-	nextFloat(origin, bound) {
-		if(bound == undefined) {
-			return this.next() * origin;
-		}
+	isEqual(vector, epsilon = 0) {
+		const v = Vector._resolve(vector);
 
-		return this.next() * (bound - origin + 1) + origin;
+		return (this.x == v.x || Math.abs(this.x - v.x) <= epsilon) &&
+			(this.y == v.y || Math.abs(this.y - v.y) <= epsilon) &&
+			(this.z == v.z || Math.abs(this.z - v.z) <= epsilon);
 	}
 
 	/**
-	 * Generates next integer in sequence.
-	 * @param {number} origin
-	 * @param {number} [bound]
-	 * @returns {number} Random number in sequence (in range [0, bound-1] or [origin, bound]).
+	 * Converts current Vector into {size}X1 matrix
+	 * @param {number} [size=4] Number of components to include in the matrix. (Fourth component is always 1.)
+	 * @return {Matrix} 
+	 * @memberof Vector
 	 */
-	nextInt(origin, bound) {
-		return ~~this.nextFloat(origin, bound);
+	toMatrix(size = 4) {
+		return new Matrix([
+			[this.x],
+			[this.y],
+			[this.z],
+			[1]
+		].slice(0, size));
 	}
 
 	/**
-	 * Generates next random boolean in sequence.
-	 * @returns {boolean} Random boolean.
+	 * Converts current Vector into a new `Dimensions` object.
+	 * @return {Dimensions} 
+	 * @memberof Vector
 	 */
-	nextBoolean() {
-		return this.next() < 0.5;
+	toDimensions() {
+		return new Dimensions(this.x, this.y, this.z);
 	}
 
 	/**
-	 * Shuffles input array elements randomly
-	 * @template T
-	 * @param {T[]} array
-	 * @return {T[]} 
-	 * @memberof RandomGenerator
+	 * Converts current Vector into 1D array.
+	 * @param {number} [size=3] Number of components to include in the array. (Fourth component is always 1.)
+	 * @return {Array<number>} 
+	 * @memberof Vector
 	 */
-	shuffle(array) {
-		let length = array.length;
-
-		while(length) {
-			const index = this.nextInt(length--);
-			const temp = array[length];
-
-			array[length] = array[index];
-			array[index] = temp;
-		}
+	toArray(size = 3) {
+		return [this.x, this.y, this.z, 1].slice(0, size);
+	}
 
-		return array;
+	/**
+	 * Converts current Vector into 2D polar coordinates (Z component is ignored).
+	 * @return {PolarCoordinates} 
+	 * @memberof Vector
+	 */
+	toPolar() {
+		return {
+			radius: Math.hypot(this.x, this.y),
+			angle: Math.atan2(this.y, this.x)
+		};
 	}
 
 	/**
-	 * Picks random element from array
-	 * @template T
-	 * @param {T[]} array Input array
-	 * @returns {T} Random element from array
-	 * @memberof RandomGenerator
+	 * Converts current Vector into spherical coordinates.
+	 * @param {SphericalConvention} [convention="physics"] Meaning of the `theta` and `phi` angles.
+	 * @return {SphericalCoordinates} 
+	 * @memberof Vector
 	 */
-	choice(array) {
-		return array[this.nextInt(array.length)];
+	toSpherical(convention = "physics") {
+		const radius = this.mag();
+		const azimuth = Math.atan2(this.y, this.x);
+		const polar = radius === 0 ? 0 : Math.acos(Math.min(Math.max(this.z / radius, -1), 1));
+
+		switch(convention) {
+			case "physics":
+				return {radius, theta: polar, phi: azimuth};
+			case "math":
+				return {radius, theta: azimuth, phi: polar};
+			case "elevation":
+				return {radius, theta: azimuth, phi: Math.PI / 2 - polar};
+			default:
+				throw new TypeError(`Invalid spherical convention '${convention}'`);
+		}
 	}
 
 	/**
-	 * Generates a random number fitting a Gaussian distribution
-	 * @param {number} min Lower bound of distribution
-	 * @param {number} max Upper bound of distribution
-	 * @param {number} [skew=1] Distribution skew
-	 * @return {number} Random number in gaussian distribution
-	 * @memberof RandomGenerator
+	 * Converts current Vector into cylindrical coordinates (around the Z axis).
+	 * @return {CylindricalCoordinates} 
+	 * @memberof Vector
 	 */
-	gaussian(min, max, skew = 1) {
-		let u = 0, v = 0;
-		while(u === 0) u = this.next();
-		while(v === 0) v = this.next();
-
-		let num = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v) / 10 + 0.5;
-		if(num > 1 || num < 0) num = this.gaussian(min, max, skew);
-
-		return Math.pow(num, skew) * (max - min) + min;
+	toCylindrical() {
+		return {
+			radius: Math.hypot(this.x, this.y),
+			angle: Math.atan2(this.y, this.x),
+			z: this.z
+		};
 	}
-}
 
-/**
- * Allows to create area for dropping files and data
- */
-class DropArea extends EventListener {
 	/**
-	 * Creates area to drop data
-	 * @param {HTMLElement} rootNode Droppable area
+	 * Converts current Vector into complex number (X as real part, Y as imaginary part).
+	 * @param {string} [unit="i"] Imaginary unit identifier
+	 * @return {ComplexNumber} 
+	 * @memberof Vector
 	 */
-	constructor(rootNode) {
-		super();
-
-		/**
-		 * @type {
-				EventListener["on"] &
-				((event: 'drop', callback: (event: EventListener.Event) => void) => EventListener.Listener) &
-				((event: 'focus', callback: (event: EventListener.Event) => void) => EventListener.Listener) &
-				((event: 'blur', callback: (event: EventListener.Event) => void) => EventListener.Listener) &
-				((event: 'dragenter', callback: (event: EventListener.Event) => void) => EventListener.Listener) &
-				((event: 'dragover', callback: (event: EventListener.Event) => void) => EventListener.Listener) &
-				((event: 'dragleave', callback: (event: EventListener.Event) => void) => EventListener.Listener) 
-			}
-		*/
-		// @ts-ignore
-		this.on;
-
-		this.root = rootNode;
-		this.counter = 0;
+	toComplex(unit = "i") {
+		return ComplexNumber.fromVector(this, unit);
+	}
 
-		const events = ["dragenter", "dragover", "dragleave", "drop"];
-		const focusEvents = ["dragenter", "dragover"];
-		const blurEvents = ["dragleave", "drop"];
+	/**
+	 * Converts current Vector into string representation.
+	 * @return {string} String represented as "[x, y, z]".
+	 * @memberof Vector
+	 */
+	toString() {
+		return `[${this.x}, ${this.y}, ${this.z}]`;
+	}
 
-		events.forEach(event => {
-			this.root.addEventListener(event, e => {
-				e.preventDefault();
-				e.stopPropagation();
+	/**
+	 * Creates a new Vector instance from given angle(s).
+	 * @static
+	 * @param {number} theta
+	 * @param {number} [phi=0]
+	 * @return {Vector}
+	 * @memberof Vector
+	 */
+	static fromAngle(theta, phi = 0) {
+		return new Vector(
+			Math.cos(theta) * Math.cos(phi),
+			Math.sin(theta) * Math.cos(phi),
+			Math.sin(phi)
+		);
+	}
 
-				var isFirst = !this.counter;
+	/**
+	 * Creates a new 2D Vector instance from polar coordinates.
+	 * @static
+	 * @param {number} radius Distance from origin.
+	 * @param {number} angle Angle in radians from the positive X axis.
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static fromPolar(radius, angle) {
+		return new Vector(radius * Math.cos(angle), radius * Math.sin(angle));
+	}
 
-				if(event == "dragenter") this.counter++;
-				if(event == "dragleave" || event == "drop") this.counter--;
-				if(this.counter && !isFirst) return;
+	/**
+	 * Creates a new Vector instance from spherical coordinates.
+	 * @static
+	 * @param {number} radius Distance from origin.
+	 * @param {number} theta First angle in radians (see `convention`).
+	 * @param {number} phi Second angle in radians (see `convention`).
+	 * @param {SphericalConvention} [convention="physics"] Meaning of the `theta` and `phi` angles.
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static fromSpherical(radius, theta, phi, convention = "physics") {
+		let azimuth, polar;
+
+		switch(convention) {
+			case "physics":
+				polar = theta;
+				azimuth = phi;
+				break;
+			case "math":
+				azimuth = theta;
+				polar = phi;
+				break;
+			case "elevation":
+				azimuth = theta;
+				polar = Math.PI / 2 - phi;
+				break;
+			default:
+				throw new TypeError(`Invalid spherical convention '${convention}'`);
+		}
 
-				const EventData = {
-					target: this.root,
-				};
+		return new Vector(
+			radius * Math.sin(polar) * Math.cos(azimuth),
+			radius * Math.sin(polar) * Math.sin(azimuth),
+			radius * Math.cos(polar)
+		);
+	}
 
-				if(event == "drop") EventData.dataTransfer = /**@type {DragEvent}*/(e).dataTransfer;
-				if(focusEvents.includes(event)) this.dispatchEvent("focus", EventData);
-				if(blurEvents.includes(event)) this.dispatchEvent("blur", EventData);
+	/**
+	 * Creates a new Vector instance from cylindrical coordinates (around the Z axis).
+	 * @static
+	 * @param {number} radius Distance from the Z axis.
+	 * @param {number} angle Angle in radians from the positive X axis.
+	 * @param {number} [z=0] Height along the Z axis.
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static fromCylindrical(radius, angle, z = 0) {
+		return new Vector(radius * Math.cos(angle), radius * Math.sin(angle), z);
+	}
 
-				this.dispatchEvent(event, EventData);
-			}, false);
-		});
+	/**
+	 * Creates a new 2D Vector instance from complex number (real part as X, imaginary part as Y).
+	 * @static
+	 * @param {ComplexNumber} number
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static fromComplex(number) {
+		return number.toVector();
 	}
-}
 
-class TimingInterface {
-	// eslint-disable-next-line valid-jsdoc
 	/**
+	 * Creates a new Vector instance from given array.
 	 * @static
-	 * @return {() => number} 
-	 * @memberof TimingInterface
+	 * @param {Array<number>} array
+	 * @return {Vector} 
+	 * @memberof Vector
 	 */
-	static _createInterface() {
-		// Check if document.timeline.currentTime is available and return the corresponding function
-		if(
-			typeof document !== "undefined" &&
-			document.timeline &&
-			typeof document.timeline.currentTime === "number"
-		) {
-			return () => /**@type {number}*/(document.timeline.currentTime);
-		}
+	static fromArray(array) {
+		return new Vector(array[0] || 0, array[1] || 0, array[2] || 0);
+	}
 
-		// Check if performance.now is available and return the corresponding function
-		if(typeof performance !== "undefined" && typeof performance.now === "function") {
-			return () => performance.now();
+	/**
+	 * Creates a random vector.
+	 * @static
+	 * @param {boolean} [unit=true] If `true`, vector will be normalized, otherwise all components will be random numbers between 0 and 1.
+	 * @param {RandomGenerator} [rng=null] Random generator to use. If not provided, a JavaScript built-in random generator will be used.
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static random(unit = true, rng = undefined) {
+		if(unit) {
+			return rng ?
+				Vector.fromAngle(rng.next() * TWO_PI, rng.next() * TWO_PI) :
+				Vector.fromAngle(Math.random() * TWO_PI, Math.random() * TWO_PI);
+		} else {
+			return rng ?
+				new Vector(rng.next(), rng.next(), rng.next()) :
+				new Vector(Math.random(), Math.random(), Math.random());
 		}
-
-		// Fallback to Date.now and return the corresponding function
-		const start = Date.now();
-		return () => Date.now() - start;
 	}
-}
-TimingInterface.getTime = TimingInterface._createInterface();
 
-// eslint-disable-next-line valid-jsdoc
-/**
- * @deprecated
- * @param {((value: number) => void) | string} output
- * @param {number} [min=0]
- * @param {number} [max=100]
- * @param {number} [step=1]
- * @param {number} [value=(min + max) / 2]
- * @param {string | HTMLElement} [elm=JL("body", 0)]
- * @param {string} [cls="slider"]
- */
-function createSlider(
-	output,
-	min = 0,
-	max = 100,
-	step = 1,
-	value = (min + max) / 2,
-	elm = JL("body", 0),
-	cls = "slider"
-) {
-	const isSelector = typeof elm === "string";
+	/**
+	 * Creates a new Vector instance from given Vector, object with components or array.
+	 * @static
+	 * @param {VectorLike} vector
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static from(vector) {
+		return vector instanceof Vector ? vector.copy() : Vector._resolve(vector);
+	}
 
-	const node = /**@type {HTMLInputElement}*/(isSelector ? JL(elm, 0) : document.createElement("input"));
-	node.type = "range";
-	node.min = min + "";
-	node.max = max + "";
-	node.step = step + "";
-	node.value = value + "";
-	node.className = isSelector ? "" : cls;
+	/**
+	 * Adds two vectors. (Returns new Vector)
+	 * @static
+	 * @param {VectorLike} a
+	 * @param {VectorLike} b
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static add(a, b) {
+		return Vector.from(a).add(b);
+	}
 
-	const label = document.createElement("span");
-	label.innerText = value + "";
-	label.className = "sliderLabel_" + cls;
+	/**
+	 * Substracts second vector from the first one. (Returns new Vector)
+	 * @static
+	 * @param {VectorLike} a
+	 * @param {VectorLike} b
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static sub(a, b) {
+		return Vector.from(a).sub(b);
+	}
 
-	if(!isSelector) {
-		elm.appendChild(node);
+	/**
+	 * Multiplies vector by scalar. (Returns new Vector)
+	 * @static
+	 * @param {VectorLike} vector
+	 * @param {number} n
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static mult(vector, n) {
+		return Vector.from(vector).mult(n);
 	}
 
-	const container = (isSelector ? node.parentNode : elm);
-	if(container) container.appendChild(label);
+	/**
+	 * Divides vector by scalar. (Returns new Vector)
+	 * @static
+	 * @param {VectorLike} vector
+	 * @param {number} n
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static div(vector, n) {
+		return Vector.from(vector).div(n);
+	}
 
-	const call = () => {
-		label.innerText = node.value;
+	/**
+	 * Calculates component-wise minimum of two vectors. (Returns new Vector)
+	 * @static
+	 * @param {VectorLike} a
+	 * @param {VectorLike} b
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static min(a, b) {
+		return Vector.from(a).min(b);
+	}
 
-		if(typeof output === "string") eval(output + "=" + node.value);
-		else if(typeof output === "function") output(+node.value);
+	/**
+	 * Calculates component-wise maximum of two vectors. (Returns new Vector)
+	 * @static
+	 * @param {VectorLike} a
+	 * @param {VectorLike} b
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static max(a, b) {
+		return Vector.from(a).max(b);
+	}
 
-		throw new Error("[JustLib] Slider: Unknown output");
-	};
+	/**
+	 * Clamps vector to given range. (Returns new Vector)
+	 * @static
+	 * @param {VectorLike} vector
+	 * @param {VectorLike} minVector
+	 * @param {VectorLike} maxVector
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static clamp(vector, minVector, maxVector) {
+		return Vector.from(vector).clamp(minVector, maxVector);
+	}
 
-	node.addEventListener("change", call);
-	node.addEventListener("input", call);
-}
+	/**
+	 * Inverts vector. (Returns new Vector)
+	 * @static
+	 * @param {VectorLike} vector
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static invert(vector) {
+		return Vector.from(vector).invert();
+	}
 
-function createWindow(url, title, options = {}, center = false) {
-	var offsetX = window.screenLeft || window.screenX || 0;
-	var offsetY = window.screenTop || window.screenY || 0;
+	/**
+	 * Normalizes vector. (Returns new Vector)
+	 * @static
+	 * @param {VectorLike} vector
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static normalize(vector) {
+		return Vector.from(vector).normalize();
+	}
 
-	var width = window.outerWidth || screen.width;
-	var height = window.outerHeight || screen.height;
+	/**
+	 * Sets the magnitude of vector. (Returns new Vector)
+	 * @static
+	 * @param {VectorLike} vector
+	 * @param {number} length
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static setMag(vector, length) {
+		return Vector.from(vector).setMag(length);
+	}
 
-	var left = (width - options.width) / 2 + offsetX;
-	var top = (height - options.height) / 2 + offsetY;
+	/**
+	 * Calculates dot product of two vectors.
+	 * @static
+	 * @param {VectorLike} a
+	 * @param {VectorLike} b
+	 * @return {number} 
+	 * @memberof Vector
+	 */
+	static dot(a, b) {
+		return Vector._resolve(a).dot(b);
+	}
 
-	if(center) {
-		options.left = left;
-		options.top = top;
+	/**
+	 * Calculates cross product of two vectors. (Returns new Vector)
+	 * @static
+	 * @param {VectorLike} a
+	 * @param {VectorLike} b
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static cross(a, b) {
+		return Vector._resolve(a).cross(b);
 	}
 
-	var win = window.open(
-		url,
-		title,
-		options
-			.reduce((prev, {key, value}) => prev + `${key}=${value},`, "")
-			.slice(0, -1)
-	);
+	/**
+	 * Calculates the distance between two vectors.
+	 * @static
+	 * @param {VectorLike} a
+	 * @param {VectorLike} b
+	 * @return {number} 
+	 * @memberof Vector
+	 */
+	static distance(a, b) {
+		return Vector._resolve(a).distanceTo(b);
+	}
 
-	if(win) win.focus();
+	/**
+	 * Linearly interpolates between two vectors. (Returns new Vector)
+	 * @static
+	 * @param {VectorLike} a Start vector (t = 0).
+	 * @param {VectorLike} b End vector (t = 1).
+	 * @param {number} t Interpolation factor.
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static lerp(a, b, t) {
+		return Vector.from(a).lerp(b, t);
+	}
 
-	return win;
-}
+	/**
+	 * Spherically interpolates between two vectors. (Returns new Vector)
+	 * @static
+	 * @param {VectorLike} a Start vector (t = 0).
+	 * @param {VectorLike} b End vector (t = 1).
+	 * @param {number} t Interpolation factor.
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static slerp(a, b, t) {
+		return Vector.from(a).slerp(b, t);
+	}
 
+	/**
+	 * Converts vector-like value into Vector. Vector instances are returned unchanged.
+	 * @static
+	 * @param {VectorLike} vector
+	 * @return {Vector} 
+	 * @memberof Vector
+	 */
+	static _resolve(vector) {
+		if(vector instanceof Vector) return vector;
+		if(Array.isArray(vector)) return Vector.fromArray(vector);
+		if(vector && typeof vector === "object") return new Vector(vector.x, vector.y, vector.z);
 
-let HIDDEN, VISIBILITY_CHANGE;
-if(typeof document !== "undefined") {
-	if(typeof document.hidden !== "undefined") {
-		// Opera 12.10 and Firefox 18 and later support
-		HIDDEN = "hidden";
-		VISIBILITY_CHANGE = "visibilitychange";
-	} else if(typeof document["msHidden"] !== "undefined") {
-		HIDDEN = "msHidden";
-		VISIBILITY_CHANGE = "msvisibilitychange";
-	} else if(typeof document["webkitHidden"] !== "undefined") {
-		HIDDEN = "webkitHidden";
-		VISIBILITY_CHANGE = "webkitvisibilitychange";
+		throw new TypeError(`Invalid vector '${vector}'`);
 	}
 }
-/* ==== Modifying defaults ==== */
 
 /**
- * Remove diacritics from the string
- * @param {string} string String to remove diacritics from
- * @returns {string} New string without diacritics
+ * Fixed-size collection of 3D vectors stored as structure of arrays (separate `Float32Array` for each component).
+ * Useful for bulk operations on large number of vectors (e.g. particle systems) without allocating `Vector` objects.
+ *
+ * @class VectorBuffer
  */
-function removeAccents(string) {
-	return string.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-}
+class VectorBuffer {
+	/**
+	 * Creates an instance of VectorBuffer.
+	 * @param {number} size Number of vectors in the buffer (initialized to zeros).
+	 * @memberof VectorBuffer
+	 */
+	constructor(size) {
+		/**
+		 * Number of vectors in the buffer.
+		 * @type {number}
+		 */
+		this.size = size;
 
-/**
- * Remove diacritics from the string
- * @deprecated Use `removeAccents(string)` instead
- * @returns {string} New string without diacritics
- */
-String.prototype["removeAccents"] = function() {
-	return removeAccents(/**@type {string}*/(this));
-};
+		/**
+		 * X components of the vectors.
+		 * @type {Float32Array}
+		 */
+		this.x = new Float32Array(size);
 
-/**
- * Capitalize the string
- * @param {string} string String to capitalize
- * @returns {string} New string with first letter capital
- */
-function capitalize(string) {
-	return string.charAt(0).toUpperCase() + string.slice(1);
-}
+		/**
+		 * Y components of the vectors.
+		 * @type {Float32Array}
+		 */
+		this.y = new Float32Array(size);
 
-/**
- * Capitalize the string
- * @deprecated Use `capitalize(string)` instead
- * @returns {string} New string with first letter capital
- */
-String.prototype["capitalize"] = function() {
-	return capitalize(/**@type {string}*/(this));
-};
+		/**
+		 * Z components of the vectors.
+		 * @type {Float32Array}
+		 */
+		this.z = new Float32Array(size);
 
-try {
-	Object.defineProperty(Object.prototype, "reduce", {
-		// eslint-disable-next-line valid-jsdoc
 		/**
-		 * Equivalent of Array.prototype.reduce
-		 *
-		 * Calls the specified callback function for all the key-value pairs in a object. The return value of the callback function is the accumulated result, and is provided as an argument in the next call to the callback function.
-		 *
-		 * @deprecated Use Object.reduce(object, callbackfn, initialValue) instead
-		 * @param {(previousValue: any, currentValue: {key: string, value: any}, currentIndex: number, object: Object) => any} callbackfn A function that accepts up to four arguments. The reduce method calls the callbackfn function one time for each key-value pair in the object.
-		 * @param {any} initialValue  If initialValue is specified, it is used as the initial value to start the accumulation. The first call to the callbackfn function provides this value as an argument instead of value of the first key-value pair in the object.
-		 * @return {any} Accumulated result.
-		 * @example
-		 * // Sum of all values in object
-		 * var object = {apples: 14, oranges: 8, bananas: 23};	// Our object
-		 * object.reduce((prev, curr) => prev + curr.value);	// 45
-		 * @example
-		 * // Parse object as URL query string
-		 * var object = {apples: 14, oranges: 8, bananas: 23};	// Our object
-		 * object.reduce((prev, {key, value}, i) => {	// We can use object deconstruction for key-value pair
-		 * 	var curr = `${i ? "&" : ""}${key}=${value}`;	// If the call is first, don't put "&" at start (we put there "?")
-		 * 	return prev + curr;	// Return new string
-		 * }, "?");	// Start with "?"
+		 * Reusable Vector returned by `get()`.
+		 * @type {Vector}
 		 */
-		value: function(callbackfn, initialValue = Object.values(this)[0]) {
-			var keys = Object.keys(this);
-			var previousValue = initialValue;
-			var currentIndex;
-			var object = this;
+		this._view = new Vector();
+	}
 
-			if(typeof callbackfn !== "function")
-				throw new TypeError(callbackfn + " is not a function");
-			if(typeof initialValue === "undefined" && !keys.length)
-				throw new TypeError("Reduce of empty object with no initial value");
+	/**
+	 * Reads vector at given index into temporary Vector. The same Vector instance is reused by every call,
+	 * so copy it if you need to keep the value. Changes of the Vector are not written back (use `set()`).
+	 * @param {number} i Index of the vector.
+	 * @param {Vector} [out] Vector to store the result into (defaults to shared temporary Vector).
+	 * @return {Vector} 
+	 * @memberof VectorBuffer
+	 */
+	get(i, out = this._view) {
+		if(i < 0 || i >= this.size) throw new Error("Index out of bounds");
 
-			for(currentIndex = +(initialValue == Object.values(this)[0]); currentIndex < keys.length; currentIndex++) {
-				var key = keys[currentIndex];
-				var value = object[key];
-				previousValue = callbackfn(
-					previousValue,
-					{key, value},
-					currentIndex,
-					object
-				);
-			}
+		out.x = this.x[i];
+		out.y = this.y[i];
+		out.z = this.z[i];
 
-			return previousValue;
-		},
-		writable: true,
-		enumerable: false
-	});
-} catch(e) { }
+		return out;
+	}
 
-try {
-	Object.defineProperty(Object, "reduce", {
-		// eslint-disable-next-line valid-jsdoc
-		/**
-		 * Equivalent of Array.prototype.reduce for Object keys and values
-		 *
-		 * Calls the specified callback function for all the key-value pairs in a object. The return value of the callback function is the accumulated result, and is provided as an argument in the next call to the callback function.
-		 *
-		 * @param {Object} o Target object to reduce.
-		 * @param {(previousValue: any, currentValue: [key: string, value: any], currentIndex: number, object: Object) => any} callbackfn A function that accepts up to four arguments. The reduce method calls the callbackfn function one time for each key-value pair in the object.
-		 * @param {any} [initialValue]  If initialValue is specified, it is used as the initial value to start the accumulation. The first call to the callbackfn function provides this value as an argument instead of value of the first key-value pair in the object.
-		 * @return {any} Accumulated result.
-		 * @example
-		 * // Sum of all values in object
-		 * const object = {apples: 14, oranges: 8, bananas: 23};	// Our object
-		 * Object.reduce(object, (prev, [key, value]) => prev + value);	// 45
-		 * @example
-		 * // Parse object as URL query string
-		 * const object = {apples: 14, oranges: 8, bananas: 23};  // Our object
-		 * Object.reduce(object, (prev, [key, value], i) => {   // We can use object destruction for key-value pair
-		 * 	return prev + `${i ? "&" : ""}${key}=${value}`;	// If the call is first, don't put "?" at start (we put there "&")
-		 * }, "?");	// Start with "?"
-		 */
-		value: function(o, callbackfn, initialValue = Object.values(o)[0]) {
-			const keys = Object.keys(o);
-			let previousValue = initialValue;
+	/**
+	 * Sets vector at given index.
+	 * @param {number} i Index of the vector.
+	 * @param {VectorLike} vector
+	 * @return {this} 
+	 * @memberof VectorBuffer
+	 */
+	set(i, vector) {
+		if(i < 0 || i >= this.size) throw new Error("Index out of bounds");
 
-			if(typeof callbackfn !== "function")
-				throw new TypeError(callbackfn + " is not a function");
-			if(typeof initialValue === "undefined" && !keys.length)
-				throw new TypeError("Reduce of empty object with no initial value");
+		const v = Vector._resolve(vector);
 
-			for(let currentIndex = +(initialValue == Object.values(o)[0]); currentIndex < keys.length; currentIndex++) {
-				const key = keys[currentIndex];
-				const value = o[key];
+		this.x[i] = v.x;
+		this.y[i] = v.y;
+		this.z[i] = v.z;
 
-				previousValue = callbackfn(
-					previousValue,
-					[key, value],
-					currentIndex,
-					o
-				);
-			}
+		return this;
+	}
 
-			return previousValue;
-		},
-		writable: true
-	});
-} catch(e) { }
+	/**
+	 * Sets all vectors in given range to the same value.
+	 * @param {VectorLike} vector
+	 * @param {number} [start=0] Start index.
+	 * @param {number} [end=this.size] End index (exclusive).
+	 * @return {this} 
+	 * @memberof VectorBuffer
+	 */
+	fill(vector, start = 0, end = this.size) {
+		this._checkRange(start, end);
+		const v = Vector._resolve(vector);
 
-try {
-	Object.defineProperty(Array.prototype, "toMatrix", {
-		value: function() {
-			var mat = new Matrix(this.length, 1);
-			for(var i = 0; i < mat.rows; i++) {
-				mat.matrix[i][0] = this[i];
-			}
-			return mat;
-		},
-		writable: false,
-	});
-} catch(e) { }
+		this.x.fill(v.x, start, end);
+		this.y.fill(v.y, start, end);
+		this.z.fill(v.z, start, end);
+
+		return this;
+	}
+
+	/**
+	 * Adds constant vector or corresponding vectors of another buffer to vectors in given range.
+	 * @param {VectorLike | VectorBuffer} vector
+	 * @param {number} [start=0] Start index.
+	 * @param {number} [end=this.size] End index (exclusive).
+	 * @return {this} 
+	 * @memberof VectorBuffer
+	 */
+	add(vector, start = 0, end = this.size) {
+		if(vector instanceof VectorBuffer) return this.addScaled(vector, 1, start, end);
+
+		this._checkRange(start, end);
+		const v = Vector._resolve(vector);
+
+		const {x, y, z} = this;
+		for(let i = start; i < end; i++) {
+			x[i] += v.x;
+			y[i] += v.y;
+			z[i] += v.z;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Adds corresponding vectors of another buffer multiplied by scalar to vectors in given range.
+	 * @param {VectorBuffer} buffer
+	 * @param {number} factor
+	 * @param {number} [start=0] Start index.
+	 * @param {number} [end=this.size] End index (exclusive).
+	 * @return {this} 
+	 * @memberof VectorBuffer
+	 */
+	addScaled(buffer, factor, start = 0, end = this.size) {
+		this._checkRange(start, end);
+		if(end > buffer.size) throw new Error("Index out of bounds");
+
+		const {x, y, z} = this;
+		for(let i = start; i < end; i++) {
+			x[i] += buffer.x[i] * factor;
+			y[i] += buffer.y[i] * factor;
+			z[i] += buffer.z[i] * factor;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Multiplies vectors in given range by scalar.
+	 * @param {number} factor
+	 * @param {number} [start=0] Start index.
+	 * @param {number} [end=this.size] End index (exclusive).
+	 * @return {this} 
+	 * @memberof VectorBuffer
+	 */
+	scale(factor, start = 0, end = this.size) {
+		this._checkRange(start, end);
+
+		const {x, y, z} = this;
+		for(let i = start; i < end; i++) {
+			x[i] *= factor;
+			y[i] *= factor;
+			z[i] *= factor;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Integrates vectors in given range using explicit Euler method (`this += rates * dt`), e.g. positions from velocities.
+	 * @param {VectorBuffer} rates Buffer with rates of change (e.g. velocities).
+	 * @param {number} dt Time step.
+	 * @param {number} [start=0] Start index.
+	 * @param {number} [end=this.size] End index (exclusive).
+	 * @return {this} 
+	 * @memberof VectorBuffer
+	 */
+	integrate(rates, dt, start = 0, end = this.size) {
+		return this.addScaled(rates, dt, start, end);
+	}
+
+	/**
+	 * Normalizes vectors in given range. Zero vectors are left unchanged.
+	 * @param {number} [start=0] Start index.
+	 * @param {number} [end=this.size] End index (exclusive).
+	 * @return {this} 
+	 * @memberof VectorBuffer
+	 */
+	normalize(start = 0, end = this.size) {
+		this._checkRange(start, end);
+
+		const {x, y, z} = this;
+		for(let i = start; i < end; i++) {
+			const m = Math.sqrt(x[i] * x[i] + y[i] * y[i] + z[i] * z[i]);
+			if(m === 0) continue;
+
+			x[i] /= m;
+			y[i] /= m;
+			z[i] /= m;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Calculates distances of vectors in given range from a point.
+	 * @param {VectorLike} point
+	 * @param {Float32Array} [out] Array to store the distances into (indexed from 0 for `start`).
+	 * @param {number} [start=0] Start index.
+	 * @param {number} [end=this.size] End index (exclusive).
+	 * @return {Float32Array} 
+	 * @memberof VectorBuffer
+	 */
+	distances(point, out = undefined, start = 0, end = this.size) {
+		this._checkRange(start, end);
+		const p = Vector._resolve(point);
+
+		if(!out) out = new Float32Array(end - start);
+		else if(out.length < end - start) throw new Error("Output array is too small!");
+
+		const {x, y, z} = this;
+		for(let i = start; i < end; i++) {
+			out[i - start] = Math.hypot(x[i] - p.x, y[i] - p.y, z[i] - p.z);
+		}
+
+		return out;
+	}
+
+	/**
+	 * Finds index of the vector in given range closest to a point.
+	 * @param {VectorLike} point
+	 * @param {number} [start=0] Start index.
+	 * @param {number} [end=this.size] End index (exclusive).
+	 * @return {number} Index of the closest vector or -1 for empty range.
+	 * @memberof VectorBuffer
+	 */
+	nearest(point, start = 0, end = this.size) {
+		this._checkRange(start, end);
+		const p = Vector._resolve(point);
+
+		const {x, y, z} = this;
+		let index = -1;
+		let min = Infinity;
+
+		for(let i = start; i < end; i++) {
+			const dx = x[i] - p.x;
+			const dy = y[i] - p.y;
+			const dz = z[i] - p.z;
+			const distance = dx * dx + dy * dy + dz * dz;
+
+			if(distance < min) {
+				min = distance;
+				index = i;
+			}
+		}
+
+		return index;
+	}
+
+	/**
+	 * Finds indices of the vectors in given range within radius from a point.
+	 * @param {VectorLike} point
+	 * @param {number} radius
+	 * @param {number} [start=0] Start index.
+	 * @param {number} [end=this.size] End index (exclusive).
+	 * @return {number[]} 
+	 * @memberof VectorBuffer
+	 */
+	queryRadius(point, radius, start = 0, end = this.size) {
+		this._checkRange(start, end);
+		const p = Vector._resolve(point);
+
+		const {x, y, z} = this;
+		const radiusSquared = radius * radius;
+		const result = [];
+
+		for(let i = start; i < end; i++) {
+			const dx = x[i] - p.x;
+			const dy = y[i] - p.y;
+			const dz = z[i] - p.z;
+
+			if(dx * dx + dy * dy + dz * dz <= radiusSquared) result.push(i);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Creates copy of the buffer.
+	 * @return {VectorBuffer} 
+	 * @memberof VectorBuffer
+	 */
+	copy() {
+		const buffer = new VectorBuffer(this.size);
+
+		buffer.x.set(this.x);
+		buffer.y.set(this.y);
+		buffer.z.set(this.z);
+
+		return buffer;
+	}
+
+	/**
+	 * Converts the buffer into array of new Vector instances.
+	 * @return {Vector[]} 
+	 * @memberof VectorBuffer
+	 */
+	toArray() {
+		const result = new Array(this.size);
+		for(let i = 0; i < this.size; i++) result[i] = new Vector(this.x[i], this.y[i], this.z[i]);
+
+		return result;
+	}
+
+	/**
+	 * Checks whether the index range is valid.
+	 * @param {number} start
+	 * @param {number} end
+	 * @memberof VectorBuffer
+	 */
+	_checkRange(start, end) {
+		if(start < 0 || end > this.size || start > end) throw new Error("Index out of bounds");
+	}
+
+	/**
+	 * Creates VectorBuffer from array of vectors.
+	 * @static
+	 * @param {VectorLike[]} vectors
+	 * @return {VectorBuffer} 
+	 * @memberof VectorBuffer
+	 */
+	static fromArray(vectors) {
+		const buffer = new VectorBuffer(vectors.length);
+		for(let i = 0; i < vectors.length; i++) buffer.set(i, vectors[i]);
+
+		return buffer;
+	}
+}
+
+/**
+ * A class to describe a Vector with arbitrary number of components, backed by a typed array.
+ *
+ * @class VectorN
+ */
+class VectorN {
+	/**
+	 * Creates an instance of VectorN.
+	 * @param {number | ArrayLike<number>} [components=0] Number of components (initialized to zeros) or array of components.
+	 * @memberof VectorN
+	 */
+	constructor(components = 0) {
+		/**
+		 * Components of the vector.
+		 * @type {Float64Array}
+		 */
+		this.data = typeof components === "number" ? new Float64Array(components) : Float64Array.from(components);
+	}
+
+	/**
+	 * Number of components of the vector.
+	 * @readonly
+	 * @type {number}
+	 * @memberof VectorN
+	 */
+	get size() {
+		return this.data.length;
+	}
+
+	/**
+	 * Returns component at given index.
+	 * @param {number} i
+	 * @return {number} 
+	 * @memberof VectorN
+	 */
+	get(i) {
+		if(i < 0 || i >= this.data.length) throw new Error("Index out of bounds");
+
+		return this.data[i];
+	}
+
+	/**
+	 * Sets component at given index.
+	 * @param {number} i
+	 * @param {number} value
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	set(i, value) {
+		if(i < 0 || i >= this.data.length) throw new Error("Index out of bounds");
+
+		this.data[i] = value;
+
+		return this;
+	}
+
+	/**
+	 * Adds VectorN (or array) to current VectorN.
+	 * @param {VectorN | ArrayLike<number>} vector
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	add(vector) {
+		const other = this._resolve(vector);
+		for(let i = 0; i < this.data.length; i++) this.data[i] += other[i];
+
+		return this;
+	}
+
+	/**
+	 * Substracts VectorN (or array) from current VectorN.
+	 * @param {VectorN | ArrayLike<number>} vector
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	sub(vector) {
+		const other = this._resolve(vector);
+		for(let i = 0; i < this.data.length; i++) this.data[i] -= other[i];
+
+		return this;
+	}
+
+	/**
+	 * Multiplies current VectorN by scalar or component-wise by another VectorN (or array).
+	 * @param {number | VectorN | ArrayLike<number>} n
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	mult(n) {
+		if(typeof n === "number") {
+			for(let i = 0; i < this.data.length; i++) this.data[i] *= n;
+		} else {
+			const other = this._resolve(n);
+			for(let i = 0; i < this.data.length; i++) this.data[i] *= other[i];
+		}
+
+		return this;
+	}
+
+	/**
+	 * Divides current VectorN by scalar or component-wise by another VectorN (or array).
+	 * @param {number | VectorN | ArrayLike<number>} n
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	div(n) {
+		if(typeof n === "number") {
+			for(let i = 0; i < this.data.length; i++) this.data[i] /= n;
+		} else {
+			const other = this._resolve(n);
+			for(let i = 0; i < this.data.length; i++) this.data[i] /= other[i];
+		}
+
+		return this;
+	}
+
+	/**
+	 * Sets current VectorN to component-wise minimum of itself and given VectorN.
+	 * @param {VectorN | ArrayLike<number>} vector
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	min(vector) {
+		const other = this._resolve(vector);
+		for(let i = 0; i < this.data.length; i++) this.data[i] = Math.min(this.data[i], other[i]);
+
+		return this;
+	}
+
+	/**
+	 * Sets current VectorN to component-wise maximum of itself and given VectorN.
+	 * @param {VectorN | ArrayLike<number>} vector
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	max(vector) {
+		const other = this._resolve(vector);
+		for(let i = 0; i < this.data.length; i++) this.data[i] = Math.max(this.data[i], other[i]);
+
+		return this;
+	}
+
+	/**
+	 * Clamps components of current VectorN to given range.
+	 * @param {number | VectorN | ArrayLike<number>} min
+	 * @param {number | VectorN | ArrayLike<number>} max
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	clamp(min, max) {
+		const lower = typeof min === "number" ? null : this._resolve(min);
+		const upper = typeof max === "number" ? null : this._resolve(max);
+
+		for(let i = 0; i < this.data.length; i++) {
+			this.data[i] = Math.min(Math.max(this.data[i], lower ? lower[i] : /** @type {number} */ (min)), upper ? upper[i] : /** @type {number} */ (max));
+		}
+
+		return this;
+	}
+
+	/**
+	 * Inverts current VectorN.
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	invert() {
+		for(let i = 0; i < this.data.length; i++) this.data[i] = -this.data[i];
+
+		return this;
+	}
+
+	/**
+	 * Sets each component of current VectorN to its absolute value.
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	abs() {
+		for(let i = 0; i < this.data.length; i++) this.data[i] = Math.abs(this.data[i]);
+
+		return this;
+	}
+
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * Calls callback function on each component of current VectorN and stores the result.
+	 * @param {(value: number, index: number, thisArg: VectorN) => number} callback Callback function.
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	apply(callback) {
+		for(let i = 0; i < this.data.length; i++) this.data[i] = callback(this.data[i], i, this);
+
+		return this;
+	}
+
+	/**
+	 * Calculates dot product of current VectorN and given VectorN.
+	 * @param {VectorN | ArrayLike<number>} [vector=this] Vector to calculate dot product with. If not given, current VectorN is used, calculating the squared length of the VectorN.
+	 * @return {number} 
+	 * @memberof VectorN
+	 */
+	dot(vector = this) {
+		const other = this._resolve(vector);
+
+		let sum = 0;
+		for(let i = 0; i < this.data.length; i++) sum += this.data[i] * other[i];
+
+		return sum;
+	}
+
+	/**
+	 * Calculates sum of the components of current VectorN.
+	 * @return {number} 
+	 * @memberof VectorN
+	 */
+	sum() {
+		let sum = 0;
+		for(let i = 0; i < this.data.length; i++) sum += this.data[i];
+
+		return sum;
+	}
+
+	/**
+	 * Calculates the magnitude (length) of current VectorN.
+	 * @return {number} 
+	 * @memberof VectorN
+	 */
+	mag() {
+		return Math.sqrt(this.dot());
+	}
+
+	/**
+	 * Normalizes current VectorN.
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	normalize() {
+		const m = this.mag();
+
+		if(m != 0 && m != 1) this.div(m);
+
+		return this;
+	}
+
+	/**
+	 * Sets the magnitude of current VectorN.
+	 * @param {number} length
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	setMag(length) {
+		return this.normalize().mult(length);
+	}
+
+	/**
+	 * Limits the magnitude of current VectorN.
+	 * @param {number} max Maximum magnitude.
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	limit(max) {
+		if(this.dot() > max * max) this.setMag(max);
+
+		return this;
+	}
+
+	/**
+	 * Linearly interpolates current VectorN towards given VectorN.
+	 * @param {VectorN | ArrayLike<number>} vector Target vector (t = 1).
+	 * @param {number} t Interpolation factor.
+	 * @return {this} 
+	 * @memberof VectorN
+	 */
+	lerp(vector, t) {
+		const other = this._resolve(vector);
+		for(let i = 0; i < this.data.length; i++) this.data[i] += (other[i] - this.data[i]) * t;
+
+		return this;
+	}
+
+	/**
+	 * Calculates the Euclidean distance from current VectorN to a given VectorN.
+	 * @param {VectorN | ArrayLike<number>} vector
+	 * @return {number} 
+	 * @memberof VectorN
+	 */
+	distanceTo(vector) {
+		const other = this._resolve(vector);
+
+		let sum = 0;
+		for(let i = 0; i < this.data.length; i++) sum += (other[i] - this.data[i]) ** 2;
+
+		return Math.sqrt(sum);
+	}
+
+	/**
+	 * Calculates the Manhattan (taxicab) distance from current VectorN to a given VectorN.
+	 * @param {VectorN | ArrayLike<number>} vector
+	 * @return {number} 
+	 * @memberof VectorN
+	 */
+	manhattan(vector) {
+		const other = this._resolve(vector);
+
+		let sum = 0;
+		for(let i = 0; i < this.data.length; i++) sum += Math.abs(other[i] - this.data[i]);
+
+		return sum;
+	}
+
+	/**
+	 * Calculates the Chebyshev (maximum component) distance from current VectorN to a given VectorN.
+	 * @param {VectorN | ArrayLike<number>} vector
+	 * @return {number} 
+	 * @memberof VectorN
+	 */
+	chebyshev(vector) {
+		const other = this._resolve(vector);
+
+		let max = 0;
+		for(let i = 0; i < this.data.length; i++) max = Math.max(max, Math.abs(other[i] - this.data[i]));
+
+		return max;
+	}
+
+	/**
+	 * Calculates the unsigned angle between current VectorN and given VectorN.
+	 * @param {VectorN | ArrayLike<number>} vector
+	 * @return {number} Angle in radians (in range 0 - PI).
+	 * @memberof VectorN
+	 */
+	angleBetween(vector) {
+		const other = new VectorN(this._resolve(vector));
+		const denominator = this.mag() * other.mag();
+		if(denominator === 0) return 0;
+
+		return Math.acos(Math.min(Math.max(this.dot(other) / denominator, -1), 1));
+	}
+
+	/**
+	 * Checks if the components of the current VectorN are equal to components of another VectorN.
+	 * @param {VectorN | ArrayLike<number>} vector
+	 * @param {number} [epsilon=0] Maximum allowed difference of the components.
+	 * @return {boolean} 
+	 * @memberof VectorN
+	 */
+	isEqual(vector, epsilon = 0) {
+		const other = vector instanceof VectorN ? vector.data : vector;
+		if(other.length != this.data.length) return false;
+
+		for(let i = 0; i < this.data.length; i++) {
+			if(this.data[i] != other[i] && !(Math.abs(this.data[i] - other[i]) <= epsilon)) return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Creates a new VectorN instance initialized with the same components as current VectorN.
+	 * @return {VectorN} 
+	 * @memberof VectorN
+	 */
+	copy() {
+		return new VectorN(this.data);
+	}
+
+	/**
+	 * Converts current VectorN into 3-component Vector. Only vectors with up to 3 components can be converted.
+	 * @return {Vector} 
+	 * @memberof VectorN
+	 */
+	toVector() {
+		if(this.data.length > 3) throw new Error("Cannot convert VectorN with more than 3 components into Vector!");
+
+		return Vector.fromArray(Array.from(this.data));
+	}
+
+	/**
+	 * Converts current VectorN into {size}X1 Matrix.
+	 * @return {Matrix} 
+	 * @memberof VectorN
+	 */
+	toMatrix() {
+		return Matrix.fromData(this.data.length, 1, this.data.slice());
+	}
+
+	/**
+	 * Converts current VectorN into 1D array.
+	 * @return {number[]} 
+	 * @memberof VectorN
+	 */
+	toArray() {
+		return Array.from(this.data);
+	}
+
+	/**
+	 * Converts current VectorN into string representation.
+	 * @return {string} String represented as "[x1, x2, ..., xn]".
+	 * @memberof VectorN
+	 */
+	toString() {
+		return `[${this.toArray().join(", ")}]`;
+	}
+
+	/**
+	 * Returns components of the operand and checks its size.
+	 * @param {VectorN | ArrayLike<number>} vector
+	 * @return {ArrayLike<number>} 
+	 * @memberof VectorN
+	 */
+	_resolve(vector) {
+		const data = vector instanceof VectorN ? vector.data : vector;
+
+		if(!data || typeof data.length !== "number") throw new TypeError(`Invalid vector '${vector}'`);
+		if(data.length != this.data.length) throw new Error("Vectors must have the same number of components!");
+
+		return data;
+	}
+
+	/**
+	 * Creates a new VectorN instance from given array.
+	 * @static
+	 * @param {ArrayLike<number>} array
+	 * @return {VectorN} 
+	 * @memberof VectorN
+	 */
+	static fromArray(array) {
+		return new VectorN(array);
+	}
+
+	/**
+	 * Creates a new VectorN instance from given Vector.
+	 * @static
+	 * @param {Vector} vector
+	 * @param {number} [size=3] Number of components to take from the Vector (up to 3).
+	 * @return {VectorN} 
+	 * @memberof VectorN
+	 */
+	static fromVector(vector, size = 3) {
+		if(size > 3) throw new Error("Vector has only 3 components!");
+
+		return new VectorN(vector.toArray(size));
+	}
+
+	/**
+	 * Creates a new VectorN instance from column or row Matrix.
+	 * @static
+	 * @param {Matrix} matrix
+	 * @return {VectorN} 
+	 * @memberof VectorN
+	 */
+	static fromMatrix(matrix) {
+		if(matrix.cols != 1 && matrix.rows != 1) throw new Error("Cannot convert Matrix that is not a column or row vector into VectorN!");
+
+		return new VectorN(matrix.data);
+	}
+
+	/**
+	 * Creates a random VectorN.
+	 * @static
+	 * @param {number} size Number of components.
+	 * @param {boolean} [unit=true] If `true`, vector will be normalized (uniformly distributed direction), otherwise all components will be random numbers between 0 and 1.
+	 * @param {RandomGenerator} [rng=undefined] Random generator to use. If not provided, a JavaScript built-in random generator will be used.
+	 * @return {VectorN} 
+	 * @memberof VectorN
+	 */
+	static random(size, unit = true, rng = undefined) {
+		const next = () => rng ? rng.next() : Math.random();
+		const vector = new VectorN(size);
+
+		if(!unit) return vector.apply(next);
+
+		// Normal distribution (Box-Muller) gives uniformly distributed directions
+		do {
+			vector.apply(() => Math.sqrt(-2 * Math.log(1 - next() || Number.MIN_VALUE)) * Math.cos(TWO_PI * next()));
+		} while(size > 0 && vector.dot() === 0);
+
+		return vector.normalize();
+	}
+}
+
+
+class Quaternion {
+	/**
+	 * Creates an instance of Quaternion.
+	 * @param {number} [x=0]
+	 * @param {number} [y=0]
+	 * @param {number} [z=0]
+	 * @param {number} [w=1]
+	 * @memberof Quaternion
+	 */
+	constructor(x = 0, y = 0, z = 0, w = 1) {
+		this.x = +x || 0;
+		this.y = +y || 0;
+		this.z = +z || 0;
+		this.w = +w || 0;
+	}
+
+	/**
+	 * Sets the Quaternion from given axis and angle.
+	 * @param {Vector} axis Axis to rotate around.
+	 * @param {number} angle Angle to rotate by.
+	 * @return {this} 
+	 * @memberof Quaternion
+	 */
+	setAxisAngle(axis, angle) {
+		const halfAngle = angle / 2;
+		const s = Math.sin(halfAngle);
+
+		this.x = axis.x * s;
+		this.y = axis.y * s;
+		this.z = axis.z * s;
+		this.w = Math.cos(halfAngle);
+
+		return this;
+	}
+
+	/**
+	 * Sets the Quaternion from given Euler angles.
+	 * @param {number} x X angle.
+	 * @param {number} y Y angle.
+	 * @param {number} z Z angle.
+	 * @param {"XYZ" | "YXZ" | "ZXY" | "ZYX" | "YZX" | "XZY"} [order="XYZ"] Order of the rotations.
+	 * @return {this}
+	 * @memberof Quaternion
+	 */
+	setEulerAngles(x, y, z, order = "XYZ") {
+		const cos = Math.cos;
+		const sin = Math.sin;
+
+		const c1 = cos(x / 2);
+		const c2 = cos(y / 2);
+		const c3 = cos(z / 2);
+
+		const s1 = sin(x / 2);
+		const s2 = sin(y / 2);
+		const s3 = sin(z / 2);
+
+		switch(order) {
+			case "XYZ":
+				this.x = s1 * c2 * c3 + c1 * s2 * s3;
+				this.y = c1 * s2 * c3 - s1 * c2 * s3;
+				this.z = c1 * c2 * s3 + s1 * s2 * c3;
+				this.w = c1 * c2 * c3 - s1 * s2 * s3;
+				break;
+			case "YXZ":
+				this.x = s1 * c2 * c3 + c1 * s2 * s3;
+				this.y = c1 * s2 * c3 - s1 * c2 * s3;
+				this.z = c1 * c2 * s3 - s1 * s2 * c3;
+				this.w = c1 * c2 * c3 + s1 * s2 * s3;
+				break;
+			case "ZXY":
+				this.x = s1 * c2 * c3 - c1 * s2 * s3;
+				this.y = c1 * s2 * c3 + s1 * c2 * s3;
+				this.z = c1 * c2 * s3 + s1 * s2 * c3;
+				this.w = c1 * c2 * c3 - s1 * s2 * s3;
+				break;
+			case "ZYX":
+				this.x = s1 * c2 * c3 - c1 * s2 * s3;
+				this.y = c1 * s2 * c3 + s1 * c2 * s3;
+				this.z = c1 * c2 * s3 - s1 * s2 * c3;
+				this.w = c1 * c2 * c3 + s1 * s2 * s3;
+				break;
+			case "YZX":
+				this.x = s1 * c2 * c3 + c1 * s2 * s3;
+				this.y = c1 * s2 * c3 + s1 * c2 * s3;
+				this.z = c1 * c2 * s3 - s1 * s2 * c3;
+				this.w = c1 * c2 * c3 - s1 * s2 * s3;
+				break;
+			case "XZY":
+				this.x = s1 * c2 * c3 - c1 * s2 * s3;
+				this.y = c1 * s2 * c3 - s1 * c2 * s3;
+				this.z = c1 * c2 * s3 + s1 * s2 * c3;
+				this.w = c1 * c2 * c3 + s1 * s2 * s3;
+				break;
+			default:
+				throw new TypeError(`Invalid rotation order '${order}'`);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Sets the Quaternion from given rotation Matrix (3x3 or upper-left 3x3 part of 4x4 matrix).
+	 * @param {Matrix} matrix Pure rotation matrix (without scale).
+	 * @return {this}
+	 * @memberof Quaternion
+	 */
+	setFromMatrix(matrix) {
+		if(matrix.rows < 3 || matrix.cols < 3) throw new Error("Rotation matrix must be at least 3x3!");
+
+		const m = matrix.matrix;
+		const m11 = m[0][0], m12 = m[0][1], m13 = m[0][2];
+		const m21 = m[1][0], m22 = m[1][1], m23 = m[1][2];
+		const m31 = m[2][0], m32 = m[2][1], m33 = m[2][2];
+		const trace = m11 + m22 + m33;
+
+		if(trace > 0) {
+			const s = 0.5 / Math.sqrt(trace + 1);
+			this.w = 0.25 / s;
+			this.x = (m32 - m23) * s;
+			this.y = (m13 - m31) * s;
+			this.z = (m21 - m12) * s;
+		} else if(m11 > m22 && m11 > m33) {
+			const s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+			this.w = (m32 - m23) / s;
+			this.x = 0.25 * s;
+			this.y = (m12 + m21) / s;
+			this.z = (m13 + m31) / s;
+		} else if(m22 > m33) {
+			const s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+			this.w = (m13 - m31) / s;
+			this.x = (m12 + m21) / s;
+			this.y = 0.25 * s;
+			this.z = (m23 + m32) / s;
+		} else {
+			const s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+			this.w = (m21 - m12) / s;
+			this.x = (m13 + m31) / s;
+			this.y = (m23 + m32) / s;
+			this.z = 0.25 * s;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Sets the Quaternion from given unit vectors.
+	 * @param {Vector} vFrom The vector to rotate from.
+	 * @param {Vector} vTo The vector to rotate to.
+	 * @return {this}
+	 * @memberof Quaternion
+	 */
+	setUnitVectors(vFrom, vTo) {
+		let r = vFrom.dot(vTo) + 1;
+
+		if(r < Number.EPSILON) {
+			r = 0;
+
+			if(Math.abs(vFrom.x) > Math.abs(vFrom.z)) {
+				this.x = -vFrom.y;
+				this.y = vFrom.x;
+				this.z = 0;
+				this.w = r;
+			} else {
+				this.x = 0;
+				this.y = -vFrom.z;
+				this.z = vFrom.y;
+				this.w = r;
+			}
+		} else {
+			this.x = vFrom.y * vTo.z - vFrom.z * vTo.y;
+			this.y = vFrom.z * vTo.x - vFrom.x * vTo.z;
+			this.z = vFrom.x * vTo.y - vFrom.y * vTo.x;
+			this.w = r;
+		}
+
+		return this.normalize();
+	}
+
+	/**
+	 * Sets the Quaternion from quaternion multiplication of given Quaternions.
+	 * @param {Quaternion} q1 The first Quaternion.
+	 * @param {Quaternion} q2 The second Quaternion.
+	 * @return {this} q1 * q2
+	 * @memberof Quaternion
+	 */
+	setMultiply(q1, q2) {
+		const ax = q1.x, ay = q1.y, az = q1.z, aw = q1.w;
+		const bx = q2.x, by = q2.y, bz = q2.z, bw = q2.w;
+
+		this.x = ax * bw + aw * bx + ay * bz - az * by;
+		this.y = ay * bw + aw * by + az * bx - ax * bz;
+		this.z = az * bw + aw * bz + ax * by - ay * bx;
+		this.w = aw * bw - ax * bx - ay * by - az * bz;
+
+		return this;
+	}
+
+	/**
+	 * Calculates the angle between current Quaternion and given Quaternion.
+	 * @param {Quaternion} q Quaternion to calculate angle to.
+	 * @return {number} Calculated angle in radians.
+	 * @memberof Quaternion
+	 */
+	angleTo(q) {
+		return 2 * Math.acos(Math.abs(clamp(this.dot(q), -1, 1)));
+	}
+
+	/**
+	 * Calculates the dot product of current Quaternion and given Quaternion.
+	 * @param {Quaternion} q Quaternion to calculate dot product with.
+	 * @return {number} Calculated dot product.
+	 * @memberof Quaternion
+	 */
+	dot(q) {
+		return this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+	}
+
+	/**
+	 * Calculates the length of current Quaternion.
+	 * @return {number} 
+	 * @memberof Quaternion
+	 */
+	length() {
+		return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w);
+	}
+
+	/**
+	 * Normalizes current Quaternion.
+	 * @return {this} 
+	 * @memberof Quaternion
+	 */
+	normalize() {
+		let l = this.length();
+
+		if(l === 0) {
+			this.x = 0;
+			this.y = 0;
+			this.z = 0;
+			this.w = 1;
+		} else {
+			l = 1 / l;
+
+			this.x *= l;
+			this.y *= l;
+			this.z *= l;
+			this.w *= l;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Inverts current Quaternion.
+	 * @return {this} 
+	 * @memberof Quaternion
+	 */
+	invert() {
+		this.x = -this.x;
+		this.y = -this.y;
+		this.z = -this.z;
+
+		return this;
+	}
+
+	/**
+	 * Multiplies current Quaternion by given Quaternion.
+	 * @param {Quaternion} q Quaternion to multiply by.
+	 * @return {this}
+	 * @memberof Quaternion
+	 */
+	multiply(q) {
+		return this.setMultiply(this, q);
+	}
+
+	/**
+	 * Premultiplies current Quaternion by given Quaternion.
+	 * @param {Quaternion} q Quaternion to premultiply by.
+	 * @return {this}
+	 * @memberof Quaternion
+	 */
+	premultiply(q) {
+		return this.setMultiply(q, this);
+	}
+
+	/**
+	 * Conjugates current Quaternion.
+	 * @return {this} 
+	 * @memberof Quaternion
+	 */
+	conjugate() {
+		this.x = -this.x;
+		this.y = -this.y;
+		this.z = -this.z;
+
+		return this;
+	}
+
+	/**
+	 * Spherically interpolates current Quaternion towards given Quaternion (along the shortest path).
+	 * @param {Quaternion} q Quaternion to interpolate to.
+	 * @param {number} t Interpolation factor (in range 0 - 1).
+	 * @return {this}
+	 * @memberof Quaternion
+	 */
+	slerp(q, t) {
+		const ax = this.x, ay = this.y, az = this.z, aw = this.w;
+		let bx = q.x, by = q.y, bz = q.z, bw = q.w;
+		let cosHalfTheta = this.dot(q);
+
+		// Take the shortest path
+		if(cosHalfTheta < 0) {
+			bx = -bx;
+			by = -by;
+			bz = -bz;
+			bw = -bw;
+			cosHalfTheta = -cosHalfTheta;
+		}
+
+		if(cosHalfTheta >= 1) return this;
+
+		let ratioA = 1 - t;
+		let ratioB = t;
+
+		// Fall back to linear interpolation for nearly identical rotations
+		const sinHalfThetaSq = 1 - cosHalfTheta * cosHalfTheta;
+		if(sinHalfThetaSq > Number.EPSILON) {
+			const sinHalfTheta = Math.sqrt(sinHalfThetaSq);
+			const halfTheta = Math.atan2(sinHalfTheta, cosHalfTheta);
+
+			ratioA = Math.sin((1 - t) * halfTheta) / sinHalfTheta;
+			ratioB = Math.sin(t * halfTheta) / sinHalfTheta;
+		}
+
+		this.x = ax * ratioA + bx * ratioB;
+		this.y = ay * ratioA + by * ratioB;
+		this.z = az * ratioA + bz * ratioB;
+		this.w = aw * ratioA + bw * ratioB;
+
+		return sinHalfThetaSq > Number.EPSILON ? this : this.normalize();
+	}
+
+	/**
+	 * Linearly interpolates current Quaternion towards given Quaternion (along the shortest path) and normalizes the result.
+	 * Faster, but less accurate alternative to `slerp`.
+	 * @param {Quaternion} q Quaternion to interpolate to.
+	 * @param {number} t Interpolation factor (in range 0 - 1).
+	 * @return {this}
+	 * @memberof Quaternion
+	 */
+	nlerp(q, t) {
+		const sign = this.dot(q) < 0 ? -1 : 1;
+
+		this.x += (q.x * sign - this.x) * t;
+		this.y += (q.y * sign - this.y) * t;
+		this.z += (q.z * sign - this.z) * t;
+		this.w += (q.w * sign - this.w) * t;
+
+		return this.normalize();
+	}
+
+	/**
+	 * Rotates given Vector by current Quaternion. (Returns new Vector)
+	 * @param {Vector} vector Vector to rotate.
+	 * @return {Vector}
+	 * @memberof Quaternion
+	 */
+	applyToVector(vector) {
+		const qx = this.x, qy = this.y, qz = this.z, qw = this.w;
+		const vx = vector.x, vy = vector.y, vz = vector.z;
+
+		// t = 2 * cross(q.xyz, v)
+		const tx = 2 * (qy * vz - qz * vy);
+		const ty = 2 * (qz * vx - qx * vz);
+		const tz = 2 * (qx * vy - qy * vx);
+
+		// v + w * t + cross(q.xyz, t)
+		return new Vector(
+			vx + qw * tx + qy * tz - qz * ty,
+			vy + qw * ty + qz * tx - qx * tz,
+			vz + qw * tz + qx * ty - qy * tx
+		);
+	}
+
+	/**
+	 * Converts current Quaternion into Euler angles.
+	 * @param {"XYZ" | "YXZ" | "ZXY" | "ZYX" | "YZX" | "XZY"} [order="XYZ"] Order of the rotations.
+	 * @return {Vector} Vector of angles around X, Y and Z axes in radians.
+	 * @memberof Quaternion
+	 */
+	toEulerAngles(order = "XYZ") {
+		const m = this.copy().normalize().toMatrix().matrix;
+		const m11 = m[0][0], m12 = m[0][1], m13 = m[0][2];
+		const m21 = m[1][0], m22 = m[1][1], m23 = m[1][2];
+		const m31 = m[2][0], m32 = m[2][1], m33 = m[2][2];
+
+		// Threshold to detect gimbal lock
+		const LIMIT = 0.9999999;
+		let x = 0, y = 0, z = 0;
+
+		switch(order) {
+			case "XYZ":
+				y = Math.asin(clamp(m13, -1, 1));
+				if(Math.abs(m13) < LIMIT) {
+					x = Math.atan2(-m23, m33);
+					z = Math.atan2(-m12, m11);
+				} else {
+					x = Math.atan2(m32, m22);
+				}
+				break;
+			case "YXZ":
+				x = Math.asin(-clamp(m23, -1, 1));
+				if(Math.abs(m23) < LIMIT) {
+					y = Math.atan2(m13, m33);
+					z = Math.atan2(m21, m22);
+				} else {
+					y = Math.atan2(-m31, m11);
+				}
+				break;
+			case "ZXY":
+				x = Math.asin(clamp(m32, -1, 1));
+				if(Math.abs(m32) < LIMIT) {
+					y = Math.atan2(-m31, m33);
+					z = Math.atan2(-m12, m22);
+				} else {
+					z = Math.atan2(m21, m11);
+				}
+				break;
+			case "ZYX":
+				y = Math.asin(-clamp(m31, -1, 1));
+				if(Math.abs(m31) < LIMIT) {
+					x = Math.atan2(m32, m33);
+					z = Math.atan2(m21, m11);
+				} else {
+					z = Math.atan2(-m12, m22);
+				}
+				break;
+			case "YZX":
+				z = Math.asin(clamp(m21, -1, 1));
+				if(Math.abs(m21) < LIMIT) {
+					x = Math.atan2(-m23, m22);
+					y = Math.atan2(-m31, m11);
+				} else {
+					y = Math.atan2(m13, m33);
+				}
+				break;
+			case "XZY":
+				z = Math.asin(-clamp(m12, -1, 1));
+				if(Math.abs(m12) < LIMIT) {
+					x = Math.atan2(m32, m22);
+					y = Math.atan2(m13, m11);
+				} else {
+					x = Math.atan2(-m23, m33);
+				}
+				break;
+			default:
+				throw new TypeError(`Invalid rotation order '${order}'`);
+		}
+
+		return new Vector(x, y, z);
+	}
+
+	/**
+	 * Converts current Quaternion into 4x4 rotation Matrix.
+	 * @return {Matrix}
+	 * @memberof Quaternion
+	 */
+	toMatrix() {
+		const {x, y, z, w} = this;
+
+		return new Matrix([
+			[1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w), 0],
+			[2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w), 0],
+			[2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y), 0],
+			[0, 0, 0, 1]
+		]);
+	}
+
+	/**
+	 * Converts current Quaternion into axis and angle representation.
+	 * @return {{axis: Vector, angle: number}} Normalized axis and angle in radians.
+	 * @memberof Quaternion
+	 */
+	toAxisAngle() {
+		const q = this.copy().normalize();
+		const s = Math.sqrt(1 - q.w * q.w);
+
+		// Angle is zero, so any axis is valid
+		if(s < 1e-12) return {axis: new Vector(1, 0, 0), angle: 0};
+
+		return {
+			axis: new Vector(q.x / s, q.y / s, q.z / s),
+			angle: 2 * Math.acos(clamp(q.w, -1, 1))
+		};
+	}
+
+	/**
+	 * Checks if the components of current Quaternion are equal to components of given Quaternion.
+	 * Note that `q` and `-q` represent the same rotation, but are not considered equal.
+	 * @param {Quaternion} q Quaternion to compare with.
+	 * @param {number} [epsilon=0] Maximum allowed difference of the components.
+	 * @return {boolean}
+	 * @memberof Quaternion
+	 */
+	equals(q, epsilon = 0) {
+		return (
+			Math.abs(this.x - q.x) <= epsilon &&
+			Math.abs(this.y - q.y) <= epsilon &&
+			Math.abs(this.z - q.z) <= epsilon &&
+			Math.abs(this.w - q.w) <= epsilon
+		);
+	}
+
+	/**
+	 * Creates a new Quaternion instance initialized with the same components as current Quaternion.
+	 * @return {Quaternion} 
+	 * @memberof Quaternion
+	 */
+	copy() {
+		return new Quaternion(this.x, this.y, this.z, this.w);
+	}
+
+	/**
+	 * Converts current Quaternion into string representation.
+	 * @return {string} String represented as "[x, y, z, w]".
+	 * @memberof Quaternion
+	 */
+	toString() {
+		return `[${this.x}, ${this.y}, ${this.z}, ${this.w}]`;
+	}
+
+	/**
+	 * Creates a new Quaternion instance from given rotation Matrix.
+	 * @static
+	 * @param {Matrix} matrix Pure rotation matrix (3x3 or 4x4).
+	 * @return {Quaternion}
+	 * @memberof Quaternion
+	 */
+	static fromMatrix(matrix) {
+		return new Quaternion().setFromMatrix(matrix);
+	}
+}
+
+
+class Dimensions {
+	constructor(width = 0, height = 0, depth = 0, radius = 0) {
+		this.w = width || 0;
+		this.h = height || 0;
+		this.d = depth || 0;
+		this.r = radius || 0;
+	}
+
+	/**
+	 * Expands the dimensions by a given value or vector.
+	 * @param {Vector | number} n Vector or number to expand the dimensions by.
+	 * @return {this} 
+	 * @memberof Dimensions
+	 */
+	add(n) {
+		if(typeof n === "number") {
+			this.w += n;
+			this.h += n;
+			this.d += n;
+			this.r += n;
+		} else {
+			this.w += n.x;
+			this.h += n.y;
+			this.d += n.z;
+
+			// Only compute the magnitdue if the radius is not 0 to save some performance.
+			if(this.r) this.r += n.mag();
+		}
+
+		return this;
+	}
+
+	/**
+	 * Reduces the dimensions by a given value or vector.
+	 * @param {Vector | number} n Vector or number to subtract from the dimensions.
+	 * @return {this} 
+	 * @memberof Dimensions
+	 */
+	sub(n) {
+		if(typeof n === "number") {
+			this.w -= n;
+			this.h -= n;
+			this.d -= n;
+			this.r -= n;
+		} else {
+			this.w -= n.x;
+			this.h -= n.y;
+			this.d -= n.z;
+
+			// Only compute the magnitdue if the radius is not 0 to save some performance.
+			if(this.r) this.r -= n.mag();
+		}
+
+		return this;
+	}
+
+	/**
+	 * Scales the dimensions by a given factor or vector.
+	 * @param {Vector | number} n Vector or number to scale by.
+	 * @return {this} 
+	 * @memberof Dimensions
+	 */
+	mult(n) {
+		if(typeof n === "number") {
+			this.w *= n;
+			this.h *= n;
+			this.d *= n;
+			this.r *= n;
+		} else {
+			this.w *= n.x;
+			this.h *= n.y;
+			this.d *= n.z;
+
+			// Only compute the magnitdue if the radius is not 0 to save some performance.
+			if(this.r) this.r *= n.mag();
+		}
+
+		return this;
+	}
+
+	/**
+	 * Divides the dimensions by a given factor or vector.
+	 * @param {Vector | number} n Vector or number to divide by.
+	 * @return {this} 
+	 * @memberof Dimensions
+	 */
+	div(n) {
+		if(typeof n === "number") {
+			this.w *= n;
+			this.h *= n;
+			this.d *= n;
+			this.r *= n;
+		} else {
+			this.w *= n.x;
+			this.h *= n.y;
+			this.d *= n.z;
+
+			// Only compute the magnitdue if the radius is not 0 to save some performance.
+			if(this.r) this.r *= n.mag();
+		}
+
+		return this;
+	}
+
+	/**
+	 * Calculates the aspect ratio (width / height).
+	 * @return {number} 
+	 * @memberof Dimensions
+	 */
+	aspectRatio() {
+		return this.w / this.h;
+	}
+
+	/**
+	 * Calculates the area (width * height).
+	 * @return {number} 
+	 * @memberof Dimensions
+	 */
+	area() {
+		return this.w * this.h;
+	}
+
+	/**
+	 * Calculates the volume (width * height * depth).
+	 * @return {number} 
+	 * @memberof Dimensions
+	 */
+	volume() {
+		return this.w * this.h * this.d;
+	}
+
+	/**
+	 * Scales the dimensions to given width, preserving the aspect ratio.
+	 * @param {number} width
+	 * @return {this} 
+	 * @memberof Dimensions
+	 */
+	scaleToWidth(width) {
+		if(!this.w) throw new RangeError("Cannot scale dimensions with zero width!");
+
+		return this.mult(width / this.w);
+	}
+
+	/**
+	 * Scales the dimensions to given height, preserving the aspect ratio.
+	 * @param {number} height
+	 * @return {this} 
+	 * @memberof Dimensions
+	 */
+	scaleToHeight(height) {
+		if(!this.h) throw new RangeError("Cannot scale dimensions with zero height!");
+
+		return this.mult(height / this.h);
+	}
+
+	/**
+	 * @typedef {Object} DimensionsFit
+	 * @prop {Dimensions} dimensions Resulting dimensions
+	 * @prop {Vector} offset Offset of the result inside of the container (negative when overflowing)
+	 * @prop {number} scale Applied scale factor (horizontal scale factor for "fill" mode)
+	 */
+
+	/**
+	 * Fits the dimensions into a container, similar to CSS `object-fit`. (Returns new object)
+	 * @param {Dimensions} container Dimensions of the container.
+	 * @param {"contain" | "cover" | "fill" | "none" | "scale-down"} [mode="contain"] Fitting mode.
+	 * @param {Vector} [align=new Vector(0.5, 0.5)] Alignment inside of the container (0 = start, 0.5 = center, 1 = end).
+	 * @return {DimensionsFit} 
+	 * @memberof Dimensions
+	 */
+	fit(container, mode = "contain", align = new Vector(0.5, 0.5)) {
+		// Zero-sized source or container (e.g. before layout) cannot be scaled, so it results in zero-sized dimensions
+		const empty = !this.w || !this.h || !container.w || !container.h;
+		const scaleX = empty ? 0 : container.w / this.w;
+		const scaleY = empty ? 0 : container.h / this.h;
+
+		let dimensions;
+		let scale;
+
+		switch(mode) {
+			case "contain":
+				scale = Math.min(scaleX, scaleY);
+				break;
+			case "cover":
+				scale = Math.max(scaleX, scaleY);
+				break;
+			case "scale-down":
+				scale = Math.min(scaleX, scaleY, 1);
+				break;
+			case "none":
+				scale = 1;
+				break;
+			case "fill":
+				scale = scaleX;
+				dimensions = this.copy();
+				dimensions.w = empty ? 0 : container.w;
+				dimensions.h = empty ? 0 : container.h;
+				break;
+			default:
+				throw new TypeError(`Invalid fit mode '${mode}'`);
+		}
+
+		if(!dimensions) dimensions = this.copy().mult(scale);
+
+		const offset = new Vector(
+			(container.w - dimensions.w) * align.x,
+			(container.h - dimensions.h) * align.y
+		);
+
+		return {dimensions, offset, scale};
+	}
+
+	/**
+	 * Scales the dimensions to fit inside of the container, preserving the aspect ratio (letterboxing). (Returns new object)
+	 * @param {Dimensions} container Dimensions of the container.
+	 * @return {DimensionsFit} 
+	 * @memberof Dimensions
+	 */
+	fitInside(container) {
+		return this.fit(container, "contain");
+	}
+
+	/**
+	 * Scales the dimensions to cover the whole container, preserving the aspect ratio (cropping). (Returns new object)
+	 * @param {Dimensions} container Dimensions of the container.
+	 * @return {DimensionsFit} 
+	 * @memberof Dimensions
+	 */
+	cover(container) {
+		return this.fit(container, "cover");
+	}
+
+	/**
+	 * Creates a new Dimensions instance initialized with the same dimension values as current Dimensions instance.
+	 * @return {Dimensions} 
+	 * @memberof Dimensions
+	 */
+	copy() {
+		return new Dimensions(this.w, this.h, this.d, this.r);
+	}
+
+	/**
+	 * Converts current Dimensions object into a new `Vector` object.
+	 * @return {Vector} 
+	 * @memberof Dimensions
+	 */
+	toVector() {
+		return new Vector(this.w, this.h, this.d);
+	}
+
+	/**
+	 * Converts current Dimensions object into 1D array.
+	 * @param {number} [size=3] Number of dimensions to include in the array. (Fourth component is always 1.)
+	 * @return {Array<number>} 
+	 * @memberof Dimensions
+	 */
+	toArray(size = 3) {
+		return [this.w, this.h, this.d, 1].slice(0, size);
+	}
+
+	/**
+	 * Converts current Dimensions object into string representation.
+	 * @return {string} String represented as "[w, h, d]".
+	 * @memberof Dimensions
+	 */
+	toString() {
+		return `[${this.w}, ${this.h}, ${this.d}]`;
+	}
+}
+
+/**
+ * @deprecated Use `Dimensions` instead
+ */
+var Dimension = Dimensions;
+
+/**
+ * Base class of 2D geometry primitives.
+ *
+ * @class Shape
+ */
+class Shape {
+	/**
+	 * Calculates the area of the shape.
+	 * @abstract
+	 * @return {number}
+	 * @memberof Shape
+	 */
+	getArea() {
+		throw new Error("Method 'getArea' is not implemented!");
+	}
+
+	/**
+	 * Calculates the perimeter of the shape.
+	 * @abstract
+	 * @return {number}
+	 * @memberof Shape
+	 */
+	getPerimeter() {
+		throw new Error("Method 'getPerimeter' is not implemented!");
+	}
+
+	/**
+	 * Calculates the centroid of the shape.
+	 * @abstract
+	 * @return {Vector}
+	 * @memberof Shape
+	 */
+	getCentroid() {
+		throw new Error("Method 'getCentroid' is not implemented!");
+	}
+
+	/**
+	 * Calculates the axis-aligned bounding box of the shape.
+	 * @abstract
+	 * @return {Rect}
+	 * @memberof Shape
+	 */
+	getBoundingBox() {
+		throw new Error("Method 'getBoundingBox' is not implemented!");
+	}
+
+	/**
+	 * Checks whether the point lies inside of the shape (including its boundary).
+	 * @abstract
+	 * @param {Vector} point
+	 * @return {boolean}
+	 * @memberof Shape
+	 */
+	containsPoint(point) {
+		throw new Error("Method 'containsPoint' is not implemented!");
+	}
+
+	/**
+	 * Checks whether the shape intersects another shape.
+	 * @param {Shape} shape
+	 * @return {boolean}
+	 * @memberof Shape
+	 */
+	intersects(shape) {
+		return Shape.intersects(this, shape);
+	}
+
+	/**
+	 * Checks whether two shapes intersect.
+	 * @static
+	 * @param {Shape} a
+	 * @param {Shape} b
+	 * @return {boolean}
+	 * @memberof Shape
+	 */
+	static intersects(a, b) {
+		// Axis-aligned cases are handled by the collision detectors (touching shapes intersect, same as in the general case below)
+		if(a instanceof Circle && b instanceof Circle) {
+			return COLLISION.circle(a.center, new Dimensions(0, 0, 0, a.radius), b.center, new Dimensions(0, 0, 0, b.radius));
+		}
+		if(a instanceof Rect && b instanceof Rect && !a.angle && !b.angle) {
+			return COLLISION.rectangle(a.position, a.dimensions, b.position, b.dimensions);
+		}
+		if(a instanceof Circle && b instanceof Rect && !b.angle) {
+			return COLLISION.circleRectangle(a.center, new Dimensions(0, 0, 0, a.radius), b.position, b.dimensions);
+		}
+		if(a instanceof Rect && b instanceof Circle) return Shape.intersects(b, a);
+
+		// Circle against a segment or polygon
+		if(b instanceof Circle) return Shape.intersects(b, a);
+		if(a instanceof Circle) {
+			if(b instanceof LineSegment) return b.distanceTo(a.center) <= a.radius;
+
+			const polygon = /**@type {Rect | Polygon}*/(b).toPolygon();
+			return polygon.containsPoint(a.center) || polygon.getEdges().some(e => e.distanceTo(a.center) <= a.radius);
+		}
+
+		// Segments and polygons
+		const edgesA = a instanceof LineSegment ? [a] : /**@type {Rect | Polygon}*/(a).toPolygon().getEdges();
+		const edgesB = b instanceof LineSegment ? [b] : /**@type {Rect | Polygon}*/(b).toPolygon().getEdges();
+		if(!edgesA.length || !edgesB.length) return false;
+
+		for(const edgeA of edgesA) {
+			for(const edgeB of edgesB) {
+				if(edgeA.intersectionWith(edgeB)) return true;
+			}
+		}
+
+		// No edges cross, so the shapes intersect only if one is inside of the other
+		return (
+			!(a instanceof LineSegment) && a.containsPoint(edgesB[0].a) ||
+			!(b instanceof LineSegment) && b.containsPoint(edgesA[0].a)
+		);
+	}
+
+	/**
+	 * Rotates the point around the origin (mutates the point).
+	 * @static
+	 * @param {Vector} point Point to rotate
+	 * @param {number} angle Angle in radians
+	 * @param {Vector} origin Point to rotate around
+	 * @return {Vector} Rotated point
+	 * @memberof Shape
+	 */
+	static _rotatePoint(point, angle, origin) {
+		const c = Math.cos(angle);
+		const s = Math.sin(angle);
+		const x = point.x - origin.x;
+		const y = point.y - origin.y;
+
+		point.x = origin.x + x * c - y * s;
+		point.y = origin.y + x * s + y * c;
+
+		return point;
+	}
+
+	/**
+	 * Scales the point relative to the origin (mutates the point).
+	 * @static
+	 * @param {Vector} point Point to scale
+	 * @param {Vector | number} factor Scale factor
+	 * @param {Vector} origin Point to scale from
+	 * @return {Vector} Scaled point
+	 * @memberof Shape
+	 */
+	static _scalePoint(point, factor, origin) {
+		const fx = typeof factor === "number" ? factor : factor.x;
+		const fy = typeof factor === "number" ? factor : factor.y;
+
+		point.x = origin.x + (point.x - origin.x) * fx;
+		point.y = origin.y + (point.y - origin.y) * fy;
+
+		return point;
+	}
+
+	/**
+	 * Transforms the point by 3x3 (2D homogeneous) or 4x4 (3D homogeneous) Matrix (mutates the point).
+	 * @static
+	 * @param {Vector} point Point to transform
+	 * @param {Matrix} matrix Transformation matrix
+	 * @return {Vector} Transformed point
+	 * @memberof Shape
+	 */
+	static _transformPoint(point, matrix) {
+		const m = matrix.matrix;
+		const t = Shape._getTranslationColumn(matrix);
+		const x = point.x;
+		const y = point.y;
+
+		point.x = m[0][0] * x + m[0][1] * y + m[0][t];
+		point.y = m[1][0] * x + m[1][1] * y + m[1][t];
+
+		return point;
+	}
+
+	/**
+	 * Returns index of the translation column of the transformation matrix.
+	 * @static
+	 * @param {Matrix} matrix Transformation matrix
+	 * @return {number}
+	 * @memberof Shape
+	 */
+	static _getTranslationColumn(matrix) {
+		if(matrix.rows === 3 && matrix.cols === 3) return 2;
+		if(matrix.rows === 4 && matrix.cols === 4) return 3;
+
+		throw new Error("Only 3x3 and 4x4 transformation matrices are supported!");
+	}
+}
+
+/**
+ * Rectangle described by its top-left corner and dimensions, optionally rotated around its center.
+ *
+ * @class Rect
+ * @extends {Shape}
+ */
+class Rect extends Shape {
+	/**
+	 * Creates an instance of Rect.
+	 * @param {Vector} [position=new Vector()] Position of the top-left corner (before rotation).
+	 * @param {Dimensions} [dimensions=new Dimensions()] Dimensions of the rectangle.
+	 * @param {number} [angle=0] Rotation around the center of the rectangle in radians.
+	 * @memberof Rect
+	 */
+	constructor(position = new Vector(), dimensions = new Dimensions(), angle = 0) {
+		super();
+
+		/**
+		 * Position of the top-left corner (before rotation).
+		 * @type {Vector}
+		 */
+		this.position = new Vector(position.x, position.y);
+
+		/**
+		 * Dimensions of the rectangle.
+		 * @type {Dimensions}
+		 */
+		this.dimensions = new Dimensions(dimensions.w, dimensions.h);
+
+		/**
+		 * Rotation around the center of the rectangle in radians.
+		 * @type {number}
+		 */
+		this.angle = +angle || 0;
+	}
+
+	/**
+	 * @return {number}
+	 * @memberof Rect
+	 */
+	getArea() {
+		return Math.abs(this.dimensions.w * this.dimensions.h);
+	}
+
+	/**
+	 * @return {number}
+	 * @memberof Rect
+	 */
+	getPerimeter() {
+		return 2 * (Math.abs(this.dimensions.w) + Math.abs(this.dimensions.h));
+	}
+
+	/**
+	 * @return {Vector}
+	 * @memberof Rect
+	 */
+	getCentroid() {
+		return new Vector(this.position.x + this.dimensions.w / 2, this.position.y + this.dimensions.h / 2);
+	}
+
+	/**
+	 * @return {Rect}
+	 * @memberof Rect
+	 */
+	getBoundingBox() {
+		if(!this.angle) return new Rect(this.position, this.dimensions);
+
+		return this.toPolygon().getBoundingBox();
+	}
+
+	/**
+	 * @param {Vector} point
+	 * @return {boolean}
+	 * @memberof Rect
+	 */
+	containsPoint(point) {
+		// Transform the point into the local space of the rectangle
+		const local = this.angle ? Shape._rotatePoint(new Vector(point.x, point.y), -this.angle, this.getCentroid()) : point;
+
+		return (
+			local.x >= this.position.x &&
+			local.x <= this.position.x + this.dimensions.w &&
+			local.y >= this.position.y &&
+			local.y <= this.position.y + this.dimensions.h
+		);
+	}
+
+	/**
+	 * Returns corners of the rectangle (in clockwise order on screen).
+	 * @return {Vector[]}
+	 * @memberof Rect
+	 */
+	getCorners() {
+		const {x, y} = this.position;
+		const {w, h} = this.dimensions;
+		const corners = [new Vector(x, y), new Vector(x + w, y), new Vector(x + w, y + h), new Vector(x, y + h)];
+
+		if(this.angle) {
+			const center = this.getCentroid();
+			for(const corner of corners) Shape._rotatePoint(corner, this.angle, center);
+		}
+
+		return corners;
+	}
+
+	/**
+	 * Moves the rectangle by given offset.
+	 * @param {Vector} offset
+	 * @return {this}
+	 * @memberof Rect
+	 */
+	translate(offset) {
+		this.position.x += offset.x;
+		this.position.y += offset.y;
+
+		return this;
+	}
+
+	/**
+	 * Rotates the rectangle around given point.
+	 * @param {number} angle Angle in radians
+	 * @param {Vector} [origin=this.getCentroid()] Point to rotate around
+	 * @return {this}
+	 * @memberof Rect
+	 */
+	rotate(angle, origin = this.getCentroid()) {
+		const center = Shape._rotatePoint(this.getCentroid(), angle, origin);
+
+		this.position.x = center.x - this.dimensions.w / 2;
+		this.position.y = center.y - this.dimensions.h / 2;
+		this.angle += angle;
+
+		return this;
+	}
+
+	/**
+	 * Scales the rectangle relative to given point. Dimensions are scaled along the local axes of the rectangle.
+	 * @param {Vector | number} factor Scale factor
+	 * @param {Vector} [origin=this.getCentroid()] Point to scale from
+	 * @return {this}
+	 * @memberof Rect
+	 */
+	scale(factor, origin = this.getCentroid()) {
+		const center = Shape._scalePoint(this.getCentroid(), factor, origin);
+
+		this.dimensions.w *= typeof factor === "number" ? factor : factor.x;
+		this.dimensions.h *= typeof factor === "number" ? factor : factor.y;
+		this.position.x = center.x - this.dimensions.w / 2;
+		this.position.y = center.y - this.dimensions.h / 2;
+
+		return this;
+	}
+
+	/**
+	 * Transforms the rectangle by 3x3 or 4x4 transformation Matrix. Shear cannot be represented by a rectangle and is discarded.
+	 * @param {Matrix} matrix Transformation matrix
+	 * @return {this}
+	 * @memberof Rect
+	 */
+	transform(matrix) {
+		const m = matrix.matrix;
+		const center = Shape._transformPoint(this.getCentroid(), matrix);
+
+		this.dimensions.w *= Math.hypot(m[0][0], m[1][0]);
+		this.dimensions.h *= Math.hypot(m[0][1], m[1][1]);
+		this.angle += Math.atan2(m[1][0], m[0][0]);
+		this.position.x = center.x - this.dimensions.w / 2;
+		this.position.y = center.y - this.dimensions.h / 2;
+
+		return this;
+	}
+
+	/**
+	 * Converts the rectangle into a new `Polygon` object.
+	 * @return {Polygon}
+	 * @memberof Rect
+	 */
+	toPolygon() {
+		return new Polygon(this.getCorners());
+	}
+
+	/**
+	 * @return {Rect}
+	 * @memberof Rect
+	 */
+	copy() {
+		return new Rect(this.position, this.dimensions, this.angle);
+	}
+}
+
+/**
+ * Circle described by its center and radius.
+ *
+ * @class Circle
+ * @extends {Shape}
+ */
+class Circle extends Shape {
+	/**
+	 * Creates an instance of Circle.
+	 * @param {Vector} [center=new Vector()] Center of the circle.
+	 * @param {number} [radius=0] Radius of the circle.
+	 * @memberof Circle
+	 */
+	constructor(center = new Vector(), radius = 0) {
+		super();
+
+		/**
+		 * Center of the circle.
+		 * @type {Vector}
+		 */
+		this.center = new Vector(center.x, center.y);
+
+		/**
+		 * Radius of the circle.
+		 * @type {number}
+		 */
+		this.radius = +radius || 0;
+	}
+
+	/**
+	 * @return {number}
+	 * @memberof Circle
+	 */
+	getArea() {
+		return Math.PI * this.radius * this.radius;
+	}
+
+	/**
+	 * @return {number}
+	 * @memberof Circle
+	 */
+	getPerimeter() {
+		return 2 * Math.PI * this.radius;
+	}
+
+	/**
+	 * @return {Vector}
+	 * @memberof Circle
+	 */
+	getCentroid() {
+		return this.center.copy();
+	}
+
+	/**
+	 * @return {Rect}
+	 * @memberof Circle
+	 */
+	getBoundingBox() {
+		return new Rect(
+			new Vector(this.center.x - this.radius, this.center.y - this.radius),
+			new Dimensions(this.radius * 2, this.radius * 2)
+		);
+	}
+
+	/**
+	 * @param {Vector} point
+	 * @return {boolean}
+	 * @memberof Circle
+	 */
+	containsPoint(point) {
+		return Math.hypot(point.x - this.center.x, point.y - this.center.y) <= this.radius;
+	}
+
+	/**
+	 * Moves the circle by given offset.
+	 * @param {Vector} offset
+	 * @return {this}
+	 * @memberof Circle
+	 */
+	translate(offset) {
+		this.center.x += offset.x;
+		this.center.y += offset.y;
+
+		return this;
+	}
+
+	/**
+	 * Rotates the circle around given point.
+	 * @param {number} angle Angle in radians
+	 * @param {Vector} [origin=this.center] Point to rotate around
+	 * @return {this}
+	 * @memberof Circle
+	 */
+	rotate(angle, origin = this.center) {
+		Shape._rotatePoint(this.center, angle, origin.copy());
+
+		return this;
+	}
+
+	/**
+	 * Scales the circle relative to given point.
+	 * @param {number} factor Scale factor
+	 * @param {Vector} [origin=this.center] Point to scale from
+	 * @return {this}
+	 * @memberof Circle
+	 */
+	scale(factor, origin = this.center) {
+		Shape._scalePoint(this.center, factor, origin.copy());
+		this.radius *= Math.abs(factor);
+
+		return this;
+	}
+
+	/**
+	 * Transforms the circle by 3x3 or 4x4 transformation Matrix. Non-uniform scaling is approximated by preserving the area.
+	 * @param {Matrix} matrix Transformation matrix
+	 * @return {this}
+	 * @memberof Circle
+	 */
+	transform(matrix) {
+		const m = matrix.matrix;
+
+		Shape._getTranslationColumn(matrix);
+		Shape._transformPoint(this.center, matrix);
+		this.radius *= Math.sqrt(Math.abs(m[0][0] * m[1][1] - m[0][1] * m[1][0]));
+
+		return this;
+	}
+
+	/**
+	 * @return {Circle}
+	 * @memberof Circle
+	 */
+	copy() {
+		return new Circle(this.center, this.radius);
+	}
+}
+
+/**
+ * Line segment described by its end points.
+ *
+ * @class LineSegment
+ * @extends {Shape}
+ */
+class LineSegment extends Shape {
+	/**
+	 * Creates an instance of LineSegment.
+	 * @param {Vector} [a=new Vector()] Start point of the segment.
+	 * @param {Vector} [b=new Vector()] End point of the segment.
+	 * @memberof LineSegment
+	 */
+	constructor(a = new Vector(), b = new Vector()) {
+		super();
+
+		/**
+		 * Start point of the segment.
+		 * @type {Vector}
+		 */
+		this.a = new Vector(a.x, a.y);
+
+		/**
+		 * End point of the segment.
+		 * @type {Vector}
+		 */
+		this.b = new Vector(b.x, b.y);
+	}
+
+	/**
+	 * Calculates the length of the segment.
+	 * @return {number}
+	 * @memberof LineSegment
+	 */
+	getLength() {
+		return this.a.distanceTo(this.b);
+	}
+
+	/**
+	 * Segments have no area.
+	 * @return {number}
+	 * @memberof LineSegment
+	 */
+	getArea() {
+		return 0;
+	}
+
+	/**
+	 * Same as the length of the segment.
+	 * @return {number}
+	 * @memberof LineSegment
+	 */
+	getPerimeter() {
+		return this.getLength();
+	}
+
+	/**
+	 * @return {Vector}
+	 * @memberof LineSegment
+	 */
+	getCentroid() {
+		return new Vector((this.a.x + this.b.x) / 2, (this.a.y + this.b.y) / 2);
+	}
+
+	/**
+	 * @return {Rect}
+	 * @memberof LineSegment
+	 */
+	getBoundingBox() {
+		return new Rect(
+			new Vector(Math.min(this.a.x, this.b.x), Math.min(this.a.y, this.b.y)),
+			new Dimensions(Math.abs(this.b.x - this.a.x), Math.abs(this.b.y - this.a.y))
+		);
+	}
+
+	/**
+	 * Finds the point of the segment closest to given point.
+	 * @param {Vector} point
+	 * @return {Vector}
+	 * @memberof LineSegment
+	 */
+	closestPoint(point) {
+		const dx = this.b.x - this.a.x;
+		const dy = this.b.y - this.a.y;
+		const lengthSq = dx * dx + dy * dy;
+		const t = lengthSq ? clamp(((point.x - this.a.x) * dx + (point.y - this.a.y) * dy) / lengthSq, 0, 1) : 0;
+
+		return new Vector(this.a.x + dx * t, this.a.y + dy * t);
+	}
+
+	/**
+	 * Calculates the distance from the segment to given point.
+	 * @param {Vector} point
+	 * @return {number}
+	 * @memberof LineSegment
+	 */
+	distanceTo(point) {
+		const closest = this.closestPoint(point);
+
+		return Math.hypot(point.x - closest.x, point.y - closest.y);
+	}
+
+	/**
+	 * Checks whether the point lies on the segment.
+	 * @param {Vector} point
+	 * @param {number} [epsilon=1e-9] Tolerance of the distance from the segment
+	 * @return {boolean}
+	 * @memberof LineSegment
+	 */
+	containsPoint(point, epsilon = 1e-9) {
+		return this.distanceTo(point) <= epsilon;
+	}
+
+	/**
+	 * Calculates the intersection point with another segment.
+	 * @param {LineSegment} segment
+	 * @return {Vector | null} Intersection point or `null` if the segments don't intersect
+	 * @memberof LineSegment
+	 */
+	intersectionWith(segment) {
+		return COLLISION_MANIFOLD._intersectSegments(this.a, this.b, segment.a, segment.b);
+	}
+
+	/**
+	 * Moves the segment by given offset.
+	 * @param {Vector} offset
+	 * @return {this}
+	 * @memberof LineSegment
+	 */
+	translate(offset) {
+		this.a.x += offset.x;
+		this.a.y += offset.y;
+		this.b.x += offset.x;
+		this.b.y += offset.y;
+
+		return this;
+	}
+
+	/**
+	 * Rotates the segment around given point.
+	 * @param {number} angle Angle in radians
+	 * @param {Vector} [origin=this.getCentroid()] Point to rotate around
+	 * @return {this}
+	 * @memberof LineSegment
+	 */
+	rotate(angle, origin = this.getCentroid()) {
+		Shape._rotatePoint(this.a, angle, origin);
+		Shape._rotatePoint(this.b, angle, origin);
+
+		return this;
+	}
+
+	/**
+	 * Scales the segment relative to given point.
+	 * @param {Vector | number} factor Scale factor
+	 * @param {Vector} [origin=this.getCentroid()] Point to scale from
+	 * @return {this}
+	 * @memberof LineSegment
+	 */
+	scale(factor, origin = this.getCentroid()) {
+		Shape._scalePoint(this.a, factor, origin);
+		Shape._scalePoint(this.b, factor, origin);
+
+		return this;
+	}
+
+	/**
+	 * Transforms the segment by 3x3 or 4x4 transformation Matrix.
+	 * @param {Matrix} matrix Transformation matrix
+	 * @return {this}
+	 * @memberof LineSegment
+	 */
+	transform(matrix) {
+		Shape._transformPoint(this.a, matrix);
+		Shape._transformPoint(this.b, matrix);
+
+		return this;
+	}
+
+	/**
+	 * @return {LineSegment}
+	 * @memberof LineSegment
+	 */
+	copy() {
+		return new LineSegment(this.a, this.b);
+	}
+}
+
+/**
+ * Simple (non self-intersecting) polygon described by its vertices.
+ *
+ * @class Polygon
+ * @extends {Shape}
+ */
+class Polygon extends Shape {
+	/**
+	 * Creates an instance of Polygon.
+	 * @param {Vector[]} [points=[]] Vertices of the polygon.
+	 * @memberof Polygon
+	 */
+	constructor(points = []) {
+		super();
+
+		/**
+		 * Vertices of the polygon.
+		 * @type {Vector[]}
+		 */
+		this.points = points.map(e => new Vector(e.x, e.y));
+	}
+
+	/**
+	 * Calculates the signed area of the polygon. Positive for counter-clockwise winding in a Y-up coordinate system.
+	 * @return {number}
+	 * @memberof Polygon
+	 */
+	getSignedArea() {
+		let area = 0;
+
+		for(let i = 0; i < this.points.length; i++) {
+			const a = this.points[i];
+			const b = this.points[(i + 1) % this.points.length];
+			area += a.x * b.y - b.x * a.y;
+		}
+
+		return area / 2;
+	}
+
+	/**
+	 * @return {number}
+	 * @memberof Polygon
+	 */
+	getArea() {
+		return Math.abs(this.getSignedArea());
+	}
+
+	/**
+	 * @return {number}
+	 * @memberof Polygon
+	 */
+	getPerimeter() {
+		return this.getEdges().reduce((sum, e) => sum + e.getLength(), 0);
+	}
+
+	/**
+	 * @return {Vector}
+	 * @memberof Polygon
+	 */
+	getCentroid() {
+		const area = this.getSignedArea();
+
+		// Degenerate polygon, fall back to the average of the vertices
+		if(area === 0) {
+			const center = new Vector();
+			for(const point of this.points) center.add(point);
+			return center.div(this.points.length || 1);
+		}
+
+		let x = 0;
+		let y = 0;
+		for(let i = 0; i < this.points.length; i++) {
+			const a = this.points[i];
+			const b = this.points[(i + 1) % this.points.length];
+			const cross = a.x * b.y - b.x * a.y;
+
+			x += (a.x + b.x) * cross;
+			y += (a.y + b.y) * cross;
+		}
+
+		return new Vector(x / (6 * area), y / (6 * area));
+	}
+
+	/**
+	 * @return {Rect}
+	 * @memberof Polygon
+	 */
+	getBoundingBox() {
+		if(!this.points.length) return new Rect();
+
+		const min = this.points[0].copy();
+		const max = this.points[0].copy();
+		for(const point of this.points) {
+			min.min(point);
+			max.max(point);
+		}
+
+		return new Rect(min, new Dimensions(max.x - min.x, max.y - min.y));
+	}
+
+	/**
+	 * @param {Vector} point
+	 * @return {boolean}
+	 * @memberof Polygon
+	 */
+	containsPoint(point) {
+		let inside = false;
+
+		for(let i = 0, j = this.points.length - 1; i < this.points.length; j = i++) {
+			const a = this.points[i];
+			const b = this.points[j];
+
+			// Points on the boundary are inside
+			if(new LineSegment(a, b).containsPoint(point)) return true;
+
+			if((a.y > point.y) !== (b.y > point.y) && point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+				inside = !inside;
+			}
+		}
+
+		return inside;
+	}
+
+	/**
+	 * Returns edges of the polygon.
+	 * @return {LineSegment[]}
+	 * @memberof Polygon
+	 */
+	getEdges() {
+		return this.points.map((e, i) => new LineSegment(e, this.points[(i + 1) % this.points.length]));
+	}
+
+	/**
+	 * Moves the polygon by given offset.
+	 * @param {Vector} offset
+	 * @return {this}
+	 * @memberof Polygon
+	 */
+	translate(offset) {
+		for(const point of this.points) {
+			point.x += offset.x;
+			point.y += offset.y;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Rotates the polygon around given point.
+	 * @param {number} angle Angle in radians
+	 * @param {Vector} [origin=this.getCentroid()] Point to rotate around
+	 * @return {this}
+	 * @memberof Polygon
+	 */
+	rotate(angle, origin = this.getCentroid()) {
+		for(const point of this.points) Shape._rotatePoint(point, angle, origin);
+
+		return this;
+	}
+
+	/**
+	 * Scales the polygon relative to given point.
+	 * @param {Vector | number} factor Scale factor
+	 * @param {Vector} [origin=this.getCentroid()] Point to scale from
+	 * @return {this}
+	 * @memberof Polygon
+	 */
+	scale(factor, origin = this.getCentroid()) {
+		for(const point of this.points) Shape._scalePoint(point, factor, origin);
+
+		return this;
+	}
+
+	/**
+	 * Transforms the polygon by 3x3 or 4x4 transformation Matrix.
+	 * @param {Matrix} matrix Transformation matrix
+	 * @return {this}
+	 * @memberof Polygon
+	 */
+	transform(matrix) {
+		for(const point of this.points) Shape._transformPoint(point, matrix);
+
+		return this;
+	}
+
+	/**
+	 * @return {Polygon}
+	 * @memberof Polygon
+	 */
+	toPolygon() {
+		return this;
+	}
+
+	/**
+	 * @return {Polygon}
+	 * @memberof Polygon
+	 */
+	copy() {
+		return new Polygon(this.points);
+	}
+}
+
+/**
+ * Base class of parametric curves defined on interval [0, 1]. Control points are 2D or 3D `Vector` instances.
+ *
+ * @class Curve
+ */
+class Curve {
+	/**
+	 * Creates an instance of Curve.
+	 * @param {Vector[]} [points=[]] Control points of the curve.
+	 * @memberof Curve
+	 */
+	constructor(points = []) {
+		/**
+		 * Control points of the curve.
+		 * @type {Vector[]}
+		 */
+		this.points = points.map(e => new Vector(e.x, e.y, e.z));
+
+		/**
+		 * Cached cumulative lengths used for arc-length parametrization.
+		 * @type {number[] | null}
+		 */
+		this._lengths = null;
+	}
+
+	/**
+	 * Calculates the point on the curve at given parameter.
+	 * @abstract
+	 * @param {number} t Curve parameter (in range 0 - 1).
+	 * @return {Vector}
+	 * @memberof Curve
+	 */
+	getPoint(t) {
+		throw new Error("Method 'getPoint' is not implemented!");
+	}
+
+	/**
+	 * Calculates the tangent (first derivative, not normalized) of the curve at given parameter.
+	 * @abstract
+	 * @param {number} t Curve parameter (in range 0 - 1).
+	 * @return {Vector}
+	 * @memberof Curve
+	 */
+	getTangent(t) {
+		throw new Error("Method 'getTangent' is not implemented!");
+	}
+
+	/**
+	 * Samples the curve at uniformly spaced parameters.
+	 * @param {number} [divisions=50] Number of segments. (Returns `divisions + 1` points.)
+	 * @return {Vector[]}
+	 * @memberof Curve
+	 */
+	getPoints(divisions = 50) {
+		const points = [];
+		for(let i = 0; i <= divisions; i++) points.push(this.getPoint(i / divisions));
+
+		return points;
+	}
+
+	/**
+	 * Calculates cumulative lengths of the curve approximated by line segments.
+	 * Result is cached, call `updateLengths()` after modifying the control points.
+	 * @param {number} [divisions=200] Number of segments used for the approximation.
+	 * @return {number[]} Array of `divisions + 1` cumulative lengths.
+	 * @memberof Curve
+	 */
+	getLengths(divisions = 200) {
+		if(this._lengths && this._lengths.length === divisions + 1) return this._lengths;
+
+		const lengths = [0];
+		let prev = this.getPoint(0);
+		for(let i = 1; i <= divisions; i++) {
+			const point = this.getPoint(i / divisions);
+			lengths.push(lengths[i - 1] + prev.distanceTo(point));
+			prev = point;
+		}
+
+		return this._lengths = lengths;
+	}
+
+	/**
+	 * Invalidates cached lengths of the curve.
+	 * @return {this}
+	 * @memberof Curve
+	 */
+	updateLengths() {
+		this._lengths = null;
+
+		return this;
+	}
+
+	/**
+	 * Calculates the approximate arc length of the curve.
+	 * @return {number}
+	 * @memberof Curve
+	 */
+	getLength() {
+		const lengths = this.getLengths();
+
+		return lengths[lengths.length - 1];
+	}
+
+	/**
+	 * Maps arc-length parameter to curve parameter.
+	 * @param {number} u Fraction of the arc length (in range 0 - 1).
+	 * @return {number} Curve parameter (in range 0 - 1).
+	 * @memberof Curve
+	 */
+	getParameterAt(u) {
+		const lengths = this.getLengths();
+		const divisions = lengths.length - 1;
+		const target = clamp(u, 0, 1) * lengths[divisions];
+
+		// Binary search for the segment containing the target length
+		let low = 0;
+		let high = divisions;
+		while(low < high) {
+			const mid = (low + high) >> 1;
+			if(lengths[mid] < target) low = mid + 1;
+			else high = mid;
+		}
+
+		if(low === 0) return 0;
+
+		const segment = lengths[low] - lengths[low - 1];
+		const fraction = segment ? (target - lengths[low - 1]) / segment : 0;
+
+		return (low - 1 + fraction) / divisions;
+	}
+
+	/**
+	 * Calculates the point on the curve at given fraction of its arc length.
+	 * @param {number} u Fraction of the arc length (in range 0 - 1).
+	 * @return {Vector}
+	 * @memberof Curve
+	 */
+	getPointAt(u) {
+		return this.getPoint(this.getParameterAt(u));
+	}
+
+	/**
+	 * Calculates the tangent of the curve at given fraction of its arc length.
+	 * @param {number} u Fraction of the arc length (in range 0 - 1).
+	 * @return {Vector}
+	 * @memberof Curve
+	 */
+	getTangentAt(u) {
+		return this.getTangent(this.getParameterAt(u));
+	}
+
+	/**
+	 * Samples the curve at points equally spaced along its arc length.
+	 * @param {number} [divisions=50] Number of segments. (Returns `divisions + 1` points.)
+	 * @return {Vector[]}
+	 * @memberof Curve
+	 */
+	getSpacedPoints(divisions = 50) {
+		const points = [];
+		for(let i = 0; i <= divisions; i++) points.push(this.getPointAt(i / divisions));
+
+		return points;
+	}
+
+	/**
+	 * Calculates the axis-aligned bounding box of the curve by sampling.
+	 * @param {number} [divisions=200] Number of samples.
+	 * @return {{min: Vector, max: Vector}}
+	 * @memberof Curve
+	 */
+	getBoundingBox(divisions = 200) {
+		return Curve._getBounds(this.getPoints(divisions));
+	}
+
+	/**
+	 * @static
+	 * @param {Vector[]} points
+	 * @return {{min: Vector, max: Vector}}
+	 * @memberof Curve
+	 */
+	static _getBounds(points) {
+		const min = new Vector(Infinity, Infinity, Infinity);
+		const max = new Vector(-Infinity, -Infinity, -Infinity);
+
+		for(const point of points) {
+			min.min(point);
+			max.max(point);
+		}
+
+		return {min, max};
+	}
+}
+
+/**
+ * Bezier curve of arbitrary degree.
+ *
+ * @class BezierCurve
+ * @extends {Curve}
+ */
+class BezierCurve extends Curve {
+	/**
+	 * Creates an instance of BezierCurve.
+	 * @param {Vector[]} points Control points of the curve (degree of the curve is `points.length - 1`).
+	 * @memberof BezierCurve
+	 */
+	constructor(points) {
+		if(points.length < 2) throw new RangeError("Bezier curve requires at least 2 control points!");
+
+		super(points);
+	}
+
+	/**
+	 * Degree of the curve.
+	 * @readonly
+	 * @type {number}
+	 * @memberof BezierCurve
+	 */
+	get degree() {
+		return this.points.length - 1;
+	}
+
+	/**
+	 * @param {number} t
+	 * @return {Vector}
+	 * @memberof BezierCurve
+	 */
+	getPoint(t) {
+		return BezierCurve._deCasteljau(this.points, t)[0][this.degree];
+	}
+
+	/**
+	 * @param {number} t
+	 * @return {Vector}
+	 * @memberof BezierCurve
+	 */
+	getTangent(t) {
+		return BezierCurve._deCasteljau(BezierCurve._getDerivativePoints(this.points), t)[0][this.degree - 1];
+	}
+
+	/**
+	 * Splits the curve into two curves of the same degree at given parameter.
+	 * @param {number} t Curve parameter (in range 0 - 1).
+	 * @return {[BezierCurve, BezierCurve]}
+	 * @memberof BezierCurve
+	 */
+	split(t) {
+		const [left, right] = BezierCurve._deCasteljau(this.points, t);
+
+		return [this._create(left), this._create(right)];
+	}
+
+	/**
+	 * Calculates the exact axis-aligned bounding box of the curve (for curves up to cubic).
+	 * @param {number} [divisions=200] Number of samples for curves of higher degree.
+	 * @return {{min: Vector, max: Vector}}
+	 * @memberof BezierCurve
+	 */
+	getBoundingBox(divisions = 200) {
+		if(this.degree > 3) return super.getBoundingBox(divisions);
+
+		const points = [this.points[0], this.points[this.degree]];
+		const derivative = BezierCurve._getDerivativePoints(this.points);
+
+		// Extremes are located at the roots of the derivative
+		for(const axis of ["x", "y", "z"]) {
+			const d = derivative.map(e => e[axis]);
+			const roots = [];
+
+			if(d.length === 2) {
+				// Linear derivative
+				if(d[0] !== d[1]) roots.push(d[0] / (d[0] - d[1]));
+			} else if(d.length === 3) {
+				// Quadratic derivative in Bernstein form
+				const a = d[0] - 2 * d[1] + d[2];
+				const b = 2 * (d[1] - d[0]);
+				const c = d[0];
+
+				if(Math.abs(a) < 1e-12) {
+					if(b !== 0) roots.push(-c / b);
+				} else {
+					const discriminant = b * b - 4 * a * c;
+					if(discriminant >= 0) {
+						const sq = Math.sqrt(discriminant);
+						roots.push((-b + sq) / (2 * a), (-b - sq) / (2 * a));
+					}
+				}
+			}
+
+			for(const root of roots) {
+				if(root > 0 && root < 1) points.push(this.getPoint(root));
+			}
+		}
+
+		return Curve._getBounds(points);
+	}
+
+	/**
+	 * Creates a new curve of the same type from given control points.
+	 * @param {Vector[]} points
+	 * @return {BezierCurve}
+	 * @memberof BezierCurve
+	 */
+	_create(points) {
+		return new BezierCurve(points);
+	}
+
+	/**
+	 * Runs de Casteljau's algorithm.
+	 * @static
+	 * @param {Vector[]} points Control points
+	 * @param {number} t Curve parameter
+	 * @return {[Vector[], Vector[]]} Control points of the left and right part of the split curve
+	 * @memberof BezierCurve
+	 */
+	static _deCasteljau(points, t) {
+		let current = points.map(e => e.copy());
+		const left = [current[0]];
+		const right = [current[current.length - 1]];
+
+		while(current.length > 1) {
+			const next = [];
+			for(let i = 0; i < current.length - 1; i++) {
+				next.push(current[i].copy().mult(1 - t).add(current[i + 1].copy().mult(t)));
+			}
+
+			left.push(next[0]);
+			right.unshift(next[next.length - 1]);
+			current = next;
+		}
+
+		return [left, right];
+	}
+
+	/**
+	 * Calculates control points of the derivative curve.
+	 * @static
+	 * @param {Vector[]} points Control points
+	 * @return {Vector[]}
+	 * @memberof BezierCurve
+	 */
+	static _getDerivativePoints(points) {
+		const n = points.length - 1;
+		const derivative = [];
+		for(let i = 0; i < n; i++) derivative.push(points[i + 1].copy().sub(points[i]).mult(n));
+
+		return derivative;
+	}
+}
+
+/**
+ * Quadratic Bezier curve.
+ *
+ * @class QuadraticBezier
+ * @extends {BezierCurve}
+ */
+class QuadraticBezier extends BezierCurve {
+	/**
+	 * Creates an instance of QuadraticBezier.
+	 * @param {Vector} p0 Start point.
+	 * @param {Vector} p1 Control point.
+	 * @param {Vector} p2 End point.
+	 * @memberof QuadraticBezier
+	 */
+	constructor(p0, p1, p2) {
+		super([p0, p1, p2]);
+	}
+
+	/**
+	 * @param {Vector[]} points
+	 * @return {QuadraticBezier}
+	 * @memberof QuadraticBezier
+	 */
+	_create(points) {
+		return new QuadraticBezier(points[0], points[1], points[2]);
+	}
+}
+
+/**
+ * Cubic Bezier curve.
+ *
+ * @class CubicBezier
+ * @extends {BezierCurve}
+ */
+class CubicBezier extends BezierCurve {
+	/**
+	 * Creates an instance of CubicBezier.
+	 * @param {Vector} p0 Start point.
+	 * @param {Vector} p1 First control point.
+	 * @param {Vector} p2 Second control point.
+	 * @param {Vector} p3 End point.
+	 * @memberof CubicBezier
+	 */
+	constructor(p0, p1, p2, p3) {
+		super([p0, p1, p2, p3]);
+	}
+
+	/**
+	 * @param {Vector[]} points
+	 * @return {CubicBezier}
+	 * @memberof CubicBezier
+	 */
+	_create(points) {
+		return new CubicBezier(points[0], points[1], points[2], points[3]);
+	}
+}
+
+/**
+ * Uniform Catmull-Rom spline passing through all of its control points.
+ *
+ * @class CatmullRomSpline
+ * @extends {Curve}
+ */
+class CatmullRomSpline extends Curve {
+	/**
+	 * Creates an instance of CatmullRomSpline.
+	 * @param {Vector[]} points Control points of the spline.
+	 * @param {boolean} [closed=false] Whether the spline forms a closed loop.
+	 * @memberof CatmullRomSpline
+	 */
+	constructor(points, closed = false) {
+		if(points.length < 2) throw new RangeError("Catmull-Rom spline requires at least 2 control points!");
+
+		super(points);
+
+		/** @type {boolean} */
+		this.closed = closed;
+	}
+
+	/**
+	 * Number of cubic segments of the spline.
+	 * @readonly
+	 * @type {number}
+	 * @memberof CatmullRomSpline
+	 */
+	get segments() {
+		return this.closed ? this.points.length : this.points.length - 1;
+	}
+
+	/**
+	 * @param {number} t
+	 * @return {Vector}
+	 * @memberof CatmullRomSpline
+	 */
+	getPoint(t) {
+		const [p0, p1, p2, p3, local] = this._getSegment(t);
+		const t2 = local * local;
+		const t3 = t2 * local;
+
+		return p1.copy().mult(2)
+			.add(p2.copy().sub(p0).mult(local))
+			.add(p0.copy().mult(2).sub(p1.copy().mult(5)).add(p2.copy().mult(4)).sub(p3).mult(t2))
+			.add(p1.copy().mult(3).sub(p0).sub(p2.copy().mult(3)).add(p3).mult(t3))
+			.mult(0.5);
+	}
+
+	/**
+	 * @param {number} t
+	 * @return {Vector}
+	 * @memberof CatmullRomSpline
+	 */
+	getTangent(t) {
+		const [p0, p1, p2, p3, local] = this._getSegment(t);
+
+		return p2.copy().sub(p0)
+			.add(p0.copy().mult(2).sub(p1.copy().mult(5)).add(p2.copy().mult(4)).sub(p3).mult(2 * local))
+			.add(p1.copy().mult(3).sub(p0).sub(p2.copy().mult(3)).add(p3).mult(3 * local * local))
+			.mult(0.5 * this.segments);
+	}
+
+	/**
+	 * Converts the spline into equivalent cubic Bezier curves (one per segment).
+	 * @return {CubicBezier[]}
+	 * @memberof CatmullRomSpline
+	 */
+	toBezierCurves() {
+		const curves = [];
+
+		for(let i = 0; i < this.segments; i++) {
+			const [p0, p1, p2, p3] = this._getSegmentPoints(i);
+
+			curves.push(new CubicBezier(
+				p1,
+				p1.copy().add(p2.copy().sub(p0).div(6)),
+				p2.copy().sub(p3.copy().sub(p1).div(6)),
+				p2
+			));
+		}
+
+		return curves;
+	}
+
+	/**
+	 * Splits the spline at given parameter. Catmull-Rom splines can't be split exactly into two splines,
+	 * so both parts are returned as equivalent cubic Bezier curves.
+	 * @param {number} t Curve parameter (in range 0 - 1).
+	 * @return {[CubicBezier[], CubicBezier[]]}
+	 * @memberof CatmullRomSpline
+	 */
+	split(t) {
+		const curves = this.toBezierCurves();
+		const s = clamp(t, 0, 1) * this.segments;
+		const index = Math.min(Math.floor(s), this.segments - 1);
+		const [left, right] = curves[index].split(s - index);
+
+		return [
+			[...curves.slice(0, index), /**@type {CubicBezier}*/(left)],
+			[/**@type {CubicBezier}*/(right), ...curves.slice(index + 1)]
+		];
+	}
+
+	/**
+	 * @param {number} t
+	 * @return {[Vector, Vector, Vector, Vector, number]} Points of the segment and local parameter
+	 * @memberof CatmullRomSpline
+	 */
+	_getSegment(t) {
+		const s = clamp(t, 0, 1) * this.segments;
+		const index = Math.min(Math.floor(s), this.segments - 1);
+
+		return [...this._getSegmentPoints(index), s - index];
+	}
+
+	/**
+	 * @param {number} index Index of the segment
+	 * @return {[Vector, Vector, Vector, Vector]}
+	 * @memberof CatmullRomSpline
+	 */
+	_getSegmentPoints(index) {
+		const n = this.points.length;
+		const get = i => {
+			if(this.closed) return this.points[(i + n) % n];
+
+			// Extrapolate missing end points
+			if(i < 0) return this.points[0].copy().mult(2).sub(this.points[1]);
+			if(i >= n) return this.points[n - 1].copy().mult(2).sub(this.points[n - 2]);
+			return this.points[i];
+		};
+
+		return [get(index - 1), get(index), get(index + 1), get(index + 2)];
+	}
+}
+
+/**
+ * B-spline curve with clamped uniform knot vector (unless custom knots are provided).
+ *
+ * @class BSpline
+ * @extends {Curve}
+ */
+class BSpline extends Curve {
+	/**
+	 * Creates an instance of BSpline.
+	 * @param {Vector[]} points Control points of the spline.
+	 * @param {number} [degree=3] Degree of the spline.
+	 * @param {number[]} [knots] Knot vector of length `points.length + degree + 1`. Clamped uniform knot vector is used if not provided.
+	 * @memberof BSpline
+	 */
+	constructor(points, degree = 3, knots = undefined) {
+		if(degree < 1) throw new RangeError("Degree of B-spline must be at least 1!");
+		if(points.length <= degree) throw new RangeError(`B-spline of degree ${degree} requires at least ${degree + 1} control points!`);
+
+		super(points);
+
+		/** @type {number} */
+		this.degree = degree;
+
+		/** @type {number[]} */
+		this.knots = knots ? knots.slice() : BSpline.createKnots(points.length, degree);
+
+		if(this.knots.length !== points.length + degree + 1) throw new RangeError("Invalid length of the knot vector!");
+	}
+
+	/**
+	 * @param {number} t
+	 * @return {Vector}
+	 * @memberof BSpline
+	 */
+	getPoint(t) {
+		return BSpline._deBoor(this.points, this.knots, this.degree, this._getKnotValue(t));
+	}
+
+	/**
+	 * @param {number} t
+	 * @return {Vector}
+	 * @memberof BSpline
+	 */
+	getTangent(t) {
+		if(this.degree === 1) {
+			const k = BSpline._findSpan(this.knots, this.degree, this.points.length, this._getKnotValue(t));
+			return this.points[k].copy().sub(this.points[k - 1]).div(this.knots[k + 1] - this.knots[k]).mult(this._getDomainLength());
+		}
+
+		// Derivative of the B-spline is a B-spline of lower degree
+		const p = this.degree;
+		const derivative = [];
+		for(let i = 0; i < this.points.length - 1; i++) {
+			const span = this.knots[i + p + 1] - this.knots[i + 1];
+			derivative.push(span ? this.points[i + 1].copy().sub(this.points[i]).mult(p / span) : new Vector());
+		}
+
+		return BSpline._deBoor(derivative, this.knots.slice(1, -1), p - 1, this._getKnotValue(t)).mult(this._getDomainLength());
+	}
+
+	/**
+	 * Inserts a knot without changing the shape of the spline. New spline is returned.
+	 * @param {number} t Curve parameter (in range 0 - 1).
+	 * @return {BSpline}
+	 * @memberof BSpline
+	 */
+	insertKnot(t) {
+		return BSpline._insertKnot(this, this._getKnotValue(t));
+	}
+
+	/**
+	 * Splits the spline into two splines at given parameter.
+	 * @param {number} t Curve parameter (in range 0 - 1, exclusive).
+	 * @return {[BSpline, BSpline]}
+	 * @memberof BSpline
+	 */
+	split(t) {
+		if(!(t > 0 && t < 1)) throw new RangeError("B-spline can only be split at parameter in range (0, 1)!");
+
+		const p = this.degree;
+		const x = this._getKnotValue(t);
+
+		// Insert the knot until its multiplicity equals the degree
+		let spline = /**@type {BSpline}*/(this);
+		while(spline.knots.filter(e => e === x).length < p) spline = BSpline._insertKnot(spline, x);
+
+		const index = spline.knots.indexOf(x);
+		const leftKnots = spline.knots.slice(0, index + p).concat([x]);
+		const rightKnots = [x].concat(spline.knots.slice(index));
+		const leftCount = leftKnots.length - p - 1;
+		const rightCount = rightKnots.length - p - 1;
+
+		return [
+			new BSpline(spline.points.slice(0, leftCount), p, leftKnots),
+			new BSpline(spline.points.slice(spline.points.length - rightCount), p, rightKnots)
+		];
+	}
+
+	/**
+	 * Maps curve parameter (0 - 1) into the knot domain.
+	 * @param {number} t
+	 * @return {number}
+	 * @memberof BSpline
+	 */
+	_getKnotValue(t) {
+		const start = this.knots[this.degree];
+
+		return start + clamp(t, 0, 1) * this._getDomainLength();
+	}
+
+	/**
+	 * @return {number}
+	 * @memberof BSpline
+	 */
+	_getDomainLength() {
+		return this.knots[this.points.length] - this.knots[this.degree];
+	}
+
+	/**
+	 * Creates clamped uniform knot vector.
+	 * @static
+	 * @param {number} count Number of control points
+	 * @param {number} degree Degree of the spline
+	 * @return {number[]}
+	 * @memberof BSpline
+	 */
+	static createKnots(count, degree) {
+		const knots = [];
+		const segments = count - degree;
+
+		for(let i = 0; i < count + degree + 1; i++) {
+			knots.push(clamp((i - degree) / segments, 0, 1));
+		}
+
+		return knots;
+	}
+
+	/**
+	 * Finds the knot span containing given value.
+	 * @static
+	 * @param {number[]} knots
+	 * @param {number} degree
+	 * @param {number} count Number of control points
+	 * @param {number} x
+	 * @return {number}
+	 * @memberof BSpline
+	 */
+	static _findSpan(knots, degree, count, x) {
+		if(x >= knots[count]) return count - 1;
+
+		let k = degree;
+		while(k < count - 1 && x >= knots[k + 1]) k++;
+
+		return k;
+	}
+
+	/**
+	 * Evaluates the spline using de Boor's algorithm.
+	 * @static
+	 * @param {Vector[]} points
+	 * @param {number[]} knots
+	 * @param {number} degree
+	 * @param {number} x Value in the knot domain
+	 * @return {Vector}
+	 * @memberof BSpline
+	 */
+	static _deBoor(points, knots, degree, x) {
+		const k = BSpline._findSpan(knots, degree, points.length, x);
+		const d = [];
+		for(let j = 0; j <= degree; j++) d.push(points[j + k - degree].copy());
+
+		for(let r = 1; r <= degree; r++) {
+			for(let j = degree; j >= r; j--) {
+				const left = knots[j + k - degree];
+				const span = knots[j + 1 + k - r] - left;
+				const alpha = span ? (x - left) / span : 0;
+
+				d[j] = d[j - 1].copy().mult(1 - alpha).add(d[j].mult(alpha));
+			}
+		}
+
+		return d[degree];
+	}
+
+	/**
+	 * Inserts a knot using Boehm's algorithm.
+	 * @static
+	 * @param {BSpline} spline
+	 * @param {number} x Value in the knot domain
+	 * @return {BSpline}
+	 * @memberof BSpline
+	 */
+	static _insertKnot(spline, x) {
+		const p = spline.degree;
+		const P = spline.points;
+		const k = BSpline._findSpan(spline.knots, p, P.length, x);
+		const points = [];
+
+		for(let i = 0; i <= P.length; i++) {
+			if(i <= k - p) {
+				points.push(P[i].copy());
+			} else if(i <= k) {
+				const a = (x - spline.knots[i]) / (spline.knots[i + p] - spline.knots[i]);
+				points.push(P[i - 1].copy().mult(1 - a).add(P[i].copy().mult(a)));
+			} else {
+				points.push(P[i - 1].copy());
+			}
+		}
+
+		const knots = spline.knots.slice();
+		knots.splice(k + 1, 0, x);
+
+		return new BSpline(points, p, knots);
+	}
+}
+
+class Color {
+
+	/**
+	 * Creates an instance of Color.
+	 * @param {number | Color} [red=0]
+	 * @param {number} [green=red]
+	 * @param {number} [blue=red]
+	 * @param {number} [alpha=1]
+	 * @memberof Color
+	 */
+	constructor(red = 0, green = 0, blue = 0, alpha = 1) {
+		/** @type {number} */
+		this.r = 0;
+		/** @type {number} */
+		this.g = 0;
+		/** @type {number} */
+		this.b = 0;
+		/** @type {number} */
+		this.a = 1;
+
+		if(red instanceof Color) {
+			// Copy
+			this.r = +red.r;
+			this.g = +red.g;
+			this.b = +red.b;
+			this.a = +red.a;
+		} else if(isNaN(red) && typeof red === "string") {
+			// Parse
+			var color = Color.parse(red);
+
+			this.r = color.r;
+			this.g = color.g;
+			this.b = color.b;
+			this.a = color.a;
+		} else {
+			// Create new
+			this.r = +red;
+			this.g = typeof green === "undefined" ? +red : +green;
+			this.b = typeof blue === "undefined" ? +red : +blue;
+			this.a = +alpha;
+		}
+	}
+
+	/**
+	 * Calculates the luminance of the color.
+	 * @return {number} Normalized luminance (in range 0 - 1).
+	 * @memberof Color
+	 */
+	getLuminance() {
+		return 0.2126 * this.r / 255 + 0.7152 * this.g / 255 + 0.0722 * this.b / 255;
+	}
+
+	/**
+	 * Inverts the color (mutates the current color).
+	 * @return {this}
+	 * @memberof Color
+	 */
+	invert() {
+		this.r = 255 - this.r;
+		this.g = 255 - this.g;
+		this.b = 255 - this.b;
+
+		return this;
+	}
+
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * Calls a defined callback function on each color channel, and returns new Color object that contains the results.
+	 * @param {(value: number, channel: string, thisArg: Color) => number} callback A function that accepts up to three arguments. The map method calls the callbackfn function one time for each color channel.
+	 * @param {boolean} [alpha=false] Decide to use also alpha channel.
+	 * @returns {Color} new Color object
+	 */
+	map(callback, alpha = false) {
+		var c = new Color(this);
+		c.r = callback(c.r, "r", this);
+		c.g = callback(c.g, "g", this);
+		c.b = callback(c.b, "b", this);
+		if(alpha) c.a = callback(c.a, "a", this);
+		return c;
+	}
+
+	applyFilter(red, green, blue) {
+		red = 255 - red;
+		green = 255 - green;
+		blue = 255 - blue;
+		var avg = (this.r + this.g + this.b) / 3;
+		if(this.r > red || this.g > green || this.g > blue) {
+			this.r = avg;
+			this.g = avg;
+			this.b = avg;
+		}
+		return true;
+	}
+
+	/**
+	 * Copies current values from Color object to new Color object
+	 * @returns {Color} copied color
+	 */
+	copy() {
+		return new Color(this.r, this.g, this.b, this.a);
+	}
+
+	/**
+	 * @returns {[number, number, number]}
+	 */
+	toHSL() {
+		const r = this.r / 255;
+		const g = this.g / 255;
+		const b = this.b / 255;
+		const max = Math.max(r, g, b);
+		const min = Math.min(r, g, b);
+
+		let h = 0;
+		let s = 0;
+		let l = (max + min) / 2;
+
+		if(max !== min) {
+			var d = max - min;
+			s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+			switch(max) {
+				case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+				case g: h = (b - r) / d + 2; break;
+				case b: h = (r - g) / d + 4; break;
+			}
+			h /= 6;
+		}
+
+		return [h, s, l];
+	}
+
+	/**
+	 * @returns {[number, number, number]} Hue, saturation and value (all in range 0 - 1).
+	 * @memberof Color
+	 */
+	toHSV() {
+		const r = this.r / 255;
+		const g = this.g / 255;
+		const b = this.b / 255;
+		const max = Math.max(r, g, b);
+		const min = Math.min(r, g, b);
+		const d = max - min;
+
+		let h = 0;
+		const s = max === 0 ? 0 : d / max;
+		const v = max;
+
+		if(d !== 0) {
+			switch(max) {
+				case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+				case g: h = (b - r) / d + 2; break;
+				case b: h = (r - g) / d + 4; break;
+			}
+			h /= 6;
+		}
+
+		return [h, s, v];
+	}
+
+	/**
+	 * @returns {[number, number, number]} Hue, whiteness and blackness (all in range 0 - 1).
+	 * @memberof Color
+	 */
+	toHWB() {
+		const [h, s, v] = this.toHSV();
+
+		return [h, (1 - s) * v, 1 - v];
+	}
+
+	/**
+	 * @returns {[number, number, number, number]} Cyan, magenta, yellow and key (black) components (all in range 0 - 1).
+	 * @memberof Color
+	 */
+	toCMYK() {
+		const r = this.r / 255;
+		const g = this.g / 255;
+		const b = this.b / 255;
+		const k = 1 - Math.max(r, g, b);
+
+		if(k === 1) return [0, 0, 0, 1];
+
+		return [
+			(1 - r - k) / (1 - k),
+			(1 - g - k) / (1 - k),
+			(1 - b - k) / (1 - k),
+			k
+		];
+	}
+
+	/**
+	 * Converts the color into CIE XYZ color space (D65 white point).
+	 * @returns {[number, number, number]} X, Y and Z components (Y of white is 1).
+	 * @memberof Color
+	 */
+	toXYZ() {
+		return Color._multiplyMatrix(Color._SRGB_TO_XYZ, this._toLinear());
+	}
+
+	/**
+	 * Converts the color into CIE Lab color space (D50 white point, as used by CSS `lab()`).
+	 * @returns {[number, number, number]} Lightness (in range 0 - 100), a and b components.
+	 * @memberof Color
+	 */
+	toLab() {
+		const [x, y, z] = Color._multiplyMatrix(Color._D65_TO_D50, this.toXYZ());
+		const f = t => t > Color._LAB_EPSILON ? Math.cbrt(t) : (Color._LAB_KAPPA * t + 16) / 116;
+
+		const fx = f(x / Color._D50_WHITE[0]);
+		const fy = f(y / Color._D50_WHITE[1]);
+		const fz = f(z / Color._D50_WHITE[2]);
+
+		return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+	}
+
+	/**
+	 * Converts the color into CIE LCH color space (cylindrical form of Lab).
+	 * @returns {[number, number, number]} Lightness (in range 0 - 100), chroma and hue (in degrees).
+	 * @memberof Color
+	 */
+	toLCH() {
+		return Color._toPolar(this.toLab(), Color._LCH_ACHROMATIC_EPSILON);
+	}
+
+	/**
+	 * Converts the color into OKLab color space.
+	 * @returns {[number, number, number]} Lightness (in range 0 - 1), a and b components.
+	 * @memberof Color
+	 */
+	toOKLab() {
+		const [l, m, s] = Color._multiplyMatrix(Color._SRGB_TO_LMS, this._toLinear()).map(Math.cbrt);
+
+		return Color._multiplyMatrix(Color._LMS_TO_OKLAB, [l, m, s]);
+	}
+
+	/**
+	 * Converts the color into OKLCH color space (cylindrical form of OKLab).
+	 * @returns {[number, number, number]} Lightness (in range 0 - 1), chroma and hue (in degrees).
+	 * @memberof Color
+	 */
+	toOKLCH() {
+		return Color._toPolar(this.toOKLab(), Color._OKLCH_ACHROMATIC_EPSILON);
+	}
+
+	/**
+	 * Converts color channels into linear-light sRGB (removes the sRGB gamma).
+	 * @returns {[number, number, number]} Linear red, green and blue (in range 0 - 1).
+	 * @memberof Color
+	 */
+	_toLinear() {
+		return /** @type {[number, number, number]} */ ([this.r, this.g, this.b].map(e => {
+			const c = e / 255;
+			const abs = Math.abs(c);
+
+			return abs <= 0.04045 ? c / 12.92 : Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4);
+		}));
+	}
+
+	/**
+	 * Returns a string representing the color using specified format
+	 * Supported formats: RGB, RGBA, HEX, HEXA, HSV, HWB, CMYK, XYZ, LAB, LCH, OKLAB, OKLCH
+	 * Default format: RGBA
+	 * @param {"RGB" | "RGBA" | "HEX" | "HEXA" | "HSV" | "HWB" | "CMYK" | "XYZ" | "LAB" | "LCH" | "OKLAB" | "OKLCH" | "rgb" | "rgba" | "hex" | "hexa" | "hsv" | "hwb" | "cmyk" | "xyz" | "lab" | "lch" | "oklab" | "oklch"} [format="RGBA"]
+	 * @returns {string} color
+	 */
+	toString(format = "RGBA") {
+		const n = (/**@type {number}*/number, digits = 2) => +number.toFixed(digits);
+		const alpha = this.a < 1 ? ` / ${this.a}` : "";
+
+		switch(format.toLowerCase()) {
+			case "rgb":
+				return `rgb(${this.r}, ${this.g}, ${this.b})`;
+			case "rgba":
+				return `rgba(${this.r}, ${this.g}, ${this.b}, ${this.a})`;
+			case "hex":
+				return `#${fixDigits(this.r.toString(16))}${fixDigits(this.g.toString(16))}${fixDigits(this.b.toString(16))}`;
+			case "hexa":
+				return `#${fixDigits(this.r.toString(16))}${fixDigits(this.g.toString(16))}${fixDigits(this.b.toString(16))}${fixDigits(this.a.toString(16))}`;
+			case "hsv": {
+				const [h, s, v] = this.toHSV();
+				return `hsv(${n(h * 360)} ${n(s * 100)}% ${n(v * 100)}%${alpha})`;
+			}
+			case "hwb": {
+				const [h, w, b] = this.toHWB();
+				return `hwb(${n(h * 360)} ${n(w * 100)}% ${n(b * 100)}%${alpha})`;
+			}
+			case "cmyk": {
+				const [c, m, y, k] = this.toCMYK();
+				return `cmyk(${n(c * 100)}% ${n(m * 100)}% ${n(y * 100)}% ${n(k * 100)}%${alpha})`;
+			}
+			case "xyz": {
+				const [x, y, z] = this.toXYZ();
+				return `color(xyz-d65 ${n(x, 5)} ${n(y, 5)} ${n(z, 5)}${alpha})`;
+			}
+			case "lab": {
+				const [l, a, b] = this.toLab();
+				return `lab(${n(l)} ${n(a)} ${n(b)}${alpha})`;
+			}
+			case "lch": {
+				const [l, c, h] = this.toLCH();
+				return `lch(${n(l)} ${n(c)} ${n(h)}${alpha})`;
+			}
+			case "oklab": {
+				const [l, a, b] = this.toOKLab();
+				return `oklab(${n(l, 4)} ${n(a, 4)} ${n(b, 4)}${alpha})`;
+			}
+			case "oklch": {
+				const [l, c, h] = this.toOKLCH();
+				return `oklch(${n(l, 4)} ${n(c, 4)} ${n(h)}${alpha})`;
+			}
+			default:
+				throw new TypeError(`Invalid color format '${format}'`);
+		}
+	}
+
+	/**
+	 * Transforms Color into Vector
+	 * @returns {Vector} Color represented as Vector
+	 */
+	toVector() {
+		return new Vector(this.r, this.g, this.b);
+	}
+
+	/**
+	 * Parses color string
+	 * Supported formats: RGB, RGBA, HEX, HEXA, HLS, HSLA
+	 * @param {string} string color string
+	 * @returns {Color} parsed color
+	 */
+	static parse(string) {
+		var color = string.toString().toLowerCase();
+
+		// HEX
+		if(color.startsWith("#")) {
+			const components = color.slice(1).split("");
+
+			// Add alpha channel
+			if(components.length == 3) components.push("f");
+			else if(components.length == 6) components.push("f", "f");
+
+			// Convert to RRGGBBAA
+			if(components.length == 4) {
+				for(var i = 0; i < 8; i += 2) components.splice(i, 0, components[i]);
+			}
+
+			// Convert to RGBA
+			if(components.length == 8) {
+				var c = [];
+				for(var i = 2; i <= 8; i += 2) c.push(parseInt("0x" + components.slice(i - 2, i).join("")));
+
+				return new Color(c[0], c[1], c[2], c[3] / 255);
+			} else throw new TypeError(string + " is not a valid HEX color");
+		} else if(color.startsWith("rgb")) {
+			// RGB
+			var match = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*(\d+(?:\.\d+)?))?\)/);
+
+			if(match) {
+				var r = clamp(+match[1], 0, 255);
+				var g = clamp(+match[2], 0, 255);
+				var b = clamp(+match[3], 0, 255);
+				var a = clamp(+match[4], 0, 255);
+
+				if(isNaN(a)) a = 1;
+
+				return new Color(r, g, b, a);
+			} else throw new TypeError(string + " is not a valid RGBA format");
+		} else if(color.startsWith("hsl")) {
+			// HSL
+			var match = color.match(/hsla?\((\d+(?:\.\d+)?),\s*(\d+(?:\.\d+)?)(%?),\s*(\d+(?:\.\d+)?)(%?)(?:,\s*(\d+(?:\.\d+)?))?\)/);
+
+			if(match) {
+				var h = +match[1] % 360;
+				var s = clamp(+match[2] / (match[3] ? 100 : 1), 0, 1);
+				var l = clamp(+match[4] / (match[5] ? 100 : 1), 0, 1);
+				var a = clamp(+match[6], 0, 1);
+
+				var r = 0, g = 0, b = 0;
+
+				if(isNaN(a)) a = 1;
+
+				var func = (i, h, min, max) => {
+					if(i == 0) return 255;
+					else if(i == 1) return map(h, min, max, 255, 0);
+					else if(i == 2) return 0;
+					else if(i == 3) return 0;
+					else if(i == 4) return map(h, min, max, 0, 255);
+					else if(i == 5) return 255;
+					else return 0;
+				};
+
+				// Hue
+				for(var i = 0; i < 6; i++) {
+					var min = i * 60;
+					var max = (i + 1) * 60;
+
+					if(h >= min && h <= max) {
+						r = func((i + 0) % 6, h, min, max);
+						g = func((i + 4) % 6, h, min, max);
+						b = func((i + 2) % 6, h, min, max);
+						break;
+					}
+				}
+
+				return new Color(r, g, b, a)
+					.map(e => map(s, 0, 1, 128, e)) // Saturation
+					.map(e => map(l, 0.5, l > 0.5 ? 1 : 0, e, l > 0.5 ? 255 : 0)) // Lightness
+					.map(e => Math.round(e));
+			} else throw new TypeError(string + " is not a valid HSLA format");
+		} else throw new TypeError(string + " is not a valid color type");
+	}
+
+	/**
+	 * @param {number} h
+	 * @param {number} s
+	 * @param {number} l
+	 * @returns {Color}
+	 * @memberof Color
+	 */
+	static fromHSL(h, s, l) {
+		let r, g, b;
+
+		if(s === 0) {
+			r = g = b = l; // achromatic
+		} else {
+			function hue2rgb(p, q, t) {
+				if(t < 0) t += 1;
+				if(t > 1) t -= 1;
+				if(t < 1 / 6) return p + (q - p) * 6 * t;
+				if(t < 1 / 2) return q;
+				if(t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+				return p;
+			}
+
+			const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+			const p = 2 * l - q;
+			r = hue2rgb(p, q, h + 1 / 3);
+			g = hue2rgb(p, q, h);
+			b = hue2rgb(p, q, h - 1 / 3);
+		}
+
+		return new Color(r * 255, g * 255, b * 255);
+	}
+
+	/**
+	 * @param {number} h Hue (in range 0 - 1)
+	 * @param {number} s Saturation (in range 0 - 1)
+	 * @param {number} v Value (in range 0 - 1)
+	 * @param {number} [alpha=1]
+	 * @returns {Color}
+	 * @memberof Color
+	 */
+	static fromHSV(h, s, v, alpha = 1) {
+		const sector = ((h % 1 + 1) % 1) * 6;
+		const i = Math.floor(sector);
+		const f = sector - i;
+		const p = v * (1 - s);
+		const q = v * (1 - s * f);
+		const t = v * (1 - s * (1 - f));
+
+		const [r, g, b] = [
+			[v, t, p],
+			[q, v, p],
+			[p, v, t],
+			[p, q, v],
+			[t, p, v],
+			[v, p, q]
+		][i % 6];
+
+		return new Color(r * 255, g * 255, b * 255, alpha);
+	}
+
+	/**
+	 * @param {number} h Hue (in range 0 - 1)
+	 * @param {number} w Whiteness (in range 0 - 1)
+	 * @param {number} b Blackness (in range 0 - 1)
+	 * @param {number} [alpha=1]
+	 * @returns {Color}
+	 * @memberof Color
+	 */
+	static fromHWB(h, w, b, alpha = 1) {
+		// Whiteness and blackness adding up to 1 or more result in shade of gray
+		if(w + b >= 1) {
+			const gray = w / (w + b) * 255;
+			return new Color(gray, gray, gray, alpha);
+		}
+
+		return Color.fromHSV(h, 1 - w / (1 - b), 1 - b, alpha);
+	}
+
+	/**
+	 * @param {number} c Cyan (in range 0 - 1)
+	 * @param {number} m Magenta (in range 0 - 1)
+	 * @param {number} y Yellow (in range 0 - 1)
+	 * @param {number} k Key (black) (in range 0 - 1)
+	 * @param {number} [alpha=1]
+	 * @returns {Color}
+	 * @memberof Color
+	 */
+	static fromCMYK(c, m, y, k, alpha = 1) {
+		return new Color(
+			255 * (1 - c) * (1 - k),
+			255 * (1 - m) * (1 - k),
+			255 * (1 - y) * (1 - k),
+			alpha
+		);
+	}
+
+	/**
+	 * Creates color from CIE XYZ components (D65 white point). Colors outside of sRGB gamut are clipped.
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @param {number} [alpha=1]
+	 * @returns {Color}
+	 * @memberof Color
+	 */
+	static fromXYZ(x, y, z, alpha = 1) {
+		return Color._fromLinear(Color._multiplyMatrix(Color._XYZ_TO_SRGB, [x, y, z]), alpha);
+	}
+
+	/**
+	 * Creates color from CIE Lab components (D50 white point, as used by CSS `lab()`). Colors outside of sRGB gamut are clipped.
+	 * @param {number} l Lightness (in range 0 - 100)
+	 * @param {number} a
+	 * @param {number} b
+	 * @param {number} [alpha=1]
+	 * @returns {Color}
+	 * @memberof Color
+	 */
+	static fromLab(l, a, b, alpha = 1) {
+		const fy = (l + 16) / 116;
+		const fx = a / 500 + fy;
+		const fz = fy - b / 200;
+
+		const x = fx ** 3 > Color._LAB_EPSILON ? fx ** 3 : (116 * fx - 16) / Color._LAB_KAPPA;
+		const y = l > Color._LAB_KAPPA * Color._LAB_EPSILON ? fy ** 3 : l / Color._LAB_KAPPA;
+		const z = fz ** 3 > Color._LAB_EPSILON ? fz ** 3 : (116 * fz - 16) / Color._LAB_KAPPA;
+
+		const xyz = Color._multiplyMatrix(Color._D50_TO_D65, [
+			x * Color._D50_WHITE[0],
+			y * Color._D50_WHITE[1],
+			z * Color._D50_WHITE[2]
+		]);
+
+		return Color.fromXYZ(xyz[0], xyz[1], xyz[2], alpha);
+	}
+
+	/**
+	 * Creates color from CIE LCH components. Colors outside of sRGB gamut are clipped.
+	 * @param {number} l Lightness (in range 0 - 100)
+	 * @param {number} c Chroma
+	 * @param {number} h Hue (in degrees)
+	 * @param {number} [alpha=1]
+	 * @returns {Color}
+	 * @memberof Color
+	 */
+	static fromLCH(l, c, h, alpha = 1) {
+		const [, a, b] = Color._fromPolar([l, c, h]);
+
+		return Color.fromLab(l, a, b, alpha);
+	}
+
+	/**
+	 * Creates color from OKLab components. Colors outside of sRGB gamut are clipped.
+	 * @param {number} l Lightness (in range 0 - 1)
+	 * @param {number} a
+	 * @param {number} b
+	 * @param {number} [alpha=1]
+	 * @returns {Color}
+	 * @memberof Color
+	 */
+	static fromOKLab(l, a, b, alpha = 1) {
+		const lms = Color._multiplyMatrix(Color._OKLAB_TO_LMS, [l, a, b]).map(e => e * e * e);
+
+		return Color._fromLinear(Color._multiplyMatrix(Color._LMS_TO_SRGB, lms), alpha);
+	}
+
+	/**
+	 * Creates color from OKLCH components. Colors outside of sRGB gamut are clipped.
+	 * @param {number} l Lightness (in range 0 - 1)
+	 * @param {number} c Chroma
+	 * @param {number} h Hue (in degrees)
+	 * @param {number} [alpha=1]
+	 * @returns {Color}
+	 * @memberof Color
+	 */
+	static fromOKLCH(l, c, h, alpha = 1) {
+		const [, a, b] = Color._fromPolar([l, c, h]);
+
+		return Color.fromOKLab(l, a, b, alpha);
+	}
+
+	/**
+	 * Creates color from linear-light sRGB channels (applies the sRGB gamma). Channels are clipped to the sRGB gamut.
+	 * @param {number[]} rgb Linear red, green and blue (in range 0 - 1).
+	 * @param {number} [alpha=1]
+	 * @returns {Color}
+	 * @memberof Color
+	 */
+	static _fromLinear(rgb, alpha = 1) {
+		const [r, g, b] = rgb.map(e => {
+			const c = Math.min(Math.max(e, 0), 1);
+
+			return 255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+		});
+
+		return new Color(r, g, b, alpha);
+	}
+
+	/**
+	 * @param {number[][]} matrix 3x3 matrix
+	 * @param {number[]} vector
+	 * @returns {[number, number, number]}
+	 * @memberof Color
+	 */
+	static _multiplyMatrix(matrix, vector) {
+		return /** @type {[number, number, number]} */ (matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]));
+	}
+
+	/**
+	 * Converts Lab-like components into LCH-like components.
+	 * @param {number[]} lab
+	 * @param {number} [epsilon=Color._LCH_ACHROMATIC_EPSILON] Chroma below which the color is considered achromatic (hue is set to 0).
+	 * @returns {[number, number, number]}
+	 * @memberof Color
+	 */
+	static _toPolar([l, a, b], epsilon = Color._LCH_ACHROMATIC_EPSILON) {
+		const c = Math.hypot(a, b);
+		const h = c < epsilon ? 0 : Math.atan2(b, a) * 180 / Math.PI;
+
+		return [l, c, h < 0 ? h + 360 : h];
+	}
+
+	/**
+	 * Converts LCH-like components into Lab-like components.
+	 * @param {number[]} lch
+	 * @returns {[number, number, number]}
+	 * @memberof Color
+	 */
+	static _fromPolar([l, c, h]) {
+		const angle = h * Math.PI / 180;
+
+		return [l, c * Math.cos(angle), c * Math.sin(angle)];
+	}
+
+	/**
+	 * Generate random number according to pamarameters. Positive argument means color component greater than entered argument and lower means less than argument.
+	 * @param {number} red Red component of color
+	 * @param {number} green Green component of color
+	 * @param {number} blue Blue component of color
+	 * @returns {Color} Random color
+	 * @example
+	 * // returns random colors from 128 to 255
+	 * Color.random(128, 128, 128);
+	 * @example
+	 * // returns random colors from 0 to 128
+	 * Color.random(-128, -128, -128);
+	 */
+	static random(red = 0, green = red, blue = green) {
+		var r = red < 0 ? random(0, -red) : random(red, 255);
+		var g = green < 0 ? random(0, -green) : random(green, 255);
+		var b = blue < 0 ? random(0, -blue) : random(blue, 255);
+
+		return new Color(r, g, b, 1);
+	}
+}
+
+/*
+ * Color space conversion constants (as defined by CSS Color Module Level 4)
+ */
+Color._SRGB_TO_XYZ = [
+	[0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+	[0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+	[0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+];
+Color._XYZ_TO_SRGB = [
+	[3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+	[-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+	[0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+// Bradford chromatic adaptation
+Color._D65_TO_D50 = [
+	[1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+	[0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+	[-0.009243058152591178, 0.015055144896577895, 0.7518742899580008]
+];
+Color._D50_TO_D65 = [
+	[0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+	[-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+	[0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+];
+Color._D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+Color._LAB_EPSILON = 216 / 24389;
+Color._LAB_KAPPA = 24389 / 27;
+// Chroma thresholds of achromatic colors (from CSS Color 4 sample conversion code)
+Color._LCH_ACHROMATIC_EPSILON = 0.0015;
+Color._OKLCH_ACHROMATIC_EPSILON = 0.000004;
+// OKLab (Björn Ottosson)
+Color._SRGB_TO_LMS = [
+	[0.4122214708, 0.5363325363, 0.0514459929],
+	[0.2119034982, 0.6806995451, 0.1073969566],
+	[0.0883024619, 0.2817188376, 0.6299787005]
+];
+Color._LMS_TO_SRGB = [
+	[4.0767416621, -3.3077115913, 0.2309699292],
+	[-1.2684380046, 2.6097574011, -0.3413193965],
+	[-0.0041960863, -0.7034186147, 1.7076147010]
+];
+Color._LMS_TO_OKLAB = [
+	[0.2104542553, 0.7936177850, -0.0040720468],
+	[1.9779984951, -2.4285922050, 0.4505937099],
+	[0.0259040371, 0.7827717662, -0.8086757660]
+];
+Color._OKLAB_TO_LMS = [
+	[1, 0.3963377774, 0.2158037573],
+	[1, -0.1055613458, -0.0638541728],
+	[1, -0.0894841775, -1.2914855480]
+];
+
+class ComplexNumber {
+	/**
+	 * @typedef {Object} FormatterOptions
+	 * @prop {"a" | "t" | "e"} [form="a"] Number form to use. Supported a = algebraic, t = trigonometric, e = exponential
+	 * @prop {number} [round=-1] Number of decimal places to round to. -1 = no rounding
+	 * @prop {boolean} [sign=false] Whether to include the sign (if positive)
+	 * @prop {boolean} [spacing=false] Whether to include the spacing between sign and number
+	 * @prop {boolean} [radians=false] Whether to use radians instead of degrees
+	 */
+
+	/**
+	 * Creates new Complex Number object.
+	 * @param {string | Array<number | string, number | string>} input String to parse complex number.
+	 * @param {string} unit Imaginary unit identifier
+	 */
+	constructor(input, unit = "i") {
+		/* Parse */
+		let r, i, u;
+
+		if(typeof input === "string") {
+			input = input.replace(/\s/g, "").replace(/−/g, "-");
+
+			const match = input.match(ComplexNumber.__getParseRegex());
+			if(!match) throw new TypeError(`Invalid complex number '${input}'`);
+
+			{
+				let r_s = match[1] + match[2] || match[6] + match[7] || match[14] + match[15] || match[19] + match[20] || match[21] + match[22];
+				let i_s = match[3] + match[4] || match[8] + match[10] || match[11] + match[12] || match[16] + match[18] || match[23] + match[24] || match[26] + match[28];
+				let u_s = match[5] || match[9] || match[13] || match[17] || match[25] || match[27];
+
+				if(u_s && !i_s) i = "1";	// a+i
+				if(!r_s) r_s = "0";			// bi
+				if(!i_s) i_s = "0";			// a
+				if(!u_s) u_s = "i";			// kinda invalid (this should never match)
+
+				const r_n = parseFloat(r_s);
+				const i_n = parseFloat(i_s);
+
+				if(isNaN(r_n)) throw new TypeError(`Invalid real part '${r_s}' of complex number '${input}'`);
+				if(isNaN(i_n)) throw new TypeError(`Invalid imaginary part '${i_s}' of complex number '${input}'`);
+
+				r = r_n;
+				i = i_n;
+				u = u_s;
+			}
+		} else if(input instanceof Array) {
+			// Convert to strings for safety
+			const r_s = input[0] + "";
+			const i_s = input[1] + "";
+
+			// Parse and precache strings into numbers
+			const r_n = parseFloat(r_s);
+			const i_n = parseFloat(i_s);
+
+			// Check for invalid numbers
+			if(isNaN(r_n)) throw new TypeError(`Invalid real part '${r_s}' of complex number '${input.join(", ")}'`);
+			if(isNaN(i_n)) throw new TypeError(`Invalid imaginary part '${i_s}' of complex number '${input.join(", ")}'`);
+			if(unit.length !== 1 || !unit.match(/[a-z]/i)) throw new TypeError(`Invalid imaginary unit '${unit}'`);
+
+			r = r_n;
+			i = i_n;
+			u = unit;
+		} else {
+			throw new TypeError(`Invalid complex number '${input}'`);
+		}
+
+		/* Init */
+
+		/**
+		 * Real part of the number
+		 * @type {number}
+		 */
+		this.r = r;
+
+		/**
+		 * Imaginary part of the number
+		 * @type {number}
+		 */
+		this.i = i;
+
+		/**
+		 * Imaginary part unit (usually `i` or `j`)
+		 * @type {string}
+		 */
+		this.unit = unit;
+
+		/**
+		 * @deprecated Use `this.unit` instead
+		 * @type {string}
+		 */
+		this.sign = this.unit;
+
+		/**
+		 * Distance of number from origin
+		 * @type {number}
+		 */
+		this.distance = Math.hypot(+this.r, +this.i);
+
+		/**
+		 * Angle between origin and number
+		 * @type {number}
+		 */
+		this.angle = Math.atan2(+this.i, +this.r);
+	}
+
+	/**
+	 *
+	 * @param {ComplexNumber | number} x
+	 * @return {ComplexNumber} 
+	 * @memberof ComplexNumber
+	 */
+	add(x) {
+		const isScalar = typeof x === "number";
+		if(!isScalar && this.unit != x.unit) throw new TypeError("Cannot add two numbers with different imaginary units");
+
+		let r, c;
+
+		if(isScalar) {
+			r = +this.r + x;
+			c = +this.i;
+		} else {
+			r = +this.r + +x.r;
+			c = +this.i + +x.i;
+		}
+
+		return new ComplexNumber([r, c], this.unit);
+	}
+
+	/**
+	 *
+	 * @param {ComplexNumber | number} x
+	 * @return {ComplexNumber} 
+	 * @memberof ComplexNumber
+	 */
+	sub(x) {
+		const isScalar = typeof x === "number";
+		if(!isScalar && this.unit != x.unit) throw new TypeError("Cannot subtract two numbers with different imaginary units");
+
+		let r, c;
+
+		if(isScalar) {
+			r = +this.r - x;
+			c = +this.i;
+		} else {
+			r = +this.r - +x.r;
+			c = +this.i - +x.i;
+		}
+
+		return new ComplexNumber([r, c], this.unit);
+	}
+
+	/**
+	 *
+	 * @param {ComplexNumber | number} x
+	 * @return {ComplexNumber} 
+	 * @memberof ComplexNumber
+	 */
+	mult(x) {
+		const isScalar = typeof x === "number";
+		if(!isScalar && this.unit != x.unit) throw new TypeError("Cannot multiply two numbers with different imaginary units");
+
+		let r, c;
+
+		if(isScalar) {
+			r = +this.r * x;
+			c = +this.i * x;
+		} else {
+			r = +this.r * +x.r - +this.i * +x.i;
+			c = +this.r * +x.i + +this.i * +x.r;
+		}
+
+		return new ComplexNumber([r, c], this.unit);
+	}
+
+	/**
+	 *
+	 * @param {ComplexNumber | number} x
+	 * @return {ComplexNumber} 
+	 * @memberof ComplexNumber
+	 */
+	div(x) {
+		const isScalar = typeof x === "number";
+		if(!isScalar && this.unit != x.unit) throw new TypeError("Cannot divide two numbers with different imaginary units");
+
+		let r, c;
+
+		if(isScalar) {
+			r = +this.r / x;
+			c = +this.i / x;
+		} else {
+			const d = +x.r * +x.r + +x.i * +x.i;
+			r = (+this.r * +x.r + +this.i * +x.i) / d;
+			c = (+this.i * +x.r - +this.r * +x.i) / d;
+		}
+
+		return new ComplexNumber([r, c], this.unit);
+	}
+
+	copy() {
+		return new ComplexNumber([this.r, this.i], this.unit);
+	}
+
+	/**
+	 * Converts complex number into 2D Vector (real part as X, imaginary part as Y).
+	 * @return {Vector} 
+	 * @memberof ComplexNumber
+	 */
+	toVector() {
+		return new Vector(+this.r, +this.i);
+	}
+
+	/**
+	 * Creates complex number from 2D Vector (X as real part, Y as imaginary part).
+	 * @static
+	 * @param {Vector} vector
+	 * @param {string} [unit="i"] Imaginary unit identifier
+	 * @return {ComplexNumber} 
+	 * @memberof ComplexNumber
+	 */
+	static fromVector(vector, unit = "i") {
+		return new ComplexNumber([vector.x, vector.y], unit);
+	}
+
+	/**
+	 * Creates complex number from polar coordinates.
+	 * @static
+	 * @param {number} distance Distance from origin (modulus).
+	 * @param {number} angle Angle in radians (argument).
+	 * @param {string} [unit="i"] Imaginary unit identifier
+	 * @return {ComplexNumber} 
+	 * @memberof ComplexNumber
+	 */
+	static fromPolar(distance, angle, unit = "i") {
+		return new ComplexNumber([distance * Math.cos(angle), distance * Math.sin(angle)], unit);
+	}
+
+	/**
+	 * @param {"a" | "t" | "e" | FormatterOptions} [form="a"]
+	 * @return {string} 
+	 * @memberof ComplexNumber
+	 */
+	toString(form = "a") {
+		const options = typeof form === "string" ? {
+			form: form,
+			round: -1,
+			sign: false,
+			spacing: false,
+			radians: false
+		} : form;
+
+		return ComplexNumber.format(this, options);
+	}
+
+	/**
+	 * @param {number} n
+	 * @param {"a" | "t" | "e" | FormatterOptions} [form="a"]
+	 * @return {string} 
+	 * @memberof ComplexNumber
+	 */
+	toFixed(n, form = "a") {
+		const options = typeof form === "string" ? {
+			form: form,
+			round: n,
+			sign: false,
+			spacing: false,
+			radians: false
+		} : form;
+
+		return ComplexNumber.format(this, options);
+	}
+
+	/**
+	 * @static
+	 * @param {ComplexNumber} number
+	 * @param {FormatterOptions} [options={}]
+	 * @return {string}
+	 * @memberof ComplexNumber
+	 */
+	static format(number, options = {}) {
+		const {
+			form = "a",
+			round = -1,
+			sign = false,
+			spacing = false,
+			radians = false
+		} = options;
+
+		if(round < -1) throw new RangeError("round must be a positive integer or -1");
+		const SP = spacing ? " " : "";
+
+		// Helper function to format real numbers
+		const formatRealNumber = (/**@type {number}*/_number, _sign = sign, _spacing = spacing) => {
+			let str = "";
+
+			if(_number < 0) str += "-";
+			else if(_sign) str += "+";
+			if(_spacing) str += " ";
+
+			str += roundRealNumber(Math.abs(_number));
+
+			return str;
+		};
+
+		const formatAngle = (/**@type {number}*/_angle, _radians = radians) => {
+			return _radians ? roundRealNumber(_angle) : roundRealNumber(rad2deg(_angle)) + "°";
+		};
+
+		const roundRealNumber = (/**@type {number}*/_number, _round = round) => {
+			return _round == -1 ? _number : _number.toFixed(_round);
+		};
+
+		// Format the complex number
+		if(form == "a") {
+			const real = formatRealNumber(number.r, false, false);
+			const imaginary = formatRealNumber(number.i, true);
+
+			return `${real}${SP}${imaginary}${number.unit}`;
+		} else if(form == "t") {
+			const angle = formatAngle(number.angle);
+			const distance = roundRealNumber(number.distance);
+
+			return `${distance}${SP}*${SP}(cos(${angle})${SP}+${SP}${number.unit}${SP}*${SP}sin(${angle}))`;
+		} else if(form == "e") {
+			const angle = formatAngle(number.angle);
+			const distance = roundRealNumber(number.distance);
+
+			return `${distance}${SP}*${SP}e^(${number.unit}${SP}*${SP}${angle})`;
+		} else {
+			throw new TypeError("Unknown number form. Supported a = algebraic, t = trigonometric, e = exponential");
+		}
+	}
+
+	static __getParseRegex() {
+		if(this.__parseRegex) return this.__parseRegex;
+
+		const DIGITS = String.raw`([0-9.]+)`;
+		const SIGN = String.raw`([+-])`;
+		const IDENTIFIER = String.raw`([a-z])`;
+		const WH = String.raw`\s*`;
+
+		const syntax = [
+				 /*1*/[`${SIGN}?`, DIGITS, SIGN, DIGITS, IDENTIFIER], // a+bi
+				 /*6*/[`${SIGN}?`, DIGITS, SIGN, IDENTIFIER, DIGITS], // a+ib
+				/*11*/[`${SIGN}?`, DIGITS, IDENTIFIER, SIGN, DIGITS], // bi+a
+				/*16*/[`${SIGN}?`, IDENTIFIER, DIGITS, SIGN, DIGITS], // ib+a
+				/*21*/[`${SIGN}?`, DIGITS],                           // a
+				/*23*/[`${SIGN}?`, DIGITS, IDENTIFIER],               // bi
+				/*26*/[`${SIGN}?`, IDENTIFIER, DIGITS]                // ib
+			//  /*1*/`${SIGN}?${DIGITS}${SIGN}${DIGITS}${IDENTIFIER}`, // a+bi
+			//  /*6*/`${SIGN}?${DIGITS}${SIGN}${IDENTIFIER}${DIGITS}`, // a+ib
+			// /*11*/`${SIGN}?${DIGITS}${IDENTIFIER}${SIGN}${DIGITS}`, // bi+a
+			// /*16*/`${SIGN}?${IDENTIFIER}${DIGITS}${SIGN}${DIGITS}`, // ib+a
+			// /*21*/`${SIGN}?${DIGITS}`, 								// a
+			// /*23*/`${SIGN}?${DIGITS}${IDENTIFIER}`, 				// bi
+			// /*26*/`${SIGN}?${IDENTIFIER}${DIGITS}` 					// ib
+		];
+
+		return this.__parseRegex = new RegExp(`^(?:${WH}${syntax.map(e => e.join(WH)).join("|")})${WH}$`, "mi");
+	}
+}
+
+/**
+ * @typedef {Object} SpatialEntry
+ * @prop {*} item Indexed item
+ * @prop {Vector} position Position of the item bounds
+ * @prop {Dimensions} dimensions Dimensions of the item bounds
+ * @prop {number} id Insertion order of the entry
+ */
+
+/**
+ * Base class of broad-phase spatial indices. Items are bounded by axis-aligned rectangles described by `Vector` and `Dimensions`.
+ *
+ * @class SpatialIndex
+ */
+class SpatialIndex {
+	/**
+	 * Creates an instance of SpatialIndex.
+	 * @memberof SpatialIndex
+	 */
+	constructor() {
+		/** @type {Map<any, SpatialEntry>} */
+		this.entries = new Map();
+
+		/** @type {number} */
+		this._nextId = 0;
+	}
+
+	/**
+	 * Number of items in the index.
+	 * @readonly
+	 * @type {number}
+	 * @memberof SpatialIndex
+	 */
+	get size() {
+		return this.entries.size;
+	}
+
+	/**
+	 * Inserts an item into the index. If the item is already present, its bounds are updated.
+	 * @param {*} item Item to insert
+	 * @param {Vector} position Position of the item bounds
+	 * @param {Dimensions} dimensions Dimensions of the item bounds
+	 * @return {this}
+	 * @memberof SpatialIndex
+	 */
+	insert(item, position, dimensions) {
+		if(this.entries.has(item)) return this.update(item, position, dimensions);
+
+		/** @type {SpatialEntry} */
+		const entry = {
+			item: item,
+			position: new Vector(position.x, position.y),
+			dimensions: new Dimensions(dimensions.w, dimensions.h),
+			id: this._nextId++
+		};
+
+		this.entries.set(item, entry);
+		this._insertEntry(entry);
+
+		return this;
+	}
+
+	/**
+	 * Updates bounds of an item already present in the index. If the item is not present, it is inserted.
+	 * @param {*} item Item to update
+	 * @param {Vector} position New position of the item bounds
+	 * @param {Dimensions} dimensions New dimensions of the item bounds
+	 * @return {this}
+	 * @memberof SpatialIndex
+	 */
+	update(item, position, dimensions) {
+		const entry = this.entries.get(item);
+		if(!entry) return this.insert(item, position, dimensions);
+
+		this._removeEntry(entry);
+		entry.position = new Vector(position.x, position.y);
+		entry.dimensions = new Dimensions(dimensions.w, dimensions.h);
+		this._insertEntry(entry);
+
+		return this;
+	}
+
+	/**
+	 * Removes an item from the index.
+	 * @param {*} item Item to remove
+	 * @return {boolean} Returns true if the item was removed successfully
+	 * @memberof SpatialIndex
+	 */
+	remove(item) {
+		const entry = this.entries.get(item);
+		if(!entry) return false;
+
+		this._removeEntry(entry);
+		this.entries.delete(item);
+
+		return true;
+	}
+
+	/**
+	 * Checks whether the item is present in the index.
+	 * @param {*} item
+	 * @return {boolean}
+	 * @memberof SpatialIndex
+	 */
+	has(item) {
+		return this.entries.has(item);
+	}
+
+	/**
+	 * Removes all items from the index.
+	 * @return {this}
+	 * @memberof SpatialIndex
+	 */
+	clear() {
+		this.entries.clear();
+		this._nextId = 0;
+
+		return this;
+	}
+
+	/**
+	 * Finds all items whose bounds overlap given range.
+	 * @param {Vector} position Position of the range
+	 * @param {Dimensions} dimensions Dimensions of the range
+	 * @return {any[]} Items in the range
+	 * @memberof SpatialIndex
+	 */
+	query(position, dimensions) {
+		const minX = position.x;
+		const minY = position.y;
+		const maxX = position.x + dimensions.w;
+		const maxY = position.y + dimensions.h;
+
+		return this._queryEntries(minX, minY, maxX, maxY)
+			.filter(e => SpatialIndex._overlaps(e, minX, minY, maxX, maxY))
+			.map(e => e.item);
+	}
+
+	/**
+	 * Finds all items whose bounds contain given point.
+	 * @param {Vector} point
+	 * @return {any[]} Items containing the point
+	 * @memberof SpatialIndex
+	 */
+	queryPoint(point) {
+		return this._queryEntries(point.x, point.y, point.x, point.y)
+			.filter(e => SpatialIndex._overlaps(e, point.x, point.y, point.x, point.y))
+			.map(e => e.item);
+	}
+
+	/**
+	 * Finds items nearest to given point. Distance is measured to the item bounds.
+	 * @param {Vector} point
+	 * @param {number} [count=1] Maximum number of items to find
+	 * @param {number} [maxDistance=Infinity] Maximum distance of the items
+	 * @return {any[]} Items sorted by distance
+	 * @memberof SpatialIndex
+	 */
+	nearest(point, count = 1, maxDistance = Infinity) {
+		/** @type {Array<{entry: SpatialEntry, distance: number}>} */
+		const best = [];
+
+		this._searchNearest(point, entry => {
+			const distance = SpatialIndex._distanceTo(entry, point);
+			if(distance > maxDistance) return;
+			if(best.length >= count && distance >= best[best.length - 1].distance) return;
+
+			// Keep the list sorted
+			let i = best.length;
+			while(i > 0 && best[i - 1].distance > distance) i--;
+			best.splice(i, 0, {entry, distance});
+			if(best.length > count) best.pop();
+		}, () => best.length < count ? maxDistance : best[best.length - 1].distance);
+
+		return best.map(e => e.entry.item);
+	}
+
+	/**
+	 * Finds all pairs of items with overlapping bounds. Resulting pairs are candidates for narrow-phase `COLLISION` tests.
+	 * @return {Array<[any, any]>} Candidate pairs
+	 * @memberof SpatialIndex
+	 */
+	getPairs() {
+		/** @type {Array<[any, any]>} */
+		const pairs = [];
+
+		for(const entry of this.entries.values()) {
+			const minX = entry.position.x;
+			const minY = entry.position.y;
+			const maxX = entry.position.x + entry.dimensions.w;
+			const maxY = entry.position.y + entry.dimensions.h;
+
+			for(const other of this._queryEntries(minX, minY, maxX, maxY)) {
+				// Report each pair only once
+				if(other.id <= entry.id) continue;
+				if(SpatialIndex._overlaps(other, minX, minY, maxX, maxY)) pairs.push([entry.item, other.item]);
+			}
+		}
+
+		return pairs;
+	}
+
+	/**
+	 * Adds the entry into the underlying structure.
+	 * @abstract
+	 * @param {SpatialEntry} entry
+	 * @memberof SpatialIndex
+	 */
+	_insertEntry(entry) {
+		throw new Error("Method '_insertEntry' is not implemented!");
+	}
+
+	/**
+	 * Removes the entry from the underlying structure.
+	 * @abstract
+	 * @param {SpatialEntry} entry
+	 * @memberof SpatialIndex
+	 */
+	_removeEntry(entry) {
+		throw new Error("Method '_removeEntry' is not implemented!");
+	}
+
+	/**
+	 * Returns entries possibly overlapping given range (without duplicates).
+	 * @abstract
+	 * @param {number} minX
+	 * @param {number} minY
+	 * @param {number} maxX
+	 * @param {number} maxY
+	 * @return {SpatialEntry[]}
+	 * @memberof SpatialIndex
+	 */
+	_queryEntries(minX, minY, maxX, maxY) {
+		throw new Error("Method '_queryEntries' is not implemented!");
+	}
+
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * Visits entries in order of their approximate distance from the point, until the search radius is exhausted.
+	 * @abstract
+	 * @param {Vector} point
+	 * @param {(entry: SpatialEntry) => void} visit Callback called for each visited entry
+	 * @param {() => number} getRadius Returns current search radius
+	 * @memberof SpatialIndex
+	 */
+	_searchNearest(point, visit, getRadius) {
+		throw new Error("Method '_searchNearest' is not implemented!");
+	}
+
+	/**
+	 * @static
+	 * @param {SpatialEntry} entry
+	 * @param {number} minX
+	 * @param {number} minY
+	 * @param {number} maxX
+	 * @param {number} maxY
+	 * @return {boolean}
+	 * @memberof SpatialIndex
+	 */
+	static _overlaps(entry, minX, minY, maxX, maxY) {
+		return (
+			entry.position.x <= maxX &&
+			entry.position.x + entry.dimensions.w >= minX &&
+			entry.position.y <= maxY &&
+			entry.position.y + entry.dimensions.h >= minY
+		);
+	}
+
+	/**
+	 * Calculates the distance from the point to the entry bounds.
+	 * @static
+	 * @param {SpatialEntry} entry
+	 * @param {Vector} point
+	 * @return {number}
+	 * @memberof SpatialIndex
+	 */
+	static _distanceTo(entry, point) {
+		return SpatialIndex._distanceToBounds(
+			point,
+			entry.position.x,
+			entry.position.y,
+			entry.position.x + entry.dimensions.w,
+			entry.position.y + entry.dimensions.h
+		);
+	}
+
+	/**
+	 * Calculates the distance from the point to the bounds.
+	 * @static
+	 * @param {Vector} point
+	 * @param {number} minX
+	 * @param {number} minY
+	 * @param {number} maxX
+	 * @param {number} maxY
+	 * @return {number}
+	 * @memberof SpatialIndex
+	 */
+	static _distanceToBounds(point, minX, minY, maxX, maxY) {
+		return Math.hypot(
+			point.x - clamp(point.x, minX, maxX),
+			point.y - clamp(point.y, minY, maxY)
+		);
+	}
+}
+
+/**
+ * Region quadtree spatial index. Items that don't fit into a single quadrant are kept in the parent node.
+ *
+ * @class QuadTree
+ * @extends {SpatialIndex}
+ */
+class QuadTree extends SpatialIndex {
+	/**
+	 * @typedef {Object} QuadTreeNode
+	 * @prop {number} x
+	 * @prop {number} y
+	 * @prop {number} w
+	 * @prop {number} h
+	 * @prop {number} depth
+	 * @prop {SpatialEntry[]} entries
+	 * @prop {QuadTreeNode[] | null} children
+	 */
+
+	/**
+	 * Creates an instance of QuadTree.
+	 * @param {Vector} position Position of the area covered by the tree (items outside of the area are kept in the root node)
+	 * @param {Dimensions} dimensions Dimensions of the area covered by the tree
+	 * @param {number} [capacity=8] Number of entries in a node before it is split
+	 * @param {number} [maxDepth=8] Maximum depth of the tree
+	 * @memberof QuadTree
+	 */
+	constructor(position, dimensions, capacity = 8, maxDepth = 8) {
+		super();
+
+		/** @type {number} */
+		this.capacity = capacity;
+
+		/** @type {number} */
+		this.maxDepth = maxDepth;
+
+		/** @type {QuadTreeNode} */
+		this.root = QuadTree._createNode(position.x, position.y, dimensions.w, dimensions.h, 0);
+
+		/** @type {Map<SpatialEntry, QuadTreeNode>} */
+		this._entryNodes = new Map();
+	}
+
+	/**
+	 * Removes all items from the tree.
+	 * @return {this}
+	 * @memberof QuadTree
+	 */
+	clear() {
+		super.clear();
+		this.root = QuadTree._createNode(this.root.x, this.root.y, this.root.w, this.root.h, 0);
+		this._entryNodes.clear();
+
+		return this;
+	}
+
+	/**
+	 * @param {SpatialEntry} entry
+	 * @memberof QuadTree
+	 */
+	_insertEntry(entry) {
+		let node = this.root;
+
+		// Descend to the smallest node fully containing the entry
+		while(node.children) {
+			const child = QuadTree._getContainingChild(node, entry);
+			if(!child) break;
+			node = child;
+		}
+
+		node.entries.push(entry);
+		this._entryNodes.set(entry, node);
+
+		if(!node.children && node.entries.length > this.capacity && node.depth < this.maxDepth) {
+			this._split(node);
+		}
+	}
+
+	/**
+	 * @param {SpatialEntry} entry
+	 * @memberof QuadTree
+	 */
+	_removeEntry(entry) {
+		const node = this._entryNodes.get(entry);
+		if(!node) return;
+
+		node.entries.splice(node.entries.indexOf(entry), 1);
+		this._entryNodes.delete(entry);
+	}
+
+	/**
+	 * @param {number} minX
+	 * @param {number} minY
+	 * @param {number} maxX
+	 * @param {number} maxY
+	 * @return {SpatialEntry[]}
+	 * @memberof QuadTree
+	 */
+	_queryEntries(minX, minY, maxX, maxY) {
+		/** @type {SpatialEntry[]} */
+		const result = [];
+		const stack = [this.root];
+
+		while(stack.length) {
+			const node = /**@type {QuadTreeNode}*/(stack.pop());
+
+			for(const entry of node.entries) result.push(entry);
+			if(!node.children) continue;
+
+			for(const child of node.children) {
+				if(
+					child.x <= maxX &&
+					child.x + child.w >= minX &&
+					child.y <= maxY &&
+					child.y + child.h >= minY
+				) stack.push(child);
+			}
+		}
+
+		return result;
+	}
+
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * @param {Vector} point
+	 * @param {(entry: SpatialEntry) => void} visit
+	 * @param {() => number} getRadius
+	 * @memberof QuadTree
+	 */
+	_searchNearest(point, visit, getRadius) {
+		const search = (/**@type {QuadTreeNode}*/node) => {
+			for(const entry of node.entries) visit(entry);
+			if(!node.children) return;
+
+			// Visit closer quadrants first to shrink the search radius early
+			const children = node.children
+				.map(child => ({child, distance: SpatialIndex._distanceToBounds(point, child.x, child.y, child.x + child.w, child.y + child.h)}))
+				.sort((a, b) => a.distance - b.distance);
+
+			for(const {child, distance} of children) {
+				if(distance <= getRadius()) search(child);
+			}
+		};
+
+		search(this.root);
+	}
+
+	/**
+	 * Splits the node into four quadrants and moves entries fitting into them.
+	 * @param {QuadTreeNode} node
+	 * @memberof QuadTree
+	 */
+	_split(node) {
+		const w = node.w / 2;
+		const h = node.h / 2;
+		const depth = node.depth + 1;
+
+		node.children = [
+			QuadTree._createNode(node.x, node.y, w, h, depth),
+			QuadTree._createNode(node.x + w, node.y, w, h, depth),
+			QuadTree._createNode(node.x, node.y + h, w, h, depth),
+			QuadTree._createNode(node.x + w, node.y + h, w, h, depth)
+		];
+
+		const entries = node.entries;
+		node.entries = [];
+
+		for(const entry of entries) {
+			const child = QuadTree._getContainingChild(node, entry);
+			const target = child || node;
+
+			target.entries.push(entry);
+			this._entryNodes.set(entry, target);
+		}
+	}
+
+	/**
+	 * @static
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} w
+	 * @param {number} h
+	 * @param {number} depth
+	 * @return {QuadTreeNode}
+	 * @memberof QuadTree
+	 */
+	static _createNode(x, y, w, h, depth) {
+		return {x, y, w, h, depth, entries: [], children: null};
+	}
+
+	/**
+	 * Finds the child node fully containing the entry.
+	 * @static
+	 * @param {QuadTreeNode} node
+	 * @param {SpatialEntry} entry
+	 * @return {QuadTreeNode | null}
+	 * @memberof QuadTree
+	 */
+	static _getContainingChild(node, entry) {
+		if(!node.children) return null;
+
+		for(const child of node.children) {
+			if(
+				entry.position.x >= child.x &&
+				entry.position.y >= child.y &&
+				entry.position.x + entry.dimensions.w <= child.x + child.w &&
+				entry.position.y + entry.dimensions.h <= child.y + child.h
+			) return child;
+		}
+
+		return null;
+	}
+}
+
+/**
+ * Uniform grid spatial index. Items are stored in every cell their bounds overlap.
+ *
+ * @class SpatialHash
+ * @extends {SpatialIndex}
+ */
+class SpatialHash extends SpatialIndex {
+	/**
+	 * Creates an instance of SpatialHash.
+	 * @param {number} [cellSize=64] Size of a single grid cell
+	 * @memberof SpatialHash
+	 */
+	constructor(cellSize = 64) {
+		super();
+
+		if(!(cellSize > 0)) throw new RangeError("Cell size must be a positive number!");
+
+		/** @type {number} */
+		this.cellSize = cellSize;
+
+		/** @type {Map<string, Set<SpatialEntry>>} */
+		this.cells = new Map();
+
+		/** @type {Map<SpatialEntry, string[]>} */
+		this._entryCells = new Map();
+	}
+
+	/**
+	 * Removes all items from the grid.
+	 * @return {this}
+	 * @memberof SpatialHash
+	 */
+	clear() {
+		super.clear();
+		this.cells.clear();
+		this._entryCells.clear();
+
+		return this;
+	}
+
+	/**
+	 * @param {SpatialEntry} entry
+	 * @memberof SpatialHash
+	 */
+	_insertEntry(entry) {
+		const keys = [];
+
+		this._forEachCell(
+			entry.position.x,
+			entry.position.y,
+			entry.position.x + entry.dimensions.w,
+			entry.position.y + entry.dimensions.h,
+			key => {
+				let cell = this.cells.get(key);
+				if(!cell) this.cells.set(key, cell = new Set());
+
+				cell.add(entry);
+				keys.push(key);
+			}
+		);
+
+		this._entryCells.set(entry, keys);
+	}
+
+	/**
+	 * @param {SpatialEntry} entry
+	 * @memberof SpatialHash
+	 */
+	_removeEntry(entry) {
+		const keys = this._entryCells.get(entry);
+		if(!keys) return;
+
+		for(const key of keys) {
+			const cell = this.cells.get(key);
+			if(!cell) continue;
+
+			cell.delete(entry);
+			if(!cell.size) this.cells.delete(key);
+		}
+
+		this._entryCells.delete(entry);
+	}
+
+	/**
+	 * @param {number} minX
+	 * @param {number} minY
+	 * @param {number} maxX
+	 * @param {number} maxY
+	 * @return {SpatialEntry[]}
+	 * @memberof SpatialHash
+	 */
+	_queryEntries(minX, minY, maxX, maxY) {
+		/** @type {Set<SpatialEntry>} */
+		const result = new Set();
+
+		this._forEachCell(minX, minY, maxX, maxY, key => {
+			const cell = this.cells.get(key);
+			if(cell) for(const entry of cell) result.add(entry);
+		});
+
+		return Array.from(result);
+	}
+
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * @param {Vector} point
+	 * @param {(entry: SpatialEntry) => void} visit
+	 * @param {() => number} getRadius
+	 * @memberof SpatialHash
+	 */
+	_searchNearest(point, visit, getRadius) {
+		const cx = Math.floor(point.x / this.cellSize);
+		const cy = Math.floor(point.y / this.cellSize);
+
+		/** @type {Set<SpatialEntry>} */
+		const visited = new Set();
+
+		const visitCell = (/**@type {number}*/x, /**@type {number}*/y) => {
+			const cell = this.cells.get(x + "," + y);
+			if(!cell) return;
+
+			for(const entry of cell) {
+				if(visited.has(entry)) continue;
+
+				visited.add(entry);
+				visit(entry);
+			}
+		};
+
+		// Search rings of cells around the point until nothing closer can be found
+		for(let ring = 0; visited.size < this.entries.size; ring++) {
+			// Rings are getting sparse, scanning remaining entries directly is cheaper
+			if(ring > this.cells.size) {
+				for(const entry of this.entries.values()) {
+					if(!visited.has(entry)) visit(entry);
+				}
+				break;
+			}
+
+			// Visit only the perimeter of the ring
+			for(let x = cx - ring; x <= cx + ring; x++) {
+				visitCell(x, cy - ring);
+				if(ring) visitCell(x, cy + ring);
+			}
+			for(let y = cy - ring + 1; y <= cy + ring - 1; y++) {
+				visitCell(cx - ring, y);
+				visitCell(cx + ring, y);
+			}
+
+			// Cells of the next ring are at least `ring * cellSize` away from the point
+			if(ring * this.cellSize > getRadius()) break;
+		}
+	}
+
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * Calls the callback for key of each cell overlapping given range.
+	 * @param {number} minX
+	 * @param {number} minY
+	 * @param {number} maxX
+	 * @param {number} maxY
+	 * @param {(key: string) => void} callback
+	 * @memberof SpatialHash
+	 */
+	_forEachCell(minX, minY, maxX, maxY, callback) {
+		const x0 = Math.floor(minX / this.cellSize);
+		const y0 = Math.floor(minY / this.cellSize);
+		const x1 = Math.floor(maxX / this.cellSize);
+		const y1 = Math.floor(maxY / this.cellSize);
+
+		for(let x = x0; x <= x1; x++) {
+			for(let y = y0; y <= y1; y++) {
+				callback(x + "," + y);
+			}
+		}
+	}
+}
+
+class EventListener {
+	/**
+	 * Creates an instance of EventListener.
+	 * @memberof EventListener
+	 */
+	constructor() {
+		/** @type {Map<string, JLListener[]>} */
+		this.listenersMap = new Map();
+
+		// ((type: string, callback: (event: JLEvent) => void) => JLListener) &
+		/**
+		 * @type {
+			((type: "__listenerAddEvent__", callback: (event: JLEvent & {listener: JLListener}) => void) => JLListener)
+		   }
+		 * @alias EventListener.addEventListener
+		 */
+		this.on = /**@type {any}*/(this.addEventListener);
+	}
+
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * Add event handler for specific event
+	 * @param {string} type Event type
+	 * @param {(event: JLEvent) => void} callback Event callback
+	 * @returns {JLListener} Event listener object
+	 */
+	addEventListener(type, callback) {
+		// Create new listener instance
+		const listener = new EventListener.Listener(type, callback);
+
+		// Dispatch event for listener addition
+		this.dispatchEvent(EventListener.LISTENER_ADD_EVENT, {listener}, e => {
+			// Add listener to the list (create new list if it doesn't exist)		
+			if(!this.listenersMap.has(type)) this.listenersMap.set(type, [listener]);
+			else /**@type {JLListener[]}*/(this.listenersMap.get(type)).push(listener);
+		});
+
+		// Return newly created listener instance
+		return listener;
+	}
+
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * Fires a specific event
+	 * @template {Record<string, any> | JLEvent} T
+	 * @template U
+	 * @param {string} type Event type
+	 * @param {T} [data={}] Custom event data
+	 * @param {(event: JLEvent & T) => U} [callback=null] Default action handler
+	 * @returns {Promise<U | undefined>} Returned value of the callback function
+	 */
+	async dispatchEvent(type, data, callback = undefined) {
+		// Setup the default event data
+		const defaultData = {
+			type: type,
+			time: new Date(),
+			defaultPreventable: !!callback
+		};
+
+		/** @type {JLEvent & T} */
+		let eventObject;
+
+		// Add the user provided data to the event object
+		if(data instanceof EventListener.Event) {
+			// Assign event object
+			eventObject = data;
+			eventObject.type = type;
+
+			// Add default data
+			for(const prop in defaultData) {
+				if(prop in eventObject) continue;
+				eventObject[prop] = defaultData[prop];
+			}
+		} else {
+			// Create a new event object
+			eventObject = /**@type {JLEvent & T}*/(new EventListener.Event(defaultData, data || {}));
+		}
+
+		// Get listeners for the type
+		const listeners = this.listenersMap.get(type);
+
+		// If there are no listeners for this type, call the callback right away
+		if(!listeners) return typeof callback === "function" ? callback(eventObject) : undefined;
+
+		// Set the hasListener flag
+		eventObject.hasListener = true;
+
+		// Determine dispatch strategy
+		if(eventObject.async) {
+			if(eventObject.parallel) {
+				// Call all listeners in parallel
+				await Promise.all(listeners.map(listener => listener.callback(eventObject)));
+			} else {
+				// Call all listeners in series
+				for(const listener of listeners) {
+					if(eventObject.isStopped) break;
+					await listener.callback(eventObject);
+				}
+			}
+		} else {
+			// Call all listeners
+			for(const listener of listeners) {
+				if(eventObject.isStopped) break;
+				listener.callback(eventObject);
+			}
+		}
+
+		// Call the default action handler if the event wasn't prevented
+		if(!eventObject.defaultPrevented && typeof callback === "function") return callback(eventObject);
+	}
+
+	/**
+	 * Removes event handler
+	 * @param {JLListener} listener Event listener returned by EventListener.addEventListener()
+	 * @returns {boolean} Returns true if listener was removed successfully
+	 */
+	removeEventListener(listener) {
+		// Try to get listeners for the type
+		const listeners = this.listenersMap.get(listener.type);
+		if(!listeners) return false;
+
+		// Try to find the listener
+		const index = listeners.indexOf(listener);
+		if(index === -1) return false;
+
+		// Remove the listener
+		listeners.splice(index, 1);
+		return true;
+	}
+
+	/**
+	 * @param {string} type
+	 * @return {boolean} 
+	 * @memberof EventListener
+	 */
+	hasListeners(type) {
+		return this.listenersMap.has(type);
+	}
+
+	/**
+	 * @deprecated
+	 * @return {JLListener[]} 
+	 * @memberof EventListener
+	 */
+	get listeners() {
+		return Array.from(this.listenersMap.values()).flat();
+	}
+}
+EventListener.LISTENER_ADD_EVENT = /**@type {const}*/("__listenerAddEvent__");
+
+class JLEvent {
+	/**
+	 * Creates an instance of JLEvent.
+	 * @param {Object[]} data
+	 * @memberof JLEvent
+	 */
+	constructor(...data) {
+		/** @type {string} */
+		this.type = "";
+		/** @type {Date} */
+		this.time = new Date();
+		/** @type {boolean} */
+		this.defaultPreventable = false;
+		/** @type {boolean} */
+		this.defaultPrevented = false;
+		/** @type {boolean} */
+		this.isStopped = false;
+		/** @type {boolean} */
+		this.hasListener = false;
+		/** @type {boolean} */
+		this.async = false;
+		/** @type {boolean} */
+		this.parallel = false;
+
+		// Add data to event object
+		let hasParallelOption = false;
+		for(const obj of data) {
+			// Check for valid type
+			if(typeof obj !== "object") throw new TypeError(`Expected 'object' instead got '${obj}'`);
+
+			// Copy properties
+			for(const property in obj) {
+				this[property] = obj[property];
+				if(property === "parallel") hasParallelOption = true;
+			}
+		}
+
+		// In case there is no parallel option set, set it to `true` as default
+		if(this.async && !hasParallelOption) this.parallel = true;
+	}
+
+	/**
+	 * @memberof JLEvent
+	 */
+	preventDefault() {
+		if(this.defaultPreventable) this.defaultPrevented = true;
+		else throw new Error(`Event ${this.type} is not default preventable!`);
+	}
+
+	/**
+	 * @memberof JLEvent
+	 */
+	stopPropagation() {
+		this.isStopped = true;
+	}
+
+	/**
+	 * @memberof JLEvent
+	 */
+	reset() {
+		this.time = new Date();
+		this.defaultPrevented = false;
+		this.isStopped = false;
+		this.hasListener = false;
+	}
+}
+EventListener.Event = JLEvent;
+
+class JLListener {
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * Creates an instance of Listener.
+	 * @param {string} type
+	 * @param {(event: JLEvent) => (void | Promise<void>)} callback
+	 */
+	constructor(type, callback) {
+		/** @type {string} */
+		this.type = type;
+
+		/** @type {(event: JLEvent) => (void | Promise<void>)} */
+		this.callback = callback;
+	}
+}
+EventListener.Listener = JLListener;
+
+class EventListenerStatic {
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * Add event handler for specific event
+	 * @param {string} type Event type
+	 * @param {(event: JLEvent) => void} callback Event callback
+	 * @returns {JLListener} Event listener object
+	 */
+	static addEventListener(type, callback) {
+		// Create new listener instance
+		const listener = new EventListener.Listener(type, callback);
+
+		// Dispatch event for listener addition
+		this.dispatchEvent(EventListener.LISTENER_ADD_EVENT, {listener}, e => {
+			// Statically create a new instance of listeners Map on each inheritted class
+			if(!this.listenersMap) this.listenersMap = new Map();
+
+			// Add listener to the list (create new list if it doesn't exist)		
+			if(!this.listenersMap.has(type)) this.listenersMap.set(type, [listener]);
+			else /**@type {JLListener[]}*/(this.listenersMap.get(type)).push(listener);
+		});
+
+		// Return newly created listener instance
+		return listener;
+	}
+
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * Fires a specific event
+	 * @template {Record<string, any> | JLEvent} T
+	 * @template U
+	 * @param {string} type Event type
+	 * @param {T} [data={}] Custom event data
+	 * @param {(event: JLEvent & T) => U} [callback=null] Default action handler
+	 * @returns {Promise<U | undefined>} Returned value of the callback function
+	 */
+	static async dispatchEvent(type, data, callback = undefined) {
+		// Setup the default event data
+		const defaultData = {
+			type: type,
+			time: new Date(),
+			defaultPreventable: !!callback
+		};
+
+		/** @type {JLEvent & T} */
+		let eventObject;
+
+		// Add the user provided data to the event object
+		if(data instanceof EventListener.Event) {
+			// Assign event object
+			eventObject = data;
+			eventObject.type = type;
+
+			// Add default data
+			for(const prop in defaultData) {
+				if(prop in eventObject) continue;
+				eventObject[prop] = defaultData[prop];
+			}
+		} else {
+			// Create a new event object
+			eventObject = /**@type {JLEvent & T}*/(new EventListener.Event(defaultData, data || {}));
+		}
+
+		// Get listeners for the type
+		const listeners = this.listenersMap && this.listenersMap.get(type);
+
+		// If there are no listeners for this type, call the callback right away
+		if(!listeners) return typeof callback === "function" ? callback(eventObject) : undefined;
+
+		// Set the hasListener flag
+		eventObject.hasListener = true;
+
+		// Determine dispatch strategy
+		if(eventObject.async) {
+			if(eventObject.parallel) {
+				// Call all listeners in parallel
+				await Promise.all(listeners.map(listener => listener.callback(eventObject)));
+			} else {
+				// Call all listeners in series
+				for(const listener of listeners) {
+					if(eventObject.isStopped) break;
+					await listener.callback(eventObject);
+				}
+			}
+		} else {
+			// Call all listeners
+			for(const listener of listeners) {
+				if(eventObject.isStopped) break;
+				listener.callback(eventObject);
+			}
+		}
+
+		// Call the default action handler if the event wasn't prevented
+		if(!eventObject.defaultPrevented && typeof callback === "function") return callback(eventObject);
+	}
+
+	/**
+	 * Removes event handler
+	 * @param {JLListener} listener Event listener returned by EventListener.addEventListener()
+	 * @returns {boolean} Returns true if listener was removed successfully
+	 */
+	static removeEventListener(listener) {
+		// Try to get listeners for the type
+		const listeners = this.listenersMap && this.listenersMap.get(listener.type);
+		if(!listeners) return false;
+
+		// Try to find the listener
+		const index = listeners.indexOf(listener);
+		if(index === -1) return false;
+
+		// Remove the listener
+		listeners.splice(index, 1);
+		return true;
+	}
+
+	/**
+	 * @param {string} type
+	 * @return {boolean} 
+	 * @memberof EventListener
+	 */
+	static hasListeners(type) {
+		if(!this.listenersMap) return false;
+		return this.listenersMap.has(type);
+	}
+
+	/**
+	 * @deprecated
+	 * @return {JLListener[]} 
+	 * @memberof EventListener
+	 */
+	static get listeners() {
+		if(!this.listenersMap) return [];
+		return Array.from(this.listenersMap.values()).flat();
+	}
+}
+
+/**
+ * This is a static property on base class, do not access it directly!
+ * @type {Map<string, JLListener[]>}
+ */
+EventListenerStatic.listenersMap = new Map();
+
+/**
+ * @type {
+	((type: "__listenerAddEvent__", callback: (event: JLEvent & {listener: JLListener}) => void) => JLListener)
+   }
+ * @alias EventListener.addEventListener
+ */
+EventListenerStatic.on = /**@type {any}*/(EventListenerStatic.addEventListener);
+
+/**
+ * Seedable random number generator.
+ */
+class RandomGenerator {
+	constructor(seed = ~~(Math.random() * 2147483647)) {
+		this.setSeed(seed);
+		this.initialSeed = this.currentSeed;
+
+		/** @type {((bound: number) => number) & ((origin: number, bound: number) => number)} */
+		this.nextInt;
+	}
+
+	/**
+	 * Set seed of generator.
+	 * @param {number} seed Seed of sequence, must be an integer!
+	 * @returns {number} seed.
+	 */
+	setSeed(seed) {
+		if(typeof seed !== "number") throw new TypeError("Seed " + seed + " is not valid number");
+		if((seed = seed % 2147483647) <= 0) seed += 2147483646;
+
+		return (this.currentSeed = seed);
+	}
+
+	/**
+	 * Generates next floating point number in sequence.
+	 * @returns {number} Random number in sequence (in range [0.0, 1.0]).
+	 */
+	next() {
+		return (((this.currentSeed = (this.currentSeed * 16807) % 2147483647) - 1) / 2147483646);
+	}
+
+	/**
+	 * Generates next floating point number in sequence.
+	 * @param {number} origin
+	 * @param {number} [bound]
+	 * @returns {number} Random number in sequence (in range [0.0, bound-1] or [origin, bound]).
+	 */
+	nextFloat(origin, bound) {
+		if(bound == undefined) {
+			return this.next() * origin;
+		}
+
+		return this.next() * (bound - origin + 1) + origin;
+	}
+
+	/**
+	 * Generates next integer in sequence.
+	 * @param {number} origin
+	 * @param {number} [bound]
+	 * @returns {number} Random number in sequence (in range [0, bound-1] or [origin, bound]).
+	 */
+	nextInt(origin, bound) {
+		return ~~this.nextFloat(origin, bound);
+	}
+
+	/**
+	 * Generates next random boolean in sequence.
+	 * @returns {boolean} Random boolean.
+	 */
+	nextBoolean() {
+		return this.next() < 0.5;
+	}
+
+	/**
+	 * Shuffles input array elements randomly
+	 * @template T
+	 * @param {T[]} array
+	 * @return {T[]} 
+	 * @memberof RandomGenerator
+	 */
+	shuffle(array) {
+		let length = array.length;
+
+		while(length) {
+			const index = this.nextInt(length--);
+			const temp = array[length];
+
+			array[length] = array[index];
+			array[index] = temp;
+		}
+
+		return array;
+	}
+
+	/**
+	 * Picks random element from array
+	 * @template T
+	 * @param {T[]} array Input array
+	 * @returns {T} Random element from array
+	 * @memberof RandomGenerator
+	 */
+	choice(array) {
+		return array[this.nextInt(array.length)];
+	}
+
+	/**
+	 * Generates a random number fitting a Gaussian distribution
+	 * @param {number} min Lower bound of distribution
+	 * @param {number} max Upper bound of distribution
+	 * @param {number} [skew=1] Distribution skew
+	 * @return {number} Random number in gaussian distribution
+	 * @memberof RandomGenerator
+	 */
+	gaussian(min, max, skew = 1) {
+		let u = 0, v = 0;
+		while(u === 0) u = this.next();
+		while(v === 0) v = this.next();
+
+		let num = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v) / 10 + 0.5;
+		if(num > 1 || num < 0) num = this.gaussian(min, max, skew);
+
+		return Math.pow(num, skew) * (max - min) + min;
+	}
+}
+
+/**
+ * Allows to create area for dropping files and data
+ */
+class DropArea extends EventListener {
+	/**
+	 * Creates area to drop data
+	 * @param {HTMLElement} rootNode Droppable area
+	 */
+	constructor(rootNode) {
+		super();
+
+		/**
+		 * @type {
+				EventListener["on"] &
+				((event: 'drop', callback: (event: EventListener.Event) => void) => EventListener.Listener) &
+				((event: 'focus', callback: (event: EventListener.Event) => void) => EventListener.Listener) &
+				((event: 'blur', callback: (event: EventListener.Event) => void) => EventListener.Listener) &
+				((event: 'dragenter', callback: (event: EventListener.Event) => void) => EventListener.Listener) &
+				((event: 'dragover', callback: (event: EventListener.Event) => void) => EventListener.Listener) &
+				((event: 'dragleave', callback: (event: EventListener.Event) => void) => EventListener.Listener) 
+			}
+		*/
+		// @ts-ignore
+		this.on;
+
+		this.root = rootNode;
+		this.counter = 0;
+
+		const events = ["dragenter", "dragover", "dragleave", "drop"];
+		const focusEvents = ["dragenter", "dragover"];
+		const blurEvents = ["dragleave", "drop"];
+
+		events.forEach(event => {
+			this.root.addEventListener(event, e => {
+				e.preventDefault();
+				e.stopPropagation();
+
+				var isFirst = !this.counter;
+
+				if(event == "dragenter") this.counter++;
+				if(event == "dragleave" || event == "drop") this.counter--;
+				if(this.counter && !isFirst) return;
+
+				const EventData = {
+					target: this.root,
+				};
+
+				if(event == "drop") EventData.dataTransfer = /**@type {DragEvent}*/(e).dataTransfer;
+				if(focusEvents.includes(event)) this.dispatchEvent("focus", EventData);
+				if(blurEvents.includes(event)) this.dispatchEvent("blur", EventData);
+
+				this.dispatchEvent(event, EventData);
+			}, false);
+		});
+	}
+}
+
+/**
+ * Node of a scene graph holding local position, rotation and scale, with cached local and world 4x4 matrices.
+ * Events: `change` (local transform changed), `parentchange`, `childadd` and `childremove`.
+ *
+ * @class Transform
+ * @extends {EventListener}
+ */
+class Transform extends EventListener {
+	/**
+	 * Creates an instance of Transform.
+	 * @param {Vector} [position=new Vector()] Local position.
+	 * @param {Quaternion} [rotation=new Quaternion()] Local rotation.
+	 * @param {Vector} [scale=new Vector(1, 1, 1)] Local scale.
+	 * @memberof Transform
+	 */
+	constructor(position = new Vector(), rotation = new Quaternion(), scale = new Vector(1, 1, 1)) {
+		super();
+
+		/**
+		 * @type {
+				EventListener["on"] &
+				((event: 'change', callback: (event: EventListener.Event & {transform: Transform}) => void) => EventListener.Listener) &
+				((event: 'parentchange', callback: (event: EventListener.Event & {transform: Transform, parent: Transform | null, previousParent: Transform | null}) => void) => EventListener.Listener) &
+				((event: 'childadd', callback: (event: EventListener.Event & {transform: Transform, child: Transform}) => void) => EventListener.Listener) &
+				((event: 'childremove', callback: (event: EventListener.Event & {transform: Transform, child: Transform}) => void) => EventListener.Listener)
+			}
+		*/
+		// @ts-ignore
+		this.on;
+
+		/** @type {Vector} */
+		this._position = position.copy();
+
+		/** @type {Quaternion} */
+		this._rotation = rotation.copy();
+
+		/** @type {Vector} */
+		this._scale = scale.copy();
+
+		/**
+		 * Parent of the transform (`null` for root transforms).
+		 * @type {Transform | null}
+		 */
+		this.parent = null;
+
+		/**
+		 * Children of the transform (do not modify directly, use `addChild`/`removeChild`).
+		 * @type {Transform[]}
+		 */
+		this.children = [];
+
+		/** @type {Matrix} */
+		this._localMatrix = null;
+
+		/** @type {Matrix} */
+		this._worldMatrix = null;
+
+		/** @type {Matrix} */
+		this._worldInverse = null;
+
+		/** @type {boolean} */
+		this._localDirty = true;
+
+		/** @type {boolean} */
+		this._worldDirty = true;
+	}
+
+	/**
+	 * Local position. Call `markDirty()` after modifying the returned Vector in place.
+	 * @type {Vector}
+	 * @memberof Transform
+	 */
+	get position() {
+		return this._position;
+	}
+
+	set position(position) {
+		this.setPosition(position);
+	}
+
+	/**
+	 * Local rotation. Call `markDirty()` after modifying the returned Quaternion in place.
+	 * @type {Quaternion}
+	 * @memberof Transform
+	 */
+	get rotation() {
+		return this._rotation;
+	}
+
+	set rotation(rotation) {
+		this.setRotation(rotation);
+	}
+
+	/**
+	 * Local scale. Call `markDirty()` after modifying the returned Vector in place.
+	 * @type {Vector}
+	 * @memberof Transform
+	 */
+	get scale() {
+		return this._scale;
+	}
+
+	set scale(scale) {
+		this.setScale(scale);
+	}
+
+	/**
+	 * Sets local position.
+	 * @param {VectorLike} position
+	 * @return {this} 
+	 * @memberof Transform
+	 */
+	setPosition(position) {
+		this._position = Vector.from(position);
+
+		return this.markDirty();
+	}
+
+	/**
+	 * Sets local rotation.
+	 * @param {Quaternion} rotation
+	 * @return {this} 
+	 * @memberof Transform
+	 */
+	setRotation(rotation) {
+		this._rotation = rotation.copy();
+
+		return this.markDirty();
+	}
+
+	/**
+	 * Sets local scale.
+	 * @param {VectorLike | number} scale Scale vector or uniform scale factor.
+	 * @return {this} 
+	 * @memberof Transform
+	 */
+	setScale(scale) {
+		this._scale = typeof scale === "number" ? new Vector(scale, scale, scale) : Vector.from(scale);
+
+		return this.markDirty();
+	}
+
+	/**
+	 * Moves the transform by given offset (in parent space).
+	 * @param {VectorLike} offset
+	 * @return {this} 
+	 * @memberof Transform
+	 */
+	translate(offset) {
+		this._position.add(offset);
+
+		return this.markDirty();
+	}
+
+	/**
+	 * Rotates the transform by given rotation (applied in local space).
+	 * @param {Quaternion} rotation
+	 * @return {this} 
+	 * @memberof Transform
+	 */
+	rotate(rotation) {
+		this._rotation.multiply(rotation).normalize();
+
+		return this.markDirty();
+	}
+
+	/**
+	 * Marks cached matrices of the transform and its descendants as outdated and dispatches `change` event.
+	 * @return {this} 
+	 * @memberof Transform
+	 */
+	markDirty() {
+		this._localDirty = true;
+		this._invalidateWorld();
+
+		this.dispatchEvent("change", {transform: this});
+
+		return this;
+	}
+
+	/**
+	 * Returns cached local transformation matrix (translation * rotation * scale). Do not modify the returned Matrix.
+	 * @return {Matrix} 
+	 * @memberof Transform
+	 */
+	getLocalMatrix() {
+		if(this._localDirty) {
+			this._localMatrix = Matrix.translation(this._position)
+				.mult(this._rotation.toMatrix())
+				.mult(Matrix.scaling(this._scale));
+			this._localDirty = false;
+		}
+
+		return this._localMatrix;
+	}
+
+	/**
+	 * Returns cached world transformation matrix (parent world matrix * local matrix). Do not modify the returned Matrix.
+	 * @return {Matrix} 
+	 * @memberof Transform
+	 */
+	getWorldMatrix() {
+		if(this._worldDirty) {
+			this._worldMatrix = this.parent ? this.parent.getWorldMatrix().mult(this.getLocalMatrix()) : this.getLocalMatrix();
+			this._worldInverse = null;
+			this._worldDirty = false;
+		}
+
+		return this._worldMatrix;
+	}
+
+	/**
+	 * Returns cached inverse of the world transformation matrix. Do not modify the returned Matrix.
+	 * @return {Matrix} 
+	 * @memberof Transform
+	 */
+	getWorldInverse() {
+		const matrix = this.getWorldMatrix();
+		if(!this._worldInverse) this._worldInverse = matrix.inverse();
+
+		return this._worldInverse;
+	}
+
+	/**
+	 * Returns position of the transform in world space.
+	 * @return {Vector} 
+	 * @memberof Transform
+	 */
+	getWorldPosition() {
+		const m = this.getWorldMatrix().matrix;
+
+		return new Vector(m[0][3], m[1][3], m[2][3]);
+	}
+
+	/**
+	 * Returns rotation of the transform in world space.
+	 * @return {Quaternion} 
+	 * @memberof Transform
+	 */
+	getWorldRotation() {
+		return this.parent ? this.parent.getWorldRotation().multiply(this._rotation) : this._rotation.copy();
+	}
+
+	/**
+	 * Converts point from local space of the transform into world space.
+	 * @param {Vector} point
+	 * @return {Vector} 
+	 * @memberof Transform
+	 */
+	localToWorld(point) {
+		return this.getWorldMatrix().transformPoint(point);
+	}
+
+	/**
+	 * Converts point from world space into local space of the transform.
+	 * @param {Vector} point
+	 * @return {Vector} 
+	 * @memberof Transform
+	 */
+	worldToLocal(point) {
+		return this.getWorldInverse().transformPoint(point);
+	}
+
+	/**
+	 * Sets parent of the transform.
+	 * @param {Transform | null} parent New parent or `null` to detach the transform.
+	 * @param {boolean} [keepWorldTransform=false] Whether to adjust local transform to keep the current world transform (shear caused by non-uniform scale of parents is lost).
+	 * @return {this} 
+	 * @memberof Transform
+	 */
+	setParent(parent, keepWorldTransform = false) {
+		if(parent === this.parent) return this;
+		if(parent && (parent === this || this.isAncestorOf(parent))) throw new Error("Cannot set descendant of the transform as its parent!");
+
+		const previousParent = this.parent;
+		const world = keepWorldTransform ? this.getWorldMatrix() : null;
+
+		if(previousParent) {
+			previousParent.children.splice(previousParent.children.indexOf(this), 1);
+			previousParent.dispatchEvent("childremove", {transform: previousParent, child: this});
+		}
+
+		this.parent = parent;
+
+		if(parent) {
+			parent.children.push(this);
+			parent.dispatchEvent("childadd", {transform: parent, child: this});
+		}
+
+		this.dispatchEvent("parentchange", {transform: this, parent, previousParent});
+
+		if(world) this._setFromMatrix(parent ? parent.getWorldInverse().mult(world) : world);
+		else this._invalidateWorld();
+
+		return this;
+	}
+
+	/**
+	 * Adds child transform.
+	 * @param {Transform} child
+	 * @param {boolean} [keepWorldTransform=false] Whether to keep the current world transform of the child.
+	 * @return {this} 
+	 * @memberof Transform
+	 */
+	addChild(child, keepWorldTransform = false) {
+		child.setParent(this, keepWorldTransform);
+
+		return this;
+	}
+
+	/**
+	 * Removes child transform.
+	 * @param {Transform} child
+	 * @param {boolean} [keepWorldTransform=false] Whether to keep the current world transform of the child.
+	 * @return {boolean} Returns true if the child was removed successfully
+	 * @memberof Transform
+	 */
+	removeChild(child, keepWorldTransform = false) {
+		if(child.parent !== this) return false;
+
+		child.setParent(null, keepWorldTransform);
+
+		return true;
+	}
+
+	/**
+	 * Checks whether the transform is an ancestor of given transform.
+	 * @param {Transform} transform
+	 * @return {boolean} 
+	 * @memberof Transform
+	 */
+	isAncestorOf(transform) {
+		for(let node = transform.parent; node; node = node.parent) {
+			if(node === this) return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Returns root of the hierarchy.
+	 * @return {Transform} 
+	 * @memberof Transform
+	 */
+	getRoot() {
+		/** @type {Transform} */
+		let node = this;
+		while(node.parent) node = node.parent;
+
+		return node;
+	}
+
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * Calls callback function on the transform and all its descendants (depth-first, parents before children).
+	 * @param {(transform: Transform, depth: number) => (boolean | void)} callback Callback function. Returning `false` skips the children of the visited transform.
+	 * @return {this} 
+	 * @memberof Transform
+	 */
+	traverse(callback) {
+		/** @type {Array<[Transform, number]>} */
+		const stack = [[this, 0]];
+
+		while(stack.length) {
+			const [node, depth] = stack.pop();
+			if(callback(node, depth) === false) continue;
+
+			for(let i = node.children.length - 1; i >= 0; i--) stack.push([node.children[i], depth + 1]);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Marks world matrices of the transform and its descendants as outdated.
+	 * @memberof Transform
+	 */
+	_invalidateWorld() {
+		// Descendants of a dirty transform are always dirty
+		if(this._worldDirty) return;
+
+		this._worldDirty = true;
+		for(const child of this.children) child._invalidateWorld();
+	}
+
+	/**
+	 * Sets local position, rotation and scale by decomposing affine transformation matrix.
+	 * @param {Matrix} matrix
+	 * @memberof Transform
+	 */
+	_setFromMatrix(matrix) {
+		const m = matrix.matrix;
+		const scale = new Vector(
+			Math.hypot(m[0][0], m[1][0], m[2][0]),
+			Math.hypot(m[0][1], m[1][1], m[2][1]),
+			Math.hypot(m[0][2], m[1][2], m[2][2])
+		);
+
+		// Mirrored transforms have negative determinant
+		if(matrix.slice(0, 3, 0, 3).det() < 0) scale.x = -scale.x;
+
+		const rotation = new Matrix(3, 3);
+		for(let i = 0; i < 3; i++) {
+			rotation.matrix[i][0] = scale.x ? m[i][0] / scale.x : 0;
+			rotation.matrix[i][1] = scale.y ? m[i][1] / scale.y : 0;
+			rotation.matrix[i][2] = scale.z ? m[i][2] / scale.z : 0;
+		}
+
+		this._position = new Vector(m[0][3], m[1][3], m[2][3]);
+		this._rotation = Quaternion.fromMatrix(rotation).normalize();
+		this._scale = scale;
+
+		this.markDirty();
+	}
+}
+
+class TimingInterface {
+	// eslint-disable-next-line valid-jsdoc
+	/**
+	 * @static
+	 * @return {() => number} 
+	 * @memberof TimingInterface
+	 */
+	static _createInterface() {
+		// Check if document.timeline.currentTime is available and return the corresponding function
+		if(
+			typeof document !== "undefined" &&
+			document.timeline &&
+			typeof document.timeline.currentTime === "number"
+		) {
+			return () => /**@type {number}*/(document.timeline.currentTime);
+		}
+
+		// Check if performance.now is available and return the corresponding function
+		if(typeof performance !== "undefined" && typeof performance.now === "function") {
+			return () => performance.now();
+		}
+
+		// Fallback to Date.now and return the corresponding function
+		const start = Date.now();
+		return () => Date.now() - start;
+	}
+}
+TimingInterface.getTime = TimingInterface._createInterface();
+
+/**
+ * Rigid body simulated by `PhysicsWorld`. Circle bodies are positioned by their center, rectangle bodies by their top-left corner (same as `COLLISION` functions).
+ *
+ * @class PhysicsBody
+ */
+class PhysicsBody {
+	/**
+	 * @typedef {Object} PhysicsBodyOptions
+	 * @prop {"circle" | "rectangle"} [shape="circle"] Collision shape of the body
+	 * @prop {Dimensions} [dimensions=new Dimensions(0, 0, 0, 1)] Dimensions of the body (`radius` for circles, `width` and `height` for rectangles)
+	 * @prop {number} [mass=1] Mass of the body (0 for static bodies)
+	 * @prop {Vector} [velocity=new Vector()] Initial velocity
+	 * @prop {number} [restitution=0.5] Bounciness (in range 0 - 1)
+	 * @prop {number} [friction=0.2] Friction coefficient
+	 * @prop {number} [damping=0] Linear damping (drag) coefficient
+	 * @prop {number} [gravityScale=1] Multiplier of the world gravity
+	 */
+
+	/**
+	 * Creates an instance of PhysicsBody.
+	 * @param {Vector} position Position of the body.
+	 * @param {PhysicsBodyOptions} [options={}] Properties of the body.
+	 * @memberof PhysicsBody
+	 */
+	constructor(position, options = {}) {
+		const {
+			shape = "circle",
+			dimensions = new Dimensions(0, 0, 0, 1),
+			mass = 1,
+			velocity = new Vector(),
+			restitution = 0.5,
+			friction = 0.2,
+			damping = 0,
+			gravityScale = 1
+		} = options;
+
+		if(shape !== "circle" && shape !== "rectangle") throw new TypeError(`Invalid body shape '${shape}'`);
+		if(mass < 0) throw new RangeError("Mass of the body can't be negative!");
+
+		/** @type {"circle" | "rectangle"} */
+		this.shape = shape;
+
+		/** @type {Dimensions} */
+		this.dimensions = dimensions.copy();
+
+		/** @type {Vector} */
+		this.position = position.copy();
+
+		/**
+		 * Position at the start of the last step (updated by Verlet integrator).
+		 * @type {Vector}
+		 */
+		this.previousPosition = position.copy();
+
+		/** @type {Vector} */
+		this.velocity = velocity.copy();
+
+		/**
+		 * Force accumulated for the next step.
+		 * @type {Vector}
+		 */
+		this.force = new Vector();
+
+		/** @type {number} */
+		this.mass = mass;
+
+		/** @type {number} */
+		this.invMass = mass ? 1 / mass : 0;
+
+		/** @type {number} */
+		this.restitution = restitution;
+
+		/** @type {number} */
+		this.friction = friction;
+
+		/** @type {number} */
+		this.damping = damping;
+
+		/** @type {number} */
+		this.gravityScale = gravityScale;
+	}
+
+	/**
+	 * Whether the body is static (has infinite mass).
+	 * @readonly
+	 * @type {boolean}
+	 * @memberof PhysicsBody
+	 */
+	get isStatic() {
+		return this.invMass === 0;
+	}
+
+	/**
+	 * Calculates the center of the body.
+	 * @return {Vector}
+	 * @memberof PhysicsBody
+	 */
+	getCenter() {
+		if(this.shape === "circle") return this.position.copy();
+
+		return new Vector(this.position.x + this.dimensions.w / 2, this.position.y + this.dimensions.h / 2);
+	}
+
+	/**
+	 * Adds force to be applied in the next step.
+	 * @param {Vector} force
+	 * @return {this}
+	 * @memberof PhysicsBody
+	 */
+	applyForce(force) {
+		this.force.add(force);
+
+		return this;
+	}
+
+	/**
+	 * Instantly changes velocity of the body by given impulse.
+	 * @param {Vector} impulse
+	 * @return {this}
+	 * @memberof PhysicsBody
+	 */
+	applyImpulse(impulse) {
+		this.velocity.add(impulse.copy().mult(this.invMass));
+
+		return this;
+	}
+}
+
+/**
+ * Base class of constraints between two bodies.
+ *
+ * @class PhysicsConstraint
+ */
+class PhysicsConstraint {
+	/**
+	 * Creates an instance of PhysicsConstraint.
+	 * @param {PhysicsBody} a First body.
+	 * @param {PhysicsBody} b Second body.
+	 * @memberof PhysicsConstraint
+	 */
+	constructor(a, b) {
+		/** @type {PhysicsBody} */
+		this.a = a;
+
+		/** @type {PhysicsBody} */
+		this.b = b;
+	}
+
+	/**
+	 * Applies forces of the constraint before integration.
+	 * @param {number} dt Time step in seconds
+	 * @memberof PhysicsConstraint
+	 */
+	applyForce(dt) { }
+
+	/**
+	 * Corrects positions of the bodies after integration.
+	 * @param {number} dt Time step in seconds
+	 * @memberof PhysicsConstraint
+	 */
+	solve(dt) { }
+}
+
+/**
+ * Rigid constraint keeping the centers of two bodies at a fixed distance.
+ *
+ * @class DistanceConstraint
+ * @extends {PhysicsConstraint}
+ */
+class DistanceConstraint extends PhysicsConstraint {
+	/**
+	 * Creates an instance of DistanceConstraint.
+	 * @param {PhysicsBody} a First body.
+	 * @param {PhysicsBody} b Second body.
+	 * @param {number} [length] Distance to maintain. Current distance of the bodies is used if not provided.
+	 * @param {number} [stiffness=1] Fraction of the error corrected in each iteration (in range 0 - 1).
+	 * @memberof DistanceConstraint
+	 */
+	constructor(a, b, length = undefined, stiffness = 1) {
+		super(a, b);
+
+		/** @type {number} */
+		this.length = typeof length === "number" ? length : a.getCenter().distanceTo(b.getCenter());
+
+		/** @type {number} */
+		this.stiffness = stiffness;
+	}
+
+	/**
+	 * @param {number} dt
+	 * @memberof DistanceConstraint
+	 */
+	solve(dt) {
+		const totalInvMass = this.a.invMass + this.b.invMass;
+		if(!totalInvMass) return;
+
+		const delta = this.b.getCenter().sub(this.a.getCenter());
+		const distance = delta.mag();
+		if(!distance) return;
+
+		const correction = delta.mult((distance - this.length) / distance * this.stiffness / totalInvMass);
+
+		this.a.position.add(correction.copy().mult(this.a.invMass));
+		this.b.position.sub(correction.mult(this.b.invMass));
+	}
+}
+
+/**
+ * Damped spring between centers of two bodies.
+ *
+ * @class SpringConstraint
+ * @extends {PhysicsConstraint}
+ */
+class SpringConstraint extends PhysicsConstraint {
+	/**
+	 * Creates an instance of SpringConstraint.
+	 * @param {PhysicsBody} a First body.
+	 * @param {PhysicsBody} b Second body.
+	 * @param {number} [restLength] Rest length of the spring. Current distance of the bodies is used if not provided.
+	 * @param {number} [stiffness=10] Spring constant.
+	 * @param {number} [damping=0.1] Damping coefficient.
+	 * @memberof SpringConstraint
+	 */
+	constructor(a, b, restLength = undefined, stiffness = 10, damping = 0.1) {
+		super(a, b);
+
+		/** @type {number} */
+		this.restLength = typeof restLength === "number" ? restLength : a.getCenter().distanceTo(b.getCenter());
+
+		/** @type {number} */
+		this.stiffness = stiffness;
+
+		/** @type {number} */
+		this.damping = damping;
+	}
+
+	/**
+	 * @param {number} dt
+	 * @memberof SpringConstraint
+	 */
+	applyForce(dt) {
+		const delta = this.b.getCenter().sub(this.a.getCenter());
+		const distance = delta.mag();
+		if(!distance) return;
+
+		const direction = delta.div(distance);
+		const relativeVelocity = this.b.velocity.copy().sub(this.a.velocity).dot(direction);
+
+		// Hooke's law with damping
+		const magnitude = this.stiffness * (distance - this.restLength) + this.damping * relativeVelocity;
+		const force = direction.mult(magnitude);
+
+		this.a.applyForce(force);
+		this.b.applyForce(force.copy().invert());
+	}
+}
+
+/**
+ * Simple 2D physics world with fixed time step.
+ *
+ * @class PhysicsWorld
+ */
+class PhysicsWorld {
+	/**
+	 * @typedef {Object} PhysicsWorldOptions
+	 * @prop {Vector} [gravity=new Vector(0, 9.81)] Gravity acceleration (Y axis points down by default)
+	 * @prop {"euler" | "verlet"} [integrator="euler"] Integration method (semi-implicit Euler or position Verlet)
+	 * @prop {number} [timestep=1/60] Fixed time step in seconds
+	 * @prop {number} [maxSubSteps=5] Maximum number of steps per `update()` call
+	 * @prop {number} [iterations=4] Number of constraint solver iterations per step
+	 */
+
+	/**
+	 * Creates an instance of PhysicsWorld.
+	 * @param {PhysicsWorldOptions} [options={}] Properties of the world.
+	 * @memberof PhysicsWorld
+	 */
+	constructor(options = {}) {
+		const {
+			gravity = new Vector(0, 9.81),
+			integrator = "euler",
+			timestep = 1 / 60,
+			maxSubSteps = 5,
+			iterations = 4
+		} = options;
+
+		if(integrator !== "euler" && integrator !== "verlet") throw new TypeError(`Invalid integrator '${integrator}'`);
+
+		/** @type {Vector} */
+		this.gravity = gravity.copy();
+
+		/** @type {"euler" | "verlet"} */
+		this.integrator = integrator;
+
+		/** @type {number} */
+		this.timestep = timestep;
+
+		/** @type {number} */
+		this.maxSubSteps = maxSubSteps;
+
+		/** @type {number} */
+		this.iterations = iterations;
+
+		/** @type {PhysicsBody[]} */
+		this.bodies = [];
+
+		/** @type {PhysicsConstraint[]} */
+		this.constraints = [];
+
+		/**
+		 * Interpolation factor between the last two steps (in range 0 - 1), useful for smooth rendering.
+		 * @type {number}
+		 */
+		this.alpha = 0;
+
+		/** @type {number} */
+		this.accumulator = 0;
+
+		/** @type {number | null} */
+		this.lastTime = null;
+	}
+
+	/**
+	 * @param {PhysicsBody} body
+	 * @return {PhysicsBody}
+	 * @memberof PhysicsWorld
+	 */
+	addBody(body) {
+		this.bodies.push(body);
+
+		return body;
+	}
+
+	/**
+	 * @param {PhysicsBody} body
+	 * @return {boolean} Returns true if the body was removed successfully
+	 * @memberof PhysicsWorld
+	 */
+	removeBody(body) {
+		const index = this.bodies.indexOf(body);
+		if(index === -1) return false;
+
+		this.bodies.splice(index, 1);
+		this.constraints = this.constraints.filter(e => e.a !== body && e.b !== body);
+
+		return true;
+	}
+
+	/**
+	 * @template {PhysicsConstraint} T
+	 * @param {T} constraint
+	 * @return {T}
+	 * @memberof PhysicsWorld
+	 */
+	addConstraint(constraint) {
+		this.constraints.push(constraint);
+
+		return constraint;
+	}
+
+	/**
+	 * @param {PhysicsConstraint} constraint
+	 * @return {boolean} Returns true if the constraint was removed successfully
+	 * @memberof PhysicsWorld
+	 */
+	removeConstraint(constraint) {
+		const index = this.constraints.indexOf(constraint);
+		if(index === -1) return false;
+
+		this.constraints.splice(index, 1);
+
+		return true;
+	}
+
+	/**
+	 * Advances the simulation by the time elapsed since the last call, using fixed time steps.
+	 * @param {number} [time=TimingInterface.getTime()] Current time in milliseconds
+	 * @return {number} Number of performed steps
+	 * @memberof PhysicsWorld
+	 */
+	update(time = TimingInterface.getTime()) {
+		if(this.lastTime === null) {
+			this.lastTime = time;
+			return 0;
+		}
+
+		this.accumulator += (time - this.lastTime) / 1000;
+		this.lastTime = time;
+
+		let steps = 0;
+		while(this.accumulator >= this.timestep && steps < this.maxSubSteps) {
+			this.step(this.timestep);
+			this.accumulator -= this.timestep;
+			steps++;
+		}
+
+		// Drop the time we can't catch up with to avoid spiral of death
+		if(steps === this.maxSubSteps) this.accumulator = Math.min(this.accumulator, this.timestep);
+
+		this.alpha = this.accumulator / this.timestep;
+
+		return steps;
+	}
+
+	/**
+	 * Performs a single simulation step.
+	 * @param {number} [dt=this.timestep] Time step in seconds
+	 * @return {this}
+	 * @memberof PhysicsWorld
+	 */
+	step(dt = this.timestep) {
+		for(const constraint of this.constraints) constraint.applyForce(dt);
+
+		// Integrate
+		const starts = this.bodies.map(e => e.position.copy());
+		for(const body of this.bodies) {
+			if(body.isStatic) {
+				body.force = new Vector();
+				continue;
+			}
+
+			const acceleration = body.force.copy().mult(body.invMass).add(this.gravity.copy().mult(body.gravityScale));
+			const drag = 1 / (1 + dt * body.damping);
+
+			if(this.integrator === "verlet") {
+				// Previous position is derived from the velocity, so changes made between steps are respected
+				const previous = body.position.copy().sub(body.velocity.copy().mult(dt));
+				body.previousPosition = body.position.copy();
+				body.position.add(body.position.copy().sub(previous).mult(drag)).add(acceleration.mult(dt * dt));
+			} else {
+				body.velocity.add(acceleration.mult(dt)).mult(drag);
+				body.position.add(body.velocity.copy().mult(dt));
+			}
+
+			body.force = new Vector();
+		}
+
+		// Constraints only correct positions, velocities are derived afterwards
+		for(let i = 0; i < this.iterations; i++) {
+			for(const constraint of this.constraints) constraint.solve(dt);
+		}
+		this.bodies.forEach((body, i) => {
+			if(!body.isStatic) body.velocity = body.position.copy().sub(starts[i]).div(dt);
+		});
+
+		this._resolveCollisions();
+
+		return this;
+	}
+
+	/**
+	 * Detects and resolves collisions between all pairs of bodies.
+	 * @memberof PhysicsWorld
+	 */
+	_resolveCollisions() {
+		for(let i = 0; i < this.bodies.length; i++) {
+			for(let j = i + 1; j < this.bodies.length; j++) {
+				const a = this.bodies[i];
+				const b = this.bodies[j];
+				if(a.isStatic && b.isStatic) continue;
+
+				const manifold = PhysicsWorld._getManifold(a, b);
+				if(manifold.colliding) PhysicsWorld._resolve(a, b, manifold);
+			}
+		}
+	}
+
+	/**
+	 * @static
+	 * @param {PhysicsBody} a
+	 * @param {PhysicsBody} b
+	 * @return {CollisionManifold}
+	 * @memberof PhysicsWorld
+	 */
+	static _getManifold(a, b) {
+		if(a.shape === "circle" && b.shape === "circle") {
+			return COLLISION_MANIFOLD.circle(a.position, a.dimensions, b.position, b.dimensions);
+		}
+		if(a.shape === "rectangle" && b.shape === "rectangle") {
+			return COLLISION_MANIFOLD.rectangle(a.position, a.dimensions, b.position, b.dimensions);
+		}
+		if(a.shape === "circle") {
+			return COLLISION_MANIFOLD.circleRectangle(a.position, a.dimensions, b.position, b.dimensions);
+		}
+
+		// Rectangle against circle, flip the normal to point from `a` towards `b`
+		const manifold = COLLISION_MANIFOLD.circleRectangle(b.position, b.dimensions, a.position, a.dimensions);
+		manifold.normal.invert();
+
+		return manifold;
+	}
+
+	/**
+	 * Resolves collision of two bodies using impulses and positional correction.
+	 * @static
+	 * @param {PhysicsBody} a
+	 * @param {PhysicsBody} b
+	 * @param {CollisionManifold} manifold
+	 * @memberof PhysicsWorld
+	 */
+	static _resolve(a, b, manifold) {
+		const totalInvMass = a.invMass + b.invMass;
+		const normal = manifold.normal;
+
+		// Push the bodies apart
+		const correction = normal.copy().mult(Math.max(manifold.depth - PhysicsWorld.SLOP, 0) / totalInvMass * PhysicsWorld.CORRECTION);
+		a.position.sub(correction.copy().mult(a.invMass));
+		b.position.add(correction.copy().mult(b.invMass));
+
+		const relativeVelocity = b.velocity.copy().sub(a.velocity);
+		const velocityAlongNormal = relativeVelocity.dot(normal);
+
+		// Bodies are already separating
+		if(velocityAlongNormal > 0) return;
+
+		const restitution = Math.min(a.restitution, b.restitution);
+		const j = -(1 + restitution) * velocityAlongNormal / totalInvMass;
+		const impulse = normal.copy().mult(j);
+
+		a.velocity.sub(impulse.copy().mult(a.invMass));
+		b.velocity.add(impulse.copy().mult(b.invMass));
+
+		// Coulomb friction along the contact tangent
+		const tangent = b.velocity.copy().sub(a.velocity);
+		tangent.sub(normal.copy().mult(tangent.dot(normal)));
+		if(!tangent.mag()) return;
+		tangent.normalize();
+
+		const mu = Math.sqrt(a.friction * b.friction);
+		const jt = clamp(-b.velocity.copy().sub(a.velocity).dot(tangent) / totalInvMass, -j * mu, j * mu);
+		const frictionImpulse = tangent.mult(jt);
+
+		a.velocity.sub(frictionImpulse.copy().mult(a.invMass));
+		b.velocity.add(frictionImpulse.copy().mult(b.invMass));
+	}
+}
+
+/**
+ * Penetration allowed before positional correction kicks in.
+ * @type {number}
+ */
+PhysicsWorld.SLOP = 0.01;
+
+/**
+ * Fraction of the penetration corrected in each step.
+ * @type {number}
+ */
+PhysicsWorld.CORRECTION = 0.8;
+
+// eslint-disable-next-line valid-jsdoc
+/**
+ * @deprecated
+ * @param {((value: number) => void) | string} output
+ * @param {number} [min=0]
+ * @param {number} [max=100]
+ * @param {number} [step=1]
+ * @param {number} [value=(min + max) / 2]
+ * @param {string | HTMLElement} [elm=JL("body", 0)]
+ * @param {string} [cls="slider"]
+ */
+function createSlider(
+	output,
+	min = 0,
+	max = 100,
+	step = 1,
+	value = (min + max) / 2,
+	elm = JL("body", 0),
+	cls = "slider"
+) {
+	const isSelector = typeof elm === "string";
+
+	const node = /**@type {HTMLInputElement}*/(isSelector ? JL(elm, 0) : document.createElement("input"));
+	node.type = "range";
+	node.min = min + "";
+	node.max = max + "";
+	node.step = step + "";
+	node.value = value + "";
+	node.className = isSelector ? "" : cls;
+
+	const label = document.createElement("span");
+	label.innerText = value + "";
+	label.className = "sliderLabel_" + cls;
+
+	if(!isSelector) {
+		elm.appendChild(node);
+	}
+
+	const container = (isSelector ? node.parentNode : elm);
+	if(container) container.appendChild(label);
+
+	const call = () => {
+		label.innerText = node.value;
+
+		if(typeof output === "string") eval(output + "=" + node.value);
+		else if(typeof output === "function") output(+node.value);
+
+		throw new Error("[JustLib] Slider: Unknown output");
+	};
+
+	node.addEventListener("change", call);
+	node.addEventListener("input", call);
+}
+
+function createWindow(url, title, options = {}, center = false) {
+	var offsetX = window.screenLeft || window.screenX || 0;
+	var offsetY = window.screenTop || window.screenY || 0;
+
+	var width = window.outerWidth || screen.width;
+	var height = window.outerHeight || screen.height;
+
+	var left = (width - options.width) / 2 + offsetX;
+	var top = (height - options.height) / 2 + offsetY;
+
+	if(center) {
+		options.left = left;
+		options.top = top;
+	}
+
+	var win = window.open(
+		url,
+		title,
+		options
+			.reduce((prev, {key, value}) => prev + `${key}=${value},`, "")
+			.slice(0, -1)
+	);
+
+	if(win) win.focus();
+
+	return win;
+}
+
+
+let HIDDEN, VISIBILITY_CHANGE;
+if(typeof document !== "undefined") {
+	if(typeof document.hidden !== "undefined") {
+		// Opera 12.10 and Firefox 18 and later support
+		HIDDEN = "hidden";
+		VISIBILITY_CHANGE = "visibilitychange";
+	} else if(typeof document["msHidden"] !== "undefined") {
+		HIDDEN = "msHidden";
+		VISIBILITY_CHANGE = "msvisibilitychange";
+	} else if(typeof document["webkitHidden"] !== "undefined") {
+		HIDDEN = "webkitHidden";
+		VISIBILITY_CHANGE = "webkitvisibilitychange";
+	}
+}
+/* ==== Modifying defaults ==== */
+
+/**
+ * Remove diacritics from the string
+ * @param {string} string String to remove diacritics from
+ * @returns {string} New string without diacritics
+ */
+function removeAccents(string) {
+	return string.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+/**
+ * Remove diacritics from the string
+ * @deprecated Use `removeAccents(string)` instead
+ * @returns {string} New string without diacritics
+ */
+String.prototype["removeAccents"] = function() {
+	return removeAccents(/**@type {string}*/(this));
+};
+
+/**
+ * Capitalize the string
+ * @param {string} string String to capitalize
+ * @returns {string} New string with first letter capital
+ */
+function capitalize(string) {
+	return string.charAt(0).toUpperCase() + string.slice(1);
+}
+
+/**
+ * Capitalize the string
+ * @deprecated Use `capitalize(string)` instead
+ * @returns {string} New string with first letter capital
+ */
+String.prototype["capitalize"] = function() {
+	return capitalize(/**@type {string}*/(this));
+};
+
+try {
+	Object.defineProperty(Object.prototype, "reduce", {
+		// eslint-disable-next-line valid-jsdoc
+		/**
+		 * Equivalent of Array.prototype.reduce
+		 *
+		 * Calls the specified callback function for all the key-value pairs in a object. The return value of the callback function is the accumulated result, and is provided as an argument in the next call to the callback function.
+		 *
+		 * @deprecated Use Object.reduce(object, callbackfn, initialValue) instead
+		 * @param {(previousValue: any, currentValue: {key: string, value: any}, currentIndex: number, object: Object) => any} callbackfn A function that accepts up to four arguments. The reduce method calls the callbackfn function one time for each key-value pair in the object.
+		 * @param {any} initialValue  If initialValue is specified, it is used as the initial value to start the accumulation. The first call to the callbackfn function provides this value as an argument instead of value of the first key-value pair in the object.
+		 * @return {any} Accumulated result.
+		 * @example
+		 * // Sum of all values in object
+		 * var object = {apples: 14, oranges: 8, bananas: 23};	// Our object
+		 * object.reduce((prev, curr) => prev + curr.value);	// 45
+		 * @example
+		 * // Parse object as URL query string
+		 * var object = {apples: 14, oranges: 8, bananas: 23};	// Our object
+		 * object.reduce((prev, {key, value}, i) => {	// We can use object deconstruction for key-value pair
+		 * 	var curr = `${i ? "&" : ""}${key}=${value}`;	// If the call is first, don't put "&" at start (we put there "?")
+		 * 	return prev + curr;	// Return new string
+		 * }, "?");	// Start with "?"
+		 */
+		value: function(callbackfn, initialValue = Object.values(this)[0]) {
+			var keys = Object.keys(this);
+			var previousValue = initialValue;
+			var currentIndex;
+			var object = this;
+
+			if(typeof callbackfn !== "function")
+				throw new TypeError(callbackfn + " is not a function");
+			if(typeof initialValue === "undefined" && !keys.length)
+				throw new TypeError("Reduce of empty object with no initial value");
+
+			for(currentIndex = +(initialValue == Object.values(this)[0]); currentIndex < keys.length; currentIndex++) {
+				var key = keys[currentIndex];
+				var value = object[key];
+				previousValue = callbackfn(
+					previousValue,
+					{key, value},
+					currentIndex,
+					object
+				);
+			}
+
+			return previousValue;
+		},
+		writable: true,
+		enumerable: false
+	});
+} catch(e) { }
+
+try {
+	Object.defineProperty(Object, "reduce", {
+		// eslint-disable-next-line valid-jsdoc
+		/**
+		 * Equivalent of Array.prototype.reduce for Object keys and values
+		 *
+		 * Calls the specified callback function for all the key-value pairs in a object. The return value of the callback function is the accumulated result, and is provided as an argument in the next call to the callback function.
+		 *
+		 * @param {Object} o Target object to reduce.
+		 * @param {(previousValue: any, currentValue: [key: string, value: any], currentIndex: number, object: Object) => any} callbackfn A function that accepts up to four arguments. The reduce method calls the callbackfn function one time for each key-value pair in the object.
+		 * @param {any} [initialValue]  If initialValue is specified, it is used as the initial value to start the accumulation. The first call to the callbackfn function provides this value as an argument instead of value of the first key-value pair in the object.
+		 * @return {any} Accumulated result.
+		 * @example
+		 * // Sum of all values in object
+		 * const object = {apples: 14, oranges: 8, bananas: 23};	// Our object
+		 * Object.reduce(object, (prev, [key, value]) => prev + value);	// 45
+		 * @example
+		 * // Parse object as URL query string
+		 * const object = {apples: 14, oranges: 8, bananas: 23};  // Our object
+		 * Object.reduce(object, (prev, [key, value], i) => {   // We can use object destruction for key-value pair
+		 * 	return prev + `${i ? "&" : ""}${key}=${value}`;	// If the call is first, don't put "?" at start (we put there "&")
+		 * }, "?");	// Start with "?"
+		 */
+		value: function(o, callbackfn, initialValue = Object.values(o)[0]) {
+			const keys = Object.keys(o);
+			let previousValue = initialValue;
+
+			if(typeof callbackfn !== "function")
+				throw new TypeError(callbackfn + " is not a function");
+			if(typeof initialValue === "undefined" && !keys.length)
+				throw new TypeError("Reduce of empty object with no initial value");
+
+			for(let currentIndex = +(initialValue == Object.values(o)[0]); currentIndex < keys.length; currentIndex++) {
+				const key = keys[currentIndex];
+				const value = o[key];
+
+				previousValue = callbackfn(
+					previousValue,
+					[key, value],
+					currentIndex,
+					o
+				);
+			}
+
+			return previousValue;
+		},
+		writable: true
+	});
+} catch(e) { }
+
+try {
+	Object.defineProperty(Array.prototype, "toMatrix", {
+		value: function() {
+			var mat = new Matrix(this.length, 1);
+			for(var i = 0; i < mat.rows; i++) {
+				mat.matrix[i][0] = this[i];
+			}
+			return mat;
+		},
+		writable: false,
+	});
+} catch(e) { }
 
 try {
 	Object.defineProperty(Object, "isObject", {
@@ -4076,93 +11843,998 @@ try {
 } catch(e) { }
 
 
-(function() {
-	try {
-		var eventCallback = null;
-		Object.defineProperty(window, "onbackbuttononce", {
-			set: function(callback) {
-				eventCallback = callback;
-				if(typeof callback !== "function") return eventCallback = null;
+(function() {
+	try {
+		var eventCallback = null;
+		Object.defineProperty(window, "onbackbuttononce", {
+			set: function(callback) {
+				eventCallback = callback;
+				if(typeof callback !== "function") return eventCallback = null;
+
+				const href = window.location.href;
+
+				window.history.replaceState({href: href}, document.title, window.location.pathname + "#backbutton");
+				window.history.pushState(null, document.title, href);
+
+				return callback;
+			},
+			get: function() {
+				return eventCallback;
+			}
+		});
+		Object.defineProperty(window, "onbackbutton", {
+			set: function(callback) {
+				const func = e => {
+					callback(e);
+					window["onbackbuttononce"] = func;
+				};
+
+				window["onbackbuttononce"] = func;
+				window["onbackbuttononce"];
+
+				return callback;
+			},
+			get: function() {
+				return eventCallback;
+			}
+		});
+		window.addEventListener("popstate", function(e) {
+			if(window.location.hash == "#backbutton") {
+				window.history.replaceState(null, document.title, e.state.href);
+				if(eventCallback) eventCallback(e);
+				else window.history.go(-1);
+			}
+		}, false);
+	} catch(e) { }
+})();
+
+
+/* ======= Constants ======= */
+const PI = Math.PI;
+const HALF_PI = PI / 2;
+const TWO_PI = PI * 2;
+const ONE_DEG = PI / 180;
+const sqrt = Math.sqrt;
+const pow = Math.pow;
+const sin = Math.sin;
+const cos = Math.cos;
+const tan = Math.tan;
+const log = Math.log;
+const abs = Math.abs;
+const ANGLES = {
+	sin: new Float32Array(360 * _angle_precision),
+	cos: new Float32Array(360 * _angle_precision),
+};
+const SCROLL_SMOOTH_CENTER = /** @type {const} */({behavior: "smooth", block: "center", inline: "center"});
+const SCROLL_SMOOTH_TOP = /** @type {const} */({behavior: "smooth", top: 0});
+const TRANSPARENT = new Color(0, 0, 0, 0);
+/**
+ * Boolean collision tests. Shapes that only touch (share a boundary point) are considered colliding.
+ */
+const COLLISION = {
+	/**
+	 * 
+	 * @param {Vector} o1 Object1
+	 * @param {Dimensions} d1 Dimensions of object1
+	 * @param {Vector} o2 Object2
+	 * @param {Dimensions} d2 Dimensions of object2
+	 * @returns {boolean} State of collision
+	 */
+	rectangle: function(o1, d1, o2, d2) {
+		if(
+			o1.x <= o2.x + d2.w &&
+			o1.x + d1.w >= o2.x &&
+			o1.y <= o2.y + d2.h &&
+			o1.y + d1.h >= o2.y
+		) return true;
+		return false;
+	},
+
+	/**
+	 * Checks collision between two circles.
+	 * @param {Vector} o1 Center of circle1
+	 * @param {Dimensions} d1 Dimensions of circle1 (uses `radius`)
+	 * @param {Vector} o2 Center of circle2
+	 * @param {Dimensions} d2 Dimensions of circle2 (uses `radius`)
+	 * @returns {boolean} State of collision
+	 */
+	circle: function(o1, d1, o2, d2) {
+		const dx = o2.x - o1.x;
+		const dy = o2.y - o1.y;
+		const r = d1.r + d2.r;
+
+		return dx * dx + dy * dy <= r * r;
+	},
+
+	/**
+	 * Checks collision between two convex polygons using the separating axis theorem.
+	 * @param {Vector} o1 Position of polygon1
+	 * @param {Vector[]} p1 Vertices of polygon1 (relative to its position)
+	 * @param {Vector} o2 Position of polygon2
+	 * @param {Vector[]} p2 Vertices of polygon2 (relative to its position)
+	 * @returns {boolean} State of collision
+	 */
+	polygon: function(o1, p1, o2, p2) {
+		const axes = COLLISION._getAxes(p1).concat(COLLISION._getAxes(p2));
+
+		for(const axis of axes) {
+			const [min1, max1] = COLLISION._project(o1, p1, axis);
+			const [min2, max2] = COLLISION._project(o2, p2, axis);
+
+			// Found a separating axis
+			if(min1 > max2 || min2 > max1) return false;
+		}
+
+		return true;
+	},
+
+	/**
+	 * Checks collision between two axis-aligned boxes.
+	 * @param {Vector} o1 Object1
+	 * @param {Dimensions} d1 Dimensions of object1
+	 * @param {Vector} o2 Object2
+	 * @param {Dimensions} d2 Dimensions of object2
+	 * @returns {boolean} State of collision
+	 */
+	box: function(o1, d1, o2, d2) {
+		return (
+			o1.x <= o2.x + d2.w &&
+			o1.x + d1.w >= o2.x &&
+			o1.y <= o2.y + d2.h &&
+			o1.y + d1.h >= o2.y &&
+			o1.z <= o2.z + d2.d &&
+			o1.z + d1.d >= o2.z
+		);
+	},
+
+	/**
+	 * Checks collision between two spheres.
+	 * @param {Vector} o1 Center of sphere1
+	 * @param {Dimensions} d1 Dimensions of sphere1 (uses `radius`)
+	 * @param {Vector} o2 Center of sphere2
+	 * @param {Dimensions} d2 Dimensions of sphere2 (uses `radius`)
+	 * @returns {boolean} State of collision
+	 */
+	sphere: function(o1, d1, o2, d2) {
+		const dx = o2.x - o1.x;
+		const dy = o2.y - o1.y;
+		const dz = o2.z - o1.z;
+		const r = d1.r + d2.r;
+
+		return dx * dx + dy * dy + dz * dz <= r * r;
+	},
+
+	/**
+	 * Checks collision between a circle and a rectangle.
+	 * @param {Vector} o1 Center of the circle
+	 * @param {Dimensions} d1 Dimensions of the circle (uses `radius`)
+	 * @param {Vector} o2 Position of the rectangle
+	 * @param {Dimensions} d2 Dimensions of the rectangle
+	 * @returns {boolean} State of collision
+	 */
+	circleRectangle: function(o1, d1, o2, d2) {
+		// Find the point of the rectangle closest to the circle center
+		const dx = o1.x - clamp(o1.x, o2.x, o2.x + d2.w);
+		const dy = o1.y - clamp(o1.y, o2.y, o2.y + d2.h);
+
+		return dx * dx + dy * dy <= d1.r * d1.r;
+	},
+
+	/**
+	 * Checks collision between a circle and a convex polygon.
+	 * @param {Vector} o1 Center of the circle
+	 * @param {Dimensions} d1 Dimensions of the circle (uses `radius`)
+	 * @param {Vector} o2 Position of the polygon
+	 * @param {Vector[]} p2 Vertices of the polygon (relative to its position)
+	 * @returns {boolean} State of collision
+	 */
+	circlePolygon: function(o1, d1, o2, p2) {
+		const axes = COLLISION._getAxes(p2);
+
+		// Add the axis from the closest vertex to the circle center
+		let closest = null;
+		let closestDistance = Infinity;
+		for(const point of p2) {
+			const distance = Math.hypot(o2.x + point.x - o1.x, o2.y + point.y - o1.y);
+			if(distance < closestDistance) {
+				closest = point;
+				closestDistance = distance;
+			}
+		}
+		if(closest && closestDistance > 0) {
+			axes.push(new Vector(o1.x - o2.x - closest.x, o1.y - o2.y - closest.y).normalize());
+		}
+
+		for(const axis of axes) {
+			const center = o1.x * axis.x + o1.y * axis.y;
+			const [min, max] = COLLISION._project(o2, p2, axis);
+
+			// Found a separating axis
+			if(center - d1.r > max || min > center + d1.r) return false;
+		}
+
+		return true;
+	},
+
+	/**
+	 * Checks collision between a rectangle and a convex polygon.
+	 * @param {Vector} o1 Position of the rectangle
+	 * @param {Dimensions} d1 Dimensions of the rectangle
+	 * @param {Vector} o2 Position of the polygon
+	 * @param {Vector[]} p2 Vertices of the polygon (relative to its position)
+	 * @returns {boolean} State of collision
+	 */
+	rectanglePolygon: function(o1, d1, o2, p2) {
+		return COLLISION.polygon(o1, COLLISION._getRectanglePoints(d1), o2, p2);
+	},
+
+	/**
+	 * Checks collision between a sphere and an axis-aligned box.
+	 * @param {Vector} o1 Center of the sphere
+	 * @param {Dimensions} d1 Dimensions of the sphere (uses `radius`)
+	 * @param {Vector} o2 Position of the box
+	 * @param {Dimensions} d2 Dimensions of the box
+	 * @returns {boolean} State of collision
+	 */
+	sphereBox: function(o1, d1, o2, d2) {
+		// Find the point of the box closest to the sphere center
+		const dx = o1.x - clamp(o1.x, o2.x, o2.x + d2.w);
+		const dy = o1.y - clamp(o1.y, o2.y, o2.y + d2.h);
+		const dz = o1.z - clamp(o1.z, o2.z, o2.z + d2.d);
+
+		return dx * dx + dy * dy + dz * dz < d1.r * d1.r;
+	},
+
+	/**
+	 * Returns normalized edge normals of a polygon. (Used as separating axes.)
+	 * @private
+	 * @param {Vector[]} points Vertices of the polygon
+	 * @returns {Vector[]} Normalized axes
+	 */
+	_getAxes: function(points) {
+		const axes = [];
+
+		for(let i = 0; i < points.length; i++) {
+			const a = points[i];
+			const b = points[(i + 1) % points.length];
+			const axis = new Vector(a.y - b.y, b.x - a.x).normalize();
+
+			if(axis.x || axis.y) axes.push(axis);
+		}
+
+		return axes;
+	},
+
+	/**
+	 * Projects a polygon onto an axis.
+	 * @private
+	 * @param {Vector} offset Position of the polygon
+	 * @param {Vector[]} points Vertices of the polygon (relative to its position)
+	 * @param {Vector} axis Axis to project onto
+	 * @returns {[number, number]} Minimum and maximum of the projection
+	 */
+	_project: function(offset, points, axis) {
+		let min = Infinity;
+		let max = -Infinity;
+
+		for(const point of points) {
+			const value = (offset.x + point.x) * axis.x + (offset.y + point.y) * axis.y;
+			if(value < min) min = value;
+			if(value > max) max = value;
+		}
+
+		return [min, max];
+	},
+
+	/**
+	 * Returns vertices of a rectangle (relative to its position).
+	 * @private
+	 * @param {Dimensions} dimensions Dimensions of the rectangle
+	 * @returns {Vector[]} Vertices of the rectangle
+	 */
+	_getRectanglePoints: function(dimensions) {
+		return [
+			new Vector(0, 0),
+			new Vector(dimensions.w, 0),
+			new Vector(dimensions.w, dimensions.h),
+			new Vector(0, dimensions.h)
+		];
+	}
+};
+/**
+ * @typedef {Object} CollisionManifold
+ * @prop {boolean} colliding State of collision
+ * @prop {Vector} normal Contact normal (unit vector pointing from object1 towards object2)
+ * @prop {number} depth Penetration depth along the contact normal
+ * @prop {Vector[]} contacts Contact points (lying on the surface of object2)
+ */
+const COLLISION_MANIFOLD = {
+	/**
+	 * Computes collision manifold of two rectangles.
+	 * @param {Vector} o1 Object1
+	 * @param {Dimensions} d1 Dimensions of object1
+	 * @param {Vector} o2 Object2
+	 * @param {Dimensions} d2 Dimensions of object2
+	 * @returns {CollisionManifold} Collision manifold
+	 */
+	rectangle: function(o1, d1, o2, d2) {
+		const minX = Math.max(o1.x, o2.x);
+		const maxX = Math.min(o1.x + d1.w, o2.x + d2.w);
+		const minY = Math.max(o1.y, o2.y);
+		const maxY = Math.min(o1.y + d1.h, o2.y + d2.h);
+
+		const overlapX = maxX - minX;
+		const overlapY = maxY - minY;
+
+		if(overlapX <= 0 || overlapY <= 0) return COLLISION_MANIFOLD._createManifold();
+
+		// Resolve along the axis of the least penetration
+		if(overlapX < overlapY) {
+			const sign = o2.x + d2.w / 2 < o1.x + d1.w / 2 ? -1 : 1;
+			const x = sign > 0 ? minX : maxX;
 
-				const href = window.location.href;
+			return COLLISION_MANIFOLD._createManifold(new Vector(sign, 0), overlapX, [new Vector(x, minY), new Vector(x, maxY)]);
+		} else {
+			const sign = o2.y + d2.h / 2 < o1.y + d1.h / 2 ? -1 : 1;
+			const y = sign > 0 ? minY : maxY;
 
-				window.history.replaceState({href: href}, document.title, window.location.pathname + "#backbutton");
-				window.history.pushState(null, document.title, href);
+			return COLLISION_MANIFOLD._createManifold(new Vector(0, sign), overlapY, [new Vector(minX, y), new Vector(maxX, y)]);
+		}
+	},
 
-				return callback;
-			},
-			get: function() {
-				return eventCallback;
+	/**
+	 * Computes collision manifold of two circles.
+	 * @param {Vector} o1 Center of circle1
+	 * @param {Dimensions} d1 Dimensions of circle1 (uses `radius`)
+	 * @param {Vector} o2 Center of circle2
+	 * @param {Dimensions} d2 Dimensions of circle2 (uses `radius`)
+	 * @returns {CollisionManifold} Collision manifold
+	 */
+	circle: function(o1, d1, o2, d2) {
+		const normal = new Vector(o2.x - o1.x, o2.y - o1.y);
+		const distance = normal.mag();
+		const depth = d1.r + d2.r - distance;
+
+		if(depth <= 0) return COLLISION_MANIFOLD._createManifold();
+
+		// Circles with the same center can be pushed apart in any direction
+		if(distance === 0) normal.x = 1;
+		else normal.div(distance);
+
+		const contact = new Vector(o1.x + normal.x * (d1.r - depth), o1.y + normal.y * (d1.r - depth));
+
+		return COLLISION_MANIFOLD._createManifold(normal, depth, [contact]);
+	},
+
+	/**
+	 * Computes collision manifold of two convex polygons using the separating axis theorem.
+	 * @param {Vector} o1 Position of polygon1
+	 * @param {Vector[]} p1 Vertices of polygon1 (relative to its position)
+	 * @param {Vector} o2 Position of polygon2
+	 * @param {Vector[]} p2 Vertices of polygon2 (relative to its position)
+	 * @returns {CollisionManifold} Collision manifold
+	 */
+	polygon: function(o1, p1, o2, p2) {
+		const axes = COLLISION._getAxes(p1).concat(COLLISION._getAxes(p2));
+
+		let normal = null;
+		let depth = Infinity;
+
+		for(const axis of axes) {
+			const [min1, max1] = COLLISION._project(o1, p1, axis);
+			const [min2, max2] = COLLISION._project(o2, p2, axis);
+
+			// Found a separating axis
+			if(min1 >= max2 || min2 >= max1) return COLLISION_MANIFOLD._createManifold();
+
+			const overlap = Math.min(max1, max2) - Math.max(min1, min2);
+			if(overlap < depth) {
+				depth = overlap;
+				normal = axis;
 			}
-		});
-		Object.defineProperty(window, "onbackbutton", {
-			set: function(callback) {
-				const func = e => {
-					callback(e);
-					window["onbackbuttononce"] = func;
-				};
+		}
 
-				window["onbackbuttononce"] = func;
-				window["onbackbuttononce"];
+		if(!normal) return COLLISION_MANIFOLD._createManifold();
 
-				return callback;
-			},
-			get: function() {
-				return eventCallback;
+		// Make the normal point from polygon1 towards polygon2
+		const c1 = COLLISION_MANIFOLD._getCenter(o1, p1);
+		const c2 = COLLISION_MANIFOLD._getCenter(o2, p2);
+		normal = normal.copy();
+		if((c2.x - c1.x) * normal.x + (c2.y - c1.y) * normal.y < 0) normal.invert();
+
+		// Vertices penetrating the other polygon are the contact points
+		const w1 = p1.map(e => new Vector(o1.x + e.x, o1.y + e.y));
+		const w2 = p2.map(e => new Vector(o2.x + e.x, o2.y + e.y));
+		const contacts = [
+			...w1.filter(e => COLLISION_MANIFOLD._containsPoint(w2, e)),
+			...w2.filter(e => COLLISION_MANIFOLD._containsPoint(w1, e))
+		];
+
+		// No vertex penetrates, so the edges must cross each other
+		if(!contacts.length) {
+			for(let i = 0; i < w1.length; i++) {
+				for(let j = 0; j < w2.length; j++) {
+					const point = COLLISION_MANIFOLD._intersectSegments(w1[i], w1[(i + 1) % w1.length], w2[j], w2[(j + 1) % w2.length]);
+					if(point) contacts.push(point);
+				}
 			}
-		});
-		window.addEventListener("popstate", function(e) {
-			if(window.location.hash == "#backbutton") {
-				window.history.replaceState(null, document.title, e.state.href);
-				if(eventCallback) eventCallback(e);
-				else window.history.go(-1);
+		}
+
+		return COLLISION_MANIFOLD._createManifold(normal, depth, contacts);
+	},
+
+	/**
+	 * Computes collision manifold of a circle and a rectangle.
+	 * @param {Vector} o1 Center of the circle
+	 * @param {Dimensions} d1 Dimensions of the circle (uses `radius`)
+	 * @param {Vector} o2 Position of the rectangle
+	 * @param {Dimensions} d2 Dimensions of the rectangle
+	 * @returns {CollisionManifold} Collision manifold
+	 */
+	circleRectangle: function(o1, d1, o2, d2) {
+		const closest = new Vector(
+			clamp(o1.x, o2.x, o2.x + d2.w),
+			clamp(o1.y, o2.y, o2.y + d2.h)
+		);
+		const normal = new Vector(closest.x - o1.x, closest.y - o1.y);
+		const distance = normal.mag();
+
+		if(distance > 0) {
+			if(distance >= d1.r) return COLLISION_MANIFOLD._createManifold();
+
+			return COLLISION_MANIFOLD._createManifold(normal.div(distance), d1.r - distance, [closest]);
+		}
+
+		// Center of the circle is inside of the rectangle, push it out through the nearest edge
+		/** @type {[number, Vector, Vector][]} */
+		const edges = [
+			[o1.x - o2.x, new Vector(1, 0), new Vector(o2.x, o1.y)],
+			[o2.x + d2.w - o1.x, new Vector(-1, 0), new Vector(o2.x + d2.w, o1.y)],
+			[o1.y - o2.y, new Vector(0, 1), new Vector(o1.x, o2.y)],
+			[o2.y + d2.h - o1.y, new Vector(0, -1), new Vector(o1.x, o2.y + d2.h)]
+		];
+		const [distanceToEdge, edgeNormal, contact] = edges.reduce((prev, curr) => curr[0] < prev[0] ? curr : prev);
+
+		return COLLISION_MANIFOLD._createManifold(edgeNormal, d1.r + distanceToEdge, [contact]);
+	},
+
+	/**
+	 * Computes collision manifold of a circle and a convex polygon.
+	 * @param {Vector} o1 Center of the circle
+	 * @param {Dimensions} d1 Dimensions of the circle (uses `radius`)
+	 * @param {Vector} o2 Position of the polygon
+	 * @param {Vector[]} p2 Vertices of the polygon (relative to its position)
+	 * @returns {CollisionManifold} Collision manifold
+	 */
+	circlePolygon: function(o1, d1, o2, p2) {
+		const axes = COLLISION._getAxes(p2);
+
+		// Add the axis from the closest vertex to the circle center
+		let closest = null;
+		let closestDistance = Infinity;
+		for(const point of p2) {
+			const distance = Math.hypot(o2.x + point.x - o1.x, o2.y + point.y - o1.y);
+			if(distance < closestDistance) {
+				closest = point;
+				closestDistance = distance;
 			}
-		}, false);
-	} catch(e) { }
-})();
+		}
+		if(closest && closestDistance > 0) {
+			axes.push(new Vector(o1.x - o2.x - closest.x, o1.y - o2.y - closest.y).normalize());
+		}
 
+		let normal = null;
+		let depth = Infinity;
 
-/* ======= Constants ======= */
-const PI = Math.PI;
-const HALF_PI = PI / 2;
-const TWO_PI = PI * 2;
-const ONE_DEG = PI / 180;
-const sqrt = Math.sqrt;
-const pow = Math.pow;
-const sin = Math.sin;
-const cos = Math.cos;
-const tan = Math.tan;
-const log = Math.log;
-const abs = Math.abs;
-const ANGLES = {
-	sin: new Float32Array(360 * _angle_precision),
-	cos: new Float32Array(360 * _angle_precision),
+		for(const axis of axes) {
+			const center = o1.x * axis.x + o1.y * axis.y;
+			const [min, max] = COLLISION._project(o2, p2, axis);
+
+			// Found a separating axis
+			if(center - d1.r >= max || min >= center + d1.r) return COLLISION_MANIFOLD._createManifold();
+
+			const overlap = Math.min(center + d1.r, max) - Math.max(center - d1.r, min);
+			if(overlap < depth) {
+				depth = overlap;
+				normal = axis;
+			}
+		}
+
+		if(!normal) return COLLISION_MANIFOLD._createManifold();
+
+		// Make the normal point from the circle towards the polygon
+		const c2 = COLLISION_MANIFOLD._getCenter(o2, p2);
+		normal = normal.copy();
+		if((c2.x - o1.x) * normal.x + (c2.y - o1.y) * normal.y < 0) normal.invert();
+
+		const contact = new Vector(o1.x + normal.x * (d1.r - depth), o1.y + normal.y * (d1.r - depth));
+
+		return COLLISION_MANIFOLD._createManifold(normal, depth, [contact]);
+	},
+
+	/**
+	 * Creates a new manifold object. If no normal is given, the manifold represents no collision.
+	 * @private
+	 * @param {Vector} [normal] Contact normal
+	 * @param {number} [depth=0] Penetration depth
+	 * @param {Vector[]} [contacts=[]] Contact points
+	 * @returns {CollisionManifold} Collision manifold
+	 */
+	_createManifold: function(normal = undefined, depth = 0, contacts = []) {
+		return {
+			colliding: !!normal,
+			normal: normal || new Vector(),
+			depth: depth,
+			contacts: contacts
+		};
+	},
+
+	/**
+	 * Calculates the average of polygon vertices.
+	 * @private
+	 * @param {Vector} offset Position of the polygon
+	 * @param {Vector[]} points Vertices of the polygon (relative to its position)
+	 * @returns {Vector} Center of the polygon
+	 */
+	_getCenter: function(offset, points) {
+		const center = new Vector();
+		for(const point of points) center.add(point);
+
+		return center.div(points.length || 1).add(offset);
+	},
+
+	/**
+	 * Checks whether the point lies inside of the convex polygon.
+	 * @private
+	 * @param {Vector[]} points Vertices of the polygon
+	 * @param {Vector} point Point to check
+	 * @returns {boolean}
+	 */
+	_containsPoint: function(points, point) {
+		let sign = 0;
+
+		for(let i = 0; i < points.length; i++) {
+			const a = points[i];
+			const b = points[(i + 1) % points.length];
+			const cross = (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+
+			if(cross === 0) continue;
+			if(sign === 0) sign = Math.sign(cross);
+			else if(sign !== Math.sign(cross)) return false;
+		}
+
+		return true;
+	},
+
+	/**
+	 * Calculates the intersection point of two line segments.
+	 * @private
+	 * @param {Vector} a1 Start of segment1
+	 * @param {Vector} a2 End of segment1
+	 * @param {Vector} b1 Start of segment2
+	 * @param {Vector} b2 End of segment2
+	 * @returns {Vector | null} Intersection point (start of the overlap for collinear segments) or `null` if the segments don't intersect
+	 */
+	_intersectSegments: function(a1, a2, b1, b2) {
+		const rx = a2.x - a1.x, ry = a2.y - a1.y;
+		const sx = b2.x - b1.x, sy = b2.y - b1.y;
+		const denominator = rx * sy - ry * sx;
+
+		if(denominator === 0) {
+			const rr = rx * rx + ry * ry;
+
+			// Segment1 is a single point
+			if(rr === 0) {
+				if(sx === 0 && sy === 0) return a1.x === b1.x && a1.y === b1.y ? new Vector(a1.x, a1.y) : null;
+				return COLLISION_MANIFOLD._intersectSegments(b1, b2, a1, a2);
+			}
+
+			// Parallel segments intersect only if they are collinear
+			if((b1.x - a1.x) * ry - (b1.y - a1.y) * rx !== 0) return null;
+
+			// Project segment2 onto segment1 and find the overlap
+			const t0 = ((b1.x - a1.x) * rx + (b1.y - a1.y) * ry) / rr;
+			const t1 = t0 + (sx * rx + sy * ry) / rr;
+			const start = Math.max(0, Math.min(t0, t1));
+			const end = Math.min(1, Math.max(t0, t1));
+
+			return start <= end ? new Vector(a1.x + rx * start, a1.y + ry * start) : null;
+		}
+
+		const t = ((b1.x - a1.x) * sy - (b1.y - a1.y) * sx) / denominator;
+		const u = ((b1.x - a1.x) * ry - (b1.y - a1.y) * rx) / denominator;
+
+		if(t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+		return new Vector(a1.x + rx * t, a1.y + ry * t);
+	}
 };
-const SCROLL_SMOOTH_CENTER = /** @type {const} */({behavior: "smooth", block: "center", inline: "center"});
-const SCROLL_SMOOTH_TOP = /** @type {const} */({behavior: "smooth", top: 0});
-const TRANSPARENT = new Color(0, 0, 0, 0);
-const COLLISION = {
+/**
+ * @typedef {Object} RaycastHit
+ * @prop {number} distance Distance from the ray origin to the hit point
+ * @prop {Vector} point Hit point
+ * @prop {Vector} normal Surface normal at the hit point
+ */
+const RAYCAST = {
 	/**
-	 * 
-	 * @param {Vector} o1 Object1
-	 * @param {Dimensions} d1 Dimensions of object1
-	 * @param {Vector} o2 Object2
-	 * @param {Dimensions} d2 Dimensions of object2
-	 * @returns {boolean} State of collision
+	 * Casts a ray against a line segment.
+	 * @param {Vector} origin Origin of the ray
+	 * @param {Vector} direction Direction of the ray (does not need to be normalized)
+	 * @param {Vector} a Start of the segment
+	 * @param {Vector} b End of the segment
+	 * @param {number} [maxDistance=Infinity] Maximum distance of the ray (length of the segment for segment-segment intersection)
+	 * @returns {RaycastHit | null} Hit information or `null` if the ray misses
 	 */
-	rectangle: function(o1, d1, o2, d2) {
-		if(
-			o1.x < o2.x + d2.w &&
-			o1.x + d1.w > o2.x &&
-			o1.y < o2.y + d2.h &&
-			o1.y + d1.h > o2.y
-		) return true;
-		return false;
+	segment: function(origin, direction, a, b, maxDistance = Infinity) {
+		const length = Math.hypot(direction.x, direction.y);
+		if(length === 0) return null;
+
+		const dx = direction.x / length;
+		const dy = direction.y / length;
+		const ex = b.x - a.x;
+		const ey = b.y - a.y;
+
+		const denominator = dx * ey - dy * ex;
+		if(denominator === 0) return null;
+
+		const t = ((a.x - origin.x) * ey - (a.y - origin.y) * ex) / denominator;
+		const u = ((a.x - origin.x) * dy - (a.y - origin.y) * dx) / denominator;
+
+		if(t < 0 || t > maxDistance || u < 0 || u > 1) return null;
+
+		// Make the normal face against the ray
+		const normal = new Vector(-ey, ex).normalize();
+		if(normal.x * dx + normal.y * dy > 0) normal.invert();
+
+		return RAYCAST._createHit(t, new Vector(origin.x + dx * t, origin.y + dy * t), normal);
+	},
+
+	/**
+	 * Casts a ray against a rectangle.
+	 * @param {Vector} origin Origin of the ray
+	 * @param {Vector} direction Direction of the ray (does not need to be normalized)
+	 * @param {Vector} o Position of the rectangle
+	 * @param {Dimensions} d Dimensions of the rectangle
+	 * @param {number} [maxDistance=Infinity] Maximum distance of the ray
+	 * @returns {RaycastHit | null} Hit information or `null` if the ray misses
+	 */
+	rectangle: function(origin, direction, o, d, maxDistance = Infinity) {
+		return RAYCAST._castSlabs(origin, direction, [o.x, o.y], [o.x + d.w, o.y + d.h], maxDistance);
+	},
+
+	/**
+	 * Casts a ray against a circle.
+	 * @param {Vector} origin Origin of the ray
+	 * @param {Vector} direction Direction of the ray (does not need to be normalized)
+	 * @param {Vector} o Center of the circle
+	 * @param {Dimensions} d Dimensions of the circle (uses `radius`)
+	 * @param {number} [maxDistance=Infinity] Maximum distance of the ray
+	 * @returns {RaycastHit | null} Hit information or `null` if the ray misses
+	 */
+	circle: function(origin, direction, o, d, maxDistance = Infinity) {
+		return RAYCAST._castSphere(
+			new Vector(origin.x, origin.y),
+			new Vector(direction.x, direction.y),
+			new Vector(o.x, o.y),
+			d.r,
+			maxDistance
+		);
+	},
+
+	/**
+	 * Casts a ray against a convex polygon.
+	 * @param {Vector} origin Origin of the ray
+	 * @param {Vector} direction Direction of the ray (does not need to be normalized)
+	 * @param {Vector} o Position of the polygon
+	 * @param {Vector[]} p Vertices of the polygon (relative to its position)
+	 * @param {number} [maxDistance=Infinity] Maximum distance of the ray
+	 * @returns {RaycastHit | null} Hit information or `null` if the ray misses
+	 */
+	polygon: function(origin, direction, o, p, maxDistance = Infinity) {
+		const points = p.map(e => new Vector(o.x + e.x, o.y + e.y));
+
+		if(Math.hypot(direction.x, direction.y) === 0) return null;
+		if(COLLISION_MANIFOLD._containsPoint(points, origin)) {
+			return RAYCAST._createHit(0, new Vector(origin.x, origin.y), new Vector(-direction.x, -direction.y).normalize());
+		}
+
+		/** @type {RaycastHit | null} */
+		let closest = null;
+		for(let i = 0; i < points.length; i++) {
+			const hit = RAYCAST.segment(origin, direction, points[i], points[(i + 1) % points.length], maxDistance);
+			if(hit && (!closest || hit.distance < closest.distance)) closest = hit;
+		}
+
+		return closest;
+	},
+
+	/**
+	 * Casts a ray against a sphere.
+	 * @param {Vector} origin Origin of the ray
+	 * @param {Vector} direction Direction of the ray (does not need to be normalized)
+	 * @param {Vector} o Center of the sphere
+	 * @param {Dimensions} d Dimensions of the sphere (uses `radius`)
+	 * @param {number} [maxDistance=Infinity] Maximum distance of the ray
+	 * @returns {RaycastHit | null} Hit information or `null` if the ray misses
+	 */
+	sphere: function(origin, direction, o, d, maxDistance = Infinity) {
+		return RAYCAST._castSphere(origin, direction, o, d.r, maxDistance);
+	},
+
+	/**
+	 * Casts a ray against an axis-aligned box.
+	 * @param {Vector} origin Origin of the ray
+	 * @param {Vector} direction Direction of the ray (does not need to be normalized)
+	 * @param {Vector} o Position of the box
+	 * @param {Dimensions} d Dimensions of the box
+	 * @param {number} [maxDistance=Infinity] Maximum distance of the ray
+	 * @returns {RaycastHit | null} Hit information or `null` if the ray misses
+	 */
+	box: function(origin, direction, o, d, maxDistance = Infinity) {
+		return RAYCAST._castSlabs(origin, direction, [o.x, o.y, o.z], [o.x + d.w, o.y + d.h, o.z + d.d], maxDistance);
+	},
+
+	/**
+	 * Creates a new hit object.
+	 * @private
+	 * @param {number} distance Distance from the ray origin
+	 * @param {Vector} point Hit point
+	 * @param {Vector} normal Surface normal
+	 * @returns {RaycastHit} Hit information
+	 */
+	_createHit: function(distance, point, normal) {
+		return {
+			distance: distance,
+			point: point,
+			normal: normal
+		};
+	},
+
+	/**
+	 * Casts a ray against an axis-aligned rectangle or box using the slab method.
+	 * Rays starting inside of the shape hit at distance 0.
+	 * @private
+	 * @param {Vector} origin Origin of the ray
+	 * @param {Vector} direction Direction of the ray
+	 * @param {number[]} min Minimum corner of the shape (2 or 3 components)
+	 * @param {number[]} max Maximum corner of the shape (2 or 3 components)
+	 * @param {number} maxDistance Maximum distance of the ray
+	 * @returns {RaycastHit | null} Hit information or `null` if the ray misses
+	 */
+	_castSlabs: function(origin, direction, min, max, maxDistance) {
+		const axes = ["x", "y", "z"].slice(0, min.length);
+		const length = Math.hypot(...axes.map(e => direction[e]));
+		if(length === 0) return null;
+
+		let tNear = -Infinity;
+		let tFar = Infinity;
+		let nearAxis = 0;
+
+		for(let i = 0; i < axes.length; i++) {
+			const o = origin[axes[i]];
+			const d = direction[axes[i]] / length;
+
+			if(d === 0) {
+				// Ray is parallel to the slab and outside of it
+				if(o < min[i] || o > max[i]) return null;
+				continue;
+			}
+
+			let t1 = (min[i] - o) / d;
+			let t2 = (max[i] - o) / d;
+			if(t1 > t2) [t1, t2] = [t2, t1];
+
+			if(t1 > tNear) {
+				tNear = t1;
+				nearAxis = i;
+			}
+			if(t2 < tFar) tFar = t2;
+
+			if(tNear > tFar || tFar < 0) return null;
+		}
+
+		const dir = new Vector(direction.x / length, direction.y / length, axes.length > 2 ? direction.z / length : 0);
+		const start = axes.length > 2 ? new Vector(origin.x, origin.y, origin.z) : new Vector(origin.x, origin.y);
+
+		// Origin is inside of the shape
+		if(tNear < 0) return RAYCAST._createHit(0, start, dir.copy().invert());
+		if(tNear > maxDistance) return null;
+
+		const normal = new Vector();
+		normal[axes[nearAxis]] = dir[axes[nearAxis]] > 0 ? -1 : 1;
+
+		return RAYCAST._createHit(tNear, start.add(dir.mult(tNear)), normal);
+	},
+
+	/**
+	 * Casts a ray against a sphere (or a circle if all z components are zero).
+	 * Rays starting inside of the shape hit at distance 0.
+	 * @private
+	 * @param {Vector} origin Origin of the ray
+	 * @param {Vector} direction Direction of the ray
+	 * @param {Vector} center Center of the sphere
+	 * @param {number} radius Radius of the sphere
+	 * @param {number} maxDistance Maximum distance of the ray
+	 * @returns {RaycastHit | null} Hit information or `null` if the ray misses
+	 */
+	_castSphere: function(origin, direction, center, radius, maxDistance) {
+		const dir = new Vector(direction.x, direction.y, direction.z);
+		if(dir.mag() === 0) return null;
+		dir.normalize();
+
+		const offset = new Vector(origin.x - center.x, origin.y - center.y, origin.z - center.z);
+		const c = offset.dot() - radius * radius;
+
+		// Origin is inside of the shape
+		if(c <= 0) return RAYCAST._createHit(0, new Vector(origin.x, origin.y, origin.z), dir.invert());
+
+		const b = offset.dot(dir);
+		const discriminant = b * b - c;
+		if(b > 0 || discriminant < 0) return null;
+
+		const t = -b - Math.sqrt(discriminant);
+		if(t > maxDistance) return null;
+
+		const point = new Vector(origin.x, origin.y, origin.z).add(dir.mult(t));
+		const normal = new Vector(point.x - center.x, point.y - center.y, point.z - center.z).normalize();
+
+		return RAYCAST._createHit(t, point, normal);
+	}
+};
+const GEOMETRY = {
+	/**
+	 * Computes the convex hull of a set of points using the monotone chain algorithm.
+	 * @param {Vector[]} points Input points
+	 * @returns {Vector[]} Vertices of the hull in counter-clockwise order (in a Y-up coordinate system)
+	 */
+	convexHull: function(points) {
+		const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+		if(sorted.length < 3) return sorted;
+
+		const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+		const lower = [];
+		for(const point of sorted) {
+			while(lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+			lower.push(point);
+		}
+
+		const upper = [];
+		for(let i = sorted.length - 1; i >= 0; i--) {
+			const point = sorted[i];
+			while(upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+			upper.push(point);
+		}
+
+		// Last point of each chain is the first point of the other one
+		lower.pop();
+		upper.pop();
+
+		return lower.concat(upper);
+	},
+
+	/**
+	 * Triangulates a simple polygon using the ear clipping algorithm.
+	 * @param {Vector[]} points Vertices of the polygon (in any winding order)
+	 * @returns {Array<[number, number, number]>} Triangles as triples of indices into the `points` array
+	 */
+	triangulate: function(points) {
+		/** @type {Array<[number, number, number]>} */
+		const triangles = [];
+		if(points.length < 3) return triangles;
+
+		// Work with counter-clockwise winding
+		const indices = points.map((e, i) => i);
+		if(GEOMETRY.getWindingOrder(points) < 0) indices.reverse();
+
+		const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+		const isInside = (p, a, b, c) => cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+
+		let guard = indices.length * indices.length;
+		while(indices.length > 3 && guard-- > 0) {
+			let clipped = false;
+
+			for(let i = 0; i < indices.length; i++) {
+				const prev = indices[(i + indices.length - 1) % indices.length];
+				const curr = indices[i];
+				const next = indices[(i + 1) % indices.length];
+				const a = points[prev];
+				const b = points[curr];
+				const c = points[next];
+
+				// Reflex vertex can't be an ear
+				if(cross(a, b, c) <= 0) continue;
+
+				// Ear must not contain any other vertex
+				let isEar = true;
+				for(const index of indices) {
+					if(index === prev || index === curr || index === next) continue;
+					if(isInside(points[index], a, b, c)) {
+						isEar = false;
+						break;
+					}
+				}
+				if(!isEar) continue;
+
+				triangles.push([prev, curr, next]);
+				indices.splice(i, 1);
+				clipped = true;
+				break;
+			}
+
+			// Polygon is degenerate or self-intersecting
+			if(!clipped) break;
+		}
+
+		if(indices.length === 3) triangles.push([indices[0], indices[1], indices[2]]);
+
+		return triangles;
+	},
+
+	/**
+	 * Simplifies a polyline using the Ramer–Douglas–Peucker algorithm.
+	 * @param {Vector[]} points Vertices of the polyline
+	 * @param {number} epsilon Maximum distance of removed points from the simplified polyline
+	 * @returns {Vector[]} Vertices of the simplified polyline
+	 */
+	simplify: function(points, epsilon) {
+		if(points.length < 3) return points.slice();
+
+		const keep = new Array(points.length).fill(false);
+		keep[0] = keep[points.length - 1] = true;
+
+		// Use explicit stack instead of recursion to support long polylines
+		const stack = [[0, points.length - 1]];
+		while(stack.length) {
+			const [start, end] = /**@type {number[]}*/(stack.pop());
+			const segment = new LineSegment(points[start], points[end]);
+
+			let maxDistance = 0;
+			let index = -1;
+			for(let i = start + 1; i < end; i++) {
+				const distance = segment.distanceTo(points[i]);
+				if(distance > maxDistance) {
+					maxDistance = distance;
+					index = i;
+				}
+			}
+
+			if(index !== -1 && maxDistance > epsilon) {
+				keep[index] = true;
+				stack.push([start, index], [index, end]);
+			}
+		}
+
+		return points.filter((e, i) => keep[i]);
+	},
+
+	/**
+	 * Determines the winding order of a polygon.
+	 * @param {Vector[]} points Vertices of the polygon
+	 * @returns {-1 | 0 | 1} 1 for counter-clockwise, -1 for clockwise (in a Y-up coordinate system, reversed on screen), 0 for degenerate polygons
+	 */
+	getWindingOrder: function(points) {
+		return /**@type {-1 | 0 | 1}*/(Math.sign(new Polygon(points).getSignedArea()));
 	},
-	circle: null,
-	polygon: null,
-	box: null,
-	sphere: null,
+
+	/**
+	 * Checks whether any two non-adjacent edges of a polygon intersect.
+	 * @param {Vector[]} points Vertices of the polygon
+	 * @returns {boolean}
+	 */
+	isSelfIntersecting: function(points) {
+		const edges = new Polygon(points).getEdges();
+
+		for(let i = 0; i < edges.length; i++) {
+			for(let j = i + 1; j < edges.length; j++) {
+				// Adjacent edges always share a vertex
+				if(j === i + 1 || (i === 0 && j === edges.length - 1)) continue;
+				if(edges[i].intersectionWith(edges[j])) return true;
+			}
+		}
+
+		return false;
+	}
 };
 const FILE_READER = {
 	readAsArrayBuffer: function(blob) {
@@ -4219,11 +12891,35 @@ if(typeof module !== "undefined") {
 		JLEvent,
 		JLListener,
 		Matrix,
+		SparseMatrix,
+		NeuralNetwork,
 		RandomGenerator,
 		DropArea,
+		Transform,
 		TimingInterface,
+		PhysicsBody,
+		PhysicsConstraint,
+		DistanceConstraint,
+		SpringConstraint,
+		PhysicsWorld,
 		Vector,
+		VectorN,
+		VectorBuffer,
 		Quaternion,
+		SpatialIndex,
+		QuadTree,
+		SpatialHash,
+		Shape,
+		Rect,
+		Circle,
+		LineSegment,
+		Polygon,
+		Curve,
+		BezierCurve,
+		QuadraticBezier,
+		CubicBezier,
+		CatmullRomSpline,
+		BSpline,
 
 		JL,
 		deg2rad,
@@ -4303,6 +12999,9 @@ if(typeof module !== "undefined") {
 		HIDDEN,
 		VISIBILITY_CHANGE,
 		COLLISION,
+		COLLISION_MANIFOLD,
+		RAYCAST,
+		GEOMETRY,
 		FILE_READER,
 		PI,
 		HALF_PI,
@@ -0,0 +1,11 @@
+const {test} = require("node:test");
+const assert = require("node:assert");
+const {Matrix} = require("../JustLib.js");
+
+test("Matrix with linearly dependent rows is singular", () => {
+	const matrix = new Matrix([[1, 2, 3], [4, 5, 6], [7, 8, 9]]);
+
+	assert.strictEqual(matrix.det(), 0);
+	assert.throws(() => matrix.inverse(), /Cannot inverse singular matrix!/);
+	assert.throws(() => matrix.solve([1, 2, 3]), /Cannot solve system with singular matrix!/);
+});